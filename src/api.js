@@ -1,21 +1,68 @@
 // src/api.js
 /**
  * This module contains functions for interacting with TheMealDB API
- * All functions use the built-in fetch API available in Node.js 20+
+ * Requests go through the active recipe provider (see providers/index.js),
+ * which defaults to TheMealDB over HTTP using the built-in fetch API in Node.js 20+
  */
 
-const BASE_URL = 'https://www.themealdb.com/api/json/v1/1';
+import { getProvider } from './providers/index.js';
+import { MalformedResponseError, NotFoundError } from './errors.js';
+import { getSettings } from './settings.js';
+import { runWithConcurrency } from './utils.js';
+
+/**
+ * Extract the list from a TheMealDB response body
+ * TheMealDB answers "no results" with a null list; anything else that is not an array is malformed
+ *
+ * @param {Object} data - Parsed response body
+ * @param {string} endpoint - Endpoint name, for error messages
+ * @param {string} field - Response field holding the list (default: "meals")
+ * @returns {Array} - The list, or an empty array if there are no results
+ * @throws {MalformedResponseError} - If the body does not have the expected shape
+ */
+function readList(data, endpoint, field = 'meals') {
+  if (!data || typeof data !== 'object' || !(field in data)) {
+    throw new MalformedResponseError(`${endpoint} response has no "${field}" field`);
+  }
+
+  if (data[field] === null) {
+    return [];
+  }
+
+  if (!Array.isArray(data[field])) {
+    throw new MalformedResponseError(`${endpoint} response field "${field}" is not a list`);
+  }
+
+  return data[field];
+}
+
+/**
+ * Request an endpoint that returns a list and extract the list
+ *
+ * @param {string} endpoint - Endpoint name (e.g. "list.php")
+ * @param {Object} params - Query parameters
+ * @param {Object} options - Request options
+ * @param {string} options.field - Response field holding the list (default: "meals")
+ * @returns {Promise<Array>} - The list, or an empty array if there are no results
+ * @throws {ApiError} - If the request fails
+ */
+async function requestList(endpoint, params = {}, { field = 'meals', ...requestOptions } = {}) {
+  const data = await getProvider().request(endpoint, params, requestOptions);
+  return readList(data, endpoint, field);
+}
 
 /**
  * Search for meals by name
  * @param {string} query - Search term
- * @returns {Promise<Array>} - Array of meal objects
+ * @param {Object} options - Request options (priority, signal; see http.js)
+ * @returns {Promise<Array>} - Array of meal objects (empty if nothing matches)
+ * @throws {ApiError} - If the request fails
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/fetch | MDN: fetch API}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise | MDN: Promise}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/try...catch | MDN: try...catch}
  */
-export async function searchMealsByName(query) {
+export async function searchMealsByName(query, options = {}) {
   // CHALLENGE 1: Implement the searchMealsByName function
   // 1. Use the fetch API to make a request to `${BASE_URL}/search.php?s=${encodeURIComponent(query)}`
   // 2. Check if the response is ok (response.ok)
@@ -24,35 +71,25 @@ export async function searchMealsByName(query) {
   // 5. Return data.meals or an empty array if meals is null
   // 6. Wrap everything in a try/catch block and return empty array on error
 
-  try {
-    const response = await fetch(`${BASE_URL}/search.php?s=${encodeURIComponent(query)}`);
-
-    if (!response.ok) {
-      throw new Error(`Error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data.meals || [];
-  } catch (error) {
-    console.error("Failed to get meals:", error);
-    return [];
-  }
-
+  return requestList('search.php', { s: query }, options);
 }
 
 /**
  * Get detailed information about a specific meal by ID
- * Implementation includes retry logic for resilience
+ * Temporary failures are retried with backoff by the HTTP client (see http.js)
  *
  * @param {string} id - Meal ID
- * @param {number} attempts - Number of retry attempts (default: 2)
- * @returns {Promise<Object|null>} - Meal details or null if not found
+ * @param {number} attempts - Number of attempts, including the first one (default: the retries setting plus one)
+ * @param {Object} options - Request options (priority, signal; see http.js)
+ * @returns {Promise<Object>} - Meal details
+ * @throws {NotFoundError} - If no meal has this ID
+ * @throws {ApiError} - If the request still fails after all attempts
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/async_function | MDN: async function}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Operators/await | MDN: await}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Control_flow_and_error_handling | MDN: Error handling}
  */
-export async function getMealById(id, attempts = 2) {
+export async function getMealById(id, attempts = undefined, options = {}) {
   // CHALLENGE 2: Implement the getMealById function with retry logic
   // 1. Use fetch to get meal details from `${BASE_URL}/lookup.php?i=${id}`
   // 2. Check if response is ok
@@ -62,42 +99,37 @@ export async function getMealById(id, attempts = 2) {
   // 5. Decrement attempts and call the function recursively
   // 6. Handle errors with try/catch
 
-  try {
-    const response = await fetch(`${BASE_URL}/lookup.php?i=${id}`);
-
-    if (!response.ok) {
-      if (attempts > 1) {
-        await new Promise(resolve => setTimeout(resolve, 1000))
-        return getMealById(id, attempts - 1);
-      } else {
-        throw new Error(`Status ${response.status}`);
-      }
-    } else {
-      const data = await response.json();
-      return data.meals ? data.meals[0] || null : null
-    }
-  } catch (error) {
-    if (attempts > 1) {
-      await new Promise(resolve => setTimeout(resolve, 1000))
-      return getMealById(id, attempts - 1);
-    }
-    console.error(`Cannot find meal after ${attempts} attepmts`, error);
-    return null;
+  const requestOptions = { ...options };
+
+  // Without attempts, the provider's retries setting applies
+  if (attempts !== undefined) {
+    requestOptions.retries = Math.max(0, attempts - 1);
   }
+
+  const meals = await requestList('lookup.php', { i: id }, requestOptions);
+
+  if (!meals[0]) {
+    throw new NotFoundError(`No recipe found with ID ${id}`);
+  }
+
+  return meals[0];
 }
 
 /**
  * Search for meals starting with specific letters
- * Uses Promise.all to fetch results for multiple letters in parallel
+ * Letters are fetched a few at a time with runWithConcurrency (see the concurrency setting),
+ * and every request also goes through the provider's rate limiter, so searching all
+ * 26 letters is safe.
  *
  * @param {Array<string>} letters - Array of letters to search by
+ * @param {Object} options - Request options (priority, signal; see http.js)
  * @returns {Promise<Array>} - Combined array of meals starting with any of the letters
+ * @throws {ApiError} - If the request for any letter fails, so partial results are never mistaken for complete ones
  *
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/all | MDN: Promise.all}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/map | MDN: Array.map}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set | MDN: Set}
  */
-export async function searchMealsByFirstLetter(letters) {
+export async function searchMealsByFirstLetter(letters, options = {}) {
   // CHALLENGE 3: Implement searchMealsByFirstLetter using Promise.all
   // 1. Create an array of promises by mapping over the letters array
   // 2. For each letter, create a fetch promise that:
@@ -110,47 +142,31 @@ export async function searchMealsByFirstLetter(letters) {
   // 5. Return the combined array of meals
   // 6. Wrap in a try/catch block
 
-  try {
-    const map = letters.map(async (letter) => {
-      try {
-        const response = await fetch(`${BASE_URL}/search.php?f=${letter.charAt(0)}`);
-        if (!response.ok) {
-          console.log(`There was an error with ${letter}. Status: ${response.status}`);
-          return [];
-        }
-        const info = await response.json()
-        return info.meals || [];
-      } catch (error) {
-        console.error("An error was Occured", error)
-        return [];
-      }
-    })
-
-    const results = await Promise.all(map);
-
-    const all = results.flat();
-    const onlyOne = Array.from(new Map(all.map(meal => meal?.idMeal ? [meal.idMeal, meal] : [null, null])).values()).filter(meal => meal !== null);
-
-    return onlyOne;
-  } catch (error) {
-    console.error("Sorry there was an error", error);
-    return [];
-  }
+  const tasks = letters.map(letter => () => requestList('search.php', { f: letter.charAt(0) }, options));
+
+  const results = await runWithConcurrency(tasks, getSettings().concurrency, { stopOnError: true });
+
+  const all = results.flat();
+  const onlyOne = Array.from(new Map(all.map(meal => meal?.idMeal ? [meal.idMeal, meal] : [null, null])).values()).filter(meal => meal !== null);
+
+  return onlyOne;
 }
 
 /**
  * Search for meals containing a specific ingredient
- * Implements a timeout using Promise.race
+ * Each attempt is aborted after timeoutMs by the HTTP client (see http.js)
  *
  * @param {string} ingredient - Ingredient to search for
- * @param {number} timeoutMs - Timeout in milliseconds
- * @returns {Promise<Array|string>} - Array of meals or error message if timeout
+ * @param {number} timeoutMs - Timeout for each attempt in milliseconds (default: the timeoutMs setting)
+ * @param {Object} options - Request options (priority, signal; see http.js)
+ * @returns {Promise<Array>} - Array of meals (empty if nothing matches)
+ * @throws {TimeoutError} - If the last attempt got no answer within timeoutMs
+ * @throws {ApiError} - If the request fails
  *
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/race | MDN: Promise.race}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AbortController | MDN: AbortController}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Using_promises | MDN: Using promises}
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Operators/typeof | MDN: typeof}
  */
-export async function getMealsByIngredient(ingredient, timeoutMs = 5000) {
+export async function getMealsByIngredient(ingredient, timeoutMs = undefined, options = {}) {
   // CHALLENGE 4: Implement getMealsByIngredient with timeout using Promise.race
   // 1. Create a timeout promise that rejects after timeoutMs milliseconds
   // 2. Create a fetch promise that gets meals by ingredient
@@ -161,32 +177,14 @@ export async function getMealsByIngredient(ingredient, timeoutMs = 5000) {
   // 4. Return the result (either meals array or error message)
   // 5. Handle errors and return a user-friendly message if timeout occurs
 
-  try {
-    const promise = fetch(`${BASE_URL}/filter.php?i=${encodeURIComponent(ingredient)}`)
-      .then(async (result) => {
-        if (!result.ok) {
-          console.error(`Recipe can't be found. Status: ${result.status}`)
-          return [];
-        } else {
-          const info = await result.json();
-          return info.meals || []
-        }
-      });
-
-    const time = new Promise((_, reject) =>
-      setTimeout(() => reject(new Error("cant found recipe on time")), timeoutMs));
-
-    return await Promise.race([promise, time]);
-  } catch (error) {
-    if (error instanceof Error && error.message === "cant found recipe on time") {
-      return "took too long";
-    } else {
-      console.error("Sorry, something went wrong: ", error);
-      return "An unexpected error has been occurred";
-    }
-  }
+  const requestOptions = { ...options };
 
+  // Without timeoutMs, the provider's timeoutMs setting applies
+  if (timeoutMs !== undefined) {
+    requestOptions.timeoutMs = timeoutMs;
+  }
 
+  return requestList('filter.php', { i: ingredient }, requestOptions);
 }
 
 /**
@@ -195,12 +193,14 @@ export async function getMealsByIngredient(ingredient, timeoutMs = 5000) {
  *
  * @param {Object} recipe - Recipe object with strCategory property
  * @param {number} limit - Maximum number of related recipes to return
+ * @param {Object} options - Request options (priority, signal; see http.js)
  * @returns {Promise<Array>} - Array of related recipes
+ * @throws {ApiError} - If the request fails
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/filter | MDN: Array.filter}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/slice | MDN: Array.slice}
  */
-export async function getRelatedRecipes(recipe, limit = 3) {
+export async function getRelatedRecipes(recipe, limit = 3, options = {}) {
   // CHALLENGE 5: Implement getRelatedRecipes function
   // 1. Check if recipe is valid and has a category (strCategory)
   // 2. Fetch recipes by category: `${BASE_URL}/filter.php?c=${encodeURIComponent(recipe.strCategory)}`
@@ -210,51 +210,98 @@ export async function getRelatedRecipes(recipe, limit = 3) {
   // 6. Return the filtered & limited array
   // 7. Handle errors with try/catch
 
-  try {
-    if (recipe.ok && recipe.strCategory) {
-      const promise = await fetch(`${BASE_URL}/filter.php?c=${encodeURIComponent(recipe.strCategory)}`)
-      if (!promise.ok) {
-        throw new Error(`category not found. status ${ans.status}`)
-      }
-      const ans = await response.json()
-
-      const filt = ans.meals.filter(meal => meal.idMeal !== recipe.idMeal);
-
-      return filt.slice(0, limit)
-    }
-  } catch (error) {
-    console.error("Error fetching related recipes:", error.message);
+  if (!recipe || !recipe.strCategory) {
     return [];
   }
+
+  const meals = await getMealsByCategory(recipe.strCategory, options);
+  const filt = meals.filter(meal => meal.idMeal !== recipe.idMeal);
+
+  return filt.slice(0, limit)
+}
+
+/**
+ * Get all meal categories with their descriptions and thumbnails
+ *
+ * @param {Object} options - Request options (priority, signal; see http.js)
+ * @returns {Promise<Array>} - Array of category objects (idCategory, strCategory, strCategoryThumb, strCategoryDescription)
+ */
+export async function getCategories(options = {}) {
+  return requestList('categories.php', {}, { ...options, field: 'categories' });
+}
+
+/**
+ * List the names of all meal categories
+ *
+ * @param {Object} options - Request options (priority, signal; see http.js)
+ * @returns {Promise<Array>} - Array of objects with a strCategory property
+ */
+export async function listCategories(options = {}) {
+  return requestList('list.php', { c: 'list' }, options);
+}
+
+/**
+ * List all areas (cuisines)
+ *
+ * @param {Object} options - Request options (priority, signal; see http.js)
+ * @returns {Promise<Array>} - Array of objects with a strArea property
+ */
+export async function listAreas(options = {}) {
+  return requestList('list.php', { a: 'list' }, options);
+}
+
+/**
+ * List all known ingredients
+ *
+ * @param {Object} options - Request options (priority, signal; see http.js)
+ * @returns {Promise<Array>} - Array of ingredient objects (idIngredient, strIngredient, strDescription, strType)
+ */
+export async function listIngredients(options = {}) {
+  return requestList('list.php', { i: 'list' }, options);
+}
+
+/**
+ * Get meals in a category
+ *
+ * @param {string} category - Category name (e.g. "Seafood")
+ * @param {Object} options - Request options (priority, signal; see http.js)
+ * @returns {Promise<Array>} - Array of partial meal objects (strMeal, strMealThumb, idMeal)
+ */
+export async function getMealsByCategory(category, options = {}) {
+  return requestList('filter.php', { c: category }, options);
+}
+
+/**
+ * Get meals from an area (cuisine)
+ *
+ * @param {string} area - Area name (e.g. "Canadian")
+ * @param {Object} options - Request options (priority, signal; see http.js)
+ * @returns {Promise<Array>} - Array of partial meal objects (strMeal, strMealThumb, idMeal)
+ */
+export async function getMealsByArea(area, options = {}) {
+  return requestList('filter.php', { a: area }, options);
 }
 
 /**
  * Get a random meal from the API
  *
- * @returns {Promise<Object|null>} - Random meal or null if error
+ * @param {Object} options - Request options (priority, signal; see http.js)
+ * @returns {Promise<Object>} - Random meal
+ * @throws {ApiError} - If the request fails or returns no meal
  */
-export async function getRandomMeal() {
+export async function getRandomMeal(options = {}) {
   // CHALLENGE 6: Implement getRandomMeal function
   // 1. Fetch a random meal from `${BASE_URL}/random.php`
   // 2. Handle the response (check if ok, parse JSON)
   // 3. Return the first meal or null if no meals
   // 4. Handle errors with try/catch
-  try {
-    if (recipe.ok && recipe.strCategory) {
-      const promise = await fetch(`${BASE_URL}/filter.php?c=${encodeURIComponent(recipe.strCategory)}`)
-      if (!promise.ok) {
-        throw new Error(`category not found. status ${ans.status}`)
-      }
-      const ans = await response.json()
-
-      const filt = ans.meals.filter(meal => meal.idMeal !== recipe.idMeal);
-
-      return filt.slice(0, limit)
-    }
-  } catch (error) {
-    console.error("Error fetching related recipes:", error.message);
-    return [];
+  const meals = await requestList('random.php', {}, options);
+
+  if (!meals[0]) {
+    throw new MalformedResponseError('random.php returned no meal');
   }
+
+  return meals[0];
 }
 
 export default {
@@ -263,5 +310,11 @@ export default {
   searchMealsByFirstLetter,
   getMealsByIngredient,
   getRelatedRecipes,
-  getRandomMeal
+  getRandomMeal,
+  getCategories,
+  listCategories,
+  listAreas,
+  listIngredients,
+  getMealsByCategory,
+  getMealsByArea
 };
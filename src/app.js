@@ -1,15 +1,45 @@
+#!/usr/bin/env node
 // src/app.js
 /**
  * Main application file for the Recipe Explorer
  * Contains the command-line interface and application logic
  */
 
+import fs from 'fs';
+import { fileURLToPath } from 'url';
 import readlineSync from 'readline-sync';
-import * as api from './api.js';
 import * as cache from './cache.js';
+import * as catalog from './catalog.js';
+import { runCli } from './cli.js';
+import { describeError } from './errors.js';
 import * as favorites from './favorites.js';
+import * as refresh from './favorites-refresh.js';
+import * as pantry from './pantry.js';
+import * as prefetch from './prefetch.js';
+import { MAX_RATING } from './recipe-model.js';
+import * as recipes from './recipes.js';
+import { UnsupportedVersionError } from './schema.js';
+import { getSettings } from './settings.js';
 import * as utils from './utils.js';
 
+/**
+ * Tell the user when a data file was damaged and had to be repaired, or was upgraded
+ *
+ * @param {string} label - Name of the file for the message (e.g. "Favorites")
+ * @param {Object} check - Result of checkFavoritesFile or checkCacheFile
+ */
+function reportFileCheck(label, check) {
+  if (check.status === 'restored') {
+    console.error(`${label} file was damaged and has been restored from the last backup. The damaged copy was kept at ${check.movedTo}`);
+  } else if (check.status === 'reset') {
+    console.error(`${label} file was damaged and no usable backup was found, so it was started again empty. The damaged copy was kept at ${check.movedTo}`);
+  }
+
+  if (check.migration?.status === 'migrated') {
+    console.warn(`${label} file was upgraded from format ${check.migration.from} to ${check.migration.to}. The original was kept at ${check.migration.backup}`);
+  }
+}
+
 /**
  * Initialize the application
  *
@@ -25,14 +55,17 @@ async function initialize() {
   // 4. Catch any errors, log them, and return false
 
   try {
-    await Promise.all([favorites.initializeFavorites(), cache.initializeCache()]);
+    const [favoritesCheck, cacheCheck] = await Promise.all([favorites.checkFavoritesFile(), cache.checkCacheFile()]);
+
+    reportFileCheck('Favorites', favoritesCheck);
+    reportFileCheck('Cache', cacheCheck);
 
     await cache.clearExpiredCache();
 
     return true;
   }
   catch (error) {
-    console.error("Initialization failed: ", error);
+    console.error("Initialization failed: ", error instanceof UnsupportedVersionError ? error.message : error);
     return false;
   }
 }
@@ -64,13 +97,7 @@ async function searchRecipes() {
     // 4. If recipes were found, offer to view details for a specific recipe
     // 5. If the user wants to view details, call viewRecipeDetails with the chosen recipe ID
 
-    const key = `search_${query.toLowerCase()}`;
-
-    const ans = await cache.getCachedOrFetch(key, async () => {
-      const response = api.searchMealsByName(query);
-      return response.json();
-    })
-
+    const ans = await recipes.findRecipesByName(query);
 
     if (!ans || ans.length === 0) {
       console.log('No recipes found');
@@ -85,14 +112,14 @@ async function searchRecipes() {
       const indx = readlineSync.question('What recipe do you want to see?') - 1;
 
       if (indx >= 0 && indx < ans.length) {
-        viewRecipeDetails(ans[indx].id);
+        await viewRecipeDetails(ans[indx].id);
       } else {
         console.log("Sorry, you must select one valid option");
       }
 
     }
   } catch (error) {
-    console.error('Error searching recipes:', error.message);
+    console.error('Error searching recipes:', describeError(error));
   }
 }
 
@@ -129,48 +156,41 @@ async function viewRecipeDetails(recipeId) {
     //    - Display them when the promise resolves
     //    - Handle any errors in the chain
 
-    const key = `recipe_${recipeId}`;
+    const found = await recipes.findRecipeById(recipeId);
 
-    const ans = await cache.getCachedOrFetch(key, async () => {
-      const response = await api.getMealById(recipeId);
-      const data = await response.json();
-      console.log("response: ", data);
-      return data;
-    });
-
-    if (!ans || ans.meals.length === 0) {
+    if (!found) {
       console.log("The recipe was not found");
       return null;
     }
 
-    const recipe = ans.meals[0];
-
-    console.log(utils.formatRecipe(ans));
+    // Favorites are shown with the user's rating, notes and ingredient overrides
+    const recipe = await favorites.withFavoriteDetails(found);
+    console.log(utils.formatRecipe(recipe, { units: getSettings().units }));
 
-    const isFavorite = await favorites.isInFavorites();
+    const isFavorite = Boolean(recipe.favorite);
 
     if (isFavorite) {
       const qna1 = readlineSync.question("This recipe is on favorites. Do you want to remove it? Y/N").toLowerCase();
       if (qna1 == 'y' || qna1 == 'yes') {
-        favorites.removeFavorite(recipeId);
+        await favorites.removeFavorite(recipe.id);
       }
     } else {
       const qna2 = readlineSync.question("This recipe is not on favorites. Do you want to add it? Y/N").toLowerCase();
       if (qna2 == 'y' || qna2 == 'yes') {
-        favorites.addFavorite(recipeId);
+        await favorites.addFavorite(recipe);
       }
     }
 
-    fetch(api.getRelatedRecipes(recipe.strCategory))
-      .then(response => response.json())
-      .then(RelatedRecipes => {
-        if (RelatedRecipes.length > 0) {
+    await recipes.findRelatedRecipes(recipe)
+      .then(relatedRecipes => {
+        if (relatedRecipes && relatedRecipes.length > 0) {
           console.log("Related recipes");
-          console.log(utils.formatRecipeList(RelatedRecipes));
+          console.log(utils.formatRecipeList(relatedRecipes));
         }
       })
+      .catch(error => console.error('Error fetching related recipes:', describeError(error)));
   } catch (error) {
-    console.error('Error viewing recipe details:', error.message);
+    console.error('Error viewing recipe details:', describeError(error));
   }
 }
 
@@ -179,15 +199,15 @@ async function viewRecipeDetails(recipeId) {
  * Demonstrates using Promise.all
  */
 async function exploreByFirstLetter() {
-  const letters = readlineSync.question('Enter up to 3 letters to search (e.g. abc): ');
+  const letters = readlineSync.question('Enter letters to search (e.g. abc, or a-z for all): ');
 
   if (!letters.trim()) {
     console.log('Please enter at least one letter');
     return;
   }
 
-  // Get unique letters (limit to 3 to avoid API abuse)
-  const uniqueLetters = Array.from(new Set(letters.toLowerCase())).slice(0, 3);
+  // Get unique letters (requests are rate limited, so there is no need to cap them)
+  const uniqueLetters = recipes.getUniqueLetters(letters);
 
   console.log(`Searching for recipes starting with: ${uniqueLetters.join(', ')}...`);
 
@@ -199,33 +219,33 @@ async function exploreByFirstLetter() {
     // 4. If recipes were found, offer to view details for a specific recipe
     // 5. If the user wants to view details, call viewRecipeDetails with the chosen recipe ID
 
-    const key = `letters_${uniqueLetters.sort().join('')}`;
+    const ans = await recipes.findRecipesByLetters(letters);
 
-    const ans = await cache.getCachedOrFetch(key, async () => {
-      const response = api.searchMealsByFirstLetter(key);
-      return response
-    })
+    if (!ans || ans.length === 0) {
+      console.log('No recipes found');
+      return null;
+    }
 
-    utils.formatRecipeList(ans);
+    console.log(utils.formatRecipeList(ans));
 
     const qna = readlineSync.question('What recipe do you want to see? ') - 1;
 
     if (qna >= 0 && qna < ans.length) {
-      viewRecipeDetails(ans[qna].id);
+      await viewRecipeDetails(ans[qna].id);
     } else {
       console.log("Sorry, you must select one valid option");
     }
   } catch (error) {
-    console.error('Error exploring recipes by first letter:', error.message);
+    console.error('Error exploring recipes by first letter:', describeError(error));
   }
 }
 
 /**
- * Search recipes by ingredient with timeout
- * Demonstrates using Promise.race for timeout
+ * Search recipes by ingredients
+ * Accepts a single ingredient or a query such as "chicken AND garlic NOT cream"
  */
 async function searchByIngredient() {
-  const ingredient = readlineSync.question('Enter an ingredient: ');
+  const ingredient = readlineSync.question('Enter ingredients (e.g. garlic, or chicken AND garlic NOT cream): ');
 
   if (!ingredient.trim()) {
     console.log('Ingredient cannot be empty');
@@ -244,11 +264,7 @@ async function searchByIngredient() {
     // 6. If recipes were found, offer to view details for a specific recipe
     // 7. If the user wants to view details, call viewRecipeDetails with the chosen recipe ID
 
-    const key = `ingredient_${ingredient.toLowerCase()}`
-
-    const ans = await cache.getCachedOrFetch(key, async () => {
-      return await api.getMealsByIngredient(ingredient)
-    });
+    const ans = await recipes.findRecipesByIngredientQuery(ingredient);
 
     if (!Array.isArray(ans) || ans.length === 0) {
       console.log("no recipes found");
@@ -261,48 +277,386 @@ async function searchByIngredient() {
     const qna = readlineSync.question('What recipe do you want to see? ') - 1;
 
     if (qna >= 0 && qna < ans.length) {
-      viewRecipeDetails(ans[qna].idMeal);
+      await viewRecipeDetails(ans[qna].id);
     } else {
       console.error("Sorry, you must select one valid option");
       return;
     }
   } catch (error) {
-    console.error('Error searching by ingredient:', error.message);
+    console.error('Error searching by ingredient:', describeError(error));
+  }
+}
+
+/**
+ * Drill down from a list of groups (categories or cuisines) to recipes and then to details
+ *
+ * @param {string} title - Name of the groups, e.g. "Categories"
+ * @param {Function} loadGroups - Resolves to an array of group names
+ * @param {Function} loadRecipes - Called with a group name, resolves to an array of recipes
+ */
+async function browseRecipes(title, loadGroups, loadRecipes) {
+  const groups = await loadGroups();
+
+  if (!groups || groups.length === 0) {
+    console.log(`No ${title.toLowerCase()} found`);
+    return;
+  }
+
+  console.log(utils.formatNameList(title, groups));
+
+  const groupIndex = readlineSync.questionInt(`Enter a number (1-${groups.length}, 0 to go back): `, {
+    limit: input => {
+      const num = parseInt(input);
+      return num >= 0 && num <= groups.length;
+    },
+    limitMessage: `Please enter a number between 0 and ${groups.length}`
+  });
+
+  if (groupIndex === 0) {
+    return;
+  }
+
+  const group = groups[groupIndex - 1];
+  console.log(`Fetching ${group} recipes...`);
+
+  const groupRecipes = await loadRecipes(group);
+
+  if (!groupRecipes || groupRecipes.length === 0) {
+    console.log('No recipes found');
+    return;
+  }
+
+  console.log(utils.formatRecipeList(groupRecipes));
+
+  const recipeIndex = readlineSync.questionInt(`Enter recipe number (1-${groupRecipes.length}, 0 to go back): `, {
+    limit: input => {
+      const num = parseInt(input);
+      return num >= 0 && num <= groupRecipes.length;
+    },
+    limitMessage: `Please enter a number between 0 and ${groupRecipes.length}`
+  });
+
+  if (recipeIndex > 0) {
+    await viewRecipeDetails(groupRecipes[recipeIndex - 1].id);
+  }
+}
+
+/**
+ * Browse recipes by category
+ */
+async function browseByCategory() {
+  try {
+    await browseRecipes('Categories', () => recipes.findCategoryNames(), category => recipes.findRecipesByCategory(category));
+  } catch (error) {
+    console.error('Error browsing categories:', describeError(error));
+  }
+}
+
+/**
+ * Browse recipes by cuisine (area)
+ */
+async function browseByArea() {
+  try {
+    await browseRecipes('Cuisines', () => recipes.findAreas(), area => recipes.findRecipesByArea(area));
+  } catch (error) {
+    console.error('Error browsing cuisines:', describeError(error));
+  }
+}
+
+/**
+ * Rank recipes by how many of their ingredients are on hand
+ */
+async function whatCanICook() {
+  const items = pantry.parsePantry(readlineSync.question('Enter the ingredients you have, separated by commas: '));
+
+  if (items.length === 0) {
+    console.log('Please enter at least one ingredient');
+    return;
+  }
+
+  console.log(`Looking for recipes using ${items.join(', ')}...`);
+
+  try {
+    const results = await pantry.findCookableRecipes(items);
+    const shown = results.slice(0, 10);
+
+    console.log(utils.formatPantryResults(shown));
+
+    if (shown.length === 0) {
+      return;
+    }
+
+    const recipeIndex = readlineSync.questionInt(`Enter recipe number (1-${shown.length}, 0 to go back): `, {
+      limit: input => {
+        const num = parseInt(input);
+        return num >= 0 && num <= shown.length;
+      },
+      limitMessage: `Please enter a number between 0 and ${shown.length}`
+    });
+
+    if (recipeIndex > 0) {
+      await viewRecipeDetails(shown[recipeIndex - 1].recipe.id);
+    }
+  } catch (error) {
+    console.error('Error finding recipes to cook:', describeError(error));
+  }
+}
+
+/**
+ * Show what is in the cache and remove entries
+ */
+async function manageCache() {
+  try {
+    console.log(utils.formatCacheStats(await cache.getCacheStats()));
+
+    const actions = ['List entries', 'Remove entries by key or prefix', 'Remove expired entries', 'Remove everything'];
+    const action = readlineSync.keyInSelect(actions, 'What would you like to do?', { cancel: 'Back' });
+
+    switch (action) {
+      case 0: {
+        const pattern = readlineSync.question('Show keys matching (e.g. search_*, Enter for all): ').trim() || '*';
+        console.log(utils.formatCacheEntries(await cache.listCacheEntries(pattern)));
+        break;
+      }
+      case 1: {
+        const pattern = readlineSync.question('Key or prefix to remove (e.g. recipe_52772 or search_*): ').trim();
+
+        if (!pattern) {
+          console.log('Nothing removed');
+          break;
+        }
+
+        const removed = await cache.purgeCache(pattern);
+        console.log(`Removed ${removed} cache ${removed === 1 ? 'entry' : 'entries'}`);
+        break;
+      }
+      case 2:
+        await cache.clearExpiredCache();
+        break;
+      case 3:
+        if (readlineSync.keyInYN('Remove every cached result?')) {
+          const removed = await cache.purgeCache('*');
+          console.log(`Removed ${removed} cache ${removed === 1 ? 'entry' : 'entries'}`);
+        }
+        break;
+    }
+  } catch (error) {
+    console.error('Error managing the cache:', describeError(error));
   }
 }
 
 /**
- * View favorite recipes
+ * Ask the user to pick a collection
+ *
+ * @param {Array<Object>} collections - Result of favorites.getCollections
+ * @param {string} prompt - Question to ask
+ * @returns {string|null} - Name of the chosen collection, or null if cancelled
+ */
+function pickCollection(collections, prompt) {
+  const choice = readlineSync.keyInSelect(collections.map(({ name, count }) => `${name} (${count})`), prompt, { cancel: 'Back' });
+  return choice === -1 ? null : collections[choice].name;
+}
+
+/**
+ * Ask the user to pick a recipe from a numbered list
+ *
+ * @param {Array<Object>} list - Recipes shown to the user
+ * @returns {Object} - The chosen recipe
+ */
+function pickRecipe(list) {
+  const index = readlineSync.questionInt(`Enter recipe number (1-${list.length}): `, {
+    limit: input => {
+      const num = parseInt(input);
+      return num >= 1 && num <= list.length;
+    },
+    limitMessage: `Please enter a number between 1 and ${list.length}`
+  });
+
+  return list[index - 1];
+}
+
+/**
+ * Change the rating, notes and ingredient overrides of a favorite
+ *
+ * @param {Object} recipe - Favorite recipe, as returned by favorites.getFavorites
+ */
+async function annotateFavorite(recipe) {
+  const { rating, notes } = recipe.favorite;
+
+  console.log(`Rating: ${rating ? `${rating}/${MAX_RATING}` : '(none)'}`);
+  const newRating = readlineSync.question(`New rating 1-${MAX_RATING} (Enter to keep, 0 to clear): `).trim();
+
+  if (newRating) {
+    await favorites.rateFavorite(recipe.id, newRating === '0' ? null : Number(newRating));
+  }
+
+  console.log(`Notes: ${notes || '(none)'}`);
+  const newNotes = readlineSync.question('New notes (Enter to keep, "-" to clear): ').trim();
+
+  if (newNotes) {
+    await favorites.setFavoriteNotes(recipe.id, newNotes === '-' ? '' : newNotes);
+  }
+
+  while (readlineSync.keyInYN('Change the measure of an ingredient?')) {
+    const ingredient = readlineSync.question('Ingredient: ').trim();
+    const measure = readlineSync.question('Measure to use (Enter to leave it out, "-" to go back to the recipe\'s): ').trim();
+
+    if (measure === '-') {
+      await favorites.removeIngredientOverride(recipe.id, ingredient);
+    } else {
+      await favorites.setIngredientOverride(recipe.id, ingredient, measure || null);
+    }
+  }
+
+  console.log(utils.formatRecipe(await favorites.getFavoriteById(recipe.id), { units: getSettings().units }));
+}
+
+/**
+ * View favorite recipes, one collection at a time, and organize them
+ * They can be searched and sorted, and are shown a page at a time.
  */
 async function viewFavorites() {
   try {
-    // Get favorites
-    const favoriteRecipes = await favorites.getFavorites();
+    const collections = await favorites.getCollections();
+
+    // Pick a collection (or everything), then optionally a tag
+    const choice = readlineSync.keyInSelect(
+      [...collections.map(({ name, count }) => `${name} (${count})`), 'All favorites'],
+      'Which favorites would you like to see?',
+      { cancel: 'Back' }
+    );
 
-    if (favoriteRecipes.length === 0) {
-      console.log('You have no favorite recipes');
+    if (choice === -1) {
       return;
     }
 
-    console.log(utils.formatRecipeList(favoriteRecipes));
+    const collection = choice < collections.length ? collections[choice].name : undefined;
+    const search = favorites.parseFavoriteSearch(readlineSync.question(
+      'Search by name, or by field (e.g. ingredient:garlic area:indian tag:quick); Enter for all: '
+    ));
+
+    const sorts = { 'Name': 'name', 'Date added, newest first': 'added', 'Rating, highest first': 'rating' };
+    const sortChoice = readlineSync.keyInSelect(Object.keys(sorts), 'Sort by:', { cancel: 'Collection order' });
+    const filters = { collection, ...search, sort: Object.values(sorts)[sortChoice] };
+
+    const recipeActions = [
+      'View a recipe',
+      'Copy a recipe to another collection',
+      'Move a recipe to another collection',
+      'Edit the tags of a recipe',
+      'Rate a recipe, add notes or change its ingredients',
+      'Check these recipes for updates on TheMealDB'
+    ];
+    const collectionActions = ['Create a collection', 'Rename a collection', 'Delete a collection'];
+    let page = 1;
+    let shown;
+    let action;
+
+    // Show a page at a time until the user picks something other than paging
+    do {
+      shown = await favorites.getFavoritesPage({ ...filters, page });
+
+      if (shown.total === 0) {
+        console.log(collection || Object.keys(search).length > 0 ? 'No favorite recipes here' : 'You have no favorite recipes');
+      } else {
+        console.log(utils.formatFavoritesPage(shown));
+      }
 
-    // Allow viewing details
-    const viewDetails = readlineSync.keyInYN('Would you like to view details for a recipe?');
+      const pageActions = [
+        ...(shown.page < shown.pages ? ['Next page'] : []),
+        ...(shown.page > 1 ? ['Previous page'] : [])
+      ];
+      const actions = shown.total > 0 ? [...pageActions, ...recipeActions, ...collectionActions] : collectionActions;
+      action = actions[readlineSync.keyInSelect(actions, 'What would you like to do?', { cancel: 'Back' })];
+      page = shown.page + (action === 'Next page' ? 1 : action === 'Previous page' ? -1 : 0);
+    } while (action === 'Next page' || action === 'Previous page');
+
+    const favoriteRecipes = shown.recipes;
+
+    switch (action) {
+      case 'View a recipe':
+        await viewRecipeDetails(pickRecipe(favoriteRecipes).id);
+        break;
+      case 'Copy a recipe to another collection': {
+        const recipe = pickRecipe(favoriteRecipes);
+        const to = pickCollection(collections, `Copy "${recipe.name}" to:`);
+
+        if (to && await favorites.copyFavorite(recipe.id, to)) {
+          console.log(`Copied "${recipe.name}" to "${to}"`);
+        }
+        break;
+      }
+      case 'Move a recipe to another collection': {
+        const recipe = pickRecipe(favoriteRecipes);
+        const from = collection || recipe.favorite.collections[0];
+        const to = pickCollection(collections.filter(({ name }) => name !== from), `Move "${recipe.name}" from "${from}" to:`);
+
+        if (to && await favorites.moveFavorite(recipe.id, from, to)) {
+          console.log(`Moved "${recipe.name}" to "${to}"`);
+        }
+        break;
+      }
+      case 'Edit the tags of a recipe': {
+        const recipe = pickRecipe(favoriteRecipes);
+        console.log(`Tags: ${recipe.favorite.tags.join(', ') || '(none)'}`);
+
+        const added = readlineSync.question('Tags to add, separated by commas: ').split(',');
+        const removed = readlineSync.question('Tags to remove, separated by commas: ').split(',');
 
-    if (viewDetails) {
-      const index = readlineSync.questionInt(`Enter recipe number (1-${favoriteRecipes.length}): `, {
-        limit: input => {
-          const num = parseInt(input);
-          return num >= 1 && num <= favoriteRecipes.length;
-        },
-        limitMessage: `Please enter a number between 1 and ${favoriteRecipes.length}`
-      });
+        await favorites.tagFavorite(recipe.id, added);
+        await favorites.untagFavorite(recipe.id, removed);
+        console.log(`Tags: ${(await favorites.getFavoriteById(recipe.id)).favorite.tags.join(', ') || '(none)'}`);
+        break;
+      }
+      case 'Rate a recipe, add notes or change its ingredients':
+        await annotateFavorite(pickRecipe(favoriteRecipes));
+        break;
+      case 'Check these recipes for updates on TheMealDB': {
+        // Every recipe the search found, not only the page shown
+        const checked = await favorites.getFavorites(filters);
+        console.log(`Checking ${checked.length} ${checked.length === 1 ? 'recipe' : 'recipes'}...`);
+
+        const results = await refresh.checkFavorites({ ids: checked.map(recipe => recipe.id) });
+        console.log(utils.formatRefreshResults(results));
+
+        // Each update is accepted or rejected on its own
+        for (const result of results.filter(other => other.status === 'changed')) {
+          if (readlineSync.keyInYN(`Save the update to "${result.name}" (ID: ${result.id})?`) && await favorites.updateFavoriteRecipe(result.recipe)) {
+            console.log(`Updated "${result.name}"`);
+          }
+        }
+        break;
+      }
+      case 'Create a collection': {
+        const name = readlineSync.question('Name of the new collection: ').trim();
+
+        if (await favorites.createCollection(name)) {
+          console.log(`Created collection "${name}"`);
+        }
+        break;
+      }
+      case 'Rename a collection': {
+        const name = pickCollection(collections, 'Which collection would you like to rename?');
+        const newName = name && readlineSync.question(`New name for "${name}": `).trim();
 
-      // View the selected recipe
-      await viewRecipeDetails(favoriteRecipes[index - 1].idMeal);
+        if (newName && await favorites.renameCollection(name, newName)) {
+          console.log(`Renamed "${name}" to "${newName}"`);
+        }
+        break;
+      }
+      case 'Delete a collection': {
+        const name = pickCollection(collections, 'Which collection would you like to delete?');
+
+        if (name && readlineSync.keyInYN(`Delete "${name}"? Recipes in no other collection move to "${collections.find(other => other.name !== name)?.name}".`)) {
+          if (await favorites.deleteCollection(name)) {
+            console.log(`Deleted collection "${name}"`);
+          }
+        }
+        break;
+      }
     }
   } catch (error) {
-    console.error('Error viewing favorites:', error.message);
+    console.error('Error viewing favorites:', describeError(error));
   }
 }
 
@@ -324,25 +678,16 @@ async function discoverRandom() {
     // 5. Check if the recipe is in favorites and offer to add/remove
     // 6. Handle any errors appropriately
 
-    const prom1 = api.getRandomMeal();
-    const prom2 = api.getRandomMeal();
-    const prom3 = api.getRandomMeal();
+    const win = await recipes.findRandomRecipe();
 
-    const win = await Promise.race([prom1, prom2, prom3]);
+    console.log(utils.formatRecipe(win, { units: getSettings().units }))
 
-    if (win === null) {
-      console.error("recipe not found");
-      return;
-    }
-
-    console.log(utils.formatRecipe(win))
-
-    const isFavorite = await favorites.isInFavorites(win.idMeal)
+    const isFavorite = await favorites.isInFavorites(win.id)
 
     if (isFavorite) {
       const qna1 = readlineSync.question("This recipe is on favorites. Do you want to remove it? Y/N").toLowerCase();
       if (qna1 == 'y' || qna1 == 'yes') {
-        await favorites.removeFavorite(win.idMeal);
+        await favorites.removeFavorite(win.id);
       }
     } else {
       const qna2 = readlineSync.question("This recipe is not on favorites. Do you want to add it? Y/N").toLowerCase();
@@ -351,7 +696,7 @@ async function discoverRandom() {
       }
     }
   } catch (error) {
-    console.error('Error discovering random recipes:', error.message);
+    console.error('Error discovering random recipes:', describeError(error));
   }
 }
 
@@ -366,11 +711,15 @@ async function showMainMenu() {
   console.log('4. Search by ingredient');
   console.log('5. View favorites');
   console.log('6. Discover random recipe');
-  console.log('7. Exit');
-
-  const choice = readlineSync.questionInt('Enter your choice (1-7): ', {
-    limit: [1, 2, 3, 4, 5, 6, 7],
-    limitMessage: 'Please enter a number between 1 and 7'
+  console.log('7. Browse by category');
+  console.log('8. Browse by cuisine');
+  console.log('9. What can I cook?');
+  console.log('10. Manage cache');
+  console.log('11. Exit');
+
+  const choice = readlineSync.questionInt('Enter your choice (1-11): ', {
+    limit: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+    limitMessage: 'Please enter a number between 1 and 11'
   });
 
   switch (choice) {
@@ -393,10 +742,28 @@ async function showMainMenu() {
       await discoverRandom();
       break;
     case 7:
+      await browseByCategory();
+      break;
+    case 8:
+      await browseByArea();
+      break;
+    case 9:
+      await whatCanICook();
+      break;
+    case 10:
+      await manageCache();
+      break;
+    case 11:
+      await prefetch.stopPrefetch();
+      await cache.waitForRefreshes();
+      await cache.flushCache();
       console.log('Thank you for using Recipe Explorer!');
       process.exit(0);
   }
 
+  // The prompts block the event loop, so write new cache entries before showing the menu again
+  await cache.flushCache();
+
   // Return to main menu after function completes
   return showMainMenu();
 }
@@ -417,6 +784,16 @@ async function main() {
   // 6. Add error handling for any uncaught exceptions
 
   try {
+    const args = process.argv.slice(2);
+    const offlineMenu = args.length === 1 && args[0] === '--offline';
+
+    // Any other arguments run a single non-interactive command instead of the menu
+    if (args.length > 0 && !offlineMenu) {
+      process.exitCode = await runCli(args, { initialize });
+      await cache.waitForRefreshes();
+      await cache.flushCache();
+      return;
+    }
 
     const init = await initialize();
 
@@ -425,6 +802,21 @@ async function main() {
       process.exit(1);
     }
 
+    if (offlineMenu) {
+      try {
+        const info = await catalog.useOfflineCatalog();
+        console.log(`Offline mode: using the catalog synced ${utils.formatAge(Date.now() - info.oldest)} ago`);
+      } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+      }
+    }
+
+    // Cache full details of favorites and recent results while the menu is in use
+    if (!offlineMenu) {
+      prefetch.startPrefetch();
+    }
+
     console.log("Running...");
 
     await showMainMenu();
@@ -436,8 +828,20 @@ async function main() {
 
 }
 
-// Check if this file is being run directly
-if (import.meta.url === `file://${process.argv[1]}`) {
+/**
+ * Check if this file is being run directly (including through the npm bin symlink)
+ *
+ * @returns {boolean} - True if this module is the process entry point
+ */
+function isEntryPoint() {
+  try {
+    return fs.realpathSync(process.argv[1]) === fs.realpathSync(fileURLToPath(import.meta.url));
+  } catch (error) {
+    return false;
+  }
+}
+
+if (isEntryPoint()) {
   main().catch(error => {
     console.error('Fatal error:', error);
     process.exit(1);
@@ -451,5 +855,9 @@ export default {
   exploreByFirstLetter,
   searchByIngredient,
   viewFavorites,
-  discoverRandom
+  discoverRandom,
+  browseByCategory,
+  browseByArea,
+  whatCanICook,
+  manageCache
 };
\ No newline at end of file
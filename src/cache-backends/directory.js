@@ -0,0 +1,210 @@
+// src/cache-backends/directory.js
+/**
+ * Cache backend that keeps each entry in its own file
+ *
+ * Entries are spread over 256 subfolders by the first two characters of the SHA-1
+ * hash of their key (e.g. cache/3f/3f2a....json), so saving or removing one entry
+ * never rewrites the others and no folder grows too large for a full catalog.
+ *
+ * Each file is a one-entry cache file in the versioned envelope (see schema.js),
+ * { "version": 1, "data": { "<key>": { timestamp, data } } }, so the key can be
+ * read back and the same migrations apply as to cache.json. Files are replaced
+ * atomically, without a backup copy.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { SCHEMA_VERSIONS, readVersionedFile, writeVersionedFile } from '../schema.js';
+import { isCacheData } from './json-file.js';
+
+/**
+ * Get the file that holds the entry for a key
+ *
+ * @param {string} dir - Cache directory
+ * @param {string} key - Cache key
+ * @returns {string} - Path of the entry file
+ *
+ * @see {@link https://nodejs.org/api/crypto.html#cryptocreatehashalgorithm-options | Node.js: crypto.createHash}
+ */
+function getEntryPath(dir, key) {
+  const hash = crypto.createHash('sha1').update(key).digest('hex');
+  return path.join(dir, hash.slice(0, 2), `${hash}.json`);
+}
+
+/**
+ * List the entry files in the cache directory
+ *
+ * @param {string} dir - Cache directory
+ * @returns {Promise<Array<string>>} - Paths of the entry files (none if the directory is missing)
+ *
+ * @see {@link https://nodejs.org/api/fs.html#fspromisesreaddirpath-options | Node.js: fsPromises.readdir}
+ */
+async function listEntryFiles(dir) {
+  let shards;
+
+  try {
+    shards = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const files = [];
+
+  for (const shard of shards.filter(entry => entry.isDirectory())) {
+    const names = await fs.readdir(path.join(dir, shard.name));
+    files.push(...names.filter(name => name.endsWith('.json')).map(name => path.join(dir, shard.name, name)));
+  }
+
+  return files;
+}
+
+/**
+ * Read an entry file
+ *
+ * @param {string} file - Path of the entry file
+ * @returns {Promise<[string, Object]|null>} - [key, entry], or null if the file is missing
+ * @throws {CorruptFileError} - If the file is damaged
+ * @throws {UnsupportedVersionError} - If the file is from a newer version of the app
+ */
+async function readEntryFile(file) {
+  try {
+    const [pair] = Object.entries(await readVersionedFile(file, 'cache', { validate: isCacheData }));
+    return pair || null;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create a backend that stores each cache entry in its own file
+ *
+ * @param {Object} options - Backend options
+ * @param {string} options.dir - Cache directory
+ * @returns {Object} - Cache backend (see cache-backends/index.js)
+ */
+export function createDirectoryBackend({ dir } = {}) {
+  if (!dir) {
+    throw new Error('The directory cache backend needs a dir');
+  }
+
+  /**
+   * Read every readable entry, reporting the files that could not be read
+   *
+   * @param {Function} onError - Called with (file, error) for each unreadable file
+   * @returns {AsyncGenerator<[string, Object]>} - [key, entry] pairs
+   */
+  async function* readEntries(onError) {
+    for (const file of await listEntryFiles(dir)) {
+      try {
+        const pair = await readEntryFile(file);
+
+        if (pair) {
+          yield pair;
+        }
+      } catch (error) {
+        onError(file, error);
+      }
+    }
+  }
+
+  const backend = {
+    name: 'directory',
+    location: dir,
+
+    /**
+     * Create the cache directory if it doesn't exist
+     *
+     * @returns {Promise<boolean>} - True if the directory was created
+     */
+    async init() {
+      return (await fs.mkdir(dir, { recursive: true })) !== undefined;
+    },
+
+    /**
+     * Describe the cache directory without changing it
+     *
+     * @returns {Promise<Object>} - { file, exists, version, current, valid, data, error } like schema.inspectFile
+     */
+    async inspect() {
+      const report = { file: dir, exists: true, version: SCHEMA_VERSIONS.cache, current: SCHEMA_VERSIONS.cache, valid: true, data: {}, error: null };
+      let damaged = 0;
+
+      try {
+        await fs.access(dir);
+      } catch (error) {
+        return { ...report, exists: false, version: null, valid: false, data: null };
+      }
+
+      for await (const [key, entry] of readEntries(() => damaged++)) {
+        report.data[key] = entry;
+      }
+
+      if (damaged > 0) {
+        report.valid = false;
+        report.error = `${damaged} ${damaged === 1 ? 'entry file' : 'entry files'} in ${dir} could not be read`;
+      }
+
+      return report;
+    },
+
+    async get(key) {
+      const pair = await readEntryFile(getEntryPath(dir, key));
+      return pair && pair[0] === key ? pair[1] : null;
+    },
+
+    async set(key, entry) {
+      const file = getEntryPath(dir, key);
+
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await writeVersionedFile(file, 'cache', { [key]: entry }, { backup: false });
+    },
+
+    async delete(key) {
+      try {
+        await fs.unlink(getEntryPath(dir, key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async keys() {
+      const keys = [];
+
+      for await (const [key] of backend.iterate()) {
+        keys.push(key);
+      }
+      return keys;
+    },
+
+    iterate() {
+      return readEntries((file, error) => console.error(`Skipping cache entry ${file}:`, error.message));
+    },
+
+    /**
+     * Get the total size of the entry files
+     *
+     * @returns {Promise<number>} - Size in bytes
+     */
+    async getSize() {
+      const sizes = await Promise.all((await listEntryFiles(dir)).map(async file => (await fs.stat(file)).size));
+      return sizes.reduce((total, size) => total + size, 0);
+    }
+  };
+
+  return backend;
+}
+
+export default {
+  createDirectoryBackend
+};
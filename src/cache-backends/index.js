@@ -0,0 +1,88 @@
+// src/cache-backends/index.js
+/**
+ * Selects where the cache module stores its entries
+ *
+ * A cache backend is an object with:
+ *   - name: string identifying the backend
+ *   - location: file or directory the entries are stored in (null when nothing is written to disk)
+ *   - get(key): Promise resolving to the entry ({ timestamp, data }) or null
+ *   - set(key, entry): Promise that resolves once the entry is stored
+ *   - delete(key): Promise resolving to true if there was an entry to remove
+ *   - keys(): Promise resolving to every stored key
+ *   - iterate(): async iterable of [key, entry] pairs
+ * and optionally:
+ *   - setMany(entries) / deleteMany(keys): batch versions of set and delete
+ *     (deleteMany resolves to the number of entries removed)
+ *   - init(): create the storage if needed, resolving to true if it was created
+ *   - check(): repair and upgrade the storage at startup (see cache.checkCacheFile)
+ *   - inspect(): describe the storage without changing it (see cache.inspectCacheFile)
+ *   - getSize(): Promise resolving to the bytes used on disk
+ *
+ * The backend is chosen by the cacheBackend setting (see settings.js):
+ *   "json"       cache.json in the data directory (default)
+ *   "directory"  one file per entry under cache/ in the data directory
+ *   "memory"     nothing is written to disk
+ */
+
+import path from 'path';
+import { getSettings } from '../settings.js';
+import { createDirectoryBackend } from './directory.js';
+import { createJsonFileBackend } from './json-file.js';
+import { createMemoryBackend } from './memory.js';
+
+// Methods every cache backend has
+export const BACKEND_METHODS = ['get', 'set', 'delete', 'keys', 'iterate'];
+
+/**
+ * Create a cache backend from a configuration object
+ *
+ * @param {Object} config - Backend configuration
+ * @param {string} config.type - "json", "directory" or "memory"
+ * @param {string} config.file - Cache file for the json backend
+ * @param {string} config.dir - Cache directory for the directory backend
+ * @param {Object} config.limits - { maxEntries, maxBytes } for the json and memory backends
+ * @returns {Object} - Cache backend
+ */
+export function createCacheBackend({ type = 'json', file, dir, limits } = {}) {
+  switch (type) {
+    case 'json':
+      return createJsonFileBackend({ file, limits });
+    case 'directory':
+      return createDirectoryBackend({ dir });
+    case 'memory':
+      return createMemoryBackend({ limits });
+    default:
+      throw new Error(`Unknown cache backend "${type}"`);
+  }
+}
+
+/**
+ * Create the cache backend chosen by the app settings
+ *
+ * @param {Object} settings - Settings (default: getSettings())
+ * @returns {Object} - Cache backend storing its files in the data directory
+ */
+export function createCacheBackendFromSettings(settings = getSettings()) {
+  return createCacheBackend({
+    type: settings.cacheBackend,
+    file: path.join(settings.dataDir, 'cache.json'),
+    dir: path.join(settings.dataDir, 'cache')
+  });
+}
+
+/**
+ * Check that an object has every method of a cache backend
+ *
+ * @param {Object} backend - Object to check
+ * @returns {boolean} - True if it can be used as a cache backend
+ */
+export function isCacheBackend(backend) {
+  return Boolean(backend) && BACKEND_METHODS.every(method => typeof backend[method] === 'function');
+}
+
+export default {
+  BACKEND_METHODS,
+  createCacheBackend,
+  createCacheBackendFromSettings,
+  isCacheBackend
+};
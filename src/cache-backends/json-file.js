@@ -0,0 +1,207 @@
+// src/cache-backends/json-file.js
+/**
+ * Cache backend that keeps every entry in a single JSON file (cache.json)
+ *
+ * The file uses the versioned envelope (see schema.js) and every change reads and
+ * rewrites it under the file lock, so setMany and deleteMany change many entries in
+ * one write. The oldest entries are dropped once the file passes its limits.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { withFileLock } from '../file-lock.js';
+import { createLruCache } from '../lru.js';
+import { createContentValidator, inspectFile, migrateFile, readVersionedFile, wrapData, writeVersionedFile } from '../schema.js';
+import { recoverJsonFile } from '../storage.js';
+
+// Entries kept in the file by default; the oldest are dropped beyond these limits
+export const DEFAULT_FILE_LIMITS = { maxEntries: 2000, maxBytes: 20 * 1024 * 1024 };
+
+/**
+ * Check that the cache data is an object of entries
+ *
+ * @param {any} value - Cache data from the file
+ * @returns {boolean} - True if the value looks like a cache
+ */
+export function isCacheData(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Drop the oldest entries once the cache data passes the limits
+ *
+ * @param {Object} cacheData - Cache entries by key
+ * @param {Object} limits - { maxEntries, maxBytes } (see lru.js)
+ * @returns {Object} - The newest entries that fit
+ */
+function trimCacheData(cacheData, limits) {
+  const kept = createLruCache(limits);
+  const oldestFirst = Object.entries(cacheData).sort(([, a], [, b]) => a.timestamp - b.timestamp);
+
+  for (const [key, entry] of oldestFirst) {
+    kept.set(key, entry);
+  }
+
+  return Object.fromEntries(kept.entries());
+}
+
+/**
+ * Create a backend that stores the cache in one JSON file
+ *
+ * @param {Object} options - Backend options
+ * @param {string} options.file - Path of the cache file
+ * @param {Object} options.limits - { maxEntries, maxBytes } kept in the file (default: DEFAULT_FILE_LIMITS)
+ * @returns {Object} - Cache backend (see cache-backends/index.js)
+ */
+export function createJsonFileBackend({ file, limits = DEFAULT_FILE_LIMITS } = {}) {
+  if (!file) {
+    throw new Error('The json cache backend needs a file');
+  }
+
+  /**
+   * Read and parse the cache file, upgrading older formats
+   *
+   * @returns {Promise<Object>} - Cache entries by key
+   * @throws {CorruptFileError} - If the cache file is damaged
+   * @throws {UnsupportedVersionError} - If the cache file is from a newer version of the app
+   */
+  function read() {
+    return readVersionedFile(file, 'cache', { validate: isCacheData });
+  }
+
+  /**
+   * Change the entries in the file, reading and writing under the lock so
+   * concurrent changes do not drop each other's entries
+   *
+   * @param {Function} change - Changes the cache data in place and returns { result, changed }
+   * @returns {Promise<any>} - The result returned by change
+   */
+  async function update(change) {
+    await backend.init();
+
+    return withFileLock(file, async () => {
+      const cacheData = await read();
+      const { result, changed } = change(cacheData);
+
+      if (changed) {
+        await writeVersionedFile(file, 'cache', trimCacheData(cacheData, limits));
+      }
+      return result;
+    });
+  }
+
+  const backend = {
+    name: 'json',
+    location: file,
+
+    /**
+     * Create the cache file if it doesn't exist
+     *
+     * @returns {Promise<boolean>} - True if the file was created
+     */
+    async init() {
+      try {
+        await fs.access(file);
+        return false;
+      } catch (error) {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await writeVersionedFile(file, 'cache', {});
+        return true;
+      }
+    },
+
+    /**
+     * Restore the file from the backup if it is damaged and rewrite it in the
+     * current format if it is older
+     *
+     * @returns {Promise<Object>} - Result of recoverJsonFile plus the result of migrateFile as migration
+     */
+    async check() {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+
+      return withFileLock(file, async () => {
+        const check = await recoverJsonFile(file, { fallback: wrapData('cache', {}), validate: createContentValidator('cache', isCacheData) });
+        return { ...check, migration: await migrateFile(file, 'cache', { validate: isCacheData }) };
+      });
+    },
+
+    /**
+     * Describe the file without changing it (see schema.inspectFile)
+     *
+     * @returns {Promise<Object>} - { file, exists, version, current, valid, data, error }
+     */
+    async inspect() {
+      return { file, ...(await inspectFile(file, 'cache', { validate: isCacheData })) };
+    },
+
+    async get(key) {
+      try {
+        return (await read())[key] || null;
+      } catch (error) {
+        // Nothing has been saved yet
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    set(key, entry) {
+      return backend.setMany([[key, entry]]);
+    },
+
+    setMany(entries) {
+      return update(cacheData => {
+        for (const [key, entry] of entries) {
+          cacheData[key] = entry;
+        }
+        return { changed: true };
+      });
+    },
+
+    async delete(key) {
+      return (await backend.deleteMany([key])) > 0;
+    },
+
+    deleteMany(keys) {
+      return update(cacheData => {
+        const present = keys.filter(key => Object.hasOwn(cacheData, key));
+
+        for (const key of present) {
+          delete cacheData[key];
+        }
+        return { result: present.length, changed: present.length > 0 };
+      });
+    },
+
+    async keys() {
+      await backend.init();
+      return Object.keys(await read());
+    },
+
+    async *iterate() {
+      await backend.init();
+      yield* Object.entries(await read());
+    },
+
+    /**
+     * Get the size of the cache file
+     *
+     * @returns {Promise<number>} - Size in bytes
+     *
+     * @see {@link https://nodejs.org/api/fs.html#fspromisesstatpath-options | Node.js: fsPromises.stat}
+     */
+    async getSize() {
+      const { size } = await fs.stat(file);
+      return size;
+    }
+  };
+
+  return backend;
+}
+
+export default {
+  DEFAULT_FILE_LIMITS,
+  isCacheData,
+  createJsonFileBackend
+};
@@ -0,0 +1,59 @@
+// src/cache-backends/memory.js
+/**
+ * Cache backend that keeps entries in memory only
+ * Nothing is written to disk, so the cache starts empty on every run. Useful for
+ * tests and for one-off runs that should leave no files behind.
+ */
+
+import { createLruCache } from '../lru.js';
+
+/**
+ * Create a backend that stores the cache in memory
+ * Entries are copied on the way in and out, as if they had been saved to a file.
+ *
+ * @param {Object} options - Backend options
+ * @param {Object} options.entries - Entries to start with ({ timestamp, data } by key)
+ * @param {Object} options.limits - { maxEntries, maxBytes } to keep (default: unlimited; see lru.js)
+ * @returns {Object} - Cache backend (see cache-backends/index.js)
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Window/structuredClone | MDN: structuredClone}
+ */
+export function createMemoryBackend({ entries = {}, limits = {} } = {}) {
+  const items = createLruCache(limits);
+
+  for (const [key, entry] of Object.entries(entries)) {
+    items.set(key, structuredClone(entry));
+  }
+
+  return {
+    name: 'memory',
+    location: null,
+
+    async get(key) {
+      const entry = items.peek(key);
+      return entry === undefined ? null : structuredClone(entry);
+    },
+
+    async set(key, entry) {
+      items.set(key, structuredClone(entry));
+    },
+
+    async delete(key) {
+      return items.delete(key);
+    },
+
+    async keys() {
+      return Array.from(items.entries(), ([key]) => key);
+    },
+
+    async *iterate() {
+      for (const [key, entry] of items.entries()) {
+        yield [key, structuredClone(entry)];
+      }
+    }
+  };
+}
+
+export default {
+  createMemoryBackend
+};
@@ -2,21 +2,198 @@
 /**
  * This module provides caching functionality to store API responses locally
  * to reduce API calls and improve performance
+ *
+ * Lookups are answered from a bounded in-memory LRU first and only go to the
+ * storage backend on a miss. Saves go to memory straight away and are written to the
+ * backend in batches (see flushCache). The backend (one JSON file by default, see
+ * cache-backends/index.js) is chosen by the cacheBackend setting.
+ *
+ * How long an entry stays fresh depends on its key (see CACHE_TTL_RULES). Expired
+ * entries are kept for a while longer so they can be shown while fresh data is
+ * fetched in the background (stale-while-revalidate) or when a fetch fails.
  */
 
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { createCacheBackendFromSettings, isCacheBackend } from './cache-backends/index.js';
+import { canUseStaleCache, describeError } from './errors.js';
+import { createLruCache, estimateSize } from './lru.js';
+import { SCHEMA_VERSIONS } from './schema.js';
+import { getSettings } from './settings.js';
+import { createSingleFlight } from './single-flight.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const CACHE_DURATION = DAY; // For keys without a TTL rule
+
+// How long entries stay fresh, by key; "name_*" matches every key starting with "name_"
+// The cacheTtlHours setting changes or adds rules ("*" sets the time for every other key)
+export const CACHE_TTL_RULES = {
+  'recipe_*': 30 * DAY,
+  'search_*': 6 * HOUR,
+  'letters_*': DAY,
+  'ingredient_*': DAY,
+  'category_*': 7 * DAY,
+  'area_*': 7 * DAY,
+  'categories': 30 * DAY,
+  'list_*': 30 * DAY,
+  'latest_search': 30 * DAY,
+  ...Object.fromEntries(Object.entries(getSettings().cacheTtlHours).map(([pattern, hours]) => [pattern, hours * HOUR]))
+};
+
+// Expired entries are kept this much longer to show while they are refreshed
+const STALE_LIMIT = 7 * DAY;
+
+// Entries kept in memory in front of the backend
+const MEMORY_LIMITS = { maxEntries: 200, maxBytes: 5 * 1024 * 1024 };
+
+// Saves made within this many milliseconds are written to the backend together
+const FLUSH_DELAY = 500;
+
+// Where entries are stored, created from the settings on first use
+let backend = null;
+
+// Concurrent cache misses for the same key share one fetch
+const pendingFetches = createSingleFlight();
 
-// Get the directory path using ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Recently used entries ({ timestamp, data } by key)
+const memory = createLruCache(MEMORY_LIMITS);
 
-const CACHE_FILE = path.join(__dirname, '../data/cache.json');
-const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+// Entries saved since the last flush, waiting to be written to the backend
+let pendingWrites = new Map();
+let flushTimer = null;
+
+// Stale entries being refreshed in the background
+const backgroundRefreshes = new Set();
+
+// Lookups since startup: fresh entries found, expired entries found, and nothing found
+let lookupCounts = { hits: 0, staleHits: 0, misses: 0 };
 
 /**
- * Initialize the cache file if it doesn't exist
+ * Check whether a key matches a pattern
+ *
+ * @param {string} key - Cache key
+ * @param {string} pattern - Exact key, "prefix_*" for every key with that prefix, or "*" for every key
+ * @returns {boolean} - True if the key matches
+ */
+export function matchesKeyPattern(key, pattern) {
+  return pattern.endsWith('*') ? key.startsWith(pattern.slice(0, -1)) : key === pattern;
+}
+
+/**
+ * Get how long the entry for a key stays fresh
+ * An exact rule wins over patterns, and a longer pattern wins over a shorter one.
+ *
+ * @param {string} key - Cache key
+ * @returns {number} - Time to live in milliseconds
+ */
+export function getTtl(key) {
+  if (Object.hasOwn(CACHE_TTL_RULES, key)) {
+    return CACHE_TTL_RULES[key];
+  }
+
+  let best = null;
+
+  for (const pattern of Object.keys(CACHE_TTL_RULES)) {
+    if (pattern.endsWith('*') && matchesKeyPattern(key, pattern) && (!best || pattern.length > best.length)) {
+      best = pattern;
+    }
+  }
+
+  return best ? CACHE_TTL_RULES[best] : CACHE_DURATION;
+}
+
+/**
+ * Get the backend the cache is stored in, creating it from the settings on first use
+ *
+ * @returns {Object} - Cache backend (see cache-backends/index.js)
+ */
+export function getCacheBackend() {
+  if (!backend) {
+    backend = createCacheBackendFromSettings();
+  }
+
+  return backend;
+}
+
+/**
+ * Replace the cache backend
+ * Entries held in memory are forgotten, so call flushCache first to keep them.
+ *
+ * @param {Object|null} next - Backend to use, or null to go back to the one chosen by the settings
+ */
+export function setCacheBackend(next) {
+  if (next && !isCacheBackend(next)) {
+    throw new Error('A cache backend must have get, set, delete, keys and iterate methods');
+  }
+
+  clearMemoryCache();
+  backend = next;
+}
+
+/**
+ * Find the entry for a key in memory, or else in the backend
+ * Entries read from the backend are kept in memory for the next lookup.
+ *
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} - { timestamp, data }, expired or not, or null if there is none
+ * @throws {CorruptFileError} - If the entry is not in memory and the backend's file is damaged
+ */
+async function getEntry(key) {
+  const remembered = memory.get(key) || pendingWrites.get(key);
+
+  if (remembered) {
+    return remembered;
+  }
+
+  const entry = await getCacheBackend().get(key);
+
+  if (!entry) {
+    return null;
+  }
+
+  memory.set(key, entry);
+  return entry;
+}
+
+/**
+ * Store entries in the backend, in one batch if it supports that
+ *
+ * @param {Array<Array>} entries - [key, entry] pairs
+ * @returns {Promise<void>}
+ */
+async function writeEntries(entries) {
+  const store = getCacheBackend();
+
+  if (store.setMany) {
+    await store.setMany(entries);
+  } else {
+    await Promise.all(entries.map(([key, entry]) => store.set(key, entry)));
+  }
+}
+
+/**
+ * Remove entries from the backend, in one batch if it supports that
+ *
+ * @param {Array<string>} keys - Keys to remove
+ * @returns {Promise<number>} - Number of entries removed
+ */
+async function deleteEntries(keys) {
+  const store = getCacheBackend();
+
+  if (keys.length === 0) {
+    return 0;
+  }
+
+  if (store.deleteMany) {
+    return store.deleteMany(keys);
+  }
+
+  const results = await Promise.all(keys.map(key => store.delete(key)));
+  return results.filter(Boolean).length;
+}
+
+/**
+ * Initialize the cache file (or the backend's storage) if it doesn't exist
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/try...catch | MDN: try...catch}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/async_function | MDN: async function}
@@ -32,19 +209,83 @@ export async function initializeCache() {
   // 3. Handle any errors appropriately
 
   try {
-    await fs.access(CACHE_FILE);
-  } catch (error) {
-    const dir = path.dirname(CACHE_FILE);
-    try {
-      await fs.mkdir(dir, { recursive: true });
+    const store = getCacheBackend();
+
+    if (store.init && await store.init()) {
+      console.warn('Cache file initialized.');
+    }
+  } catch (writeError) {
+    console.error('Error creating cache file:', writeError);
+  }
+}
+
+/**
+ * Check the cache file at startup, restoring it from the backup if it is damaged
+ * and rewriting it in the current format if it is older
+ * Backends without a check only have their storage created.
+ *
+ * @returns {Promise<Object>} - Result of recoverJsonFile ({ status, movedTo }) plus the result of migrateFile as migration
+ * @throws {UnsupportedVersionError} - If the cache file is from a newer version of the app
+ */
+export async function checkCacheFile() {
+  const store = getCacheBackend();
+
+  if (store.check) {
+    return store.check();
+  }
 
-      await fs.writeFile(CACHE_FILE, '{}');
+  const created = store.init ? await store.init() : false;
+  return { status: created ? 'created' : 'ok', migration: { status: 'current' } };
+}
+
+/**
+ * Describe the cache file without changing it (see schema.inspectFile)
+ * For backends that cannot describe themselves, the entries are listed as data.
+ *
+ * @returns {Promise<Object>} - { file, exists, version, current, valid, data, error }
+ */
+export async function inspectCacheFile() {
+  const store = getCacheBackend();
+
+  if (store.inspect) {
+    return store.inspect();
+  }
+
+  const data = {};
+
+  for await (const [key, entry] of store.iterate()) {
+    data[key] = entry;
+  }
+
+  return { file: store.location, exists: true, version: SCHEMA_VERSIONS.cache, current: SCHEMA_VERSIONS.cache, valid: true, data, error: null };
+}
+
+/**
+ * Get the cached entry for a key, fresh or not
+ *
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} - { data, stale, timestamp } or null if nothing is cached
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Date/now | MDN: Date.now}
+ */
+export async function getCachedEntry(key) {
+  try {
+    const entry = await getEntry(key);
+
+    if (entry) {
+      const { timestamp, data } = entry;
+      const stale = Date.now() - timestamp >= getTtl(key);
 
-      console.log('Cache file initialized.');
-    } catch (writeError) {
-      console.error('Error creating cache file:', writeError);
+      lookupCounts[stale ? 'staleHits' : 'hits']++;
+      console.warn(stale ? `Cache expired for key: ${key}` : `Cache hit for key: ${key}`);
+      return { data, stale, timestamp };
     }
+  } catch (error) {
+    console.error("Error reading from cache:", error.message);
   }
+
+  lookupCounts.misses++;
+  return null;
 }
 
 /**
@@ -69,31 +310,15 @@ export async function getFromCache(key) {
   // 6. If expired or not found, return null
   // 7. Handle any errors appropriately and return null
 
+  const entry = await getCachedEntry(key);
 
-  try {
-    const cacheData = JSON.parse(await fs.readFile(CACHE_FILE));
-
-    if (cacheData[key]) {
-      const { timestamp, data } = cacheData[key];
-      const now = Date.now();
-
-      if (now - timestamp < CACHE_DURATION) {
-        console.log(`Cache hit for key: ${key}`);
-        return data;
-      } else {
-        console.log(`Cache expired for key: ${key}`);
-      }
-    }
-  } catch (error) {
-    console.error("Error reading from cache:", error.message);
-  }
-
-  return null;
-
+  return entry && !entry.stale ? entry.data : null;
 }
 
 /**
  * Save data to cache with a timestamp
+ * The entry is available from memory at once and written to the backend by the
+ * next flush, which runs FLUSH_DELAY milliseconds later (or call flushCache).
  *
  * @param {string} key - Cache key
  * @param {Object} data - Data to cache
@@ -114,18 +339,19 @@ export async function saveToCache(key, data) {
   // 7. Handle any errors and return false on failure
 
   try {
-    await initializeCache(); // Ensure cache file exists
-
-    const cacheData = JSON.parse(await fs.readFile(CACHE_FILE));
-
-    cacheData[key] = {
+    const entry = {
       timestamp: Date.now(),
       data: data
     };
 
-    await fs.writeFile(CACHE_FILE, JSON.stringify(cacheData, null, 2));
+    memory.set(key, entry);
+    pendingWrites.set(key, entry);
+
+    if (!flushTimer) {
+      flushTimer = setTimeout(flushCache, FLUSH_DELAY);
+    }
 
-    console.log(`Saved to cache: ${key}`);
+    console.warn(`Saved to cache: ${key}`);
     return true;
   } catch (error) {
     console.error("Error saving to cache:", error.message);
@@ -133,8 +359,58 @@ export async function saveToCache(key, data) {
   }
 }
 
+/**
+ * Write saved entries that are still only in memory to the backend
+ * All pending saves are written in one batch (for the json backend, one write of
+ * the file, which drops its oldest entries once it is full). Entries that could not
+ * be written stay pending for the next flush.
+ *
+ * @returns {Promise<boolean>} - True if everything pending was written
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/clearTimeout | MDN: clearTimeout}
+ */
+export async function flushCache() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  if (pendingWrites.size === 0) {
+    return true;
+  }
+
+  const writes = pendingWrites;
+  pendingWrites = new Map();
+
+  try {
+    await writeEntries(Array.from(writes));
+    return true;
+  } catch (error) {
+    // Keep the entries for the next flush, unless they were saved again meanwhile
+    for (const [key, entry] of writes) {
+      if (!pendingWrites.has(key)) {
+        pendingWrites.set(key, entry);
+      }
+    }
+
+    console.error("Error saving to cache:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Forget the entries held in memory, including saves that were not flushed yet
+ * Call flushCache first to keep them.
+ */
+export function clearMemoryCache() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  memory.clear();
+  pendingWrites = new Map();
+}
+
 /**
  * Clear expired entries from the cache
+ * Entries are removed once they are more than STALE_LIMIT past their time to live;
+ * until then they can still be shown while being refreshed.
  *
  * @returns {Promise<number>} - Number of entries removed
  *
@@ -154,24 +430,25 @@ export async function clearExpiredCache() {
   // 9. Handle any errors appropriately
 
   try {
-    await initializeCache();
+    const now = Date.now();
+    const expired = [];
 
-    const cacheData = JSON.parse(await fs.readFile(CACHE_FILE));
+    for await (const [key, entry] of getCacheBackend().iterate()) {
+      if (isPastStaleLimit(key, entry, now)) {
+        expired.push(key);
+      }
+    }
 
-    let removedCount = 0;
+    const removedCount = await deleteEntries(expired);
 
-    const now = Date.now();
-
-    for (const key in cacheData) {
-      if (now - cacheData[key].timestamp > CACHE_DURATION) {
-        delete cacheData[key];
-        removedCount++;
+    for (const [key, entry] of memory.entries()) {
+      if (isPastStaleLimit(key, entry, Date.now())) {
+        memory.delete(key);
       }
     }
 
     if (removedCount > 0) {
-      await fs.writeFile(CACHE_FILE, JSON.stringify(cacheData, null, 2));
-      console.log(`Removed ${removedCount} expired cache.`);
+      console.warn(`Removed ${removedCount} expired cache.`);
     }
     return removedCount;
   } catch (error) {
@@ -180,18 +457,134 @@ export async function clearExpiredCache() {
   }
 }
 
+/**
+ * Read every entry in the cache, after writing any pending saves
+ *
+ * @returns {Promise<Object>} - Cache entries by key
+ * @throws {CorruptFileError} - If the cache file is damaged
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/for-await...of | MDN: for await...of}
+ */
+async function readAllEntries() {
+  await flushCache();
+
+  const cacheData = {};
+
+  for await (const [key, entry] of getCacheBackend().iterate()) {
+    cacheData[key] = entry;
+  }
+
+  return cacheData;
+}
+
+/**
+ * Get an overview of the cache
+ *
+ * @returns {Promise<Object>} - { backend, location, entries, fileBytes, oldest, newest, stale, memoryEntries, hits, staleHits, misses, fetches }
+ *   (oldest and newest are timestamps, or null when the cache is empty; fileBytes is null
+ *   for backends that do not write to disk)
+ * @throws {CorruptFileError} - If the cache file is damaged
+ */
+export async function getCacheStats() {
+  const cacheData = await readAllEntries();
+  const timestamps = Object.values(cacheData).map(entry => entry.timestamp);
+  const now = Date.now();
+  const store = getCacheBackend();
+
+  return {
+    backend: store.name,
+    location: store.location,
+    entries: timestamps.length,
+    fileBytes: store.getSize ? await store.getSize() : null,
+    oldest: timestamps.length > 0 ? Math.min(...timestamps) : null,
+    newest: timestamps.length > 0 ? Math.max(...timestamps) : null,
+    stale: Object.keys(cacheData).filter(key => now - cacheData[key].timestamp >= getTtl(key)).length,
+    memoryEntries: memory.size,
+    ...lookupCounts,
+    fetches: getFetchMetrics()
+  };
+}
+
+/**
+ * List cached entries, newest first
+ *
+ * @param {string} pattern - Only list matching keys (see matchesKeyPattern; default: every key)
+ * @returns {Promise<Array<Object>>} - { key, timestamp, ageMs, ttlMs, stale, bytes } for each entry
+ * @throws {CorruptFileError} - If the cache file is damaged
+ */
+export async function listCacheEntries(pattern = '*') {
+  const cacheData = await readAllEntries();
+  const now = Date.now();
+
+  return Object.entries(cacheData)
+    .filter(([key]) => matchesKeyPattern(key, pattern))
+    .map(([key, entry]) => ({
+      key,
+      timestamp: entry.timestamp,
+      ageMs: now - entry.timestamp,
+      ttlMs: getTtl(key),
+      stale: now - entry.timestamp >= getTtl(key),
+      bytes: estimateSize(entry)
+    }))
+    .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Remove entries from the backend and from memory
+ *
+ * @param {string} pattern - Exact key, "prefix_*" or "*" for everything (see matchesKeyPattern)
+ * @returns {Promise<number>} - Number of entries removed from the backend
+ * @throws {CorruptFileError} - If the cache file is damaged
+ */
+export async function purgeCache(pattern) {
+  await flushCache();
+
+  for (const [key] of memory.entries()) {
+    if (matchesKeyPattern(key, pattern)) {
+      memory.delete(key);
+    }
+  }
+
+  const keys = await getCacheBackend().keys();
+  return deleteEntries(keys.filter(key => matchesKeyPattern(key, pattern)));
+}
+
+/**
+ * Check whether an entry is too old to keep even as stale data
+ *
+ * @param {string} key - Cache key
+ * @param {Object} entry - Cache entry ({ timestamp, data })
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} - True if the entry should be removed
+ */
+function isPastStaleLimit(key, entry, now) {
+  return now - entry.timestamp > getTtl(key) + STALE_LIMIT;
+}
+
 /**
  * Get a cached API response or fetch it if not available
+ * If the fetch fails, expired data for the key is returned instead, unless the
+ * error says the data no longer exists (see canUseStaleCache in errors.js).
+ * Callers that miss the cache for a key while it is already being fetched wait for
+ * that fetch instead of starting another one (and writing the cache again).
+ *
+ * With staleWhileRevalidate, expired data is returned at once and refreshed in the
+ * background; the next lookup gets the fresh data. Use withStatus to find out
+ * whether the data returned was stale and whether it is being refreshed.
  *
  * @param {string} key - Cache key
  * @param {Function} fetchFn - Function to call if cache miss
  * @param {boolean} forceRefresh - Force a fresh fetch even if cached
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.staleWhileRevalidate - Return expired data and refresh it in the background
+ * @param {boolean} options.withStatus - Resolve to { data, stale, refreshing, timestamp } instead of the data
  * @returns {Promise<Object>} - Data from cache or fresh fetch
+ * @throws {Error} - The fetch error, if there is no usable cached data
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/async_function | MDN: async function}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Using_promises | MDN: Using promises}
  */
-export async function getCachedOrFetch(key, fetchFn, forceRefresh = false) {
+export async function getCachedOrFetch(key, fetchFn, forceRefresh = false, { staleWhileRevalidate = false, withStatus = false } = {}) {
   // CHALLENGE 11: Implement getCachedOrFetch function
   // 1. If not forcing a refresh, try to get data from cache using getFromCache
   // 2. If data was found in cache, return it
@@ -201,41 +594,129 @@ export async function getCachedOrFetch(key, fetchFn, forceRefresh = false) {
   // 6. Add error handling that tries to use expired cache as fallback if fetch fails
   //    (you can directly read the cache file again to get even expired data)
 
-  try {
-    if (!forceRefresh) {
-      const cacheData = await getFromCache(key);
+  let result = null;
 
-      if (cacheData != null) {
-        return cacheData;
-      }
+  if (!forceRefresh) {
+    const entry = await getCachedEntry(key);
 
+    if (entry && !entry.stale) {
+      result = { ...entry, refreshing: false };
+    } else if (entry && staleWhileRevalidate) {
+      refreshInBackground(key, fetchFn);
+      result = { ...entry, refreshing: true };
     }
+  }
+
+  if (!result) {
+    result = await pendingFetches.run(key, () => fetchAndSave(key, fetchFn));
+  }
+
+  return withStatus ? result : result.data;
+}
+
+/**
+ * Fetch fresh data for a stale entry without making anyone wait for it
+ *
+ * @param {string} key - Cache key
+ * @param {Function} fetchFn - Function that fetches fresh data
+ */
+function refreshInBackground(key, fetchFn) {
+  const refresh = pendingFetches.run(key, () => fetchAndSave(key, fetchFn, false))
+    .catch(error => {
+      console.warn(`Could not refresh ${key} in the background: ${describeError(error)}`);
+    })
+    .finally(() => {
+      backgroundRefreshes.delete(refresh);
+    });
+
+  backgroundRefreshes.add(refresh);
+}
+
+/**
+ * Wait for background refreshes started by stale-while-revalidate lookups
+ *
+ * @returns {Promise<void>}
+ */
+export async function waitForRefreshes() {
+  await Promise.all(backgroundRefreshes);
+}
+
+/**
+ * Fetch fresh data and save it to the cache, falling back to expired data on failure
+ *
+ * @param {string} key - Cache key
+ * @param {Function} fetchFn - Function that fetches fresh data
+ * @param {boolean} useStale - Fall back to expired data if the fetch fails (default: true)
+ * @returns {Promise<Object>} - { data, stale, refreshing, timestamp } with fresh data, or expired data if the fetch failed
+ */
+async function fetchAndSave(key, fetchFn, useStale = true) {
+  try {
     const freshData = await fetchFn();
     await saveToCache(key, freshData);
-    return freshData;
+    return { data: freshData, stale: false, refreshing: false, timestamp: Date.now() };
   } catch (error) {
-    console.error('Error fetching data:', error);
+    if (!useStale || !canUseStaleCache(error)) {
+      throw error;
+    }
 
     try {
-      const cacheData = JSON.parse(await fs.readFile(CACHE_FILE));
-      if (cacheData[key]) {
-        console.warn("Expired key");
-        return cacheData[key].data;
+      const entry = await getEntry(key);
+      if (entry) {
+        console.warn(`Could not refresh ${key}: ${describeError(error)} Showing saved results, which may be out of date.`);
+        return { data: entry.data, stale: true, refreshing: false, timestamp: entry.timestamp };
       }
     } catch (cacheError) {
-      console.error('Error reading expired cache:', cacheError);
+      console.error('Error reading expired cache:', cacheError.message);
     }
 
     throw error;
   }
 }
 
+/**
+ * Get counters showing how often concurrent cache misses shared a fetch
+ *
+ * @returns {Object} - { calls, executions, coalesced, inFlight }
+ */
+export function getFetchMetrics() {
+  return pendingFetches.getMetrics();
+}
+
+/**
+ * Reset the shared-fetch counters
+ */
+export function resetFetchMetrics() {
+  pendingFetches.resetMetrics();
+}
 
+/**
+ * Reset the hit and miss counters shown by getCacheStats
+ */
+export function resetCacheStats() {
+  lookupCounts = { hits: 0, staleHits: 0, misses: 0 };
+}
 
 export default {
+  CACHE_TTL_RULES,
+  matchesKeyPattern,
+  getTtl,
+  getCacheBackend,
+  setCacheBackend,
   initializeCache,
+  checkCacheFile,
+  inspectCacheFile,
+  getCachedEntry,
   getFromCache,
   saveToCache,
+  flushCache,
+  clearMemoryCache,
   clearExpiredCache,
-  getCachedOrFetch
+  getCachedOrFetch,
+  waitForRefreshes,
+  getCacheStats,
+  listCacheEntries,
+  purgeCache,
+  getFetchMetrics,
+  resetFetchMetrics,
+  resetCacheStats
 };
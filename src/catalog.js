@@ -0,0 +1,176 @@
+// src/catalog.js
+/**
+ * Local snapshot of the whole recipe catalog for offline use
+ *
+ * syncCatalog searches TheMealDB letter by letter (a-z) and saves each letter's
+ * recipes to its own file, so the local provider (see providers/local.js) can answer
+ * name searches, ingredient filters, categories and lookups from the snapshot.
+ * Progress is saved after every letter; a sync that fails part way picks up with the
+ * letters that are left the next time it runs.
+ *
+ * Layout of the catalog directory:
+ *   recipes/<letter>.json  TheMealDB response ({ "meals": [...] }) for one letter
+ *   snapshot.json          When each letter was saved and which letters a sync still has to do
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import * as api from './api.js';
+import { createLocalProvider } from './providers/local.js';
+import { setProvider } from './providers/index.js';
+import { PRIORITY } from './rate-limiter.js';
+import { getDataPath } from './settings.js';
+import { readJsonFile, writeJsonFile } from './storage.js';
+
+export const CATALOG_DIR = getDataPath('catalog');
+export const CATALOG_LETTERS = 'abcdefghijklmnopqrstuvwxyz'.split('');
+
+/**
+ * Get the paths of the files in a catalog directory
+ *
+ * @param {string} dir - Catalog directory
+ * @returns {{recipesDir: string, metaFile: string}} - Recipe directory and snapshot metadata file
+ */
+function getCatalogPaths(dir) {
+  return {
+    recipesDir: path.join(dir, 'recipes'),
+    metaFile: path.join(dir, 'snapshot.json')
+  };
+}
+
+/**
+ * Check that snapshot metadata has the expected shape
+ *
+ * @param {any} meta - Parsed metadata
+ * @returns {boolean} - True if the metadata can be used
+ */
+function isSnapshotMeta(meta) {
+  return Boolean(meta) && typeof meta === 'object' && !Array.isArray(meta) &&
+    typeof meta.letters === 'object' && meta.letters !== null &&
+    (meta.pending === null || Array.isArray(meta.pending));
+}
+
+/**
+ * Read the snapshot metadata
+ *
+ * @param {string} dir - Catalog directory
+ * @returns {Promise<Object>} - Metadata; empty when nothing has been synced yet
+ * @throws {CorruptFileError} - If the metadata file is damaged
+ */
+async function readSnapshotMeta(dir) {
+  try {
+    return await readJsonFile(getCatalogPaths(dir).metaFile, { validate: isSnapshotMeta });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { letters: {}, pending: null };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Download the catalog into the local snapshot, one letter at a time
+ * Requests use background priority and go through the provider's rate limiter.
+ * If an earlier sync did not finish, only its remaining letters are fetched.
+ *
+ * @param {Object} options - Sync options
+ * @param {string} options.dir - Catalog directory (default: catalog/ in the data directory)
+ * @param {boolean} options.restart - Fetch every letter even if an earlier sync did not finish
+ * @param {Function} options.onLetter - Called with (letter, recipeCount, lettersLeft) after each letter is saved
+ * @returns {Promise<{letters: Array<string>, recipes: number, resumed: boolean}>} - Letters fetched by this run and their recipe count
+ * @throws {ApiError} - If a letter cannot be fetched; the letters saved before it are kept
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/for...of | MDN: for...of}
+ */
+export async function syncCatalog({ dir = CATALOG_DIR, restart = false, onLetter } = {}) {
+  const { recipesDir, metaFile } = getCatalogPaths(dir);
+  const meta = await readSnapshotMeta(dir);
+  const resumed = !restart && Array.isArray(meta.pending) && meta.pending.length > 0;
+
+  meta.pending = resumed ? meta.pending.filter(letter => CATALOG_LETTERS.includes(letter)) : [...CATALOG_LETTERS];
+
+  await fs.mkdir(recipesDir, { recursive: true });
+  await writeJsonFile(metaFile, meta);
+
+  const fetched = [];
+  let recipes = 0;
+
+  for (const letter of [...meta.pending]) {
+    const meals = await api.searchMealsByFirstLetter([letter], { priority: PRIORITY.BACKGROUND });
+
+    await writeJsonFile(path.join(recipesDir, `${letter}.json`), { meals });
+
+    meta.letters[letter] = { syncedAt: Date.now(), recipes: meals.length };
+    meta.pending = meta.pending.filter(item => item !== letter);
+    await writeJsonFile(metaFile, meta);
+
+    fetched.push(letter);
+    recipes += meals.length;
+
+    if (onLetter) {
+      onLetter(letter, meals.length, meta.pending.length);
+    }
+  }
+
+  meta.pending = null;
+  await writeJsonFile(metaFile, meta);
+
+  return { letters: fetched, recipes, resumed };
+}
+
+/**
+ * Describe the local snapshot
+ *
+ * @param {Object} options - Options
+ * @param {string} options.dir - Catalog directory (default: catalog/ in the data directory)
+ * @returns {Promise<Object|null>} - { letters, recipes, oldest, newest, pending, complete }, or null if nothing has been synced;
+ *   oldest and newest are the times the least and most recently saved letters were fetched
+ * @throws {CorruptFileError} - If the metadata file is damaged
+ */
+export async function getSnapshotInfo({ dir = CATALOG_DIR } = {}) {
+  const meta = await readSnapshotMeta(dir);
+  const saved = Object.values(meta.letters);
+
+  if (saved.length === 0) {
+    return null;
+  }
+
+  const times = saved.map(letter => letter.syncedAt);
+  const pending = meta.pending ? meta.pending.length : 0;
+
+  return {
+    letters: saved.length,
+    recipes: saved.reduce((total, letter) => total + letter.recipes, 0),
+    oldest: Math.min(...times),
+    newest: Math.max(...times),
+    pending,
+    complete: saved.length === CATALOG_LETTERS.length && pending === 0
+  };
+}
+
+/**
+ * Serve every recipe request from the local snapshot instead of the network
+ *
+ * @param {Object} options - Options
+ * @param {string} options.dir - Catalog directory (default: catalog/ in the data directory)
+ * @returns {Promise<Object>} - Snapshot info (see getSnapshotInfo)
+ * @throws {Error} - If nothing has been synced yet
+ */
+export async function useOfflineCatalog({ dir = CATALOG_DIR } = {}) {
+  const info = await getSnapshotInfo({ dir });
+
+  if (!info) {
+    throw new Error('There is no offline catalog yet. Run "recipe-explorer sync" while online first.');
+  }
+
+  setProvider(createLocalProvider({ dir: getCatalogPaths(dir).recipesDir }));
+  return info;
+}
+
+export default {
+  CATALOG_DIR,
+  CATALOG_LETTERS,
+  syncCatalog,
+  getSnapshotInfo,
+  useOfflineCatalog
+};
@@ -0,0 +1,785 @@
+// src/cli.js
+/**
+ * Non-interactive command-line interface for the Recipe Explorer
+ * Runs a single subcommand (e.g. `recipe-explorer search chicken`) without prompting
+ */
+
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import * as cache from './cache.js';
+import * as catalog from './catalog.js';
+import { NotFoundError, describeError } from './errors.js';
+import * as favorites from './favorites.js';
+import * as refresh from './favorites-refresh.js';
+import * as transfer from './favorites-transfer.js';
+import { QuerySyntaxError } from './ingredient-query.js';
+import * as pantry from './pantry.js';
+import * as prefetch from './prefetch.js';
+import { MAX_RATING, toRawMeal } from './recipe-model.js';
+import * as recipes from './recipes.js';
+import { getSettings } from './settings.js';
+import * as utils from './utils.js';
+
+/**
+ * Process exit codes returned by runCli
+ */
+export const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  NOT_FOUND: 3
+};
+
+const GLOBAL_OPTIONS = {
+  accept: { type: 'string' },
+  area: { type: 'string' },
+  category: { type: 'string' },
+  collection: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  format: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+  ingredient: { type: 'string' },
+  json: { type: 'boolean' },
+  limit: { type: 'string' },
+  name: { type: 'string' },
+  offline: { type: 'boolean' },
+  output: { type: 'string' },
+  page: { type: 'string' },
+  raw: { type: 'boolean' },
+  refresh: { type: 'boolean' },
+  sort: { type: 'string' },
+  strategy: { type: 'string' },
+  tag: { type: 'string' }
+};
+
+const USAGE = `Usage: recipe-explorer [command] [options]
+
+Commands:
+  search <term>            Search recipes by name
+  show <id>                Show the full details of a recipe
+  ingredient <query>       List recipes by ingredients (e.g. "chicken AND garlic NOT cream")
+  letters <letters>        List recipes starting with any of the letters (e.g. abc or a-z)
+  random                   Show a random recipe
+  categories               List meal categories
+  category <name>          List recipes in a category
+  areas                    List cuisines (areas)
+  area <name>              List recipes from a cuisine
+  ingredients              List known ingredients
+  cook <items>             Rank recipes by how much of them you can make from
+                           the ingredients you have (e.g. "chicken, rice, garlic")
+  favorites list           List favorite recipes; --collection, --name,
+                           --ingredient, --category, --area and --tag search
+                           them, --sort name, added or rating orders them and
+                           --page <n> shows one page of --limit (default 10)
+  favorites add <id>       Add a recipe to favorites (to --collection, with --tag a,b)
+  favorites remove <id>    Remove a recipe from favorites
+  favorites collections    List collections with how many recipes each holds
+  favorites create <name>  Create a collection
+  favorites rename <name> <new name>
+                           Rename a collection (quote names with spaces)
+  favorites delete <name>  Delete a collection; its recipes that are in no other
+                           collection move to the first one
+  favorites copy <id> <collection>
+                           Add a favorite to another collection as well
+  favorites move <id> <from> <to>
+                           Move a favorite between collections
+  favorites tag <id> <tags...>
+                           Add tags to a favorite
+  favorites untag <id> <tags...>
+                           Remove tags from a favorite
+  favorites tags           List the tags used on favorites
+  favorites rate <id> <1-5|none>
+                           Rate a favorite, or clear its rating
+  favorites note <id> [text...]
+                           Replace the notes on a favorite (no text clears them)
+  favorites override <id> <ingredient> <measure>
+                           Use your own measure of an ingredient, or add one
+                           (quote names and measures with spaces)
+  favorites omit <id> <ingredient>
+                           Leave an ingredient out of a favorite
+  favorites restore <id> <ingredient>
+                           Go back to the recipe's own measure of an ingredient
+  favorites export         Print favorites as --format json (default), csv or md,
+                           or save them to --output <file>; --collection and
+                           --tag choose which
+  favorites import <file>  Add the favorites in a json or csv export; recipes
+                           that are already favorites are handled by
+                           --strategy skip (default), overwrite or merge, and
+                           --dry-run only reports what would happen
+  favorites refresh [ids...]
+                           Compare favorites with TheMealDB and show what
+                           changed; --accept <ids> (comma-separated) or
+                           --accept all saves the updates
+  cache stats              Show the number, size and age of cached results
+                           and the cache hits and misses
+  cache list [pattern]     List cached keys with their age (e.g. "search_*")
+  cache purge <pattern>    Remove one key, every key with a prefix ("search_*")
+                           or everything ("*")
+  cache prune              Remove results that expired more than a week ago
+  sync                     Download the whole catalog for offline use; an
+                           unfinished sync continues where it stopped
+  sync status              Show how many recipes the offline catalog has and
+                           how old it is
+  prefetch                 Cache the full details of favorites and of the
+                           first results of the latest search (--limit sets
+                           how many results)
+
+Options:
+  --json                   Print results as JSON
+  --limit <n>              Show at most n results; with --page, results per page
+  --offline                Answer from the offline catalog instead of the network
+  --output <file>          With favorites export, save to a file
+  --page <n>               With favorites list, show page n
+  --raw                    With --json, print recipes in TheMealDB's field format
+  --refresh                Ignore cached results; with sync, start over
+  --sort <order>           With favorites list, order by name (A to Z), added
+                           (newest first) or rating (highest first)
+  -h, --help               Show this help
+
+Run without a command to open the interactive menu.
+
+Exit codes: 0 success, 1 error, 2 invalid usage, 3 nothing found`;
+
+/**
+ * Error raised for invalid command-line usage
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Print a list of recipes, honoring the --json, --raw and --limit options
+ *
+ * @param {Array<Object>} list - Recipes to print
+ * @param {Object} options - Parsed command-line options
+ * @returns {number} - Exit code
+ */
+function printRecipeList(list, options) {
+  const limited = list.slice(0, parseLimit(options.limit));
+
+  if (options.json) {
+    console.log(JSON.stringify(options.raw ? limited.map(toRawMeal) : limited, null, 2));
+  } else {
+    console.log(utils.formatRecipeList(limited));
+  }
+
+  return limited.length > 0 ? EXIT_CODES.OK : EXIT_CODES.NOT_FOUND;
+}
+
+/**
+ * Print a list of names, honoring the --json and --limit options
+ *
+ * @param {string} title - List heading
+ * @param {Array<string>} names - Names to print
+ * @param {Object} options - Parsed command-line options
+ * @returns {number} - Exit code
+ */
+function printNameList(title, names, options) {
+  const limited = names.slice(0, parseLimit(options.limit));
+
+  if (options.json) {
+    console.log(JSON.stringify(limited, null, 2));
+  } else {
+    console.log(utils.formatNameList(title, limited));
+  }
+
+  return limited.length > 0 ? EXIT_CODES.OK : EXIT_CODES.NOT_FOUND;
+}
+
+/**
+ * Print a single recipe, honoring the --json and --raw options
+ *
+ * @param {Object|null} recipe - Recipe to print
+ * @param {Object} options - Parsed command-line options
+ * @returns {number} - Exit code
+ */
+function printRecipe(recipe, options) {
+  if (!recipe) {
+    console.error('Recipe not found');
+    return EXIT_CODES.NOT_FOUND;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(options.raw ? toRawMeal(recipe) : recipe, null, 2));
+  } else {
+    console.log(utils.formatRecipe(recipe, { units: getSettings().units }));
+  }
+
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Parse the --limit option
+ *
+ * @param {string|undefined} value - Raw option value
+ * @returns {number} - Maximum number of results (Infinity when not set)
+ */
+function parseLimit(value) {
+  if (value === undefined) {
+    return Infinity;
+  }
+
+  const limit = Number(value);
+
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new UsageError(`--limit must be a positive whole number, got "${value}"`);
+  }
+
+  return limit;
+}
+
+/**
+ * Parse the --page option
+ *
+ * @param {string} value - Raw option value
+ * @returns {number} - Page number, from 1
+ */
+function parsePage(value) {
+  const page = Number(value);
+
+  if (!Number.isInteger(page) || page < 1) {
+    throw new UsageError(`--page must be a positive whole number, got "${value}"`);
+  }
+
+  return page;
+}
+
+/**
+ * Split list arguments, which may also be separated by commas (tags, recipe IDs)
+ *
+ * @param {Array<string>|string|undefined} values - Arguments or an option such as --tag
+ * @returns {Array<string>} - Items
+ */
+function parseList(values) {
+  return [values || []].flat().flatMap(value => value.split(',')).map(tag => tag.trim()).filter(tag => tag !== '');
+}
+
+/**
+ * Print the outcome of a change to favorites
+ *
+ * @param {boolean} changed - Result of the change (the reason for a failure has already been printed)
+ * @param {string} message - Message to print when it succeeded
+ * @returns {number} - Exit code
+ */
+function reportChange(changed, message) {
+  if (!changed) {
+    return EXIT_CODES.ERROR;
+  }
+
+  console.log(message);
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Join the positional arguments of a command into a single required value
+ *
+ * @param {Array<string>} args - Positional arguments
+ * @param {string} name - Name of the value, used in the error message
+ * @returns {string} - The joined value
+ */
+function requireArgument(args, name) {
+  const value = args.join(' ').trim();
+
+  if (!value) {
+    throw new UsageError(`Missing ${name}`);
+  }
+
+  return value;
+}
+
+const COMMANDS = {
+  async search(args, options) {
+    const query = requireArgument(args, 'search term');
+    return printRecipeList(await recipes.findRecipesByName(query, options.refresh) || [], options);
+  },
+
+  async show(args, options) {
+    const recipeId = requireArgument(args, 'recipe ID');
+    const recipe = await recipes.findRecipeById(recipeId, options.refresh);
+
+    // Favorites are shown with the user's rating, notes and ingredient overrides
+    return printRecipe(recipe && await favorites.withFavoriteDetails(recipe), options);
+  },
+
+  async ingredient(args, options) {
+    const query = requireArgument(args, 'ingredient');
+    let found;
+
+    try {
+      found = await recipes.findRecipesByIngredientQuery(query, options.refresh);
+    } catch (error) {
+      if (error instanceof QuerySyntaxError) {
+        throw new UsageError(`Invalid ingredient query: ${error.message}`);
+      }
+      throw error;
+    }
+
+    return printRecipeList(found, options);
+  },
+
+  async letters(args, options) {
+    const letters = requireArgument(args, 'letters');
+
+    if (recipes.getUniqueLetters(letters).length === 0) {
+      throw new UsageError('Letters must include at least one of a-z');
+    }
+
+    return printRecipeList(await recipes.findRecipesByLetters(letters, options.refresh) || [], options);
+  },
+
+  async random(args, options) {
+    return printRecipe(await recipes.findRandomRecipe(), options);
+  },
+
+  async categories(args, options) {
+    return printNameList('Categories', await recipes.findCategoryNames(options.refresh) || [], options);
+  },
+
+  async category(args, options) {
+    const category = requireArgument(args, 'category');
+    return printRecipeList(await recipes.findRecipesByCategory(category, options.refresh) || [], options);
+  },
+
+  async areas(args, options) {
+    return printNameList('Cuisines', await recipes.findAreas(options.refresh) || [], options);
+  },
+
+  async area(args, options) {
+    const area = requireArgument(args, 'area');
+    return printRecipeList(await recipes.findRecipesByArea(area, options.refresh) || [], options);
+  },
+
+  async ingredients(args, options) {
+    return printNameList('Ingredients', await recipes.findIngredients(options.refresh) || [], options);
+  },
+
+  async cook(args, options) {
+    // Comma-separated items may contain spaces; otherwise each argument is one item
+    const items = pantry.parsePantry(args.some(arg => arg.includes(',')) ? args.join(' ') : args);
+
+    if (items.length === 0) {
+      throw new UsageError('Missing ingredients');
+    }
+
+    const results = (await pantry.findCookableRecipes(items, { forceRefresh: options.refresh }))
+      .slice(0, parseLimit(options.limit));
+
+    if (options.json) {
+      console.log(JSON.stringify(results.map(({ recipe, coverage, have, missing }) => ({
+        id: recipe.id,
+        name: recipe.name,
+        coverage,
+        have,
+        missing
+      })), null, 2));
+    } else {
+      console.log(utils.formatPantryResults(results));
+    }
+
+    return results.length > 0 ? EXIT_CODES.OK : EXIT_CODES.NOT_FOUND;
+  },
+
+  async favorites(args, options) {
+    const [action, ...rest] = args;
+
+    switch (action) {
+      case 'list':
+      case undefined: {
+        const { collection, name, ingredient, category, area, tag, sort } = options;
+        const filters = { collection, name, ingredient, category, area, tag, sort };
+
+        if (options.page === undefined) {
+          return printRecipeList(await favorites.getFavorites(filters), options);
+        }
+
+        // With --page, --limit is the page size instead of a cap
+        const pageSize = options.limit === undefined ? favorites.FAVORITES_PAGE_SIZE : parseLimit(options.limit);
+        const page = await favorites.getFavoritesPage({ ...filters, page: parsePage(options.page), pageSize });
+
+        if (options.json) {
+          console.log(JSON.stringify({ ...page, recipes: options.raw ? page.recipes.map(toRawMeal) : page.recipes }, null, 2));
+        } else {
+          console.log(utils.formatFavoritesPage(page));
+        }
+
+        return page.recipes.length > 0 ? EXIT_CODES.OK : EXIT_CODES.NOT_FOUND;
+      }
+      case 'add': {
+        const recipeId = requireArgument(rest, 'recipe ID');
+        const recipe = await recipes.findRecipeById(recipeId, options.refresh);
+
+        if (!recipe) {
+          console.error(`Recipe ${recipeId} not found`);
+          return EXIT_CODES.NOT_FOUND;
+        }
+
+        if (!(await favorites.addFavorite(recipe, { collection: options.collection, tags: parseList(options.tag) }))) {
+          return EXIT_CODES.ERROR;
+        }
+
+        console.log(`Added "${recipe.name}" to ${options.collection ? `"${options.collection}"` : 'favorites'}`);
+        return EXIT_CODES.OK;
+      }
+      case 'remove': {
+        const recipeId = requireArgument(rest, 'recipe ID');
+
+        if (!(await favorites.removeFavorite(recipeId))) {
+          return EXIT_CODES.NOT_FOUND;
+        }
+
+        console.log(`Removed recipe ${recipeId} from favorites`);
+        return EXIT_CODES.OK;
+      }
+      case 'collections': {
+        const collections = await favorites.getCollections();
+
+        if (options.json) {
+          console.log(JSON.stringify(collections, null, 2));
+        } else {
+          console.log(utils.formatNameList('Collections', collections.map(({ name, count }) => `${name} (${count} ${count === 1 ? 'recipe' : 'recipes'})`)));
+        }
+        return EXIT_CODES.OK;
+      }
+      case 'create': {
+        const name = requireArgument(rest, 'collection name');
+        return reportChange(await favorites.createCollection(name), `Created collection "${name}"`);
+      }
+      case 'rename': {
+        if (rest.length !== 2) {
+          throw new UsageError('rename needs the current and the new name (quote names with spaces)');
+        }
+        return reportChange(await favorites.renameCollection(rest[0], rest[1]), `Renamed "${rest[0]}" to "${rest[1]}"`);
+      }
+      case 'delete': {
+        const name = requireArgument(rest, 'collection name');
+        return reportChange(await favorites.deleteCollection(name), `Deleted collection "${name}"`);
+      }
+      case 'copy': {
+        const [recipeId, ...collection] = rest;
+
+        if (!recipeId || collection.length === 0) {
+          throw new UsageError('copy needs a recipe ID and a collection name');
+        }
+
+        const to = collection.join(' ');
+        return reportChange(await favorites.copyFavorite(recipeId, to), `Copied recipe ${recipeId} to "${to}"`);
+      }
+      case 'move': {
+        if (rest.length !== 3) {
+          throw new UsageError('move needs a recipe ID and the collections to move it from and to (quote names with spaces)');
+        }
+
+        const [recipeId, from, to] = rest;
+        return reportChange(await favorites.moveFavorite(recipeId, from, to), `Moved recipe ${recipeId} from "${from}" to "${to}"`);
+      }
+      case 'tag':
+      case 'untag': {
+        const [recipeId, ...values] = rest;
+        const tags = parseList(values);
+
+        if (!recipeId || tags.length === 0) {
+          throw new UsageError(`${action} needs a recipe ID and at least one tag`);
+        }
+
+        const changed = action === 'tag' ? await favorites.tagFavorite(recipeId, tags) : await favorites.untagFavorite(recipeId, tags);
+        return reportChange(changed, `${action === 'tag' ? 'Tagged' : 'Untagged'} recipe ${recipeId}: ${tags.join(', ')}`);
+      }
+      case 'tags': {
+        const tags = await favorites.getTags();
+
+        if (options.json) {
+          console.log(JSON.stringify(tags, null, 2));
+        } else {
+          console.log(utils.formatNameList('Tags', tags.map(({ tag, count }) => `${tag} (${count})`)));
+        }
+        return EXIT_CODES.OK;
+      }
+      case 'rate': {
+        const [recipeId, value] = rest;
+        const rating = value === 'none' ? null : Number(value);
+
+        if (rest.length !== 2 || (rating !== null && !Number.isInteger(rating))) {
+          throw new UsageError(`rate needs a recipe ID and a rating from 1 to ${MAX_RATING}, or "none"`);
+        }
+
+        return reportChange(await favorites.rateFavorite(recipeId, rating), rating === null ? `Cleared the rating of recipe ${recipeId}` : `Rated recipe ${recipeId} ${rating}/${MAX_RATING}`);
+      }
+      case 'note': {
+        const [recipeId, ...text] = rest;
+        const notes = text.join(' ').trim();
+
+        if (!recipeId) {
+          throw new UsageError('note needs a recipe ID');
+        }
+
+        return reportChange(await favorites.setFavoriteNotes(recipeId, notes), notes ? `Saved notes on recipe ${recipeId}` : `Cleared the notes on recipe ${recipeId}`);
+      }
+      case 'override': {
+        if (rest.length !== 3) {
+          throw new UsageError('override needs a recipe ID, an ingredient and a measure (quote names and measures with spaces)');
+        }
+
+        const [recipeId, ingredient, measure] = rest;
+        return reportChange(await favorites.setIngredientOverride(recipeId, ingredient, measure), `Recipe ${recipeId} now uses ${measure} ${ingredient}`);
+      }
+      case 'omit':
+      case 'restore': {
+        const [recipeId, ...name] = rest;
+        const ingredient = name.join(' ').trim();
+
+        if (!recipeId || !ingredient) {
+          throw new UsageError(`${action} needs a recipe ID and an ingredient`);
+        }
+
+        if (action === 'omit') {
+          return reportChange(await favorites.setIngredientOverride(recipeId, ingredient, null), `Recipe ${recipeId} now leaves out ${ingredient}`);
+        }
+        return reportChange(await favorites.removeIngredientOverride(recipeId, ingredient), `Recipe ${recipeId} uses its own measure of ${ingredient} again`);
+      }
+      case 'export': {
+        const format = options.format || 'json';
+
+        if (!transfer.EXPORT_FORMATS.includes(format)) {
+          throw new UsageError(`--format must be one of ${transfer.EXPORT_FORMATS.join(', ')}, got "${format}"`);
+        }
+
+        const { text, count } = await transfer.exportFavorites({ format, collection: options.collection, tag: options.tag });
+
+        if (options.output) {
+          await fs.writeFile(options.output, `${text}\n`);
+          console.log(`Exported ${count} ${count === 1 ? 'favorite' : 'favorites'} to ${options.output}`);
+        } else {
+          console.log(text);
+        }
+        return EXIT_CODES.OK;
+      }
+      case 'import': {
+        const file = requireArgument(rest, 'file to import');
+        const strategy = options.strategy || 'skip';
+
+        if (!transfer.MERGE_STRATEGIES.includes(strategy)) {
+          throw new UsageError(`--strategy must be one of ${transfer.MERGE_STRATEGIES.join(', ')}, got "${strategy}"`);
+        }
+
+        const report = await transfer.importFavorites(await transfer.readImportFile(file), { strategy, dryRun: options['dry-run'] });
+        console.log(options.json ? JSON.stringify(report, null, 2) : utils.formatImportReport(report));
+        return report.counts.failed > 0 ? EXIT_CODES.ERROR : EXIT_CODES.OK;
+      }
+      case 'refresh': {
+        const results = await refresh.checkFavorites({ ids: rest.length > 0 ? rest : undefined });
+        const unknown = rest.filter(id => !results.some(result => result.id === id));
+
+        if (unknown.length > 0) {
+          console.error(`Not in favorites: ${unknown.join(', ')}`);
+          return EXIT_CODES.NOT_FOUND;
+        }
+
+        console.log(options.json ? JSON.stringify(results, null, 2) : utils.formatRefreshResults(results));
+
+        const changed = results.filter(result => result.status === 'changed');
+        const accepted = options.accept === 'all' ? changed.map(result => result.id) : parseList(options.accept);
+        let saved = 0;
+
+        for (const id of accepted) {
+          const result = changed.find(other => other.id === id);
+
+          if (!result) {
+            console.error(`Recipe ${id} has no update to accept`);
+          } else if (await favorites.updateFavoriteRecipe(result.recipe)) {
+            saved++;
+          }
+        }
+
+        // With --json, stdout only holds the results
+        const note = options.json ? console.warn : console.log;
+
+        if (options.accept !== undefined) {
+          note(`Saved the updates to ${saved} ${saved === 1 ? 'recipe' : 'recipes'}`);
+        } else if (changed.length > 0) {
+          note('Run again with --accept <ids> or --accept all to save these updates');
+        }
+
+        return results.some(result => result.status === 'failed') || saved < accepted.length ? EXIT_CODES.ERROR : EXIT_CODES.OK;
+      }
+      default:
+        throw new UsageError(`Unknown favorites action "${action}"`);
+    }
+  },
+
+  async cache(args, options) {
+    const [action, ...rest] = args;
+
+    switch (action) {
+      case 'stats':
+      case undefined: {
+        const stats = await cache.getCacheStats();
+        console.log(options.json ? JSON.stringify(stats, null, 2) : utils.formatCacheStats(stats));
+        return EXIT_CODES.OK;
+      }
+      case 'list': {
+        const entries = (await cache.listCacheEntries(rest[0] || '*')).slice(0, parseLimit(options.limit));
+        console.log(options.json ? JSON.stringify(entries, null, 2) : utils.formatCacheEntries(entries));
+        return entries.length > 0 ? EXIT_CODES.OK : EXIT_CODES.NOT_FOUND;
+      }
+      case 'purge': {
+        const pattern = requireArgument(rest, 'cache key or pattern (e.g. "search_*", or "*" for everything)');
+        const removed = await cache.purgeCache(pattern);
+
+        console.log(options.json ? JSON.stringify({ removed }) : `Removed ${removed} cache ${removed === 1 ? 'entry' : 'entries'}`);
+        return removed > 0 ? EXIT_CODES.OK : EXIT_CODES.NOT_FOUND;
+      }
+      case 'prune': {
+        const removed = await cache.clearExpiredCache();
+
+        console.log(options.json ? JSON.stringify({ removed }) : `Removed ${removed} expired cache ${removed === 1 ? 'entry' : 'entries'}`);
+        return EXIT_CODES.OK;
+      }
+      default:
+        throw new UsageError(`Unknown cache action "${action}"`);
+    }
+  },
+
+  async prefetch(args, options) {
+    // --limit caps how many results of the latest search are included
+    const searchResults = options.limit === undefined ? prefetch.DEFAULT_SEARCH_RESULTS : parseLimit(options.limit);
+    const result = await prefetch.prefetchDetails({ searchResults });
+
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      console.log(`Fetched details for ${result.fetched} of ${result.total} recipes (${result.cached} already cached, ${result.failed} failed)`);
+    }
+
+    return result.failed > 0 ? EXIT_CODES.ERROR : EXIT_CODES.OK;
+  },
+
+  async sync(args, options) {
+    const [action] = args;
+
+    if (action === 'status') {
+      const info = await catalog.getSnapshotInfo();
+      console.log(options.json ? JSON.stringify(info, null, 2) : utils.formatSnapshotInfo(info));
+      return info ? EXIT_CODES.OK : EXIT_CODES.NOT_FOUND;
+    }
+
+    if (action !== undefined) {
+      throw new UsageError(`Unknown sync action "${action}"`);
+    }
+
+    if (options.offline) {
+      throw new UsageError('sync needs a network connection and cannot be used with --offline');
+    }
+
+    try {
+      const result = await catalog.syncCatalog({
+        restart: options.refresh,
+        onLetter: (letter, count, left) => {
+          if (!options.json) {
+            console.log(`${letter.toUpperCase()}: ${count} recipes (${left} ${left === 1 ? 'letter' : 'letters'} left)`);
+          }
+        }
+      });
+
+      console.log(options.json ? JSON.stringify(result, null, 2) : utils.formatSnapshotInfo(await catalog.getSnapshotInfo()));
+      return EXIT_CODES.OK;
+    } catch (error) {
+      const info = await catalog.getSnapshotInfo();
+      console.error(`Sync stopped: ${describeError(error)}`);
+
+      if (info && info.pending > 0) {
+        console.error(`${info.pending} ${info.pending === 1 ? 'letter is' : 'letters are'} left. Run "recipe-explorer sync" again to continue.`);
+      }
+
+      return EXIT_CODES.ERROR;
+    }
+  }
+};
+
+/**
+ * Parse command-line arguments into a command, its arguments and options
+ *
+ * @param {Array<string>} argv - Arguments without the node executable and script path
+ * @returns {{command: string|undefined, args: Array<string>, options: Object}} - Parsed arguments
+ *
+ * @see {@link https://nodejs.org/api/util.html#utilparseargsconfig | Node.js: util.parseArgs}
+ */
+export function parseCommandLine(argv) {
+  try {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      options: GLOBAL_OPTIONS,
+      allowPositionals: true,
+      strict: true
+    });
+
+    const [command, ...args] = positionals;
+    return { command, args, options: values };
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+/**
+ * Run a single command and return the process exit code
+ * Never prompts for input
+ *
+ * @param {Array<string>} argv - Arguments without the node executable and script path
+ * @param {Object} hooks - Optional hooks
+ * @param {Function} hooks.initialize - Called before running a command; resolves to false on failure
+ * @returns {Promise<number>} - Exit code (see EXIT_CODES)
+ */
+export async function runCli(argv, { initialize } = {}) {
+  let parsed;
+
+  try {
+    parsed = parseCommandLine(argv);
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  const { command, args, options } = parsed;
+
+  if (options.help || command === 'help') {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  }
+
+  if (!command || !Object.hasOwn(COMMANDS, command)) {
+    console.error(command ? `Unknown command "${command}"` : 'Missing command');
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  try {
+    if (initialize && !(await initialize())) {
+      return EXIT_CODES.ERROR;
+    }
+
+    if (options.offline && command !== 'sync') {
+      const info = await catalog.useOfflineCatalog();
+      console.warn(`Offline: using the catalog synced ${utils.formatAge(Date.now() - info.oldest)} ago`);
+    }
+
+    return await COMMANDS[command](args, options);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(error.message);
+      console.error(USAGE);
+      return EXIT_CODES.USAGE;
+    }
+
+    console.error(`Error running "${command}":`, describeError(error));
+    return error instanceof NotFoundError ? EXIT_CODES.NOT_FOUND : EXIT_CODES.ERROR;
+  }
+}
+
+export default {
+  EXIT_CODES,
+  parseCommandLine,
+  runCli
+};
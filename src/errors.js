@@ -0,0 +1,162 @@
+// src/errors.js
+/**
+ * Error classes raised by the api layer
+ * Callers can check the class (or the retryable flag) to decide what to tell
+ * the user and whether retrying or falling back to stale cached data makes sense.
+ */
+
+/**
+ * Base class for all API errors
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error/cause | MDN: Error.cause}
+ */
+export class ApiError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ApiError';
+  }
+
+  /**
+   * Whether the same request might succeed if tried again
+   *
+   * @returns {boolean} - True for temporary failures
+   */
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * The request never got a response (DNS failure, connection refused, offline, ...)
+ */
+export class NetworkError extends ApiError {
+  constructor(message = 'Network request failed', options) {
+    super(message, options);
+    this.name = 'NetworkError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * The request took longer than allowed and was abandoned
+ */
+export class TimeoutError extends ApiError {
+  constructor(timeoutMs, options) {
+    super(`Request timed out after ${timeoutMs}ms`, options);
+    this.name = 'TimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * The server answered with an unsuccessful HTTP status
+ */
+export class HttpError extends ApiError {
+  constructor(status, url, options) {
+    super(`HTTP ${status}${url ? ` from ${url}` : ''}`, options);
+    this.name = 'HttpError';
+    this.status = status;
+    this.url = url;
+  }
+
+  /**
+   * Rate limiting (429) and server errors (5xx) are temporary; other statuses are not
+   */
+  get retryable() {
+    return this.status === 429 || this.status >= 500;
+  }
+}
+
+/**
+ * The requested recipe (or other resource) does not exist
+ */
+export class NotFoundError extends ApiError {
+  constructor(message = 'Not found', options) {
+    super(message, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * The server answered, but not with the JSON shape TheMealDB uses
+ */
+export class MalformedResponseError extends ApiError {
+  constructor(message = 'Malformed response', options) {
+    super(message, options);
+    this.name = 'MalformedResponseError';
+  }
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ *
+ * @param {Error} error - Error thrown by a request
+ * @returns {boolean} - True if the error is a temporary API failure
+ */
+export function isRetryable(error) {
+  return error instanceof ApiError && error.retryable;
+}
+
+/**
+ * Check whether stale cached data is an acceptable answer after a failed request
+ * A missing recipe is a real answer, so old data must not hide it; any other failure may fall back.
+ *
+ * @param {Error} error - Error thrown while fetching fresh data
+ * @returns {boolean} - True if stale data may be used
+ */
+export function canUseStaleCache(error) {
+  return !(error instanceof NotFoundError);
+}
+
+/**
+ * Describe an error in words suitable for the user
+ *
+ * @param {Error} error - Any error
+ * @returns {string} - Message explaining what happened
+ */
+export function describeError(error) {
+  if (error instanceof TimeoutError) {
+    return `The recipe service did not answer within ${error.timeoutMs / 1000} seconds. Please try again.`;
+  }
+
+  if (error instanceof NetworkError) {
+    return 'Could not reach the recipe service. Check your internet connection.';
+  }
+
+  if (error instanceof HttpError) {
+    if (error.status === 429) {
+      return 'The recipe service is receiving too many requests (HTTP 429). Please wait a moment and try again.';
+    }
+
+    if (error.status >= 500) {
+      return `The recipe service is having problems (HTTP ${error.status}). Please try again later.`;
+    }
+
+    return `The recipe service rejected the request (HTTP ${error.status}).`;
+  }
+
+  if (error instanceof MalformedResponseError) {
+    return 'The recipe service sent a response that could not be understood.';
+  }
+
+  return error && error.message ? error.message : String(error);
+}
+
+export default {
+  ApiError,
+  NetworkError,
+  TimeoutError,
+  HttpError,
+  NotFoundError,
+  MalformedResponseError,
+  isRetryable,
+  canUseStaleCache,
+  describeError
+};
@@ -0,0 +1,151 @@
+// src/favorites-refresh.js
+/**
+ * Checking favorites against TheMealDB
+ * A favorite is a copy of the recipe as it was when it was saved, so later
+ * corrections upstream never reach it. checkFavorites fetches every favorite again
+ * and describes what changed: name, category and area, ingredients added or
+ * removed, measures, and instruction steps. Nothing is saved; accepting an update
+ * is left to the caller (see favorites.updateFavoriteRecipe, which keeps the
+ * favorite's tags, collections and annotations).
+ */
+
+import * as api from './api.js';
+import { NotFoundError, describeError } from './errors.js';
+import * as favorites from './favorites.js';
+import { normalizeMeal } from './recipe-model.js';
+import { getSettings } from './settings.js';
+import { runWithConcurrency } from './utils.js';
+
+// Fields compared as plain values
+const SIMPLE_FIELDS = ['name', 'category', 'area'];
+
+/**
+ * Find the instruction steps removed and added between two versions
+ * Uses the longest common subsequence, so an inserted step does not make every
+ * step after it look changed.
+ *
+ * @param {Array<string>} before - Steps of the saved recipe
+ * @param {Array<string>} after - Steps of the upstream recipe
+ * @returns {Array<{type: string, text: string}>} - "removed" and "added" steps, in reading order
+ */
+function diffSteps(before, after) {
+  // common[i][j] is the length of the longest common run of before[i..] and after[j..]
+  const common = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      common[i][j] = before[i] === after[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const steps = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      i++;
+      j++;
+    } else if (j >= after.length || (i < before.length && common[i + 1][j] >= common[i][j + 1])) {
+      steps.push({ type: 'removed', text: before[i++] });
+    } else {
+      steps.push({ type: 'added', text: after[j++] });
+    }
+  }
+
+  return steps;
+}
+
+/**
+ * Describe what changed between a saved recipe and the upstream one
+ *
+ * @param {Object} before - Saved recipe (normalized recipe or raw meal object)
+ * @param {Object} after - Upstream recipe (normalized recipe or raw meal object)
+ * @returns {Array<Object>} - Changes, empty if nothing that is compared changed:
+ *   { field: "name" | "category" | "area", before, after }
+ *   { field: "ingredient", name, before: measure or null, after: measure or null } for added and removed ingredients
+ *   { field: "measure", name, before, after }
+ *   { field: "instructions", steps: [{ type: "removed" | "added", text }] }
+ */
+export function diffRecipes(before, after) {
+  const saved = normalizeMeal(before);
+  const upstream = normalizeMeal(after);
+  const changes = [];
+
+  for (const field of SIMPLE_FIELDS) {
+    if ((saved[field] || null) !== (upstream[field] || null)) {
+      changes.push({ field, before: saved[field], after: upstream[field] });
+    }
+  }
+
+  // Ingredients are matched by name, ignoring case
+  const savedIngredients = new Map(saved.ingredients.map(ingredient => [ingredient.name.toLowerCase(), ingredient]));
+  const upstreamIngredients = new Map(upstream.ingredients.map(ingredient => [ingredient.name.toLowerCase(), ingredient]));
+
+  for (const [key, ingredient] of savedIngredients) {
+    const now = upstreamIngredients.get(key);
+
+    if (!now) {
+      changes.push({ field: 'ingredient', name: ingredient.name, before: ingredient.measure, after: null });
+    } else if (now.measure !== ingredient.measure) {
+      changes.push({ field: 'measure', name: now.name, before: ingredient.measure, after: now.measure });
+    }
+  }
+
+  for (const [key, ingredient] of upstreamIngredients) {
+    if (!savedIngredients.has(key)) {
+      changes.push({ field: 'ingredient', name: ingredient.name, before: null, after: ingredient.measure });
+    }
+  }
+
+  const steps = diffSteps(saved.steps, upstream.steps);
+
+  if (steps.length > 0) {
+    changes.push({ field: 'instructions', steps });
+  }
+
+  return changes;
+}
+
+/**
+ * Fetch favorites again from TheMealDB and describe what changed
+ * Each favorite is looked up with api.getMealById, a few at a time (see the
+ * concurrency setting); one that fails does not stop the others.
+ *
+ * @param {Object} options - Options
+ * @param {Array<string>} options.ids - Only check these favorites (default: all of them)
+ * @param {number} options.concurrency - Lookups running at the same time (default: the concurrency setting)
+ * @param {AbortSignal} options.signal - Stops the lookups that have not finished
+ * @returns {Promise<Array<Object>>} - One result per favorite, in favorites order:
+ *   { id, name, status, changes, recipe, error } where status is "changed" (recipe is the
+ *   upstream version), "unchanged", "missing" (no longer on TheMealDB) or "failed" (error says why)
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AbortSignal | MDN: AbortSignal}
+ */
+export async function checkFavorites({ ids, concurrency = getSettings().concurrency, signal } = {}) {
+  const wanted = ids && new Set(ids.map(String));
+  const saved = (await favorites.getFavorites()).filter(recipe => !wanted || wanted.has(recipe.id));
+
+  const tasks = saved.map(recipe => async () => {
+    const result = { id: recipe.id, name: recipe.name, status: 'unchanged', changes: [], recipe: null, error: null };
+
+    try {
+      const upstream = normalizeMeal(await api.getMealById(recipe.id, undefined, { signal }));
+      const changes = diffRecipes(recipe, upstream);
+
+      return changes.length > 0 ? { ...result, status: 'changed', changes, recipe: upstream } : result;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return { ...result, status: 'missing' };
+      }
+      return { ...result, status: 'failed', error: describeError(error) };
+    }
+  });
+
+  return runWithConcurrency(tasks, concurrency);
+}
+
+export default {
+  diffRecipes,
+  checkFavorites
+};
@@ -0,0 +1,542 @@
+// src/favorites-transfer.js
+/**
+ * Favorites import and export
+ *
+ * exportFavorites writes favorites as JSON (everything, for importing elsewhere),
+ * CSV (one row per recipe, for spreadsheets) or Markdown (a readable recipe book).
+ *
+ * importFavorites adds the recipes of a JSON or CSV export through favorites.js. It
+ * also reads a favorites.json data file and lists of recipes such as
+ * `favorites list --json`. Recipes that are already favorites (same idMeal) are
+ * skipped, overwritten or merged with the existing favorite, depending on the
+ * strategy. The whole import is saved in one change, so a failure leaves the
+ * favorites as they were. A dry run reports what would happen without changing
+ * anything.
+ *
+ * A CSV export only holds each recipe's name, category, area and picture, so
+ * recipes imported from one stay partial until their details are fetched
+ * (see prefetch.js). Overwriting an existing favorite from one only replaces those
+ * fields and the annotations; the stored ingredients and instructions are kept.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import * as favorites from './favorites.js';
+import { MAX_RATING, isValidRating, normalizeMeal, toRawMeal } from './recipe-model.js';
+import { getVersion, upgradeContent } from './schema.js';
+import { formatIngredientLines } from './utils.js';
+
+// Formats exportFavorites can write
+export const EXPORT_FORMATS = ['json', 'csv', 'md'];
+
+// What importFavorites does with recipes that are already favorites
+export const MERGE_STRATEGIES = ['skip', 'overwrite', 'merge'];
+
+// Identifies JSON exports; the version lets the export format change later
+const EXPORT_KIND = 'recipe-explorer-favorites';
+const EXPORT_VERSION = 1;
+
+// Columns of a CSV export, in order
+const CSV_COLUMNS = ['idMeal', 'name', 'category', 'area', 'thumbnail', 'collections', 'tags', 'rating', 'notes', 'overrides', 'addedAt'];
+
+// Separates the items of a list (collections, tags, overrides) in a CSV cell
+const LIST_SEPARATOR = '; ';
+
+/**
+ * Raised when a file cannot be read as favorites to import
+ */
+export class ImportFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportFormatError';
+  }
+}
+
+/**
+ * Quote a CSV cell if it needs it
+ *
+ * @param {any} value - Cell value (null and undefined become empty cells)
+ * @returns {string} - CSV cell
+ */
+function toCsvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Split CSV text into rows of cells
+ * Quoted cells may contain commas, quotes ("") and line breaks. Blank rows are dropped.
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows of cells
+ * @throws {ImportFormatError} - If a quoted cell is never closed
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ImportFormatError('The CSV file ends inside a quoted value');
+  }
+
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Split a list cell of a CSV export
+ *
+ * @param {string} value - Cell text (e.g. "quick; spicy")
+ * @returns {Array<string>} - Items
+ */
+function splitList(value) {
+  return (value || '').split(LIST_SEPARATOR.trim()).map(item => item.trim()).filter(item => item !== '');
+}
+
+/**
+ * Describe ingredient overrides for a CSV cell
+ * "Chili=1 tsp" uses another measure; a name on its own ("Cream") is left out.
+ *
+ * @param {Array<Object>} overrides - [{ ingredient, measure }]
+ * @returns {string} - Cell text
+ */
+function formatOverrides(overrides) {
+  return overrides.map(({ ingredient, measure }) => (measure === null ? ingredient : `${ingredient}=${measure}`)).join(LIST_SEPARATOR);
+}
+
+/**
+ * Read ingredient overrides from a CSV cell (see formatOverrides)
+ *
+ * @param {string} value - Cell text
+ * @returns {Array<Object>} - [{ ingredient, measure }]
+ */
+function parseOverrides(value) {
+  return splitList(value).map(item => {
+    const split = item.indexOf('=');
+    return split === -1
+      ? { ingredient: item, measure: null }
+      : { ingredient: item.slice(0, split).trim(), measure: item.slice(split + 1).trim() };
+  });
+}
+
+/**
+ * Write when a favorite was added for an export
+ *
+ * @param {number|null} addedAt - Milliseconds since the epoch, or null if unknown
+ * @returns {string|null} - ISO 8601 date and time, or null
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Date/toISOString | MDN: Date.toISOString}
+ */
+function formatAddedAt(addedAt) {
+  return addedAt === null || addedAt === undefined ? null : new Date(addedAt).toISOString();
+}
+
+/**
+ * Read when a favorite was added from an import
+ *
+ * @param {any} value - ISO date from an export, or milliseconds from a favorites.json file
+ * @returns {number|null} - Milliseconds since the epoch, or null if missing or not a date
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Date/parse | MDN: Date.parse}
+ */
+function parseAddedAt(value) {
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Turn a favorite recipe into an entry of a JSON export
+ *
+ * @param {Object} recipe - Favorite recipe from favorites.getFavorites
+ * @returns {Object} - { meal, collections, tags, rating, notes, overrides, addedAt }
+ */
+function toExportEntry(recipe) {
+  const { collections, tags, rating, notes, overrides, addedAt } = recipe.favorite;
+  return { meal: toRawMeal(recipe), collections, tags, rating, notes, overrides, addedAt: formatAddedAt(addedAt) };
+}
+
+/**
+ * Write favorites as a JSON export
+ *
+ * @param {Array<Object>} list - Favorite recipes
+ * @returns {string} - JSON text
+ */
+function toJson(list) {
+  return JSON.stringify({
+    kind: EXPORT_KIND,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    favorites: list.map(toExportEntry)
+  }, null, 2);
+}
+
+/**
+ * Write favorites as CSV, one row per recipe
+ *
+ * @param {Array<Object>} list - Favorite recipes
+ * @returns {string} - CSV text with a header row
+ */
+function toCsv(list) {
+  const rows = list.map(recipe => {
+    const { collections, tags, rating, notes, overrides, addedAt } = recipe.favorite;
+
+    return [
+      recipe.id,
+      recipe.name,
+      recipe.category,
+      recipe.area,
+      recipe.media.thumbnail,
+      collections.join(LIST_SEPARATOR),
+      tags.join(LIST_SEPARATOR),
+      rating,
+      notes,
+      formatOverrides(overrides),
+      formatAddedAt(addedAt)
+    ];
+  });
+
+  return [CSV_COLUMNS, ...rows].map(cells => cells.map(toCsvCell).join(',')).join('\n');
+}
+
+/**
+ * Write favorites as a Markdown recipe book
+ *
+ * @param {Array<Object>} list - Favorite recipes
+ * @returns {string} - Markdown text
+ */
+function toMarkdown(list) {
+  const lines = ['# Favorite recipes', ''];
+
+  for (const recipe of list) {
+    const { collections, tags, rating, notes, addedAt } = recipe.favorite;
+    const details = [
+      ['ID', recipe.id],
+      ['Category', recipe.category],
+      ['Area', recipe.area],
+      ['Collections', collections.join(', ')],
+      ['Tags', tags.join(', ')],
+      ['Your rating', rating && `${rating}/${MAX_RATING}`],
+      ['Your notes', notes],
+      ['Added', formatAddedAt(addedAt)?.slice(0, 10)]
+    ];
+
+    lines.push(`## ${recipe.name}`, '');
+
+    for (const [label, value] of details.filter(([, value]) => value)) {
+      lines.push(`- ${label}: ${value}`);
+    }
+
+    lines.push('');
+
+    if (recipe.partial) {
+      lines.push('Full details have not been loaded for this recipe yet.', '');
+      continue;
+    }
+
+    lines.push('### Ingredients', '', ...formatIngredientLines(recipe).map(line => `- ${line}`), '');
+
+    if (recipe.steps.length > 0) {
+      lines.push('### Instructions', '', ...recipe.steps.map((step, index) => `${index + 1}. ${step}`), '');
+    }
+
+    if (recipe.media.youtube) {
+      lines.push(`Video: ${recipe.media.youtube}`, '');
+    }
+  }
+
+  return lines.join('\n').trimEnd();
+}
+
+/**
+ * Export favorites
+ *
+ * @param {Object} options - Export options
+ * @param {string} options.format - "json" (default), "csv" or "md"
+ * @param {string} options.collection - Only export this collection
+ * @param {string} options.tag - Only export favorites with this tag
+ * @returns {Promise<{text: string, count: number}>} - The exported text and the number of recipes in it
+ */
+export async function exportFavorites({ format = 'json', collection, tag } = {}) {
+  const writers = { json: toJson, csv: toCsv, md: toMarkdown };
+
+  if (!Object.hasOwn(writers, format)) {
+    throw new Error(`Unknown export format "${format}"`);
+  }
+
+  const list = await favorites.getFavorites({ collection, tag });
+  return { text: writers[format](list), count: list.length };
+}
+
+/**
+ * Turn anything that describes a favorite into an import entry
+ *
+ * @param {Object} value - Export entry ({ meal, ... }), stored favorite, raw meal or normalized recipe
+ * @returns {Object} - { meal, collections, tags, rating, notes, overrides, addedAt }
+ */
+function toImportEntry(value) {
+  // Normalized recipes from `favorites list --json` carry their annotations along
+  const annotations = value?.meal ? value : value?.favorite || {};
+  const recipe = normalizeMeal(value?.meal || value);
+
+  return {
+    meal: recipe ? toRawMeal(recipe) : {},
+    collections: Array.isArray(annotations.collections) ? annotations.collections : [],
+    tags: Array.isArray(annotations.tags) ? annotations.tags : [],
+    rating: annotations.rating ?? null,
+    notes: annotations.notes || '',
+    overrides: Array.isArray(annotations.overrides) ? annotations.overrides : [],
+    addedAt: parseAddedAt(annotations.addedAt)
+  };
+}
+
+/**
+ * Read the favorites in JSON text
+ *
+ * @param {string} text - A JSON export, a favorites.json data file, or an array of recipes
+ * @returns {Array<Object>} - Import entries
+ * @throws {ImportFormatError} - If the text is not JSON or holds no favorites
+ */
+function parseJson(text) {
+  let content;
+
+  try {
+    content = JSON.parse(text);
+  } catch (error) {
+    throw new ImportFormatError(`The file is not valid JSON: ${error.message}`);
+  }
+
+  if (Array.isArray(content)) {
+    return content.map(toImportEntry);
+  }
+
+  if (content?.kind === EXPORT_KIND && Array.isArray(content.favorites)) {
+    return content.favorites.map(toImportEntry);
+  }
+
+  // A favorites.json data file, in any format version (see schema.js)
+  if (getVersion(content) > 0) {
+    const data = upgradeContent('favorites', content, 'The file');
+
+    if (Array.isArray(data?.favorites) && Array.isArray(data.collections)) {
+      return data.favorites.map(favorite => ({
+        ...toImportEntry(favorite),
+        collections: data.collections.filter(collection => collection.recipeIds.includes(String(favorite.meal.idMeal))).map(collection => collection.name)
+      }));
+    }
+  }
+
+  throw new ImportFormatError('The file holds no favorites; expected an export, a favorites.json file or a list of recipes');
+}
+
+/**
+ * Read the favorites in a CSV export
+ *
+ * @param {string} text - CSV text with a header row (see CSV_COLUMNS)
+ * @returns {Array<Object>} - Import entries (partial recipes)
+ * @throws {ImportFormatError} - If there is no idMeal column
+ */
+function parseCsvExport(text) {
+  const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const columns = header.map(name => name.trim());
+
+  if (!columns.includes('idMeal')) {
+    throw new ImportFormatError('The CSV file needs a header row with an idMeal column');
+  }
+
+  return rows.map(cells => {
+    const row = Object.fromEntries(columns.map((name, index) => [name, (cells[index] || '').trim()]));
+    const meal = { idMeal: row.idMeal, strMeal: row.name || null, strCategory: row.category || null, strArea: row.area || null, strMealThumb: row.thumbnail || null };
+
+    return {
+      meal: Object.fromEntries(Object.entries(meal).filter(([, value]) => value)),
+      collections: splitList(row.collections),
+      tags: splitList(row.tags),
+      rating: row.rating ? Number(row.rating) : null,
+      notes: row.notes || '',
+      overrides: parseOverrides(row.overrides),
+      addedAt: parseAddedAt(row.addedAt)
+    };
+  });
+}
+
+/**
+ * Read the favorites in an import file
+ * The format is chosen by the extension: .csv for CSV, anything else is read as JSON.
+ *
+ * @param {string} file - Path of the file
+ * @returns {Promise<Array<Object>>} - Import entries
+ * @throws {ImportFormatError} - If the file cannot be read as favorites
+ *
+ * @see {@link https://nodejs.org/api/fs.html#fspromisesreadfilepath-options | Node.js: fsPromises.readFile}
+ */
+export async function readImportFile(file) {
+  const extension = path.extname(file).toLowerCase();
+
+  if (extension === '.md' || extension === '.markdown') {
+    throw new ImportFormatError('Markdown exports are for reading only; export as json or csv to import');
+  }
+
+  const text = await fs.readFile(file, 'utf8');
+  return extension === '.csv' ? parseCsvExport(text) : parseJson(text);
+}
+
+/**
+ * Decide what to do with each import entry
+ *
+ * @param {Array<Object>} entries - Import entries
+ * @param {Array<Object>} current - Current favorite recipes
+ * @param {string} strategy - What to do with recipes that are already favorites (see MERGE_STRATEGIES)
+ * @returns {Array<Object>} - { id, name, action, reason, entry, existing } per entry;
+ *   action is "add", the strategy, or "invalid" with the reason
+ */
+export function planImport(entries, current, strategy = 'skip') {
+  const existing = new Map(current.map(recipe => [recipe.id, recipe]));
+  const seen = new Set();
+
+  return entries.map((entry, index) => {
+    const id = String(entry.meal.idMeal ?? '').trim();
+    const item = { id, name: entry.meal.strMeal || `Entry ${index + 1}`, action: 'add', reason: null, entry, existing: existing.get(id) || null };
+
+    if (!id) {
+      return { ...item, action: 'invalid', reason: 'it has no idMeal' };
+    }
+
+    if (!isValidRating(entry.rating)) {
+      return { ...item, action: 'invalid', reason: `its rating is not a whole number from 1 to ${MAX_RATING}` };
+    }
+
+    if (!entry.overrides.every(favorites.isValidOverride)) {
+      return { ...item, action: 'invalid', reason: 'an ingredient override has no ingredient name, or a measure that is not text or null' };
+    }
+
+    if (seen.has(id)) {
+      return { ...item, action: 'invalid', reason: 'it is listed earlier in the file' };
+    }
+
+    seen.add(id);
+    return item.existing ? { ...item, action: strategy } : item;
+  });
+}
+
+/**
+ * Combine the annotations of an existing favorite with imported ones
+ * Tags are joined, a rating is only taken if there was none, different notes are
+ * both kept, and imported overrides are added for ingredients without one.
+ *
+ * @param {Object} current - favorite property of the existing favorite recipe
+ * @param {Object} entry - Import entry
+ * @returns {Object} - { tags, rating, notes, overrides } for favorites.saveFavorites
+ */
+function mergeAnnotations(current, entry) {
+  const overridden = new Set(current.overrides.map(override => override.ingredient.toLowerCase()));
+  const notes = [current.notes, entry.notes].filter(Boolean);
+
+  return {
+    tags: [...current.tags, ...entry.tags],
+    rating: current.rating ?? entry.rating,
+    notes: notes.length === 2 && notes[0] !== notes[1] ? notes.join(' / ') : notes[0] || '',
+    overrides: [...current.overrides, ...entry.overrides.filter(override => !overridden.has(String(override.ingredient).toLowerCase()))]
+  };
+}
+
+/**
+ * Work out the favorite to save for one planned import (see favorites.saveFavorites)
+ *
+ * @param {Object} item - Entry of planImport whose action is "add", "overwrite" or "merge"
+ * @returns {Object} - { meal, collections, tags, rating, notes, overrides, addedAt }
+ */
+function toSavedFavorite({ id, action, entry, existing }) {
+  if (action === 'add') {
+    return entry;
+  }
+
+  if (action === 'overwrite') {
+    return { ...entry, addedAt: entry.addedAt ?? existing.favorite.addedAt };
+  }
+
+  // Merging keeps the stored recipe, so only its ID is passed on
+  return {
+    meal: { idMeal: id },
+    collections: entry.collections,
+    ...mergeAnnotations(existing.favorite, entry),
+    addedAt: existing.favorite.addedAt ?? entry.addedAt
+  };
+}
+
+/**
+ * Import favorites
+ *
+ * @param {Array<Object>} entries - Import entries (see readImportFile)
+ * @param {Object} options - Import options
+ * @param {string} options.strategy - For recipes that are already favorites: "skip" (default),
+ *   "overwrite" (replace the recipe and its annotations) or "merge" (keep both annotations)
+ * @param {boolean} options.dryRun - Only report what would be done
+ * @returns {Promise<Object>} - { dryRun, strategy, items: [{ id, name, action, reason, failed }], counts }
+ *   where counts has add, skip, overwrite, merge, invalid and failed; the changes are saved
+ *   together, so if saving fails every entry that would have changed something counts as failed
+ */
+export async function importFavorites(entries, { strategy = 'skip', dryRun = false } = {}) {
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown import strategy "${strategy}"`);
+  }
+
+  const plan = planImport(entries, await favorites.getFavorites(), strategy);
+  const changes = plan.filter(item => item.action !== 'skip' && item.action !== 'invalid');
+  const counts = { add: 0, skip: 0, overwrite: 0, merge: 0, invalid: 0, failed: 0 };
+
+  // All or nothing: if the batch is not saved, every change in it failed
+  const failed = !dryRun && changes.length > 0 && !(await favorites.saveFavorites(changes.map(toSavedFavorite)));
+
+  const items = plan.map(item => {
+    const itemFailed = failed && changes.includes(item);
+
+    counts[itemFailed ? 'failed' : item.action]++;
+    return { id: item.id, name: item.name, action: item.action, reason: item.reason, failed: itemFailed };
+  });
+
+  return { dryRun, strategy, items, counts };
+}
+
+export default {
+  EXPORT_FORMATS,
+  MERGE_STRATEGIES,
+  ImportFormatError,
+  exportFavorites,
+  readImportFile,
+  planImport,
+  importFavorites
+};
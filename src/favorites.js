@@ -1,17 +1,305 @@
 // src/favorites.js
 /**
  * This module provides functionality to manage favorite recipes
+ * Favorites are handed out as normalized recipes (see recipe-model.js)
+ * and stored on disk in TheMealDB's raw meal shape
+ *
+ * Favorites are grouped into named collections ("Weeknight", "Holiday baking"...).
+ * A recipe can be in several collections and is kept once, with its own free-form
+ * tags. Every favorite is in at least one collection, and there is always at least
+ * one collection; the first one is where new favorites go unless another is named.
+ *
+ * Each favorite also carries the user's annotations: a rating, notes, and ingredient
+ * overrides ("use half the chili"). They are stored next to the meal rather than in
+ * it, so replacing the meal with newer upstream data keeps them.
+ *
+ * On disk (schema version 4, see schema.js):
+ *   {
+ *     collections: [{ name, recipeIds: [...] }],
+ *     favorites: [{ meal, tags: [...], rating, notes, overrides: [{ ingredient, measure }], addedAt }]
+ *   }
+ * Favorites from before collections existed are moved into DEFAULT_COLLECTION.
+ * addedAt is when the recipe became a favorite (milliseconds since the epoch), or
+ * null for favorites saved before it was recorded.
+ *
+ * Reads go through an in-memory index of the file (see loadFavoritesIndex), so
+ * looking a favorite up by ID does not read and scan the whole file again.
  */
 
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { MAX_RATING, isValidRating, normalizeMeal, toRawMeal } from './recipe-model.js';
+import { withFileLock } from './file-lock.js';
+import {
+  DEFAULT_FAVORITES_COLLECTION,
+  UnsupportedVersionError,
+  createContentValidator,
+  inspectFile,
+  migrateFile,
+  readVersionedFile,
+  wrapData,
+  writeVersionedFile
+} from './schema.js';
+import { getDataPath } from './settings.js';
+import { CorruptFileError, recoverJsonFile } from './storage.js';
+
+// Stored in the data directory (see settings.js)
+const FAVORITES_FILE = getDataPath('favorites.json');
+
+// Name of the collection a new favorites file starts with
+export const DEFAULT_COLLECTION = DEFAULT_FAVORITES_COLLECTION;
+
+// Favorites shown per page by getFavoritesPage
+export const FAVORITES_PAGE_SIZE = 10;
+
+// Fields favorites can be searched by (see getFavorites and parseFavoriteSearch)
+export const SEARCH_FIELDS = ['name', 'ingredient', 'category', 'area', 'tag'];
+
+// How getFavorites can order favorites; ties keep their collection order.
+// Each compares { recipe, stored, position } entries: the favorite recipe, the
+// favorite as stored, and its position in the file (favorites are stored in the
+// order they were added).
+const FAVORITE_SORTS = {
+  // A to Z
+  name: (a, b) => a.recipe.name.localeCompare(b.recipe.name),
+  // Newest first; favorites without a date were added before any with one
+  added: (a, b) => (b.stored.addedAt ?? -1) - (a.stored.addedAt ?? -1) || b.position - a.position,
+  // Highest rated first, unrated last
+  rating: (a, b) => (b.recipe.favorite.rating ?? 0) - (a.recipe.favorite.rating ?? 0)
+};
+
+// Parsed favorites file, reused until the file changes (see loadFavoritesIndex)
+let favoritesIndex = null;
+
+/**
+ * Create the data of an empty favorites file
+ *
+ * @returns {Object} - { collections, favorites } with only the default collection
+ */
+function createEmptyFavorites() {
+  return { collections: [{ name: DEFAULT_COLLECTION, recipeIds: [] }], favorites: [] };
+}
+
+/**
+ * Check that favorites data has collections and favorites
+ *
+ * @param {any} value - Favorites data from the file
+ * @returns {boolean} - True if the value looks like favorites data
+ */
+function isFavoritesData(value) {
+  return value !== null && typeof value === 'object' &&
+    Array.isArray(value.collections) && value.collections.length > 0 && Array.isArray(value.favorites);
+}
+
+/**
+ * Read the favorites file, upgrading older formats (see schema.js)
+ * Unlike getFavorites this does not hide errors, so a damaged file is never
+ * mistaken for an empty list and written over.
+ *
+ * @returns {Promise<Object>} - { collections, favorites } with meals in the raw shape
+ * @throws {CorruptFileError} - If the favorites file is damaged
+ * @throws {UnsupportedVersionError} - If the favorites file is from a newer version of the app
+ */
+async function readFavoritesFile() {
+  await initializeFavorites();
+  return readVersionedFile(FAVORITES_FILE, 'favorites', { validate: isFavoritesData });
+}
+
+/**
+ * Read the favorites file through the in-memory index
+ * The file is only read again when its inode, size or modification time changes,
+ * which also catches changes made by another copy of the app. The data is shared
+ * between callers and must not be changed; changes go through updateFavorites.
+ *
+ * @returns {Promise<Object>} - { data, byId } where byId maps recipe IDs to { favorite, position }
+ * @throws {CorruptFileError} - If the favorites file is damaged
+ * @throws {UnsupportedVersionError} - If the favorites file is from a newer version of the app
+ *
+ * @see {@link https://nodejs.org/api/fs.html#fspromisesstatpath-options | Node.js: fsPromises.stat}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map | MDN: Map}
+ */
+async function loadFavoritesIndex() {
+  await initializeFavorites();
+
+  const { ino, size, mtimeMs } = await fs.stat(FAVORITES_FILE);
+  const stamp = `${ino}:${size}:${mtimeMs}`;
+
+  if (favoritesIndex?.stamp !== stamp) {
+    const data = await readVersionedFile(FAVORITES_FILE, 'favorites', { validate: isFavoritesData });
+    const byId = new Map(data.favorites.map((favorite, position) => [String(favorite.meal.idMeal), { favorite, position }]));
+
+    favoritesIndex = { stamp, data, byId };
+  }
+
+  return favoritesIndex;
+}
+
+/**
+ * Save favorites atomically
+ *
+ * @param {Object} data - { collections, favorites }
+ * @returns {Promise<void>}
+ */
+async function writeFavoritesFile(data) {
+  await writeVersionedFile(FAVORITES_FILE, 'favorites', data);
+  favoritesIndex = null;
+}
+
+/**
+ * Change the favorites file, reading and writing under the lock so concurrent
+ * changes all survive
+ *
+ * @param {Function} change - Changes the data in place; returns true if it changed anything
+ * @returns {Promise<boolean>} - What change returned
+ */
+function updateFavorites(change) {
+  return withFileLock(FAVORITES_FILE, async () => {
+    const data = await readFavoritesFile();
+    const changed = change(data);
+
+    if (changed) {
+      await writeFavoritesFile(data);
+    }
+    return changed;
+  });
+}
+
+/**
+ * Find a collection by name, ignoring case
+ *
+ * @param {Object} data - Favorites data
+ * @param {string} name - Collection name
+ * @returns {Object|undefined} - { name, recipeIds }
+ */
+function findCollection(data, name) {
+  const wanted = String(name).trim().toLowerCase();
+  return data.collections.find(collection => collection.name.toLowerCase() === wanted);
+}
+
+/**
+ * Find the stored favorite for a recipe ID
+ *
+ * @param {Object} data - Favorites data
+ * @param {string} recipeId - Recipe ID
+ * @returns {Object|undefined} - { meal, tags }
+ */
+function findFavorite(data, recipeId) {
+  return data.favorites.find(favorite => String(favorite.meal.idMeal) === String(recipeId));
+}
+
+/**
+ * Clean up tags: trimmed, lowercase, without blanks or repeats
+ *
+ * @param {Array<string>|string} tags - Tags, or one tag
+ * @returns {Array<string>} - Tags to store
+ */
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : [tags];
+  return Array.from(new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(tag => tag !== '')));
+}
+
+/**
+ * Compare ingredient names the way overrides match them
+ *
+ * @param {string} name - Ingredient name
+ * @returns {string} - Trimmed lowercase name
+ */
+function ingredientKey(name) {
+  return String(name).trim().toLowerCase();
+}
+
+/**
+ * Clean up ingredient overrides: trimmed names, one override per ingredient (the last wins)
+ * Overrides without an ingredient name or without a measure are dropped.
+ *
+ * @param {Array<Object>} overrides - [{ ingredient, measure }], measure null to leave the ingredient out
+ * @returns {Array<Object>} - Overrides to store
+ */
+function normalizeOverrides(overrides) {
+  const byIngredient = new Map();
+
+  for (const override of overrides) {
+    const name = String(override?.ingredient ?? '').trim();
+
+    if (name && override.measure !== undefined) {
+      const { measure } = override;
+      byIngredient.set(ingredientKey(name), { ingredient: name, measure: measure === null ? null : String(measure).trim() });
+    }
+  }
+  return Array.from(byIngredient.values());
+}
+
+/**
+ * Check an ingredient override
+ *
+ * @param {any} override - Override to store
+ * @returns {boolean} - True for { ingredient, measure } with an ingredient name and a measure
+ *   that is text, or null to leave the ingredient out
+ */
+export function isValidOverride(override) {
+  return Boolean(override) && typeof override.ingredient === 'string' && override.ingredient.trim() !== '' &&
+    (typeof override.measure === 'string' || override.measure === null);
+}
+
+/**
+ * Turn a stored favorite into a normalized recipe with its favorite details
+ * The details are copies, so changing the recipe never changes the index.
+ *
+ * @param {Object} data - Favorites data
+ * @param {Object} favorite - Stored favorite ({ meal, tags, rating, notes, overrides })
+ * @returns {Object} - Normalized recipe plus favorite: { tags, collections, rating, notes, overrides, addedAt }
+ */
+function toFavoriteRecipe(data, favorite) {
+  const recipe = normalizeMeal(favorite.meal);
+  const collections = data.collections.filter(collection => collection.recipeIds.includes(recipe.id)).map(collection => collection.name);
+  const { tags, rating, notes, overrides, addedAt } = favorite;
 
-// Get the directory path using ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+  return {
+    ...recipe,
+    favorite: { tags: [...tags], collections, rating, notes, overrides: overrides.map(override => ({ ...override })), addedAt }
+  };
+}
+
+/**
+ * Check a favorite recipe against search filters
+ * Names and ingredients match on part of the text, categories, areas and tags on
+ * the whole of it, all without regard to case. Ingredients are searched as the user
+ * cooks the recipe: ones they added with an override count, ones they leave out do not.
+ *
+ * @param {Object} recipe - Favorite recipe (see toFavoriteRecipe)
+ * @param {Object} filters - { name, ingredient, category, area, tag }, each optional
+ * @returns {boolean} - True if the recipe matches every filter given
+ */
+function matchesSearch(recipe, { name, ingredient, category, area, tag }) {
+  const includes = (text, part) => String(text || '').toLowerCase().includes(String(part).trim().toLowerCase());
+  const equals = (text, other) => String(text || '').toLowerCase() === String(other).trim().toLowerCase();
+  const omitted = new Set(recipe.favorite.overrides.filter(override => override.measure === null).map(override => ingredientKey(override.ingredient)));
+  const ingredients = [
+    ...recipe.ingredients.map(item => item.name).filter(item => !omitted.has(ingredientKey(item))),
+    ...recipe.favorite.overrides.filter(override => override.measure !== null).map(override => override.ingredient)
+  ];
 
-const FAVORITES_FILE = path.join(__dirname, '../data/favorites.json');
+  return (name === undefined || includes(recipe.name, name)) &&
+    (ingredient === undefined || ingredients.some(item => includes(item, ingredient))) &&
+    (category === undefined || equals(recipe.category, category)) &&
+    (area === undefined || equals(recipe.area, area)) &&
+    (tag === undefined || recipe.favorite.tags.includes(normalizeTags(tag)[0]));
+}
+
+/**
+ * Log why reading favorites failed
+ *
+ * @param {Error} error - Error from readFavoritesFile
+ */
+function reportReadError(error) {
+  if (error instanceof CorruptFileError) {
+    console.error(`${error.message}. Your favorites have not been changed; restart the app to restore them from the backup.`);
+  } else if (error instanceof UnsupportedVersionError) {
+    console.error(error.message);
+  } else {
+    console.error('error loading favorites');
+  }
+}
 
 /**
  * Initialize favorites file if it doesn't exist
@@ -36,9 +324,9 @@ export async function initializeFavorites() {
     try {
       await fs.mkdir(dir, { recursive: true });
 
-      await fs.writeFile(FAVORITES_FILE, JSON.stringify([]))
+      await writeFavoritesFile(createEmptyFavorites());
 
-      console.log('Favorites initialized.');
+      console.warn('Favorites initialized.');
     } catch (writeError) {
       console.error('error creating Favorites file:', writeError);
     }
@@ -51,40 +339,159 @@ export async function initializeFavorites() {
 }
 
 /**
- * Get all favorite recipes
+ * Check the favorites file at startup, restoring it from the backup if it is damaged
+ * and rewriting it in the current format if it is older
+ *
+ * @returns {Promise<Object>} - Result of recoverJsonFile ({ status, movedTo }) plus the result of migrateFile as migration
+ * @throws {UnsupportedVersionError} - If the favorites file is from a newer version of the app
+ */
+export async function checkFavoritesFile() {
+  await fs.mkdir(path.dirname(FAVORITES_FILE), { recursive: true });
+
+  return withFileLock(FAVORITES_FILE, async () => {
+    const check = await recoverJsonFile(FAVORITES_FILE, { fallback: wrapData('favorites', createEmptyFavorites()), validate: createContentValidator('favorites', isFavoritesData) });
+    return { ...check, migration: await migrateFile(FAVORITES_FILE, 'favorites', { validate: isFavoritesData }) };
+  });
+}
+
+/**
+ * Describe the favorites file without changing it (see schema.inspectFile)
+ *
+ * @returns {Promise<Object>} - { file, exists, version, current, valid, data, error }
+ */
+export async function inspectFavoritesFile() {
+  return { file: FAVORITES_FILE, ...(await inspectFile(FAVORITES_FILE, 'favorites', { validate: isFavoritesData })) };
+}
+
+/**
+ * Get favorite recipes, optionally only those in a collection or matching a search
+ * Each recipe has a favorite property listing its tags and collections. Searching
+ * works on the saved favorites only, so it also works offline.
  *
- * @returns {Promise<Array>} - Array of favorite recipes
+ * @param {Object} filters - Filters
+ * @param {string} filters.collection - Only recipes in this collection, in its order
+ * @param {string} filters.name - Only recipes whose name contains this
+ * @param {string} filters.ingredient - Only recipes with an ingredient whose name contains this
+ * @param {string} filters.category - Only recipes in this category
+ * @param {string} filters.area - Only recipes from this area (cuisine)
+ * @param {string} filters.tag - Only recipes with this tag
+ * @param {string} filters.sort - "name" (A to Z), "added" (newest first) or "rating"
+ *   (highest first); default: collection order
+ * @returns {Promise<Array>} - Array of favorite recipes (normalized, plus favorite: { tags, collections, rating, notes, overrides, addedAt })
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/parse | MDN: JSON.parse}
  */
-export async function getFavorites() {
+export async function getFavorites({ collection, sort, ...search } = {}) {
   // CHALLENGE 13: Implement getFavorites function
   // 1. Make sure favorites file exists by calling initializeFavorites
   // 2. Read the favorites file using fs.readFile
   // 3. Parse the JSON data and return it
   // 4. Handle any errors and return an empty array if something goes wrong
 
+  if (sort !== undefined && !Object.hasOwn(FAVORITE_SORTS, sort)) {
+    console.error(`Favorites cannot be sorted by "${sort}"`);
+    return [];
+  }
+
   try {
-    await initializeFavorites();
-    const fav = await fs.readFile(FAVORITES_FILE);
-    const arr = JSON.parse(fav);
-    return arr;
+    const { data, byId } = await loadFavoritesIndex();
+    let list = data.favorites.map((favorite, position) => ({ favorite, position }));
+
+    if (collection !== undefined) {
+      const found = findCollection(data, collection);
+
+      if (!found) {
+        console.error(`No collection named "${collection}"`);
+        return [];
+      }
+
+      list = found.recipeIds.map(id => byId.get(String(id))).filter(Boolean);
+    }
+
+    const entries = list
+      .map(({ favorite, position }) => ({ recipe: toFavoriteRecipe(data, favorite), stored: favorite, position }))
+      .filter(({ recipe }) => matchesSearch(recipe, search));
+
+    if (sort !== undefined) {
+      entries.sort(FAVORITE_SORTS[sort]);
+    }
+    return entries.map(({ recipe }) => recipe);
   } catch (error) {
-    console.log('error loading favorites');
+    reportReadError(error);
     return [];
   }
 }
 
+/**
+ * Get one page of favorite recipes
+ *
+ * @param {Object} options - The filters and sort of getFavorites, plus:
+ * @param {number} options.page - Page number, from 1; pages past the end give the last page
+ * @param {number} options.pageSize - Recipes per page (default: FAVORITES_PAGE_SIZE)
+ * @returns {Promise<Object>} - { recipes, page, pages, total } where total counts every
+ *   matching favorite and pages is at least 1
+ */
+export async function getFavoritesPage({ page = 1, pageSize = FAVORITES_PAGE_SIZE, ...filters } = {}) {
+  const found = await getFavorites(filters);
+  const pages = Math.max(1, Math.ceil(found.length / pageSize));
+  const current = Math.min(Math.max(1, Math.trunc(page) || 1), pages);
+
+  return {
+    recipes: found.slice((current - 1) * pageSize, current * pageSize),
+    page: current,
+    pages,
+    total: found.length
+  };
+}
+
+/**
+ * Split a search typed by the user into getFavorites filters
+ * Words written as field:value (e.g. ingredient:garlic, area:indian, or
+ * tag:"date night" for a value with spaces) search that field; the other words
+ * are looked for in the name.
+ *
+ * @param {string} text - Search text
+ * @returns {Object} - Filters for getFavorites, without the fields not searched
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/replace | MDN: String.replace}
+ */
+export function parseFavoriteSearch(text) {
+  const filters = {};
+
+  const rest = String(text ?? '').replace(/(\w+):(?:"([^"]*)"|(\S+))/g, (match, field, quoted, word) => {
+    const key = field.toLowerCase();
+
+    if (!SEARCH_FIELDS.includes(key)) {
+      return match;
+    }
+
+    filters[key] = (quoted ?? word).trim();
+    return ' ';
+  });
+
+  const name = rest.replace(/\s+/g, ' ').trim();
+
+  if (name) {
+    filters.name = name;
+  }
+  return filters;
+}
+
 /**
  * Add a recipe to favorites
+ * A recipe that is already a favorite is added to the collection (and gets the
+ * tags) if it is not in that collection yet.
  *
- * @param {Object} recipe - Recipe to add
+ * @param {Object} recipe - Recipe to add (normalized recipe or raw meal object)
+ * @param {Object} options - Options
+ * @param {string} options.collection - Collection to add it to (default: the first collection)
+ * @param {Array<string>} options.tags - Tags to give it
  * @returns {Promise<boolean>} - True if added successfully
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/some | MDN: Array.some}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/push | MDN: Array.push}
  */
-export async function addFavorite(recipe) {
+export async function addFavorite(recipe, { collection, tags = [] } = {}) {
   // CHALLENGE 14: Implement addFavorite function
   // 1. Make sure favorites file exists by calling initializeFavorites
   // 2. Get current favorites by calling getFavorites
@@ -96,19 +503,32 @@ export async function addFavorite(recipe) {
   // 8. Handle any errors and return false on failure
 
   try {
-    await initializeFavorites();
-    const current = await getFavorites();
+    // Read and write under the lock so concurrent adds and removes all survive
+    return await updateFavorites(data => {
+      const favorite = normalizeMeal(recipe);
+      const target = collection === undefined ? data.collections[0] : findCollection(data, collection);
 
-    if (current.some(fav => fav.idMeal === recipe.idMeal)) {
-      console.error('recipe already exist')
-      return false;
-    }
+      if (!target) {
+        console.error(`No collection named "${collection}"`);
+        return false;
+      }
 
-    current.push(recipe);
+      if (target.recipeIds.includes(favorite.id)) {
+        console.error('recipe already exist')
+        return false;
+      }
 
-    await fs.writeFile(FAVORITES_FILE, JSON.stringify(current, null, 2))
+      const existing = findFavorite(data, favorite.id);
 
-    return true;
+      if (existing) {
+        existing.tags = normalizeTags([...existing.tags, ...tags]);
+      } else {
+        data.favorites.push({ meal: toRawMeal(favorite), tags: normalizeTags(tags), rating: null, notes: '', overrides: [], addedAt: Date.now() });
+      }
+
+      target.recipeIds.push(favorite.id);
+      return true;
+    });
   } catch (error) {
     console.error('Error adding favorite:', error.message);
     return false;
@@ -116,7 +536,7 @@ export async function addFavorite(recipe) {
 }
 
 /**
- * Remove a recipe from favorites
+ * Remove a recipe from favorites, and so from every collection
  *
  * @param {string} recipeId - ID of recipe to remove
  * @returns {Promise<boolean>} - True if removed successfully
@@ -136,22 +556,22 @@ export async function removeFavorite(recipeId) {
   // 8. Handle any errors and return false on failure
 
   try {
-    await initializeFavorites();
-    const current = await getFavorites();
-
-    const initLength = current.length;
-
-    const filtered = current.filter((object) => object.idMeal != recipeId);
+    return await updateFavorites(data => {
+      const initLength = data.favorites.length;
 
-    if (filtered.length === initLength) {
-      console.error("Recipe not found");
-      return false;
-    }
+      data.favorites = data.favorites.filter((favorite) => favorite.meal.idMeal != recipeId);
 
-    await fs.writeFile(FAVORITES_FILE, JSON.stringify(filtered, null, 2))
+      if (data.favorites.length === initLength) {
+        console.error("Recipe not found");
+        return false;
+      }
 
-    return true;
+      for (const collection of data.collections) {
+        collection.recipeIds = collection.recipeIds.filter(id => id != recipeId);
+      }
 
+      return true;
+    });
   } catch (error) {
     console.error("something went wrong", error);
     return false;
@@ -172,9 +592,9 @@ export async function isInFavorites(recipeId) {
   // 4. Handle any errors and return false on failure
 
   try {
-    const arr = await getFavorites();
+    const { byId } = await loadFavoritesIndex();
 
-    const res = arr.some((object) => object.idMeal === recipeId);
+    const res = byId.has(String(recipeId));
 
     if (res === false) {
       console.error('recipe not found');
@@ -194,9 +614,9 @@ export async function isInFavorites(recipeId) {
  * Get a specific favorite recipe by ID
  *
  * @param {string} recipeId - Recipe ID to get
- * @returns {Promise<Object|null>} - Recipe object or null if not found
+ * @returns {Promise<Object|null>} - Normalized recipe or null if not found
  *
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/find | MDN: Array.find}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map/get | MDN: Map.get}
  */
 export async function getFavoriteById(recipeId) {
   // CHALLENGE 17: Implement getFavoriteById function
@@ -206,27 +626,522 @@ export async function getFavoriteById(recipeId) {
   // 4. Handle any errors and return null on failure
 
   try {
-    const fav = await getFavorites();
+    const { data, byId } = await loadFavoritesIndex();
 
-    const found = fav.find((element) => element.idMeal === recipeId);
+    const found = byId.get(String(recipeId));
 
     if (!found) {
       console.error('recipe not found');
       return null;
     }
 
-    return found;
+    return toFavoriteRecipe(data, found.favorite);
   } catch (error) {
     console.error("something went wrong", error);
     return null;
   }
 }
 
+/**
+ * Run a change to the favorites, logging any failure
+ *
+ * @param {string} action - What is being done, for the error message
+ * @param {Function} change - Change for updateFavorites
+ * @returns {Promise<boolean>} - True if the favorites were changed
+ */
+async function changeFavorites(action, change) {
+  try {
+    return await updateFavorites(change);
+  } catch (error) {
+    console.error(`Error ${action}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Run a change to one stored favorite, logging any failure
+ *
+ * @param {string} action - What is being done, for the error message
+ * @param {string} recipeId - ID of the favorite
+ * @param {Function} change - Changes the stored favorite in place; returns false if it refused
+ * @returns {Promise<boolean>} - True if the favorite was found and changed
+ */
+function changeFavorite(action, recipeId, change) {
+  return changeFavorites(action, data => {
+    const favorite = findFavorite(data, recipeId);
+
+    if (!favorite) {
+      console.error('Recipe not found');
+      return false;
+    }
+
+    return change(favorite) !== false;
+  });
+}
+
+/**
+ * List the collections with how many recipes each holds
+ *
+ * @returns {Promise<Array<{name: string, count: number}>>} - Collections in order (empty if the file cannot be read)
+ */
+export async function getCollections() {
+  try {
+    const { data } = await loadFavoritesIndex();
+    return data.collections.map(collection => ({ name: collection.name, count: collection.recipeIds.length }));
+  } catch (error) {
+    reportReadError(error);
+    return [];
+  }
+}
+
+/**
+ * Create an empty collection
+ *
+ * @param {string} name - Name of the new collection
+ * @returns {Promise<boolean>} - True if it was created
+ */
+export function createCollection(name) {
+  const trimmed = String(name).trim();
+
+  return changeFavorites('creating collection', data => {
+    if (!trimmed) {
+      console.error('A collection needs a name');
+      return false;
+    }
+
+    if (findCollection(data, trimmed)) {
+      console.error(`There is already a collection named "${trimmed}"`);
+      return false;
+    }
+
+    data.collections.push({ name: trimmed, recipeIds: [] });
+    return true;
+  });
+}
+
+/**
+ * Rename a collection
+ *
+ * @param {string} name - Current name
+ * @param {string} newName - New name, not used by another collection
+ * @returns {Promise<boolean>} - True if it was renamed
+ */
+export function renameCollection(name, newName) {
+  const trimmed = String(newName).trim();
+
+  return changeFavorites('renaming collection', data => {
+    const collection = findCollection(data, name);
+    const clash = findCollection(data, trimmed);
+
+    if (!collection) {
+      console.error(`No collection named "${name}"`);
+      return false;
+    }
+
+    if (!trimmed) {
+      console.error('A collection needs a name');
+      return false;
+    }
+
+    if (clash && clash !== collection) {
+      console.error(`There is already a collection named "${clash.name}"`);
+      return false;
+    }
+
+    collection.name = trimmed;
+    return true;
+  });
+}
+
+/**
+ * Delete a collection
+ * Recipes that are in no other collection move to the first remaining one, so no
+ * favorite is lost. The last collection cannot be deleted.
+ *
+ * @param {string} name - Name of the collection
+ * @returns {Promise<boolean>} - True if it was deleted
+ */
+export function deleteCollection(name) {
+  return changeFavorites('deleting collection', data => {
+    const collection = findCollection(data, name);
+
+    if (!collection) {
+      console.error(`No collection named "${name}"`);
+      return false;
+    }
+
+    if (data.collections.length === 1) {
+      console.error('The last collection cannot be deleted');
+      return false;
+    }
+
+    data.collections = data.collections.filter(other => other !== collection);
+
+    const kept = data.collections[0];
+    const orphans = collection.recipeIds.filter(id => !data.collections.some(other => other.recipeIds.includes(id)));
+    kept.recipeIds.push(...orphans);
+
+    return true;
+  });
+}
+
+/**
+ * Add a favorite to another collection as well
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {string} to - Collection to add it to
+ * @returns {Promise<boolean>} - True if it was copied
+ */
+export function copyFavorite(recipeId, to) {
+  return changeFavorites('copying favorite', data => {
+    const target = findCollection(data, to);
+    const id = String(recipeId);
+
+    if (!findFavorite(data, id)) {
+      console.error('Recipe not found');
+      return false;
+    }
+
+    if (!target) {
+      console.error(`No collection named "${to}"`);
+      return false;
+    }
+
+    if (target.recipeIds.includes(id)) {
+      console.error(`The recipe is already in "${target.name}"`);
+      return false;
+    }
+
+    target.recipeIds.push(id);
+    return true;
+  });
+}
+
+/**
+ * Move a favorite from one collection to another
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {string} from - Collection it is in now
+ * @param {string} to - Collection to move it to
+ * @returns {Promise<boolean>} - True if it was moved
+ */
+export function moveFavorite(recipeId, from, to) {
+  return changeFavorites('moving favorite', data => {
+    const source = findCollection(data, from);
+    const target = findCollection(data, to);
+    const id = String(recipeId);
+
+    if (!source || !target) {
+      console.error(`No collection named "${source ? to : from}"`);
+      return false;
+    }
+
+    if (!source.recipeIds.includes(id)) {
+      console.error(`The recipe is not in "${source.name}"`);
+      return false;
+    }
+
+    if (source === target) {
+      console.error(`The recipe is already in "${target.name}"`);
+      return false;
+    }
+
+    source.recipeIds = source.recipeIds.filter(other => other !== id);
+
+    // It stays in the target once if it was already there
+    if (!target.recipeIds.includes(id)) {
+      target.recipeIds.push(id);
+    }
+    return true;
+  });
+}
+
+/**
+ * Add tags to a favorite
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {Array<string>} tags - Tags to add (stored trimmed and in lowercase)
+ * @returns {Promise<boolean>} - True if the favorite was found
+ */
+export function tagFavorite(recipeId, tags) {
+  return changeFavorite('tagging favorite', recipeId, favorite => {
+    favorite.tags = normalizeTags([...favorite.tags, ...normalizeTags(tags)]);
+  });
+}
+
+/**
+ * Remove tags from a favorite
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {Array<string>} tags - Tags to remove
+ * @returns {Promise<boolean>} - True if the favorite was found
+ */
+export function untagFavorite(recipeId, tags) {
+  const removed = normalizeTags(tags);
+
+  return changeFavorite('untagging favorite', recipeId, favorite => {
+    favorite.tags = favorite.tags.filter(tag => !removed.includes(tag));
+  });
+}
+
+/**
+ * List the tags used on favorites with how many favorites have each
+ *
+ * @returns {Promise<Array<{tag: string, count: number}>>} - Tags in alphabetical order
+ */
+export async function getTags() {
+  const counts = new Map();
+
+  for (const recipe of await getFavorites()) {
+    for (const tag of recipe.favorite.tags) {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+  }
+
+  return Array.from(counts, ([tag, count]) => ({ tag, count })).sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Rate a favorite
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {number|null} rating - Whole number from 1 to MAX_RATING, or null to clear the rating
+ * @returns {Promise<boolean>} - True if the rating was saved
+ */
+export function rateFavorite(recipeId, rating) {
+  if (!isValidRating(rating)) {
+    console.error(`A rating must be a whole number from 1 to ${MAX_RATING}`);
+    return Promise.resolve(false);
+  }
+
+  return changeFavorite('rating favorite', recipeId, favorite => {
+    favorite.rating = rating;
+  });
+}
+
+/**
+ * Replace the notes on a favorite
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {string} notes - Free text; empty to clear the notes
+ * @returns {Promise<boolean>} - True if the notes were saved
+ */
+export function setFavoriteNotes(recipeId, notes) {
+  return changeFavorite('saving notes', recipeId, favorite => {
+    favorite.notes = String(notes ?? '').trim();
+  });
+}
+
+/**
+ * Override the measure of an ingredient in a favorite
+ * An ingredient the recipe does not have is added; a null measure leaves the
+ * ingredient out. Replaces any earlier override of the same ingredient.
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {string} ingredient - Ingredient name (matched without regard to case)
+ * @param {string|null} measure - Measure to use instead, or null to leave the ingredient out
+ * @returns {Promise<boolean>} - True if the override was saved
+ */
+export function setIngredientOverride(recipeId, ingredient, measure) {
+  const name = String(ingredient ?? '').trim();
+
+  if (!name) {
+    console.error('An override needs an ingredient');
+    return Promise.resolve(false);
+  }
+
+  return changeFavorite('saving ingredient override', recipeId, favorite => {
+    const others = favorite.overrides.filter(override => ingredientKey(override.ingredient) !== ingredientKey(name));
+    favorite.overrides = [...others, { ingredient: name, measure: measure === null ? null : String(measure).trim() }];
+  });
+}
+
+/**
+ * Remove the override of an ingredient, going back to the recipe's own measure
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {string} ingredient - Ingredient name (matched without regard to case)
+ * @returns {Promise<boolean>} - True if there was an override to remove
+ */
+export function removeIngredientOverride(recipeId, ingredient) {
+  return changeFavorite('removing ingredient override', recipeId, favorite => {
+    const kept = favorite.overrides.filter(override => ingredientKey(override.ingredient) !== ingredientKey(ingredient));
+
+    if (kept.length === favorite.overrides.length) {
+      console.error(`No override for "${ingredient}"`);
+      return false;
+    }
+
+    favorite.overrides = kept;
+  });
+}
+
+/**
+ * Replace several annotations of a favorite at once
+ * Only the fields given are changed.
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {Object} annotations - New values
+ * @param {Array<string>} annotations.tags - Tags (stored trimmed and in lowercase)
+ * @param {number|null} annotations.rating - Whole number from 1 to MAX_RATING, or null
+ * @param {string} annotations.notes - Free text
+ * @param {Array<Object>} annotations.overrides - [{ ingredient, measure }], measure null to leave the ingredient out
+ * @returns {Promise<boolean>} - True if the annotations were saved
+ */
+export function setFavoriteAnnotations(recipeId, { tags, rating, notes, overrides } = {}) {
+  if (rating !== undefined && !isValidRating(rating)) {
+    console.error(`A rating must be a whole number from 1 to ${MAX_RATING}`);
+    return Promise.resolve(false);
+  }
+
+  return changeFavorite('saving annotations', recipeId, favorite => {
+    if (tags !== undefined) {
+      favorite.tags = normalizeTags(tags);
+    }
+
+    if (rating !== undefined) {
+      favorite.rating = rating;
+    }
+
+    if (notes !== undefined) {
+      favorite.notes = String(notes ?? '').trim();
+    }
+
+    if (overrides !== undefined) {
+      favorite.overrides = normalizeOverrides(overrides);
+    }
+  });
+}
+
+/**
+ * Save several whole favorites in one change, e.g. for an import
+ * Either every favorite is saved or, if one is refused, none is. A recipe that is
+ * not a favorite yet is added; an existing one gets the recipe data and annotations
+ * given. A partial meal (without instructions, like one from a CSV export) only
+ * replaces the fields it has, so an existing favorite keeps its ingredients and
+ * instructions. Favorites are added to the collections named, which are created if they do
+ * not exist; a new favorite without any goes to the first collection. Collections
+ * are only added to, never left.
+ *
+ * @param {Array<Object>} entries - { meal, collections, tags, rating, notes, overrides, addedAt };
+ *   meal is a raw meal object (just { idMeal } keeps the stored recipe), addedAt is kept from the existing favorite (or now) when missing
+ * @returns {Promise<boolean>} - True if every favorite was saved
+ */
+export function saveFavorites(entries) {
+  const invalid = entries.find(entry => !isValidRating(entry.rating ?? null));
+
+  if (invalid) {
+    console.error(`A rating must be a whole number from 1 to ${MAX_RATING}`);
+    return Promise.resolve(false);
+  }
+
+  return changeFavorites('saving favorites', data => {
+    for (const { meal, collections = [], tags = [], rating = null, notes = '', overrides = [], addedAt } of entries) {
+      const id = String(meal.idMeal);
+      const existing = findFavorite(data, id);
+      const favorite = {
+        meal: existing && normalizeMeal(meal).partial ? { ...existing.meal, ...meal } : meal,
+        tags: normalizeTags(tags),
+        rating,
+        notes: String(notes ?? '').trim(),
+        overrides: normalizeOverrides(overrides),
+        addedAt: addedAt ?? existing?.addedAt ?? Date.now()
+      };
+
+      if (existing) {
+        Object.assign(existing, favorite);
+      } else {
+        data.favorites.push(favorite);
+      }
+
+      const names = collections.map(name => String(name).trim()).filter(name => name !== '');
+      const targets = names.map(name => {
+        const found = findCollection(data, name);
+        const created = found || { name, recipeIds: [] };
+
+        if (!found) {
+          data.collections.push(created);
+        }
+        return created;
+      });
+
+      if (!existing && targets.length === 0) {
+        targets.push(data.collections[0]);
+      }
+
+      for (const collection of targets.filter(target => !target.recipeIds.includes(id))) {
+        collection.recipeIds.push(id);
+      }
+    }
+
+    return entries.length > 0;
+  });
+}
+
+/**
+ * Replace the recipe data of a favorite, e.g. with newer data from TheMealDB
+ * Its collections, tags and annotations are kept.
+ *
+ * @param {Object} recipe - Newer recipe (normalized recipe or raw meal object) with the same ID
+ * @returns {Promise<boolean>} - True if the favorite was updated
+ */
+export function updateFavoriteRecipe(recipe) {
+  const updated = normalizeMeal(recipe);
+
+  return changeFavorite('updating favorite', updated.id, favorite => {
+    favorite.meal = toRawMeal(updated);
+  });
+}
+
+/**
+ * Add the favorite details (tags, collections and annotations) to a recipe if it is a favorite
+ * Unlike getFavoriteById this is quiet when the recipe is not a favorite.
+ *
+ * @param {Object} recipe - Normalized recipe
+ * @returns {Promise<Object>} - The recipe plus favorite: {...}, or the recipe unchanged
+ */
+export async function withFavoriteDetails(recipe) {
+  try {
+    const { data, byId } = await loadFavoritesIndex();
+    const found = byId.get(String(recipe.id));
+
+    return found ? { ...recipe, favorite: toFavoriteRecipe(data, found.favorite).favorite } : recipe;
+  } catch (error) {
+    reportReadError(error);
+    return recipe;
+  }
+}
+
 export default {
+  DEFAULT_COLLECTION,
+  FAVORITES_PAGE_SIZE,
+  SEARCH_FIELDS,
+  isValidOverride,
   initializeFavorites,
+  checkFavoritesFile,
+  inspectFavoritesFile,
   getFavorites,
+  getFavoritesPage,
+  parseFavoriteSearch,
   addFavorite,
   removeFavorite,
   isInFavorites,
-  getFavoriteById
+  getFavoriteById,
+  getCollections,
+  createCollection,
+  renameCollection,
+  deleteCollection,
+  copyFavorite,
+  moveFavorite,
+  tagFavorite,
+  untagFavorite,
+  getTags,
+  rateFavorite,
+  setFavoriteNotes,
+  setIngredientOverride,
+  removeIngredientOverride,
+  setFavoriteAnnotations,
+  saveFavorites,
+  updateFavoriteRecipe,
+  withFavoriteDetails
 };
@@ -0,0 +1,273 @@
+// src/file-lock.js
+/**
+ * Exclusive access to data files for read-modify-write updates
+ * Within one process, updates to the same file wait in a queue. Across processes
+ * (e.g. two CLI commands running at once) an advisory "<file>.lock" file is held
+ * while the update runs. A lock left behind by a process that died is taken over.
+ *
+ * The lock file holds "<pid> <token>": the process ID, so others can tell whether
+ * the holder is still running, and a token that is new for every lock, so a process
+ * only ever removes its own lock. Removing someone else's stale lock happens while
+ * holding "<file>.lock.takeover", after checking again that it is the same stale file,
+ * so two processes taking over at once cannot remove a lock that was just taken.
+ */
+
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+
+export const DEFAULT_LOCK_OPTIONS = {
+  timeoutMs: 5000,   // Give up waiting for another process after this long
+  staleMs: 10000,    // Age after which a lock with no running owner is treated as abandoned
+  retryDelayMs: 25   // Wait between attempts to take a lock held by another process
+};
+
+// Tail of the queue of updates waiting for each file in this process
+const queues = new Map();
+
+// Contents of the lock files this process holds now
+const ownLocks = new Set();
+
+/**
+ * Raised when another process holds a file's lock for longer than the timeout
+ */
+export class LockTimeoutError extends Error {
+  constructor(file, timeoutMs) {
+    super(`${file} is being updated by another running copy of the app (waited ${timeoutMs / 1000} seconds)`);
+    this.name = 'LockTimeoutError';
+    this.file = file;
+  }
+}
+
+/**
+ * Get the path of the lock file for a data file
+ *
+ * @param {string} file - Path of the data file
+ * @returns {string} - Path of the lock file
+ */
+export function getLockPath(file) {
+  return `${file}.lock`;
+}
+
+/**
+ * Wait for a number of milliseconds
+ *
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Check whether a process is running
+ *
+ * @param {number} pid - Process ID
+ * @returns {boolean} - False only if there is no such process
+ *
+ * @see {@link https://nodejs.org/api/process.html#processkillpid-signal | Node.js: process.kill}
+ */
+function isRunning(pid) {
+  try {
+    // Signal 0 only checks that the process exists
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: it exists but belongs to another user
+    return error.code !== 'ESRCH';
+  }
+}
+
+/**
+ * Find out whether a lock file is still held
+ * A lock is held for as long as the process that took it runs, however long its
+ * update takes. Age only counts when there is no process to ask: the file is still
+ * being written, or it names this process but was left by an earlier one with the
+ * same ID.
+ *
+ * @param {string} lockPath - Path of the lock file
+ * @param {number} staleMs - Age after which a lock without a running process is abandoned
+ * @returns {Promise<{state: string, ino: number|null}>} - state is 'held', 'released' (gone meanwhile)
+ *   or 'stale' (left behind); ino identifies the lock file that was looked at
+ */
+async function getLockState(lockPath, staleMs) {
+  try {
+    const content = await fs.readFile(lockPath, 'utf8');
+    const { ino, mtimeMs } = await fs.stat(lockPath);
+    const pid = parseInt(content, 10);
+
+    if (Number.isInteger(pid) && pid > 0 && pid !== process.pid) {
+      return { state: isRunning(pid) ? 'held' : 'stale', ino };
+    }
+
+    if (pid === process.pid && ownLocks.has(content)) {
+      return { state: 'held', ino };
+    }
+
+    return { state: Date.now() - mtimeMs > staleMs ? 'stale' : 'held', ino };
+  } catch (error) {
+    return { state: error.code === 'ENOENT' ? 'released' : 'held', ino: null };
+  }
+}
+
+/**
+ * Remove a stale lock file, unless it changed since it was found stale
+ * Only one process at a time does this, under "<lock>.takeover"; if another one
+ * already is, this returns and the caller tries again.
+ *
+ * @param {string} lockPath - Path of the lock file
+ * @param {number} ino - Inode of the lock file that was found stale
+ * @param {number} staleMs - Age after which a lock with no running owner, or a leftover takeover guard, is abandoned
+ * @returns {Promise<void>}
+ */
+async function removeStaleLock(lockPath, ino, staleMs) {
+  const guardPath = `${lockPath}.takeover`;
+
+  try {
+    await (await fs.open(guardPath, 'wx')).close();
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+
+    // The guard is only held for a moment; an old one was left by a process that died
+    const guard = await fs.stat(guardPath).catch(() => null);
+
+    if (guard && Date.now() - guard.mtimeMs > staleMs) {
+      await fs.rm(guardPath, { force: true });
+    }
+    return;
+  }
+
+  try {
+    // Nobody else removes a stale lock while the guard is held, and a running holder
+    // only removes its own, so the file checked here is the one removed
+    const current = await getLockState(lockPath, staleMs);
+
+    if (current.state === 'stale' && current.ino === ino) {
+      await fs.rm(lockPath, { force: true });
+    }
+  } finally {
+    await fs.rm(guardPath, { force: true });
+  }
+}
+
+/**
+ * Remove a lock file if this process still holds it
+ *
+ * @param {string} lockPath - Path of the lock file
+ * @param {string} token - Content written when the lock was taken
+ * @returns {Promise<void>}
+ */
+async function releaseLock(lockPath, token) {
+  ownLocks.delete(token);
+
+  try {
+    if ((await fs.readFile(lockPath, 'utf8')) !== token) {
+      return;
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return;
+    }
+  }
+
+  await fs.rm(lockPath, { force: true });
+}
+
+/**
+ * Create the lock file, waiting while another process holds it
+ *
+ * @param {string} file - Path of the data file
+ * @param {Object} options - Lock options (see DEFAULT_LOCK_OPTIONS)
+ * @returns {Promise<string>} - Token to release the lock with
+ * @throws {LockTimeoutError} - If the lock is not released in time
+ *
+ * @see {@link https://nodejs.org/api/fs.html#file-system-flags | Node.js: file system flags}
+ * @see {@link https://nodejs.org/api/crypto.html#cryptorandomuuidoptions | Node.js: crypto.randomUUID}
+ */
+async function acquireLock(file, { timeoutMs, staleMs, retryDelayMs }) {
+  const lockPath = getLockPath(file);
+  const deadline = Date.now() + timeoutMs;
+  const token = `${process.pid} ${randomUUID()}`;
+
+  for (;;) {
+    try {
+      // "wx" fails if the file already exists, so only one process can create it
+      const handle = await fs.open(lockPath, 'wx');
+      ownLocks.add(token);
+      try {
+        await handle.writeFile(token);
+      } finally {
+        await handle.close();
+      }
+      return token;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const { state, ino } = await getLockState(lockPath, staleMs);
+
+    if (state === 'released') {
+      continue;
+    }
+
+    if (state === 'stale') {
+      await removeStaleLock(lockPath, ino, staleMs);
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new LockTimeoutError(file, timeoutMs);
+    }
+
+    await sleep(retryDelayMs + Math.random() * retryDelayMs);
+  }
+}
+
+/**
+ * Run a task while holding exclusive access to a file
+ * Tasks for the same file run one at a time in the order they were queued, even
+ * when earlier ones fail. Do not lock the same file again inside the task.
+ *
+ * @param {string} file - Path of the data file
+ * @param {Function} task - Function that reads, changes and writes the file; may return a promise
+ * @param {Object} options - Lock options, defaults in DEFAULT_LOCK_OPTIONS
+ * @returns {Promise<any>} - Result of the task
+ * @throws {LockTimeoutError} - If another process holds the lock for too long
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/finally | MDN: Promise.finally}
+ */
+export function withFileLock(file, task, options = {}) {
+  const settings = { ...DEFAULT_LOCK_OPTIONS, ...options };
+  const previous = queues.get(file) || Promise.resolve();
+
+  const result = previous.then(async () => {
+    const token = await acquireLock(file, settings);
+
+    try {
+      return await task();
+    } finally {
+      await releaseLock(getLockPath(file), token);
+    }
+  });
+
+  // The next task waits for this one whether it succeeds or fails
+  const tail = result.catch(() => { });
+  queues.set(file, tail);
+  tail.then(() => {
+    if (queues.get(file) === tail) {
+      queues.delete(file);
+    }
+  });
+
+  return result;
+}
+
+export default {
+  DEFAULT_LOCK_OPTIONS,
+  LockTimeoutError,
+  getLockPath,
+  withFileLock
+};
@@ -0,0 +1,201 @@
+// src/http.js
+/**
+ * HTTP client shared by every API call
+ * Adds per-request timeouts that really abort the request, and retries temporary
+ * failures (network errors, timeouts, HTTP 429 and 5xx) with exponential backoff and jitter.
+ */
+
+import { HttpError, MalformedResponseError, NetworkError, TimeoutError, isRetryable } from './errors.js';
+import { PRIORITY } from './rate-limiter.js';
+
+export const DEFAULT_HTTP_OPTIONS = {
+  timeoutMs: 8000,       // Per attempt
+  retries: 2,            // Extra attempts after the first one
+  baseDelayMs: 500,      // Backoff before the first retry, doubled for each following retry
+  maxDelayMs: 5000,      // Upper limit for a single backoff
+  maxRetryAfterMs: 10000 // Longest Retry-After worth waiting for; asking for longer fails at once
+};
+
+/**
+ * Calculate how long to wait before a retry
+ * Uses "full jitter": a random delay between 0 and the exponential backoff, so many
+ * clients failing at the same time do not all retry at the same moment.
+ *
+ * @param {number} attempt - Number of the retry (0 for the first retry)
+ * @param {Object} options - Backoff options (baseDelayMs, maxDelayMs)
+ * @param {Function} random - Random number source returning [0, 1) (default: Math.random)
+ * @returns {number} - Delay in milliseconds
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Math/random | MDN: Math.random}
+ */
+export function getRetryDelay(attempt, { baseDelayMs, maxDelayMs } = DEFAULT_HTTP_OPTIONS, random = Math.random) {
+  const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(random() * backoff);
+}
+
+/**
+ * Read a Retry-After header (seconds or HTTP date) as milliseconds
+ *
+ * @param {Object} response - Fetch response
+ * @returns {number|null} - Delay in milliseconds, or null if the header is missing or invalid
+ */
+function getRetryAfter(response) {
+  const value = response.headers && typeof response.headers.get === 'function'
+    ? response.headers.get('retry-after')
+    : null;
+
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Wait for a number of milliseconds, or until the signal is aborted
+ *
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Optional signal that ends the wait early
+ * @returns {Promise<void>}
+ * @throws {*} - The signal's abort reason, if it is aborted before the time is up
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AbortSignal/reason | MDN: AbortSignal.reason}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Make a single request and parse the JSON body, aborting it after timeoutMs
+ *
+ * @param {string} url - Request URL
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @param {AbortSignal} signal - Optional signal from the caller to cancel the request
+ * @returns {Promise<Object>} - Parsed response body
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AbortController | MDN: AbortController}
+ */
+async function requestOnce(url, timeoutMs, signal) {
+  const controller = new AbortController();
+  const cancel = () => controller.abort(signal.reason);
+  const timer = setTimeout(() => controller.abort(new TimeoutError(timeoutMs)), timeoutMs);
+
+  // Settles as soon as the request is aborted, even if fetch itself ignores the signal
+  const aborted = new Promise((_, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+  aborted.catch(() => { });
+
+  if (signal) {
+    if (signal.aborted) {
+      cancel();
+    } else {
+      signal.addEventListener('abort', cancel, { once: true });
+    }
+  }
+
+  try {
+    let response;
+
+    try {
+      response = await Promise.race([fetch(url, { signal: controller.signal }), aborted]);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw controller.signal.reason;
+      }
+      throw new NetworkError(`Could not reach ${url}`, { cause: error });
+    }
+
+    if (!response.ok) {
+      const error = new HttpError(response.status, url);
+      error.retryAfterMs = getRetryAfter(response);
+      throw error;
+    }
+
+    try {
+      return await Promise.race([response.json(), aborted]);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw controller.signal.reason;
+      }
+      throw new MalformedResponseError(`Invalid JSON from ${url}`, { cause: error });
+    }
+  } finally {
+    clearTimeout(timer);
+
+    if (signal) {
+      signal.removeEventListener('abort', cancel);
+    }
+  }
+}
+
+/**
+ * Fetch a URL and parse the JSON body, retrying temporary failures
+ * With a rate limiter, every attempt (including retries) waits for its turn.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} options - Request options, defaults in DEFAULT_HTTP_OPTIONS
+ * @param {number} options.timeoutMs - Timeout for each attempt
+ * @param {number} options.retries - Extra attempts after the first one
+ * @param {number} options.baseDelayMs - Backoff before the first retry
+ * @param {number} options.maxDelayMs - Upper limit for a single backoff
+ * @param {number} options.maxRetryAfterMs - Longest Retry-After to wait for before retrying
+ * @param {AbortSignal} options.signal - Cancels the request (and any pending retry)
+ * @param {Object} options.limiter - Rate limiter to schedule attempts with (see rate-limiter.js)
+ * @param {string} options.priority - Queue priority when a limiter is used (default: interactive)
+ * @returns {Promise<Object>} - Parsed response body
+ * @throws {ApiError} - The last error once no retries are left, the error is not temporary,
+ *   or the server asks to wait longer than maxRetryAfterMs
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/fetch | MDN: fetch API}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AbortSignal | MDN: AbortSignal}
+ */
+export async function fetchJson(url, options = {}) {
+  const settings = { ...DEFAULT_HTTP_OPTIONS, ...options };
+  const { limiter, priority = PRIORITY.INTERACTIVE, signal } = settings;
+  const attemptOnce = () => requestOnce(url, settings.timeoutMs, signal);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await (limiter ? limiter.schedule(attemptOnce, { priority, signal }) : attemptOnce());
+    } catch (error) {
+      // A server that asks for a long wait gets an error now rather than a silent hang
+      if (attempt >= settings.retries || !isRetryable(error) || error.retryAfterMs > settings.maxRetryAfterMs) {
+        throw error;
+      }
+
+      // Respect the server's Retry-After when it asks for a longer wait than our backoff.
+      // Aborting ends the wait with the abort reason instead of retrying.
+      await sleep(Math.max(getRetryDelay(attempt, settings), error.retryAfterMs || 0), signal);
+    }
+  }
+}
+
+export default {
+  DEFAULT_HTTP_OPTIONS,
+  getRetryDelay,
+  fetchJson
+};
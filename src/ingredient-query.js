@@ -0,0 +1,239 @@
+// src/ingredient-query.js
+/**
+ * Boolean ingredient queries such as "chicken AND garlic NOT cream"
+ *
+ * Grammar (operators are case-insensitive, AND binds tighter than OR):
+ *   query   = orExpr
+ *   orExpr  = andExpr { "OR" andExpr }
+ *   andExpr = unary { "AND" unary | "NOT" unary }     "a NOT b" means "a AND NOT b"
+ *   unary   = "NOT" unary | "(" orExpr ")" | ingredient
+ *   ingredient = one or more words that are not operators ("chicken breast")
+ *
+ * Parsed queries are trees of { type: 'ingredient', name }, { type: 'and' | 'or', left, right }
+ * and { type: 'not', operand } nodes. They are evaluated with set operations on recipe IDs.
+ */
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Raised when an ingredient query cannot be parsed or evaluated
+ */
+export class QuerySyntaxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+  }
+}
+
+/**
+ * Split a query into words, parentheses and operators
+ *
+ * @param {string} text - Query text
+ * @returns {Array<string>} - Tokens
+ */
+function tokenize(text) {
+  return text
+    .replace(/[()]/g, ' $& ')
+    .split(/\s+/)
+    .filter(token => token !== '')
+    .map(token => OPERATORS.includes(token.toUpperCase()) ? token.toUpperCase() : token);
+}
+
+/**
+ * Parse an ingredient query
+ *
+ * @param {string} text - Query text (e.g. "chicken AND (garlic OR ginger) NOT cream")
+ * @returns {Object} - Query tree
+ * @throws {QuerySyntaxError} - If the query is empty or malformed
+ */
+export function parseIngredientQuery(text) {
+  const tokens = tokenize(text || '');
+  let position = 0;
+
+  if (tokens.length === 0) {
+    throw new QuerySyntaxError('Enter at least one ingredient');
+  }
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  function parseOr() {
+    let node = parseAnd();
+
+    while (peek() === 'OR') {
+      next();
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseUnary();
+
+    while (peek() === 'AND' || peek() === 'NOT') {
+      // "a NOT b" is read as "a AND NOT b", so the NOT stays for parseUnary
+      if (next() === 'NOT') {
+        position--;
+      }
+      node = { type: 'and', left: node, right: parseUnary() };
+    }
+
+    return node;
+  }
+
+  function parseUnary() {
+    const token = next();
+
+    if (token === undefined) {
+      throw new QuerySyntaxError('The query ends where an ingredient was expected');
+    }
+
+    if (token === 'NOT') {
+      return { type: 'not', operand: parseUnary() };
+    }
+
+    if (token === '(') {
+      const node = parseOr();
+
+      if (next() !== ')') {
+        throw new QuerySyntaxError('Missing closing parenthesis');
+      }
+
+      return node;
+    }
+
+    if (token === ')' || OPERATORS.includes(token)) {
+      throw new QuerySyntaxError(`Expected an ingredient but found "${token}"`);
+    }
+
+    const words = [token];
+
+    while (peek() !== undefined && peek() !== '(' && peek() !== ')' && !OPERATORS.includes(peek())) {
+      words.push(next());
+    }
+
+    return { type: 'ingredient', name: words.join(' ').toLowerCase() };
+  }
+
+  const tree = parseOr();
+
+  if (position < tokens.length) {
+    throw new QuerySyntaxError(`Unexpected "${peek()}"`);
+  }
+
+  return tree;
+}
+
+/**
+ * List the ingredients named in a query
+ *
+ * @param {Object} tree - Query tree from parseIngredientQuery
+ * @param {boolean} includeExcluded - Also list ingredients that appear under NOT (default: true)
+ * @returns {Array<string>} - Unique ingredient names in query order
+ */
+export function getQueryIngredients(tree, includeExcluded = true) {
+  const names = new Set();
+
+  function visit(node, negated) {
+    if (node.type === 'ingredient') {
+      if (includeExcluded || !negated) {
+        names.add(node.name);
+      }
+    } else if (node.type === 'not') {
+      visit(node.operand, !negated);
+    } else {
+      visit(node.left, negated);
+      visit(node.right, negated);
+    }
+  }
+
+  visit(tree, false);
+  return Array.from(names);
+}
+
+/**
+ * Evaluate a query tree against per-ingredient results
+ * NOT can only remove recipes from something else ("a AND NOT b"); a query like
+ * "NOT cream" on its own would mean every recipe in the database.
+ *
+ * @param {Object} tree - Query tree from parseIngredientQuery
+ * @param {Map<string, Array<Object>>} resultsByIngredient - Recipes found for each ingredient name
+ * @returns {Map<string, Object>} - Matching recipes by ID, in the order they were first found
+ * @throws {QuerySyntaxError} - If NOT is used without anything to remove recipes from
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map | MDN: Map}
+ */
+export function evaluateIngredientQuery(tree, resultsByIngredient) {
+  function evaluate(node) {
+    switch (node.type) {
+      case 'ingredient':
+        return new Map((resultsByIngredient.get(node.name) || []).map(recipe => [recipe.id, recipe]));
+
+      case 'or': {
+        const union = evaluate(node.left);
+
+        for (const [id, recipe] of evaluate(node.right)) {
+          if (!union.has(id)) {
+            union.set(id, recipe);
+          }
+        }
+
+        return union;
+      }
+
+      case 'and': {
+        if (node.left.type === 'not' && node.right.type === 'not') {
+          throw new QuerySyntaxError('At least one side of AND must name ingredients to include');
+        }
+
+        // Put the excluded side on the right so "NOT a AND b" works like "b NOT a"
+        const [include, other] = node.left.type === 'not' ? [node.right, node.left] : [node.left, node.right];
+        const result = evaluate(include);
+
+        if (other.type === 'not') {
+          const excluded = evaluate(other.operand);
+          return new Map([...result].filter(([id]) => !excluded.has(id)));
+        }
+
+        const required = evaluate(other);
+        return new Map([...result].filter(([id]) => required.has(id)));
+      }
+
+      case 'not':
+        throw new QuerySyntaxError('NOT needs ingredients to exclude recipes from (e.g. "chicken NOT cream")');
+
+      default:
+        throw new QuerySyntaxError(`Unknown query node "${node.type}"`);
+    }
+  }
+
+  return evaluate(tree);
+}
+
+/**
+ * Format a query tree back into text
+ *
+ * @param {Object} tree - Query tree from parseIngredientQuery
+ * @returns {string} - Query text with explicit parentheses around groups
+ */
+export function formatIngredientQuery(tree) {
+  switch (tree.type) {
+    case 'ingredient':
+      return tree.name;
+    case 'not':
+      return `NOT ${formatIngredientQuery(tree.operand)}`;
+    default: {
+      const wrap = node => node.type === 'and' || node.type === 'or' ? `(${formatIngredientQuery(node)})` : formatIngredientQuery(node);
+      return `${wrap(tree.left)} ${tree.type.toUpperCase()} ${wrap(tree.right)}`;
+    }
+  }
+}
+
+export default {
+  QuerySyntaxError,
+  parseIngredientQuery,
+  getQueryIngredients,
+  evaluateIngredientQuery,
+  formatIngredientQuery
+};
@@ -0,0 +1,155 @@
+// src/lru.js
+/**
+ * Bounded least-recently-used (LRU) map
+ * Keeps at most maxEntries values and roughly maxBytes of data. When either limit is
+ * passed, the values that were used longest ago are dropped first.
+ */
+
+/**
+ * Estimate how much memory a value takes by the size of its JSON text
+ *
+ * @param {any} value - Value to measure
+ * @returns {number} - Approximate size in bytes
+ *
+ * @see {@link https://nodejs.org/api/buffer.html#static-method-bufferbytelengthstring-encoding | Node.js: Buffer.byteLength}
+ */
+export function estimateSize(value) {
+  const text = JSON.stringify(value);
+  return text === undefined ? 0 : Buffer.byteLength(text);
+}
+
+/**
+ * Create an LRU map
+ * A Map keeps keys in insertion order, so re-inserting a key on every use leaves the
+ * least recently used key first.
+ *
+ * @param {Object} options - Limits
+ * @param {number} options.maxEntries - Most values to keep (default: unlimited)
+ * @param {number} options.maxBytes - Most total size to keep (default: unlimited)
+ * @param {Function} options.sizeOf - Returns the size of a value (default: estimateSize)
+ * @returns {Object} - LRU map with get, peek, set, delete, clear, entries, size and bytes
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map | MDN: Map}
+ */
+export function createLruCache({ maxEntries = Infinity, maxBytes = Infinity, sizeOf = estimateSize } = {}) {
+  const items = new Map();
+  let bytes = 0;
+
+  function remove(key) {
+    const item = items.get(key);
+
+    if (item) {
+      items.delete(key);
+      bytes -= item.size;
+    }
+
+    return Boolean(item);
+  }
+
+  function evict() {
+    for (const key of items.keys()) {
+      if (items.size <= maxEntries && bytes <= maxBytes) {
+        break;
+      }
+      remove(key);
+    }
+  }
+
+  return {
+    /**
+     * Get a value and mark it as recently used
+     *
+     * @param {string} key - Key
+     * @returns {any} - The value, or undefined if it is not stored
+     */
+    get(key) {
+      const item = items.get(key);
+
+      if (!item) {
+        return undefined;
+      }
+
+      items.delete(key);
+      items.set(key, item);
+      return item.value;
+    },
+
+    /**
+     * Get a value without changing its place in the eviction order
+     *
+     * @param {string} key - Key
+     * @returns {any} - The value, or undefined if it is not stored
+     */
+    peek(key) {
+      return items.get(key)?.value;
+    },
+
+    /**
+     * Store a value as the most recently used, dropping old values if a limit is passed
+     * A value bigger than maxBytes on its own is not stored.
+     *
+     * @param {string} key - Key
+     * @param {any} value - Value
+     * @returns {boolean} - True if the value was stored
+     */
+    set(key, value) {
+      const size = sizeOf(value);
+      remove(key);
+
+      if (size > maxBytes) {
+        return false;
+      }
+
+      items.set(key, { value, size });
+      bytes += size;
+      evict();
+      return true;
+    },
+
+    /**
+     * Remove a value
+     *
+     * @param {string} key - Key
+     * @returns {boolean} - True if the key was stored
+     */
+    delete(key) {
+      return remove(key);
+    },
+
+    /**
+     * Remove every value
+     */
+    clear() {
+      items.clear();
+      bytes = 0;
+    },
+
+    /**
+     * List the stored [key, value] pairs from least to most recently used
+     *
+     * @returns {Array<Array>} - Key and value pairs
+     */
+    entries() {
+      return Array.from(items, ([key, item]) => [key, item.value]);
+    },
+
+    /**
+     * Number of stored values
+     */
+    get size() {
+      return items.size;
+    },
+
+    /**
+     * Approximate total size of the stored values
+     */
+    get bytes() {
+      return bytes;
+    }
+  };
+}
+
+export default {
+  estimateSize,
+  createLruCache
+};
@@ -0,0 +1,185 @@
+// src/pantry.js
+/**
+ * "What can I cook?" pantry matching
+ * Finds recipes that use the ingredients on hand and ranks them by how many of
+ * their ingredients are already covered, listing what is still missing.
+ * All lookups go through recipes.js, so repeated runs are answered from the cache.
+ */
+
+import * as recipes from './recipes.js';
+import { runWithConcurrency } from './utils.js';
+
+// Recipes whose full details are loaded to work out coverage
+const DEFAULT_MAX_CANDIDATES = 25;
+
+// Full recipe lookups running at the same time
+const DEFAULT_CONCURRENCY = 3;
+
+/**
+ * Read a pantry list
+ * Items are separated by commas or new lines; blank and repeated items are dropped.
+ *
+ * @param {string|Array<string>} input - Pantry text (e.g. "chicken, rice, garlic") or list of items
+ * @returns {Array<string>} - Lowercase pantry items
+ */
+export function parsePantry(input) {
+  const items = Array.isArray(input) ? input : String(input || '').split(/[,\n]/);
+  const cleaned = items
+    .map(item => item.toLowerCase().replace(/\s+/g, ' ').trim())
+    .filter(item => item !== '');
+
+  return Array.from(new Set(cleaned));
+}
+
+/**
+ * Reduce a word to a rough singular form ("eggs" -> "egg", "tomatoes" -> "tomato", "berries" -> "berry")
+ *
+ * @param {string} word - Lowercase word
+ * @returns {string} - Singular form
+ */
+function singular(word) {
+  if (word.length <= 3 || !word.endsWith('s') || word.endsWith('ss')) {
+    return word;
+  }
+
+  if (word.endsWith('ies')) {
+    return `${word.slice(0, -3)}y`;
+  }
+
+  if (word.endsWith('oes')) {
+    return word.slice(0, -2);
+  }
+
+  return word.slice(0, -1);
+}
+
+/**
+ * Split an ingredient name into comparable words
+ *
+ * @param {string} name - Ingredient name
+ * @returns {Array<string>} - Lowercase singular words
+ */
+function toWords(name) {
+  return name
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word !== '')
+    .map(singular);
+}
+
+/**
+ * Check whether a pantry item covers a recipe ingredient
+ * The item's words must appear together in the ingredient name, so "chicken" covers
+ * "Chicken Breast" but "salt" does not cover "Unsalted Butter".
+ *
+ * @param {string} ingredient - Recipe ingredient name
+ * @param {string} item - Pantry item
+ * @returns {boolean} - True if the item covers the ingredient
+ */
+export function coversIngredient(ingredient, item) {
+  const ingredientWords = toWords(ingredient);
+  const itemWords = toWords(item);
+
+  if (itemWords.length === 0) {
+    return false;
+  }
+
+  for (let start = 0; start + itemWords.length <= ingredientWords.length; start++) {
+    if (itemWords.every((word, offset) => ingredientWords[start + offset] === word)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Work out how much of a recipe the pantry covers
+ *
+ * @param {Object} recipe - Full normalized recipe
+ * @param {Array<string>} pantry - Pantry items
+ * @returns {Object} - { recipe, coverage (0 to 1), have, missing }
+ */
+export function scoreRecipe(recipe, pantry) {
+  const have = [];
+  const missing = [];
+
+  for (const { name } of recipe.ingredients) {
+    if (pantry.some(item => coversIngredient(name, item))) {
+      have.push(name);
+    } else {
+      missing.push(name);
+    }
+  }
+
+  const total = have.length + missing.length;
+
+  return {
+    recipe,
+    coverage: total > 0 ? have.length / total : 0,
+    have,
+    missing
+  };
+}
+
+/**
+ * Sort scored recipes: best coverage first, then fewest missing ingredients, then by name
+ *
+ * @param {Array<Object>} scored - Results of scoreRecipe
+ * @returns {Array<Object>} - The same results, sorted
+ */
+export function rankRecipes(scored) {
+  return [...scored].sort((a, b) =>
+    b.coverage - a.coverage ||
+    a.missing.length - b.missing.length ||
+    a.recipe.name.localeCompare(b.recipe.name));
+}
+
+/**
+ * Find and rank the recipes that can be made with the pantry
+ * Candidates come from an ingredient search for each pantry item. The ones that
+ * use the most pantry items have their full details loaded, a few at a time.
+ *
+ * @param {Array<string>} pantry - Pantry items (see parsePantry)
+ * @param {Object} options - Options
+ * @param {number} options.maxCandidates - Most recipes to load in full (default: 25)
+ * @param {number} options.concurrency - Full recipe lookups at the same time (default: 3)
+ * @param {boolean} options.forceRefresh - Skip the cache and fetch fresh results
+ * @returns {Promise<Array<Object>>} - Ranked results of scoreRecipe
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/all | MDN: Promise.all}
+ */
+export async function findCookableRecipes(pantry, { maxCandidates = DEFAULT_MAX_CANDIDATES, concurrency = DEFAULT_CONCURRENCY, forceRefresh = false } = {}) {
+  if (pantry.length === 0) {
+    return [];
+  }
+
+  const searches = await Promise.all(pantry.map(item => recipes.findRecipesByIngredient(item, forceRefresh)));
+
+  // Count how many pantry items found each recipe
+  const hits = new Map();
+
+  for (const found of searches) {
+    for (const recipe of found) {
+      hits.set(recipe.id, (hits.get(recipe.id) || 0) + 1);
+    }
+  }
+
+  const candidateIds = Array.from(hits.keys())
+    .sort((a, b) => hits.get(b) - hits.get(a))
+    .slice(0, maxCandidates);
+
+  const tasks = candidateIds.map(id => () => recipes.findRecipeById(id, forceRefresh));
+  const details = await runWithConcurrency(tasks, concurrency);
+
+  // Recipes that could not be loaded are left out rather than failing the whole search
+  return rankRecipes(details.filter(Boolean).map(recipe => scoreRecipe(recipe, pantry)));
+}
+
+export default {
+  parsePantry,
+  coversIngredient,
+  scoreRecipe,
+  rankRecipes,
+  findCookableRecipes
+};
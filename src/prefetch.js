@@ -0,0 +1,127 @@
+// src/prefetch.js
+/**
+ * Background prefetch of full recipe details
+ * Favorites added from ingredient, category or area lists only hold a name, thumbnail
+ * and ID (filter.php returns partial records), so opening one needs another request.
+ * prefetchDetails loads the full details of every favorite and of the first results
+ * of the latest search into the cache, so they open instantly and work offline.
+ *
+ * Requests use background priority, so anything the user asks for goes first. They do
+ * not join the cache's shared fetches (cache.getCachedOrFetch): a recipe the user opens
+ * while it is being prefetched gets its own request at interactive priority, instead of
+ * waiting behind the rest of the prefetch queue. The
+ * interactive menu's prompts pause the event loop, so a job started with startPrefetch
+ * makes progress whenever the app is waiting for something else.
+ */
+
+import * as api from './api.js';
+import * as cache from './cache.js';
+import * as favorites from './favorites.js';
+import { normalizeMeal } from './recipe-model.js';
+import { PRIORITY } from './rate-limiter.js';
+import * as recipes from './recipes.js';
+import { getSettings } from './settings.js';
+import { runWithConcurrency } from './utils.js';
+
+// Results of the latest search whose details are prefetched
+export const DEFAULT_SEARCH_RESULTS = 10;
+
+// Job started by startPrefetch: { controller, promise }
+let running = null;
+
+/**
+ * Get the IDs of the recipes whose details should be cached
+ *
+ * @param {Object} options - Options
+ * @param {number} options.searchResults - Results of the latest search to include (default: DEFAULT_SEARCH_RESULTS)
+ * @returns {Promise<Array<string>>} - Favorite IDs, then latest search IDs, without repeats
+ */
+export async function getPrefetchIds({ searchResults = DEFAULT_SEARCH_RESULTS } = {}) {
+  const [favoriteList, latestSearch] = await Promise.all([favorites.getFavorites(), recipes.getLatestSearchIds()]);
+  return Array.from(new Set([...favoriteList.map(recipe => recipe.id), ...latestSearch.slice(0, searchResults)]));
+}
+
+/**
+ * Cache the full details of favorites and the latest search results
+ * Recipes whose details are already cached and fresh are skipped. A recipe that
+ * cannot be fetched is counted as failed; the others carry on.
+ *
+ * @param {Object} options - Options
+ * @param {number} options.searchResults - Results of the latest search to include (default: DEFAULT_SEARCH_RESULTS)
+ * @param {AbortSignal} options.signal - Stops the requests that have not finished
+ * @returns {Promise<{total: number, cached: number, fetched: number, failed: number}>} - How many recipes were
+ *   considered, already cached, fetched now, and could not be fetched
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AbortSignal | MDN: AbortSignal}
+ */
+export async function prefetchDetails({ searchResults = DEFAULT_SEARCH_RESULTS, signal } = {}) {
+  const ids = await getPrefetchIds({ searchResults });
+  const fresh = new Set((await cache.listCacheEntries('recipe_*')).filter(entry => !entry.stale).map(entry => entry.key));
+  const missing = ids.filter(id => !fresh.has(recipes.getRecipeCacheKey(id)));
+
+  const tasks = missing.map(id => async () => {
+    try {
+      const meal = await api.getMealById(id, undefined, { priority: PRIORITY.BACKGROUND, signal });
+      return await cache.saveToCache(recipes.getRecipeCacheKey(id), normalizeMeal(meal));
+    } catch (error) {
+      // Counted as failed; the recipe is fetched again when it is opened
+      return false;
+    }
+  });
+
+  const results = await runWithConcurrency(tasks, getSettings().concurrency);
+  const fetched = results.filter(Boolean).length;
+
+  return { total: ids.length, cached: ids.length - missing.length, fetched, failed: missing.length - fetched };
+}
+
+/**
+ * Start prefetchDetails in the background, unless it is already running
+ *
+ * @param {Object} options - Options for prefetchDetails (without signal)
+ * @returns {Promise<Object|null>} - Resolves to the result of prefetchDetails, or null if it failed
+ */
+export function startPrefetch(options = {}) {
+  if (running) {
+    return running.promise;
+  }
+
+  const controller = new AbortController();
+  const promise = prefetchDetails({ ...options, signal: controller.signal })
+    .catch(error => {
+      console.error('Background prefetch failed:', error.message);
+      return null;
+    })
+    .finally(() => {
+      if (running?.promise === promise) {
+        running = null;
+      }
+    });
+
+  running = { controller, promise };
+  return promise;
+}
+
+/**
+ * Stop the background prefetch and wait for it to finish
+ * Details fetched before stopping stay in the cache.
+ *
+ * @returns {Promise<void>}
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AbortController/abort | MDN: AbortController.abort}
+ */
+export async function stopPrefetch() {
+  if (running) {
+    const { controller, promise } = running;
+    controller.abort();
+    await promise;
+  }
+}
+
+export default {
+  DEFAULT_SEARCH_RESULTS,
+  getPrefetchIds,
+  prefetchDetails,
+  startPrefetch,
+  stopPrefetch
+};
@@ -0,0 +1,109 @@
+// src/providers/index.js
+/**
+ * Selects the recipe data source used by the api module
+ *
+ * A provider is an object with:
+ *   - name: string identifying the provider
+ *   - request(endpoint, params, options): Promise resolving to a TheMealDB-shaped response body
+ *     (e.g. request('search.php', { s: 'chicken' }) resolves to { meals: [...] | null });
+ *     options (timeoutMs, retries, signal) are passed on to the HTTP client and may be ignored
+ *
+ * The provider is chosen from environment variables the first time it is needed:
+ *   RECIPE_PROVIDER   "themealdb" (default) or "local"
+ *   MEALDB_BASE_URL   API root for the themealdb provider (without the key)
+ *   MEALDB_API_KEY    API key for the themealdb provider (default "1")
+ *   MEALDB_RATE_LIMIT Maximum requests per second to the API ("0" turns rate limiting off)
+ *   RECIPE_DATA_DIR   Directory of recipe JSON files for the local provider
+ * The request timeout and retry count come from the app settings (see settings.js).
+ */
+
+import { getSettings, loadSettings } from '../settings.js';
+import { createLocalProvider } from './local.js';
+import { createTheMealDbProvider } from './themealdb.js';
+
+let activeProvider = null;
+
+/**
+ * Create a provider from a configuration object
+ *
+ * @param {Object} config - Provider configuration
+ * @param {string} config.type - "themealdb" or "local"
+ * @param {string} config.baseUrl - API root for the themealdb provider
+ * @param {string} config.apiKey - API key for the themealdb provider
+ * @param {Object} config.http - HTTP client options for the themealdb provider
+ * @param {Object|false} config.rateLimit - Rate limiter options for the themealdb provider, or false to disable
+ * @param {string} config.dir - Recipe directory for the local provider
+ * @returns {Object} - Recipe provider
+ */
+export function createProvider({ type = 'themealdb', baseUrl, apiKey, http, rateLimit, dir } = {}) {
+  switch (type) {
+    case 'themealdb':
+      return createTheMealDbProvider({ baseUrl, apiKey, http, rateLimit });
+    case 'local':
+      return createLocalProvider({ dir });
+    default:
+      throw new Error(`Unknown recipe provider "${type}"`);
+  }
+}
+
+/**
+ * Create a provider from environment variables and the app settings
+ *
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {Object} - Recipe provider
+ */
+export function createProviderFromEnv(env = process.env) {
+  const { timeoutMs, retries } = env === process.env ? getSettings() : loadSettings({ env });
+  const http = { timeoutMs, retries };
+  const requestsPerSecond = Number(env.MEALDB_RATE_LIMIT);
+  let rateLimit;
+
+  // Unset or invalid values keep the rate limiter defaults
+  if (env.MEALDB_RATE_LIMIT && requestsPerSecond === 0) {
+    rateLimit = false;
+  } else if (env.MEALDB_RATE_LIMIT && requestsPerSecond > 0) {
+    rateLimit = { requestsPerSecond, burst: Math.max(1, Math.ceil(requestsPerSecond)) };
+  }
+
+  return createProvider({
+    type: env.RECIPE_PROVIDER || 'themealdb',
+    baseUrl: env.MEALDB_BASE_URL || undefined,
+    apiKey: env.MEALDB_API_KEY || undefined,
+    http,
+    rateLimit,
+    dir: env.RECIPE_DATA_DIR || undefined
+  });
+}
+
+/**
+ * Get the active provider, creating it from the environment on first use
+ *
+ * @returns {Object} - Recipe provider
+ */
+export function getProvider() {
+  if (!activeProvider) {
+    activeProvider = createProviderFromEnv();
+  }
+
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider
+ *
+ * @param {Object|null} provider - Provider to use, or null to go back to the environment default
+ */
+export function setProvider(provider) {
+  if (provider && typeof provider.request !== 'function') {
+    throw new Error('A recipe provider must have a request(endpoint, params) method');
+  }
+
+  activeProvider = provider;
+}
+
+export default {
+  createProvider,
+  createProviderFromEnv,
+  getProvider,
+  setProvider
+};
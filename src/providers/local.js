@@ -0,0 +1,265 @@
+// src/providers/local.js
+/**
+ * Recipe provider that serves recipes from a directory of JSON files
+ * Answers the same endpoints as TheMealDB so the app can run offline or on self-hosted data
+ *
+ * Each .json file in the directory may contain a single meal, an array of meals,
+ * or a TheMealDB response object ({ "meals": [...] }). Meals use TheMealDB field names.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Pull the meal objects out of a parsed JSON file
+ *
+ * @param {any} content - Parsed file content
+ * @returns {Array<Object>} - Meals found in the file
+ */
+function extractMeals(content) {
+  if (Array.isArray(content)) {
+    return content.filter(meal => meal && meal.idMeal);
+  }
+
+  if (content && Array.isArray(content.meals)) {
+    return content.meals.filter(meal => meal && meal.idMeal);
+  }
+
+  if (content && content.idMeal) {
+    return [content];
+  }
+
+  return [];
+}
+
+/**
+ * Get the trimmed, lowercase ingredient names of a meal
+ *
+ * @param {Object} meal - Meal in TheMealDB shape
+ * @returns {Array<string>} - Ingredient names
+ */
+function getIngredientNames(meal) {
+  const names = [];
+
+  for (let i = 1; i <= 20; i++) {
+    const ingredient = meal[`strIngredient${i}`];
+
+    if (ingredient && ingredient.trim() !== '') {
+      names.push(ingredient.trim().toLowerCase());
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Reduce a meal to the partial shape returned by TheMealDB filter endpoints
+ *
+ * @param {Object} meal - Full meal
+ * @returns {Object} - Partial meal with name, thumbnail and ID
+ */
+function toFilterResult(meal) {
+  return {
+    strMeal: meal.strMeal,
+    strMealThumb: meal.strMealThumb ?? null,
+    idMeal: meal.idMeal
+  };
+}
+
+/**
+ * Wrap results the way TheMealDB does, using null for "no results"
+ *
+ * @param {Array<Object>} meals - Matching meals
+ * @returns {{meals: Array<Object>|null}} - Response body
+ */
+function toResponse(meals) {
+  return { meals: meals.length > 0 ? meals : null };
+}
+
+/**
+ * Collect the distinct non-empty values of a field, sorted alphabetically
+ *
+ * @param {Array<Object>} meals - Meals to read from
+ * @param {string} field - Field name (e.g. "strCategory")
+ * @returns {Array<string>} - Distinct values
+ */
+function distinctValues(meals, field) {
+  const values = new Set(meals.map(meal => meal[field]).filter(value => value && value.trim() !== ''));
+  return Array.from(values).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Compare two strings case-insensitively
+ *
+ * @param {string|null|undefined} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} - True if equal ignoring case and surrounding whitespace
+ */
+function sameText(a, b) {
+  return typeof a === 'string' && a.trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * Create a provider that reads recipes from a local directory
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.dir - Directory containing recipe JSON files
+ * @returns {Object} - Provider with a request(endpoint, params) method
+ *
+ * @see {@link https://nodejs.org/api/fs.html#fspromisesreaddirpath-options | Node.js: fs.readdir}
+ */
+export function createLocalProvider({ dir }) {
+  if (!dir) {
+    throw new Error('The local recipe provider needs a directory');
+  }
+
+  let loading = null;
+
+  /**
+   * Load every meal in the directory, keyed by ID
+   * The directory is read once and reused until reload() is called
+   *
+   * @returns {Promise<Map<string, Object>>} - Meals by ID
+   */
+  function loadMeals() {
+    if (!loading) {
+      loading = (async () => {
+        const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json')).sort();
+        const meals = new Map();
+
+        for (const file of files) {
+          try {
+            const content = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+
+            for (const meal of extractMeals(content)) {
+              meals.set(String(meal.idMeal), meal);
+            }
+          } catch (error) {
+            console.error(`Skipping unreadable recipe file ${file}:`, error.message);
+          }
+        }
+
+        return meals;
+      })();
+
+      // Allow a later call to retry if the directory could not be read
+      loading.catch(() => { loading = null; });
+    }
+
+    return loading;
+  }
+
+  const endpoints = {
+    'search.php'(meals, params) {
+      if (params.f !== undefined) {
+        const letter = String(params.f).charAt(0).toLowerCase();
+        return toResponse(meals.filter(meal => meal.strMeal?.toLowerCase().startsWith(letter)));
+      }
+
+      const query = String(params.s ?? '').trim().toLowerCase();
+      return toResponse(meals.filter(meal => meal.strMeal?.toLowerCase().includes(query)));
+    },
+
+    'lookup.php'(meals, params) {
+      return toResponse(meals.filter(meal => String(meal.idMeal) === String(params.i)));
+    },
+
+    'filter.php'(meals, params) {
+      let matches = [];
+
+      if (params.i !== undefined) {
+        const ingredient = String(params.i).trim().toLowerCase();
+        matches = meals.filter(meal => getIngredientNames(meal).includes(ingredient));
+      } else if (params.c !== undefined) {
+        matches = meals.filter(meal => sameText(meal.strCategory, params.c));
+      } else if (params.a !== undefined) {
+        matches = meals.filter(meal => sameText(meal.strArea, params.a));
+      }
+
+      return toResponse(matches.map(toFilterResult));
+    },
+
+    'categories.php'(meals) {
+      const categories = distinctValues(meals, 'strCategory').map((strCategory, index) => ({
+        idCategory: String(index + 1),
+        strCategory,
+        strCategoryThumb: null,
+        strCategoryDescription: ''
+      }));
+
+      return { categories };
+    },
+
+    'list.php'(meals, params) {
+      if (params.c !== undefined) {
+        return toResponse(distinctValues(meals, 'strCategory').map(strCategory => ({ strCategory })));
+      }
+
+      if (params.a !== undefined) {
+        return toResponse(distinctValues(meals, 'strArea').map(strArea => ({ strArea })));
+      }
+
+      // Ingredient names keep the capitalization of their first appearance
+      const ingredients = new Map();
+
+      for (const meal of meals) {
+        for (let i = 1; i <= 20; i++) {
+          const name = meal[`strIngredient${i}`]?.trim();
+
+          if (name && !ingredients.has(name.toLowerCase())) {
+            ingredients.set(name.toLowerCase(), name);
+          }
+        }
+      }
+
+      const names = Array.from(ingredients.values()).sort((a, b) => a.localeCompare(b));
+
+      return toResponse(names.map((strIngredient, index) => ({
+        idIngredient: String(index + 1),
+        strIngredient,
+        strDescription: null,
+        strType: null
+      })));
+    },
+
+    'random.php'(meals) {
+      if (meals.length === 0) {
+        return toResponse([]);
+      }
+
+      return toResponse([meals[Math.floor(Math.random() * meals.length)]]);
+    }
+  };
+
+  return {
+    name: 'local',
+    dir,
+
+    /**
+     * Answer a TheMealDB endpoint from the local recipes
+     *
+     * @param {string} endpoint - Endpoint name (e.g. "search.php")
+     * @param {Object} params - Query parameters
+     * @returns {Promise<Object>} - Response body in TheMealDB shape
+     */
+    async request(endpoint, params = {}) {
+      if (!Object.hasOwn(endpoints, endpoint)) {
+        throw new Error(`The local recipe provider does not support ${endpoint}`);
+      }
+
+      const meals = Array.from((await loadMeals()).values());
+      return endpoints[endpoint](meals, params);
+    },
+
+    /**
+     * Forget the loaded recipes so the next request re-reads the directory
+     */
+    reload() {
+      loading = null;
+    }
+  };
+}
+
+export default {
+  createLocalProvider
+};
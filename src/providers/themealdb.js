@@ -0,0 +1,86 @@
+// src/providers/themealdb.js
+/**
+ * Recipe provider that talks to TheMealDB over HTTP
+ * Works with the public API or any self-hosted server exposing the same endpoints
+ */
+
+import { fetchJson } from '../http.js';
+import { DEFAULT_RATE_LIMIT, createRateLimiter } from '../rate-limiter.js';
+
+export const DEFAULT_BASE_URL = 'https://www.themealdb.com/api/json/v1';
+export const DEFAULT_API_KEY = '1';
+
+/**
+ * Build a query string the way TheMealDB expects it (e.g. "?s=chicken")
+ *
+ * @param {Object} params - Query parameters
+ * @returns {string} - Query string including the leading "?", or an empty string
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/encodeURIComponent | MDN: encodeURIComponent}
+ */
+function buildQuery(params) {
+  const pairs = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`);
+
+  return pairs.length > 0 ? `?${pairs.join('&')}` : '';
+}
+
+/**
+ * Create a provider for TheMealDB HTTP API
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - API root without the key (default: the public TheMealDB API)
+ * @param {string} options.apiKey - API key, "1" is the public test key
+ * @param {Object} options.http - Default HTTP client options (timeoutMs, retries, ...; see http.js)
+ * @param {Object|false} options.rateLimit - Rate limiter options (see rate-limiter.js), or false to disable
+ * @returns {Object} - Provider with a request(endpoint, params, options) method
+ *
+ * @see {@link https://www.themealdb.com/api.php | TheMealDB API}
+ */
+export function createTheMealDbProvider({ baseUrl = DEFAULT_BASE_URL, apiKey = DEFAULT_API_KEY, http = {}, rateLimit = DEFAULT_RATE_LIMIT } = {}) {
+  const root = `${baseUrl.replace(/\/+$/, '')}/${encodeURIComponent(apiKey)}`;
+  // Every request made through this provider shares one limiter
+  const limiter = rateLimit ? createRateLimiter(rateLimit) : null;
+
+  return {
+    name: 'themealdb',
+
+    /**
+     * Build the full URL for an endpoint
+     *
+     * @param {string} endpoint - Endpoint name (e.g. "search.php")
+     * @param {Object} params - Query parameters
+     * @returns {string} - Full request URL
+     */
+    buildUrl(endpoint, params = {}) {
+      return `${root}/${endpoint}${buildQuery(params)}`;
+    },
+
+    /**
+     * Call an endpoint and return the parsed JSON body
+     *
+     * @param {string} endpoint - Endpoint name (e.g. "search.php")
+     * @param {Object} params - Query parameters
+     * @param {Object} options - HTTP client options for this call (timeoutMs, retries, signal, priority)
+     * @returns {Promise<Object>} - Parsed response body
+     * @throws {ApiError} - If the request fails (see http.js)
+     */
+    async request(endpoint, params = {}, options = {}) {
+      return fetchJson(this.buildUrl(endpoint, params), { ...http, ...options, limiter });
+    },
+
+    /**
+     * Number of requests waiting for the rate limiter
+     */
+    get pending() {
+      return limiter ? limiter.pending : 0;
+    }
+  };
+}
+
+export default {
+  DEFAULT_BASE_URL,
+  DEFAULT_API_KEY,
+  createTheMealDbProvider
+};
@@ -0,0 +1,129 @@
+// src/rate-limiter.js
+/**
+ * Client-side rate limiting for outbound API requests
+ * A token bucket allows short bursts and then a steady number of requests per second.
+ * Requests waiting for a token are queued by priority, so a person waiting at the menu
+ * is served before background work such as prefetching or crawling the catalog.
+ */
+
+export const PRIORITY = {
+  INTERACTIVE: 'interactive',
+  BACKGROUND: 'background'
+};
+
+export const DEFAULT_RATE_LIMIT = {
+  requestsPerSecond: 5,
+  burst: 5
+};
+
+/**
+ * Create a token-bucket rate limiter with a priority queue
+ *
+ * @param {Object} options - Limiter options
+ * @param {number} options.requestsPerSecond - Tokens added per second
+ * @param {number} options.burst - Maximum number of tokens (requests that may start at once)
+ * @returns {Object} - Limiter with schedule(task, options) and a pending count
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/setTimeout | MDN: setTimeout}
+ */
+export function createRateLimiter({ requestsPerSecond = DEFAULT_RATE_LIMIT.requestsPerSecond, burst = DEFAULT_RATE_LIMIT.burst } = {}) {
+  if (!(requestsPerSecond > 0) || !(burst >= 1)) {
+    throw new Error('A rate limiter needs requestsPerSecond > 0 and burst >= 1');
+  }
+
+  const queues = {
+    [PRIORITY.INTERACTIVE]: [],
+    [PRIORITY.BACKGROUND]: []
+  };
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let timer = null;
+
+  function countPending() {
+    return queues[PRIORITY.INTERACTIVE].length + queues[PRIORITY.BACKGROUND].length;
+  }
+
+  // Add the tokens earned since the last refill (the clock may move backwards when tests swap timers)
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + Math.max(0, now - lastRefill) * requestsPerSecond / 1000);
+    lastRefill = now;
+  }
+
+  // Start as many queued tasks as there are tokens, then wait for the next token if needed
+  function drain() {
+    refill();
+
+    while (tokens >= 1 && countPending() > 0) {
+      tokens -= 1;
+      const job = queues[PRIORITY.INTERACTIVE].shift() || queues[PRIORITY.BACKGROUND].shift();
+      job.start();
+    }
+
+    if (countPending() > 0 && !timer) {
+      const wait = Math.ceil((1 - tokens) * 1000 / requestsPerSecond);
+      timer = setTimeout(() => {
+        timer = null;
+        drain();
+      }, wait);
+    }
+  }
+
+  return {
+    /**
+     * Run a task once the rate limit allows it
+     *
+     * @param {Function} task - Function that starts the request and returns a promise
+     * @param {Object} options - Scheduling options
+     * @param {string} options.priority - PRIORITY.INTERACTIVE (default) or PRIORITY.BACKGROUND
+     * @param {AbortSignal} options.signal - Removes the task from the queue if aborted before it starts
+     * @returns {Promise<any>} - Result of the task
+     */
+    schedule(task, { priority = PRIORITY.INTERACTIVE, signal } = {}) {
+      const queue = queues[priority];
+
+      if (!queue) {
+        return Promise.reject(new Error(`Unknown request priority "${priority}"`));
+      }
+
+      if (signal?.aborted) {
+        return Promise.reject(signal.reason);
+      }
+
+      return new Promise((resolve, reject) => {
+        const onAbort = () => {
+          const index = queue.indexOf(job);
+
+          if (index !== -1) {
+            queue.splice(index, 1);
+            reject(signal.reason);
+          }
+        };
+
+        const job = {
+          start() {
+            signal?.removeEventListener('abort', onAbort);
+            Promise.resolve().then(task).then(resolve, reject);
+          }
+        };
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+        queue.push(job);
+        drain();
+      });
+    },
+
+    /**
+     * Number of tasks waiting for a token
+     */
+    get pending() {
+      return countPending();
+    }
+  };
+}
+
+export default {
+  PRIORITY,
+  DEFAULT_RATE_LIMIT,
+  createRateLimiter
+};
@@ -0,0 +1,342 @@
+// src/recipe-model.js
+/**
+ * Normalized recipe model
+ * Converts TheMealDB's raw meal objects (strIngredient1..20, strMeasure1..20, ...)
+ * into plain recipe objects, and back again without losing any field.
+ *
+ * A normalized recipe looks like:
+ * {
+ *   id: '52772',
+ *   name: 'Teriyaki Chicken Casserole',
+ *   category: 'Chicken',              // null when unknown
+ *   area: 'Japanese',                 // null when unknown
+ *   tags: ['Meat', 'Casserole'],
+ *   ingredients: [{ name: 'soy sauce', measure: '3/4 cup' }],
+ *   instructions: 'Preheat oven...',  // null when unknown
+ *   steps: ['Preheat oven...'],
+ *   media: { thumbnail, youtube, source, imageSource },  // each null when unknown
+ *   partial: false,                   // true for filter.php results (name, thumbnail and ID only)
+ *   extra: {}                         // raw fields needed to rebuild the exact original object
+ * }
+ */
+
+const MAX_INGREDIENT_SLOTS = 20;
+
+// Raw fields that map onto a named recipe property
+const FIELD_MAP = {
+  idMeal: 'id',
+  strMeal: 'name',
+  strCategory: 'category',
+  strArea: 'area',
+  strInstructions: 'instructions',
+  strTags: 'tags',
+  strMealThumb: 'media.thumbnail',
+  strYoutube: 'media.youtube',
+  strSource: 'media.source',
+  strImageSource: 'media.imageSource'
+};
+
+// The order TheMealDB uses for its fields, so rebuilt objects serialize the same way
+const LEADING_FIELDS = ['idMeal', 'strMeal', 'strDrinkAlternate', 'strCategory', 'strArea', 'strInstructions', 'strMealThumb', 'strTags', 'strYoutube'];
+const TRAILING_FIELDS = ['strSource', 'strImageSource', 'strCreativeCommonsConfirmed', 'dateModified'];
+
+const SLOT_PATTERN = /^str(Ingredient|Measure)(\d+)$/;
+
+// Ratings users give their favorites are whole numbers from 1 to MAX_RATING
+export const MAX_RATING = 5;
+
+/**
+ * Check whether a raw value counts as empty (null, undefined or blank text)
+ *
+ * @param {any} value - Raw value
+ * @returns {boolean} - True if empty
+ */
+function isBlank(value) {
+  return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Check whether a value is already a normalized recipe
+ *
+ * @param {any} value - Value to check
+ * @returns {boolean} - True for normalized recipes
+ */
+export function isRecipe(value) {
+  return Boolean(value) && typeof value === 'object' && 'id' in value && Array.isArray(value.ingredients) && !('idMeal' in value);
+}
+
+/**
+ * Split instructions into steps
+ * Drops blank lines and "STEP 1"-style headings that TheMealDB puts on their own line
+ *
+ * @param {string|null} instructions - Instruction text
+ * @returns {Array<string>} - Instruction steps
+ */
+export function splitSteps(instructions) {
+  if (!instructions) {
+    return [];
+  }
+
+  return instructions
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line !== '' && !/^step\s*\d+[:.]?$/i.test(line));
+}
+
+/**
+ * Split TheMealDB's comma-separated tag string
+ *
+ * @param {string|null} tags - Raw tags (e.g. "Meat,Casserole")
+ * @returns {Array<string>} - Tags
+ */
+function splitTags(tags) {
+  if (isBlank(tags)) {
+    return [];
+  }
+
+  return tags.split(',').map(tag => tag.trim()).filter(tag => tag !== '');
+}
+
+/**
+ * Convert a raw TheMealDB meal into a normalized recipe
+ * Already-normalized recipes are returned unchanged, so this is safe to call on either shape
+ *
+ * @param {Object} meal - Raw meal object or normalized recipe
+ * @returns {Object|null} - Normalized recipe, or null if meal is empty
+ */
+export function normalizeMeal(meal) {
+  if (!meal) {
+    return null;
+  }
+
+  if (isRecipe(meal)) {
+    return meal;
+  }
+
+  const recipe = {
+    id: isBlank(meal.idMeal) ? null : String(meal.idMeal),
+    name: null,
+    category: null,
+    area: null,
+    tags: [],
+    ingredients: [],
+    instructions: null,
+    steps: [],
+    media: { thumbnail: null, youtube: null, source: null, imageSource: null },
+    partial: !('strInstructions' in meal),
+    extra: {}
+  };
+
+  for (const [key, value] of Object.entries(meal)) {
+    if (SLOT_PATTERN.test(key)) {
+      continue;
+    }
+
+    const target = FIELD_MAP[key];
+
+    // Unknown fields and empty or non-text values are kept as-is so toRawMeal can restore them exactly
+    if (!target || typeof value !== 'string' || value.trim() === '') {
+      recipe.extra[key] = value;
+      continue;
+    }
+
+    if (target === 'tags') {
+      recipe.tags = splitTags(value);
+
+      if (recipe.tags.join(',') !== value) {
+        recipe.extra.strTags = value;
+      }
+    } else if (target.startsWith('media.')) {
+      recipe.media[target.slice('media.'.length)] = value;
+    } else if (target !== 'id') {
+      recipe[target] = value;
+    }
+  }
+
+  recipe.steps = splitSteps(recipe.instructions);
+
+  const slotCount = Math.max(MAX_INGREDIENT_SLOTS, getHighestSlot(meal));
+
+  for (let i = 1; i <= slotCount; i++) {
+    const ingredientKey = `strIngredient${i}`;
+    const measureKey = `strMeasure${i}`;
+    const ingredient = meal[ingredientKey];
+    const measure = meal[measureKey];
+
+    if (isBlank(ingredient)) {
+      // Remember empty slots so ingredients land back in the same positions
+      if (ingredientKey in meal) {
+        recipe.extra[ingredientKey] = ingredient;
+      }
+
+      if (measureKey in meal) {
+        recipe.extra[measureKey] = measure;
+      }
+
+      continue;
+    }
+
+    const entry = {
+      name: ingredient.trim(),
+      measure: typeof measure === 'string' ? measure.trim() : ''
+    };
+
+    recipe.ingredients.push(entry);
+
+    // Keep the original text when trimming changed it
+    if (ingredient !== entry.name) {
+      recipe.extra[ingredientKey] = ingredient;
+    }
+
+    if (measureKey in meal && measure !== entry.measure) {
+      recipe.extra[measureKey] = measure;
+    }
+  }
+
+  return recipe;
+}
+
+/**
+ * Find the highest ingredient or measure slot number used by a raw meal
+ *
+ * @param {Object} meal - Raw meal
+ * @returns {number} - Highest slot number, or 0 if none
+ */
+function getHighestSlot(meal) {
+  let highest = 0;
+
+  for (const key of Object.keys(meal)) {
+    const match = SLOT_PATTERN.exec(key);
+
+    if (match) {
+      highest = Math.max(highest, Number(match[2]));
+    }
+  }
+
+  return highest;
+}
+
+/**
+ * Convert a normalized recipe back into TheMealDB's raw meal shape
+ * For a recipe produced by normalizeMeal, this rebuilds the original object field for field.
+ * Raw meals are returned unchanged.
+ *
+ * @param {Object} recipe - Normalized recipe or raw meal
+ * @returns {Object|null} - Raw meal object, or null if recipe is empty
+ */
+export function toRawMeal(recipe) {
+  if (!recipe) {
+    return null;
+  }
+
+  if (!isRecipe(recipe)) {
+    return recipe;
+  }
+
+  const extra = recipe.extra || {};
+  const media = recipe.media || {};
+  const mapped = {
+    idMeal: recipe.id,
+    strMeal: recipe.name,
+    strCategory: recipe.category,
+    strArea: recipe.area,
+    strInstructions: recipe.instructions,
+    strTags: recipe.tags && recipe.tags.length > 0 ? recipe.tags.join(',') : null,
+    strMealThumb: media.thumbnail,
+    strYoutube: media.youtube,
+    strSource: media.source,
+    strImageSource: media.imageSource
+  };
+
+  // Place ingredients in order, skipping slots that were empty in the original meal
+  const slots = {};
+  let slot = 1;
+
+  for (const ingredient of recipe.ingredients) {
+    while (`strIngredient${slot}` in extra && isBlank(extra[`strIngredient${slot}`])) {
+      slot++;
+    }
+
+    const ingredientKey = `strIngredient${slot}`;
+    const measureKey = `strMeasure${slot}`;
+    const originalIngredient = extra[ingredientKey];
+    const originalMeasure = extra[measureKey];
+
+    slots[ingredientKey] = typeof originalIngredient === 'string' && originalIngredient.trim() === ingredient.name
+      ? originalIngredient
+      : ingredient.name;
+
+    if (measureKey in extra && (originalMeasure ?? '').trim() === ingredient.measure) {
+      slots[measureKey] = originalMeasure;
+    } else {
+      slots[measureKey] = ingredient.measure;
+    }
+
+    slot++;
+  }
+
+  for (const [key, value] of Object.entries(extra)) {
+    if (SLOT_PATTERN.test(key) && !(key in slots)) {
+      slots[key] = value;
+    }
+  }
+
+  const slotCount = Math.max(MAX_INGREDIENT_SLOTS, getHighestSlot(slots));
+  const order = [
+    ...LEADING_FIELDS,
+    ...Array.from({ length: slotCount }, (_, i) => `strIngredient${i + 1}`),
+    ...Array.from({ length: slotCount }, (_, i) => `strMeasure${i + 1}`),
+    ...TRAILING_FIELDS
+  ];
+
+  const meal = {};
+
+  for (const key of order) {
+    if (key in extra && !(key in slots)) {
+      meal[key] = extra[key];
+    } else if (key in slots) {
+      meal[key] = slots[key];
+    } else if (mapped[key] !== null && mapped[key] !== undefined) {
+      meal[key] = mapped[key];
+    }
+  }
+
+  // Fields TheMealDB may add in the future go last
+  for (const [key, value] of Object.entries(extra)) {
+    if (!(key in meal)) {
+      meal[key] = value;
+    }
+  }
+
+  return meal;
+}
+
+/**
+ * Check a rating given to a recipe
+ *
+ * @param {any} rating - Rating to store
+ * @returns {boolean} - True for a whole number from 1 to MAX_RATING, or null for no rating
+ */
+export function isValidRating(rating) {
+  return rating === null || (Number.isInteger(rating) && rating >= 1 && rating <= MAX_RATING);
+}
+
+/**
+ * Normalize an array of raw meals, dropping empty entries
+ *
+ * @param {Array<Object>|null} meals - Raw meals or normalized recipes
+ * @returns {Array<Object>} - Normalized recipes
+ */
+export function normalizeMeals(meals) {
+  return (meals || []).map(normalizeMeal).filter(Boolean);
+}
+
+export default {
+  MAX_RATING,
+  isRecipe,
+  normalizeMeal,
+  normalizeMeals,
+  toRawMeal,
+  splitSteps,
+  isValidRating
+};
@@ -0,0 +1,347 @@
+// src/recipes.js
+/**
+ * Recipe lookups shared by the interactive menu and the command-line interface
+ * Every lookup checks the cache before calling TheMealDB API.
+ * Results are normalized recipes (see recipe-model.js), and that is also what gets cached.
+ */
+
+import * as api from './api.js';
+import * as cache from './cache.js';
+import { normalizeMeal, normalizeMeals } from './recipe-model.js';
+import { NotFoundError } from './errors.js';
+import { evaluateIngredientQuery, getQueryIngredients, parseIngredientQuery } from './ingredient-query.js';
+import { formatAge } from './utils.js';
+
+// Cache key holding the IDs of the latest search results, used by prefetch.js
+const LATEST_SEARCH_KEY = 'latest_search';
+
+// Results of the latest search that are remembered
+const LATEST_SEARCH_SIZE = 20;
+
+/**
+ * Get cached data, fetching it on a cache miss
+ * Expired data is shown straight away with a notice while it is refreshed in the background.
+ *
+ * @param {string} key - Cache key
+ * @param {Function} fetchFn - Resolves to fresh data
+ * @param {boolean} forceRefresh - Skip the cache and fetch fresh data
+ * @returns {Promise<any>} - Cached or fresh data
+ */
+async function getCached(key, fetchFn, forceRefresh) {
+  const { data, refreshing, timestamp } = await cache.getCachedOrFetch(key, fetchFn, forceRefresh, { staleWhileRevalidate: true, withStatus: true });
+
+  if (refreshing) {
+    console.warn(`Showing saved results from ${formatAge(Date.now() - timestamp)} ago; newer results are being fetched for next time.`);
+  }
+
+  return data;
+}
+
+/**
+ * Get a cached list of recipes, fetching and normalizing the meals on a cache miss
+ *
+ * @param {string} key - Cache key
+ * @param {Function} fetchMeals - Resolves to an array of raw meals
+ * @param {boolean} forceRefresh - Skip the cache and fetch fresh results
+ * @returns {Promise<Array>} - Array of recipes
+ */
+async function getCachedRecipes(key, fetchMeals, forceRefresh) {
+  const cached = await getCached(key, async () => normalizeMeals(await fetchMeals()), forceRefresh);
+
+  // Entries cached before recipes were normalized are upgraded on the way out
+  return normalizeMeals(cached);
+}
+
+/**
+ * Remember the IDs of the first results of a search for prefetch.js
+ *
+ * @param {Array} list - Recipes found
+ * @returns {Promise<Array>} - The same recipes
+ */
+async function rememberLatestSearch(list) {
+  if (list.length > 0) {
+    await cache.saveToCache(LATEST_SEARCH_KEY, list.slice(0, LATEST_SEARCH_SIZE).map(recipe => recipe.id));
+  }
+
+  return list;
+}
+
+/**
+ * Get the IDs of the first results of the latest search, best first
+ *
+ * @returns {Promise<Array<string>>} - Recipe IDs, empty if nothing has been searched
+ */
+export async function getLatestSearchIds() {
+  const entry = await cache.getCachedEntry(LATEST_SEARCH_KEY);
+  return Array.isArray(entry?.data) ? entry.data : [];
+}
+
+/**
+ * Get the cache key holding the full details of a recipe
+ *
+ * @param {string} recipeId - Meal ID
+ * @returns {string} - Cache key
+ */
+export function getRecipeCacheKey(recipeId) {
+  return `recipe_${recipeId}`;
+}
+
+/**
+ * Search recipes by name
+ *
+ * @param {string} query - Search term
+ * @param {boolean} forceRefresh - Skip the cache and fetch fresh results
+ * @returns {Promise<Array>} - Array of recipes
+ */
+export async function findRecipesByName(query, forceRefresh = false) {
+  const term = query.trim();
+  const key = `search_${term.toLowerCase()}`;
+
+  return rememberLatestSearch(await getCachedRecipes(key, () => api.searchMealsByName(term), forceRefresh));
+}
+
+/**
+ * Get the full details of a recipe
+ *
+ * @param {string} recipeId - Meal ID
+ * @param {boolean} forceRefresh - Skip the cache and fetch fresh details
+ * @returns {Promise<Object|null>} - Full recipe or null if not found
+ * @throws {ApiError} - If the recipe could not be fetched for any other reason
+ */
+export async function findRecipeById(recipeId, forceRefresh = false) {
+  const key = getRecipeCacheKey(recipeId);
+
+  try {
+    const recipe = await getCached(key, async () => normalizeMeal(await api.getMealById(recipeId)), forceRefresh);
+
+    return normalizeMeal(recipe);
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get recipes starting with any of the given letters
+ * Any number of letters may be searched; the api module paces the requests
+ *
+ * @param {string} letters - Letters to search by (e.g. "abc")
+ * @param {boolean} forceRefresh - Skip the cache and fetch fresh results
+ * @returns {Promise<Array>} - Combined array of recipes
+ */
+export async function findRecipesByLetters(letters, forceRefresh = false) {
+  const uniqueLetters = getUniqueLetters(letters);
+  const key = `letters_${[...uniqueLetters].sort().join('')}`;
+
+  return rememberLatestSearch(await getCachedRecipes(key, () => api.searchMealsByFirstLetter(uniqueLetters), forceRefresh));
+}
+
+/**
+ * Get recipes that use an ingredient
+ *
+ * @param {string} ingredient - Ingredient to search for
+ * @param {boolean} forceRefresh - Skip the cache and fetch fresh results
+ * @returns {Promise<Array>} - Array of partial recipes
+ */
+export async function findRecipesByIngredient(ingredient, forceRefresh = false) {
+  const term = ingredient.trim();
+  const key = `ingredient_${term.toLowerCase()}`;
+
+  return getCachedRecipes(key, () => api.getMealsByIngredient(term), forceRefresh);
+}
+
+/**
+ * Get recipes matching a boolean ingredient query (e.g. "chicken AND garlic NOT cream")
+ * Each ingredient is looked up in parallel through findRecipesByIngredient, so every
+ * single-ingredient result is cached on its own and reused by later queries.
+ *
+ * @param {string} query - Ingredient query (see ingredient-query.js)
+ * @param {boolean} forceRefresh - Skip the cache and fetch fresh results
+ * @returns {Promise<Array>} - Partial recipes, each with a matched list of the requested ingredients it uses
+ * @throws {QuerySyntaxError} - If the query cannot be understood
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/all | MDN: Promise.all}
+ */
+export async function findRecipesByIngredientQuery(query, forceRefresh = false) {
+  const tree = parseIngredientQuery(query);
+  const ingredients = getQueryIngredients(tree);
+  const results = await Promise.all(ingredients.map(ingredient => findRecipesByIngredient(ingredient, forceRefresh)));
+  const resultsByIngredient = new Map(ingredients.map((ingredient, index) => [ingredient, results[index]]));
+
+  const matches = evaluateIngredientQuery(tree, resultsByIngredient);
+  const wanted = getQueryIngredients(tree, false);
+
+  return rememberLatestSearch(Array.from(matches.values(), recipe => ({
+    ...recipe,
+    matched: wanted.filter(ingredient => resultsByIngredient.get(ingredient).some(found => found.id === recipe.id))
+  })));
+}
+
+/**
+ * Get a random recipe
+ * Races three requests and uses whichever answers first; the other two are then cancelled
+ *
+ * @returns {Promise<Object>} - Random recipe
+ * @throws {ApiError} - If the first request to settle fails
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/race | MDN: Promise.race}
+ */
+export async function findRandomRecipe() {
+  const controller = new AbortController();
+  const options = { signal: controller.signal };
+
+  try {
+    return normalizeMeal(await Promise.race([api.getRandomMeal(options), api.getRandomMeal(options), api.getRandomMeal(options)]));
+  } finally {
+    controller.abort();
+  }
+}
+
+/**
+ * Get other recipes from the same category as a recipe
+ * Uses the same cached category results as findRecipesByCategory, without making
+ * them the latest search.
+ *
+ * @param {Object} recipe - Recipe to find relatives for (normalized or raw)
+ * @param {number} limit - Maximum number of related recipes to return
+ * @returns {Promise<Array>} - Array of partial recipes (empty if the recipe has no category)
+ * @throws {ApiError} - If the category could not be fetched and nothing was cached
+ */
+export async function findRelatedRecipes(recipe, limit = 3) {
+  const { id, category } = normalizeMeal(recipe) || {};
+
+  if (!category) {
+    return [];
+  }
+
+  const related = await getCategoryRecipes(category);
+  return related.filter(found => found.id !== id).slice(0, limit);
+}
+
+/**
+ * Get all meal categories with their descriptions
+ *
+ * @param {boolean} forceRefresh - Skip the cache and fetch fresh results
+ * @returns {Promise<Array>} - Array of category objects
+ */
+export async function findCategories(forceRefresh = false) {
+  return getCached('categories', () => api.getCategories(), forceRefresh);
+}
+
+/**
+ * Get the names of all meal categories
+ *
+ * @param {boolean} forceRefresh - Skip the cache and fetch fresh results
+ * @returns {Promise<Array<string>>} - Category names
+ */
+export async function findCategoryNames(forceRefresh = false) {
+  return getCached('list_categories', async () => {
+    const list = await api.listCategories();
+    return list.map(item => item.strCategory);
+  }, forceRefresh);
+}
+
+/**
+ * Get the names of all areas (cuisines)
+ *
+ * @param {boolean} forceRefresh - Skip the cache and fetch fresh results
+ * @returns {Promise<Array<string>>} - Area names
+ */
+export async function findAreas(forceRefresh = false) {
+  return getCached('list_areas', async () => {
+    const list = await api.listAreas();
+    return list.map(item => item.strArea);
+  }, forceRefresh);
+}
+
+/**
+ * Get the names of all known ingredients
+ *
+ * @param {boolean} forceRefresh - Skip the cache and fetch fresh results
+ * @returns {Promise<Array<string>>} - Ingredient names
+ */
+export async function findIngredients(forceRefresh = false) {
+  return getCached('list_ingredients', async () => {
+    const list = await api.listIngredients();
+    return list.map(item => item.strIngredient);
+  }, forceRefresh);
+}
+
+/**
+ * Get the cached recipes of a category, fetching them on a cache miss
+ *
+ * @param {string} category - Category name
+ * @param {boolean} forceRefresh - Skip the cache and fetch fresh results
+ * @returns {Promise<Array>} - Array of partial recipes
+ */
+async function getCategoryRecipes(category, forceRefresh = false) {
+  const term = category.trim();
+  const key = `category_${term.toLowerCase()}`;
+
+  return getCachedRecipes(key, () => api.getMealsByCategory(term), forceRefresh);
+}
+
+/**
+ * Get recipes in a category
+ *
+ * @param {string} category - Category name
+ * @param {boolean} forceRefresh - Skip the cache and fetch fresh results
+ * @returns {Promise<Array>} - Array of partial recipes
+ */
+export async function findRecipesByCategory(category, forceRefresh = false) {
+  return rememberLatestSearch(await getCategoryRecipes(category, forceRefresh));
+}
+
+/**
+ * Get recipes from an area (cuisine)
+ *
+ * @param {string} area - Area name
+ * @param {boolean} forceRefresh - Skip the cache and fetch fresh results
+ * @returns {Promise<Array>} - Array of partial recipes
+ */
+export async function findRecipesByArea(area, forceRefresh = false) {
+  const term = area.trim();
+  const key = `area_${term.toLowerCase()}`;
+
+  return rememberLatestSearch(await getCachedRecipes(key, () => api.getMealsByArea(term), forceRefresh));
+}
+
+/**
+ * Reduce a string of letters to the unique lowercase letters to search by
+ * Ranges are expanded, so "a-e" means "abcde" and "a-z" searches every letter.
+ *
+ * @param {string} letters - Letters entered by the user
+ * @returns {Array<string>} - Unique letters in the order entered
+ */
+export function getUniqueLetters(letters) {
+  const expanded = letters.toLowerCase().replace(/([a-z])-([a-z])/g, (_, from, to) => {
+    const start = from.charCodeAt(0);
+    const end = to.charCodeAt(0);
+    const step = start <= end ? 1 : -1;
+
+    return Array.from({ length: Math.abs(end - start) + 1 }, (_, i) => String.fromCharCode(start + i * step)).join('');
+  });
+
+  return Array.from(new Set(expanded.replace(/[^a-z]/g, '')));
+}
+
+export default {
+  getLatestSearchIds,
+  getRecipeCacheKey,
+  findRecipesByName,
+  findRecipeById,
+  findRecipesByLetters,
+  findRecipesByIngredient,
+  findRecipesByIngredientQuery,
+  findRandomRecipe,
+  findRelatedRecipes,
+  findCategories,
+  findCategoryNames,
+  findAreas,
+  findIngredients,
+  findRecipesByCategory,
+  findRecipesByArea,
+  getUniqueLetters
+};
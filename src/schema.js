@@ -0,0 +1,286 @@
+// src/schema.js
+/**
+ * Versioned data files
+ * cache.json and favorites.json are stored as { "version": n, "data": ... } so their
+ * shape can change without breaking files written by older versions of the app.
+ * Files from before versioning (a bare object or array) count as version 0.
+ *
+ * Older files are upgraded in memory whenever they are read, and rewritten in the
+ * current version by migrateFile at startup, which keeps a copy of the original.
+ * A file written by a newer version of the app is never changed.
+ */
+
+import fs from 'fs/promises';
+import { CorruptFileError, readJsonFile, writeJsonFile } from './storage.js';
+
+// Version written by this build, for each kind of file
+export const SCHEMA_VERSIONS = {
+  cache: 1,
+  favorites: 4
+};
+
+// Collection that favorites saved before collections existed are moved into
+export const DEFAULT_FAVORITES_COLLECTION = 'Favorites';
+
+// MIGRATIONS[kind][n] turns the data of version n into the data of version n + 1
+const MIGRATIONS = {
+  cache: [
+    // 0 -> 1: the object of entries is unchanged, only wrapped in the envelope
+    data => data
+  ],
+  favorites: [
+    // 0 -> 1: the array of meals is unchanged, only wrapped in the envelope
+    data => data,
+    // 1 -> 2: the flat array of meals becomes { collections, favorites }, with every
+    // meal in the default collection and no tags (anything else is left for validation to reject)
+    data => !Array.isArray(data) ? data : {
+      collections: [{ name: DEFAULT_FAVORITES_COLLECTION, recipeIds: Array.from(new Set(data.map(meal => String(meal.idMeal)))) }],
+      favorites: data.map(meal => ({ meal, tags: [] }))
+    },
+    // 2 -> 3: every favorite gets an empty rating, notes and ingredient overrides
+    data => !Array.isArray(data?.favorites) ? data : {
+      ...data,
+      favorites: data.favorites.map(favorite => ({ ...favorite, rating: null, notes: '', overrides: [] }))
+    },
+    // 3 -> 4: every favorite gets addedAt, unknown (null) for favorites saved before it was recorded
+    data => !Array.isArray(data?.favorites) ? data : {
+      ...data,
+      favorites: data.favorites.map(favorite => ({ ...favorite, addedAt: null }))
+    }
+  ]
+};
+
+/**
+ * Raised when a file was written by a newer version of the app
+ */
+export class UnsupportedVersionError extends Error {
+  constructor(file, version, supported) {
+    super(`${file} was saved by a newer version of Recipe Explorer (format ${version}, this version reads up to ${supported}). Please update the app.`);
+    this.name = 'UnsupportedVersionError';
+    this.file = file;
+    this.version = version;
+  }
+}
+
+/**
+ * Check whether parsed file contents use the versioned envelope
+ *
+ * @param {any} content - Parsed file contents
+ * @returns {boolean} - True for { version, data }
+ */
+function isEnvelope(content) {
+  return Boolean(content) && typeof content === 'object' && !Array.isArray(content) &&
+    Number.isInteger(content.version) && content.version >= 1 && Object.hasOwn(content, 'data');
+}
+
+/**
+ * Get the format version of parsed file contents
+ *
+ * @param {any} content - Parsed file contents
+ * @returns {number} - Version, 0 for files from before versioning
+ */
+export function getVersion(content) {
+  return isEnvelope(content) ? content.version : 0;
+}
+
+/**
+ * Wrap data in the envelope of the current version
+ *
+ * @param {string} kind - "cache" or "favorites"
+ * @param {any} data - Data to store
+ * @returns {{version: number, data: any}} - File contents
+ */
+export function wrapData(kind, data) {
+  return { version: SCHEMA_VERSIONS[kind], data };
+}
+
+/**
+ * Bring parsed file contents up to the current version
+ *
+ * @param {string} kind - "cache" or "favorites"
+ * @param {any} content - Parsed file contents of any version
+ * @param {string} file - Path the contents came from (for error messages)
+ * @returns {any} - Data in the current version's shape
+ * @throws {UnsupportedVersionError} - If the contents are from a newer version
+ */
+export function upgradeContent(kind, content, file) {
+  const version = getVersion(content);
+  const current = SCHEMA_VERSIONS[kind];
+
+  if (version > current) {
+    throw new UnsupportedVersionError(file, version, current);
+  }
+
+  let data = version === 0 ? content : content.data;
+
+  for (let step = version; step < current; step++) {
+    data = MIGRATIONS[kind][step](data);
+  }
+
+  return data;
+}
+
+/**
+ * Build a validator for recoverJsonFile that accepts files of any version
+ * Files from a newer version count as valid so they are never moved aside or replaced.
+ *
+ * @param {string} kind - "cache" or "favorites"
+ * @param {Function} validate - Returns true if data in the current shape is valid
+ * @returns {Function} - Validator for parsed file contents
+ */
+export function createContentValidator(kind, validate) {
+  return content => {
+    if (getVersion(content) > SCHEMA_VERSIONS[kind]) {
+      return true;
+    }
+
+    try {
+      return validate(upgradeContent(kind, content));
+    } catch (error) {
+      return false;
+    }
+  };
+}
+
+/**
+ * Read a versioned file, upgrading older versions in memory
+ *
+ * @param {string} file - Path of the file
+ * @param {string} kind - "cache" or "favorites"
+ * @param {Object} options - Read options
+ * @param {Function} options.validate - Returns true if the upgraded data has the expected shape
+ * @returns {Promise<any>} - Data in the current version's shape
+ * @throws {CorruptFileError} - If the file is damaged
+ * @throws {UnsupportedVersionError} - If the file is from a newer version
+ */
+export async function readVersionedFile(file, kind, { validate } = {}) {
+  const data = upgradeContent(kind, await readJsonFile(file), file);
+
+  if (validate && !validate(data)) {
+    throw new CorruptFileError(file);
+  }
+
+  return data;
+}
+
+/**
+ * Write data in the current version's envelope (atomically, see storage.js)
+ *
+ * @param {string} file - Path of the file
+ * @param {string} kind - "cache" or "favorites"
+ * @param {any} data - Data to store
+ * @param {Object} options - Write options for writeJsonFile (backup)
+ * @returns {Promise<void>}
+ */
+export function writeVersionedFile(file, kind, data, options) {
+  return writeJsonFile(file, wrapData(kind, data), options);
+}
+
+/**
+ * Get the path of the copy kept when a file is migrated
+ *
+ * @param {string} file - Path of the file
+ * @param {number} version - Version the file had before the migration
+ * @returns {string} - Path of the copy
+ */
+export function getMigrationBackupPath(file, version) {
+  return `${file}.v${version}.bak`;
+}
+
+/**
+ * Rewrite an older file in the current version, keeping a copy of the original
+ * Call it while holding the file's lock (see file-lock.js).
+ *
+ * @param {string} file - Path of the file
+ * @param {string} kind - "cache" or "favorites"
+ * @param {Object} options - Options
+ * @param {Function} options.validate - Returns true if the upgraded data has the expected shape
+ * @returns {Promise<Object>} - { status: 'missing' | 'current' | 'migrated', from, to, backup }
+ * @throws {CorruptFileError} - If the file is damaged
+ * @throws {UnsupportedVersionError} - If the file is from a newer version
+ *
+ * @see {@link https://nodejs.org/api/fs.html#fspromisescopyfilesrc-dest-mode | Node.js: fsPromises.copyFile}
+ */
+export async function migrateFile(file, kind, { validate } = {}) {
+  let content;
+
+  try {
+    content = await readJsonFile(file);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { status: 'missing' };
+    }
+    throw error;
+  }
+
+  const from = getVersion(content);
+  const to = SCHEMA_VERSIONS[kind];
+  const data = upgradeContent(kind, content, file);
+
+  if (from === to) {
+    return { status: 'current', from, to };
+  }
+
+  if (validate && !validate(data)) {
+    throw new CorruptFileError(file);
+  }
+
+  const backup = getMigrationBackupPath(file, from);
+  await fs.copyFile(file, backup);
+  await writeVersionedFile(file, kind, data);
+
+  return { status: 'migrated', from, to, backup };
+}
+
+/**
+ * Describe the state of a data file without changing it
+ *
+ * @param {string} file - Path of the file
+ * @param {string} kind - "cache" or "favorites"
+ * @param {Object} options - Options
+ * @param {Function} options.validate - Returns true if the upgraded data has the expected shape
+ * @returns {Promise<Object>} - { exists, version, current, valid, data, error }
+ */
+export async function inspectFile(file, kind, { validate } = {}) {
+  const report = { exists: false, version: null, current: SCHEMA_VERSIONS[kind], valid: false, data: null, error: null };
+  let content;
+
+  try {
+    content = await readJsonFile(file);
+    report.exists = true;
+  } catch (error) {
+    report.exists = error.code !== 'ENOENT';
+    report.error = report.exists ? error.message : null;
+    return report;
+  }
+
+  report.version = getVersion(content);
+
+  try {
+    report.data = upgradeContent(kind, content, file);
+    report.valid = !validate || validate(report.data);
+
+    if (!report.valid) {
+      report.error = `${file} does not have the expected shape`;
+    }
+  } catch (error) {
+    report.error = error.message;
+  }
+
+  return report;
+}
+
+export default {
+  SCHEMA_VERSIONS,
+  DEFAULT_FAVORITES_COLLECTION,
+  UnsupportedVersionError,
+  getVersion,
+  wrapData,
+  upgradeContent,
+  createContentValidator,
+  readVersionedFile,
+  writeVersionedFile,
+  getMigrationBackupPath,
+  migrateFile,
+  inspectFile
+};
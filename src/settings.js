@@ -0,0 +1,250 @@
+// src/settings.js
+/**
+ * App settings shared by every module, and where the data files live
+ *
+ * Settings come from, in order of priority:
+ *   1. Environment variables (see ENV_SETTINGS)
+ *   2. The config file: $RECIPE_EXPLORER_CONFIG, or config.json in
+ *      $XDG_CONFIG_HOME/recipe-explorer (default ~/.config/recipe-explorer)
+ *   3. DEFAULT_SETTINGS
+ *
+ * The data directory (cache, favorites, offline catalog) is the first of:
+ *   1. $RECIPE_EXPLORER_DATA_DIR
+ *   2. $XDG_DATA_HOME/recipe-explorer, when XDG_DATA_HOME is set
+ *   3. "dataDir" in the config file (relative paths start from the config file's directory,
+ *      "~/" from the home directory)
+ *   4. The project's data/ folder when running from a source checkout, or
+ *      ~/.local/share/recipe-explorer when installed as a package, so a global
+ *      install never writes into node_modules
+ *
+ * Settings are read once, synchronously, because modules build their file paths when
+ * they are loaded.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_HTTP_OPTIONS } from './http.js';
+
+// Get the directory path using ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const APP_NAME = 'recipe-explorer';
+const PROJECT_DATA_DIR = path.join(__dirname, '../data');
+
+export const UNIT_SYSTEMS = ['metric', 'us'];
+
+// Where cached results are stored (see cache-backends/index.js)
+export const CACHE_BACKEND_TYPES = ['json', 'directory', 'memory'];
+
+export const DEFAULT_SETTINGS = {
+  cacheTtlHours: {},                        // Hours results stay fresh, by cache key pattern (see cache.js)
+  cacheBackend: 'json',                     // Cache storage: one JSON file, a file per entry, or memory only
+  timeoutMs: DEFAULT_HTTP_OPTIONS.timeoutMs, // Per HTTP request attempt
+  retries: DEFAULT_HTTP_OPTIONS.retries,    // Extra attempts after a temporary failure
+  concurrency: 4,                           // Requests a multi-letter search sends at the same time
+  units: 'metric'                           // Unit system recipe measures are shown in (see units.js)
+};
+
+// Environment variables that override a setting from the config file
+export const ENV_SETTINGS = {
+  MEALDB_TIMEOUT_MS: 'timeoutMs',
+  MEALDB_RETRIES: 'retries',
+  RECIPE_CONCURRENCY: 'concurrency',
+  RECIPE_UNITS: 'units',
+  RECIPE_CACHE_BACKEND: 'cacheBackend'
+};
+
+// Checks for each setting; a value that fails is ignored with a warning
+const VALIDATORS = {
+  cacheTtlHours: value => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(hours => typeof hours === 'number' && hours >= 0),
+  cacheBackend: value => CACHE_BACKEND_TYPES.includes(value),
+  timeoutMs: value => Number.isFinite(value) && value > 0,
+  retries: value => Number.isInteger(value) && value >= 0,
+  concurrency: value => Number.isInteger(value) && value >= 1,
+  units: value => UNIT_SYSTEMS.includes(value)
+};
+
+let currentSettings = null;
+
+/**
+ * Get the home directory, preferring HOME from the given environment
+ *
+ * @param {Object} env - Environment variables
+ * @returns {string} - Home directory
+ *
+ * @see {@link https://nodejs.org/api/os.html#oshomedir | Node.js: os.homedir}
+ */
+function getHomeDir(env) {
+  return env.HOME || os.homedir();
+}
+
+/**
+ * Get the path of the config file
+ *
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {string} - Path of config.json
+ *
+ * @see {@link https://specifications.freedesktop.org/basedir-spec/latest/ | XDG Base Directory Specification}
+ */
+export function getConfigPath(env = process.env) {
+  if (env.RECIPE_EXPLORER_CONFIG) {
+    return path.resolve(env.RECIPE_EXPLORER_CONFIG);
+  }
+
+  const configHome = env.XDG_CONFIG_HOME || path.join(getHomeDir(env), '.config');
+  return path.join(configHome, APP_NAME, 'config.json');
+}
+
+/**
+ * Read the config file
+ * A missing file means no settings; an unreadable one is reported and ignored.
+ *
+ * @param {string} file - Path of the config file
+ * @returns {Object} - Settings from the file
+ */
+function readConfigFile(file) {
+  let text;
+
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Ignoring settings file ${file}:`, error.message);
+    }
+    return {};
+  }
+
+  try {
+    const config = JSON.parse(text);
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('expected a JSON object');
+    }
+
+    return config;
+  } catch (error) {
+    console.error(`Ignoring settings file ${file}:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Check whether the app is running from an installed package rather than a source checkout
+ *
+ * @returns {boolean} - True if this file is inside node_modules
+ */
+function isInstalledPackage() {
+  return __dirname.split(path.sep).includes('node_modules');
+}
+
+/**
+ * Work out the data directory
+ *
+ * @param {Object} env - Environment variables
+ * @param {Object} config - Settings from the config file
+ * @param {string} configFile - Path of the config file
+ * @returns {{dir: string, source: string}} - Directory and what chose it ("env", "xdg", "config" or "default")
+ */
+function resolveDataDir(env, config, configFile) {
+  if (env.RECIPE_EXPLORER_DATA_DIR) {
+    return { dir: path.resolve(env.RECIPE_EXPLORER_DATA_DIR), source: 'env' };
+  }
+
+  if (env.XDG_DATA_HOME) {
+    return { dir: path.join(env.XDG_DATA_HOME, APP_NAME), source: 'xdg' };
+  }
+
+  if (typeof config.dataDir === 'string' && config.dataDir.trim() !== '') {
+    // "~/" means the home directory, as in a shell
+    const dir = config.dataDir.startsWith('~/') ? path.join(getHomeDir(env), config.dataDir.slice(2)) : config.dataDir;
+    return { dir: path.resolve(path.dirname(configFile), dir), source: 'config' };
+  }
+
+  if (isInstalledPackage()) {
+    return { dir: path.join(getHomeDir(env), '.local', 'share', APP_NAME), source: 'default' };
+  }
+
+  return { dir: PROJECT_DATA_DIR, source: 'default' };
+}
+
+/**
+ * Read the settings from the environment and the config file
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.env - Environment variables (default: process.env)
+ * @returns {Object} - Settings: DEFAULT_SETTINGS keys plus dataDir, dataDirSource and configFile
+ */
+export function loadSettings({ env = process.env } = {}) {
+  const configFile = getConfigPath(env);
+  const config = readConfigFile(configFile);
+  const settings = { ...DEFAULT_SETTINGS };
+
+  for (const name of Object.keys(DEFAULT_SETTINGS)) {
+    if (config[name] === undefined) {
+      continue;
+    }
+
+    if (VALIDATORS[name](config[name])) {
+      settings[name] = config[name];
+    } else {
+      console.error(`Ignoring invalid "${name}" in ${configFile}`);
+    }
+  }
+
+  for (const [variable, name] of Object.entries(ENV_SETTINGS)) {
+    if (!env[variable]) {
+      continue;
+    }
+
+    // Text settings are used as they are; the others are numbers
+    const value = typeof DEFAULT_SETTINGS[name] === 'string' ? env[variable] : Number(env[variable]);
+
+    if (VALIDATORS[name](value)) {
+      settings[name] = value;
+    } else {
+      console.error(`Ignoring invalid ${variable}="${env[variable]}"`);
+    }
+  }
+
+  const { dir, source } = resolveDataDir(env, config, configFile);
+
+  return { ...settings, dataDir: dir, dataDirSource: source, configFile };
+}
+
+/**
+ * Get the settings for this process, reading them on first use
+ *
+ * @returns {Object} - Settings (see loadSettings)
+ */
+export function getSettings() {
+  if (!currentSettings) {
+    currentSettings = loadSettings();
+  }
+
+  return currentSettings;
+}
+
+/**
+ * Get the path of a file or folder in the data directory
+ *
+ * @param {string} name - File name (e.g. "cache.json")
+ * @returns {string} - Absolute path
+ */
+export function getDataPath(name) {
+  return path.join(getSettings().dataDir, name);
+}
+
+export default {
+  UNIT_SYSTEMS,
+  CACHE_BACKEND_TYPES,
+  DEFAULT_SETTINGS,
+  ENV_SETTINGS,
+  getConfigPath,
+  loadSettings,
+  getSettings,
+  getDataPath
+};
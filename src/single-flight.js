@@ -0,0 +1,69 @@
+// src/single-flight.js
+/**
+ * In-flight request coalescing ("single flight")
+ * While work for a key is running, other callers asking for the same key get the
+ * same pending promise instead of starting the work again.
+ */
+
+/**
+ * Create a single-flight group
+ *
+ * @returns {Object} - Group with run(key, fn), getMetrics() and resetMetrics()
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map | MDN: Map}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/finally | MDN: Promise.finally}
+ */
+export function createSingleFlight() {
+  const inFlight = new Map();
+  let metrics = { calls: 0, executions: 0, coalesced: 0 };
+
+  return {
+    /**
+     * Run fn for a key, or join the run already in progress for that key
+     * The key is released when the run settles, so a failed run is not shared with later callers.
+     *
+     * @param {string} key - Identifies identical work
+     * @param {Function} fn - Function that returns a promise
+     * @returns {Promise<any>} - Result of the (shared) run
+     */
+    run(key, fn) {
+      metrics.calls++;
+
+      if (inFlight.has(key)) {
+        metrics.coalesced++;
+        return inFlight.get(key);
+      }
+
+      metrics.executions++;
+
+      const promise = Promise.resolve()
+        .then(fn)
+        .finally(() => {
+          inFlight.delete(key);
+        });
+
+      inFlight.set(key, promise);
+      return promise;
+    },
+
+    /**
+     * Get counters for calls made, work actually started and calls that joined a running one
+     *
+     * @returns {Object} - { calls, executions, coalesced, inFlight }
+     */
+    getMetrics() {
+      return { ...metrics, inFlight: inFlight.size };
+    },
+
+    /**
+     * Set all counters back to zero
+     */
+    resetMetrics() {
+      metrics = { calls: 0, executions: 0, coalesced: 0 };
+    }
+  };
+}
+
+export default {
+  createSingleFlight
+};
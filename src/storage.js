@@ -0,0 +1,167 @@
+// src/storage.js
+/**
+ * Crash-safe JSON files
+ * Writes go to a temporary file that is flushed to disk and then renamed over the
+ * real file, so a process killed mid-write leaves either the old or the new
+ * contents, never half of each. The previous contents are kept as a ".bak" copy.
+ * Files that still turn out to be damaged are moved aside, never overwritten.
+ */
+
+import fs from 'fs/promises';
+
+// Keeps temporary file names unique when several writes run at once
+let tempCounter = 0;
+
+/**
+ * Raised when a JSON file exists but cannot be parsed or has the wrong shape
+ */
+export class CorruptFileError extends Error {
+  constructor(file, options) {
+    super(`${file} is damaged and could not be read`, options);
+    this.name = 'CorruptFileError';
+    this.file = file;
+  }
+}
+
+/**
+ * Get the path of the backup copy kept for a file
+ *
+ * @param {string} file - Path of the JSON file
+ * @returns {string} - Path of the backup
+ */
+export function getBackupPath(file) {
+  return `${file}.bak`;
+}
+
+/**
+ * Parse file contents, checking the shape with an optional validator
+ *
+ * @param {string} file - Path the text was read from (for the error message)
+ * @param {string|Buffer} text - File contents
+ * @param {Function} validate - Returns true if the parsed value has the expected shape
+ * @returns {any} - Parsed value
+ * @throws {CorruptFileError} - If the text is not valid JSON or fails validation
+ */
+function parseJson(file, text, validate) {
+  let value;
+
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    throw new CorruptFileError(file, { cause: error });
+  }
+
+  if (validate && !validate(value)) {
+    throw new CorruptFileError(file);
+  }
+
+  return value;
+}
+
+/**
+ * Read and parse a JSON file
+ *
+ * @param {string} file - Path of the JSON file
+ * @param {Object} options - Read options
+ * @param {Function} options.validate - Returns true if the parsed value has the expected shape
+ * @returns {Promise<any>} - Parsed value
+ * @throws {CorruptFileError} - If the file exists but is damaged
+ * @throws {Error} - If the file cannot be read (e.g. ENOENT when it does not exist)
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/parse | MDN: JSON.parse}
+ */
+export async function readJsonFile(file, { validate } = {}) {
+  return parseJson(file, await fs.readFile(file), validate);
+}
+
+/**
+ * Write a value to a JSON file atomically
+ * The data is written to a temporary file and flushed to disk, the current file is
+ * copied to the backup, and the temporary file is renamed over the current one.
+ *
+ * @param {string} file - Path of the JSON file
+ * @param {any} data - Value to store
+ * @param {Object} options - Write options
+ * @param {boolean} options.backup - Copy the current file to the backup first (default: true)
+ * @returns {Promise<void>}
+ *
+ * @see {@link https://nodejs.org/api/fs.html#filehandlesync | Node.js: filehandle.sync}
+ * @see {@link https://nodejs.org/api/fs.html#fspromisesrenameoldpath-newpath | Node.js: fsPromises.rename}
+ */
+export async function writeJsonFile(file, data, { backup = true } = {}) {
+  const tempFile = `${file}.${process.pid}.${tempCounter++}.tmp`;
+
+  try {
+    await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+
+    const handle = await fs.open(tempFile, 'r+');
+    try {
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    if (backup) {
+      try {
+        await fs.copyFile(file, getBackupPath(file));
+      } catch (error) {
+        // Nothing to back up the first time the file is written
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+
+    await fs.rename(tempFile, file);
+  } catch (error) {
+    await fs.rm(tempFile, { force: true }).catch(() => { });
+    throw error;
+  }
+}
+
+/**
+ * Check a JSON file at startup and repair it if it is damaged
+ * A damaged file is renamed to "<file>.corrupt-<time>" so nothing is lost, then
+ * replaced by the backup if that is readable, or by the fallback value otherwise.
+ *
+ * @param {string} file - Path of the JSON file
+ * @param {Object} options - Check options
+ * @param {any} options.fallback - Value to create the file with when it is missing or cannot be restored
+ * @param {Function} options.validate - Returns true if the parsed value has the expected shape
+ * @returns {Promise<Object>} - { status: 'ok' | 'created' | 'restored' | 'reset', movedTo }
+ */
+export async function recoverJsonFile(file, { fallback, validate } = {}) {
+  try {
+    await readJsonFile(file, { validate });
+    return { status: 'ok' };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      await writeJsonFile(file, fallback);
+      return { status: 'created' };
+    }
+
+    if (!(error instanceof CorruptFileError)) {
+      throw error;
+    }
+  }
+
+  const movedTo = `${file}.corrupt-${Date.now()}`;
+  await fs.rename(file, movedTo);
+
+  try {
+    const backup = await readJsonFile(getBackupPath(file), { validate });
+    await writeJsonFile(file, backup);
+    return { status: 'restored', movedTo };
+  } catch (error) {
+    await writeJsonFile(file, fallback);
+    return { status: 'reset', movedTo };
+  }
+}
+
+export default {
+  CorruptFileError,
+  getBackupPath,
+  readJsonFile,
+  writeJsonFile,
+  recoverJsonFile
+};
@@ -0,0 +1,158 @@
+// src/units.js
+/**
+ * Conversion of recipe measures between metric and US units
+ * TheMealDB measures are free text ("200g", "1 1/2 cups", "2 tbs chopped"). A measure
+ * that starts with a quantity and a weight or volume unit is converted; anything else
+ * (spoons, pinches, "1 large") is the same in both systems and is left as it is.
+ */
+
+// Units a measure can be converted from, with their size in grams or millilitres
+const UNITS = {
+  g: { system: 'metric', kind: 'mass', size: 1 },
+  kg: { system: 'metric', kind: 'mass', size: 1000 },
+  ml: { system: 'metric', kind: 'volume', size: 1 },
+  l: { system: 'metric', kind: 'volume', size: 1000 },
+  oz: { system: 'us', kind: 'mass', size: 28.35 },
+  lb: { system: 'us', kind: 'mass', size: 453.6 },
+  'fl oz': { system: 'us', kind: 'volume', size: 29.57 },
+  cup: { system: 'us', kind: 'volume', size: 236.6 },
+  pint: { system: 'us', kind: 'volume', size: 473.2 },
+  quart: { system: 'us', kind: 'volume', size: 946.4 }
+};
+
+// Spellings found in recipes and the unit each one means
+const UNIT_NAMES = [
+  ['fluid ounces', 'fl oz'], ['fluid ounce', 'fl oz'], ['fl oz', 'fl oz'], ['fl. oz', 'fl oz'],
+  ['kilograms', 'kg'], ['kilogram', 'kg'], ['kilos', 'kg'], ['kilo', 'kg'], ['kg', 'kg'],
+  ['grams', 'g'], ['gram', 'g'], ['gr', 'g'], ['g', 'g'],
+  ['millilitres', 'ml'], ['millilitre', 'ml'], ['milliliters', 'ml'], ['milliliter', 'ml'], ['ml', 'ml'],
+  ['litres', 'l'], ['litre', 'l'], ['liters', 'l'], ['liter', 'l'], ['ltr', 'l'], ['l', 'l'],
+  ['ounces', 'oz'], ['ounce', 'oz'], ['oz', 'oz'],
+  ['pounds', 'lb'], ['pound', 'lb'], ['lbs', 'lb'], ['lb', 'lb'],
+  ['cups', 'cup'], ['cup', 'cup'],
+  ['pints', 'pint'], ['pint', 'pint'], ['pt', 'pint'],
+  ['quarts', 'quart'], ['quart', 'quart'], ['qt', 'quart']
+];
+
+const UNICODE_FRACTIONS = { '¼': '1/4', '½': '1/2', '¾': '3/4', '⅓': '1/3', '⅔': '2/3' };
+
+const escapeName = name => name.replace(/[.]/g, '\\.');
+
+// A quantity ("2", "1.5", "1/2", "1 1/2"), a unit, then anything else ("chopped")
+const MEASURE_PATTERN = new RegExp(
+  `^(\\d+(?:\\.\\d+)?(?:\\s+\\d+/\\d+)?|\\d+/\\d+)\\s*(${UNIT_NAMES.map(([name]) => escapeName(name)).join('|')})(?=$|[\\s,.;)(])(.*)$`,
+  'i'
+);
+
+/**
+ * Read a quantity such as "2", "1.5", "3/4" or "1 1/2"
+ *
+ * @param {string} text - Quantity
+ * @returns {number} - Its value
+ */
+function parseQuantity(text) {
+  return text.split(/\s+/).reduce((total, part) => {
+    const [top, bottom] = part.split('/');
+    return total + (bottom ? Number(top) / Number(bottom) : Number(top));
+  }, 0);
+}
+
+/**
+ * Write a metric quantity, rounding larger amounts to whole numbers
+ *
+ * @param {number} value - Quantity
+ * @returns {string} - e.g. "250", "2.5", "1.25"
+ */
+function formatMetric(value) {
+  if (value >= 100) {
+    return String(Math.round(value / 5) * 5);
+  }
+
+  return String(Number(value.toFixed(value >= 10 ? 0 : 2)));
+}
+
+/**
+ * Write a US quantity to the nearest quarter, as a fraction
+ *
+ * @param {number} value - Quantity
+ * @returns {string} - e.g. "1 1/2", "3/4", or "0.1" for amounts under an eighth
+ */
+function formatUs(value) {
+  const quarters = Math.round(value * 4);
+
+  if (quarters === 0) {
+    return String(Number(value.toPrecision(1)));
+  }
+
+  const whole = Math.floor(quarters / 4);
+  const fraction = ['', '1/4', '1/2', '3/4'][quarters % 4];
+  return [whole || '', fraction].filter(Boolean).join(' ');
+}
+
+/**
+ * Choose the unit a converted amount is written in
+ *
+ * @param {string} kind - "mass" or "volume"
+ * @param {number} amount - Amount in grams or millilitres
+ * @param {string} system - Unit system to write it in
+ * @returns {string} - Key of UNITS
+ */
+function chooseUnit(kind, amount, system) {
+  if (system === 'us') {
+    if (kind === 'mass') {
+      return amount >= UNITS.lb.size ? 'lb' : 'oz';
+    }
+    return amount >= UNITS.cup.size / 4 ? 'cup' : 'fl oz';
+  }
+
+  if (kind === 'mass') {
+    return amount >= UNITS.kg.size ? 'kg' : 'g';
+  }
+  return amount >= UNITS.l.size ? 'l' : 'ml';
+}
+
+/**
+ * Convert a measure to the given unit system
+ * Measures already in that system, and measures without a weight or volume unit,
+ * are returned unchanged.
+ *
+ * @param {string} measure - Measure as written in the recipe (e.g. "8 oz", "1/2 cup")
+ * @param {string} system - "metric" or "us" (see settings.UNIT_SYSTEMS)
+ * @returns {string} - Converted measure (e.g. "225 g", "120 ml")
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/match | MDN: String.match}
+ */
+export function convertMeasure(measure, system) {
+  if (typeof measure !== 'string') {
+    return measure;
+  }
+
+  const text = measure.trim().replace(/(\d?)([¼½¾⅓⅔])/g, (match, digit, fraction) => `${digit}${digit ? ' ' : ''}${UNICODE_FRACTIONS[fraction]}`);
+  const match = text.match(MEASURE_PATTERN);
+
+  if (!match) {
+    return measure;
+  }
+
+  const [, quantity, name, rest] = match;
+  const from = UNITS[UNIT_NAMES.find(([spelling]) => spelling === name.toLowerCase())[1]];
+
+  if (from.system === system) {
+    return measure;
+  }
+
+  const amount = parseQuantity(quantity) * from.size;
+  const unit = chooseUnit(from.kind, amount, system);
+  const value = amount / UNITS[unit].size;
+
+  if (system === 'us') {
+    const plural = unit === 'cup' && Math.round(value * 4) > 4 ? 's' : '';
+    return `${formatUs(value)} ${unit}${plural}${rest}`;
+  }
+
+  return `${formatMetric(value)} ${unit}${rest}`;
+}
+
+export default {
+  convertMeasure
+};
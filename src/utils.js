@@ -3,47 +3,118 @@
  * Utility functions for the recipe explorer application
  */
 
+import { MAX_RATING, normalizeMeal } from './recipe-model.js';
+import { convertMeasure } from './units.js';
+
+/**
+ * Describe each ingredient of a recipe as "measure name"
+ * For favorites, the user's ingredient overrides are applied and marked.
+ *
+ * @param {Object} recipe - Normalized recipe, optionally with a favorite property
+ * @param {Object} options - Options
+ * @param {string} options.units - Unit system to show measures in (see units.js); as written when not given
+ * @returns {Array<string>} - One line per ingredient, ingredients added by the user last
+ */
+export function formatIngredientLines(recipe, { units } = {}) {
+  const overrides = new Map((recipe.favorite?.overrides || []).map(override => [override.ingredient.toLowerCase(), override]));
+  const convert = measure => (units ? convertMeasure(measure, units) : measure);
+  const formatIngredient = (measure, name) => `${convert(measure) || ''} ${name}`.trim();
+  const lines = [];
+
+  for (const ingredient of recipe.ingredients) {
+    const override = overrides.get(ingredient.name.toLowerCase());
+    overrides.delete(ingredient.name.toLowerCase());
+
+    if (!override) {
+      lines.push(formatIngredient(ingredient.measure, ingredient.name));
+    } else if (override.measure === null) {
+      lines.push(`${formatIngredient(ingredient.measure, ingredient.name)} (you leave this out)`);
+    } else {
+      lines.push(`${formatIngredient(override.measure, ingredient.name)} (your change; the recipe says ${convert(ingredient.measure) || 'no measure'})`);
+    }
+  }
+
+  // Ingredients the user added to the recipe
+  for (const override of overrides.values()) {
+    if (override.measure !== null) {
+      lines.push(`${formatIngredient(override.measure, override.ingredient)} (your addition)`);
+    }
+  }
+
+  return lines;
+}
+
 /**
  * Format a recipe for display in the console
+ * Partial recipes (from filter results) only show what is known about them. Favorites
+ * (recipes with a favorite property, see favorites.js) also show the user's rating,
+ * notes and ingredient overrides.
  * 
- * @param {Object} recipe - Recipe object
+ * @param {Object} recipe - Normalized recipe or raw meal object
+ * @param {Object} options - Options
+ * @param {string} options.units - Unit system to show measures in (the units setting); as written when not given
  * @returns {string} - Formatted recipe string
  * 
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/trim | MDN: String.trim}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Template_literals | MDN: Template literals}
  */
-export function formatRecipe(recipe) {
+export function formatRecipe(recipe, { units } = {}) {
+  recipe = normalizeMeal(recipe);
+
   if (!recipe) {
     return 'Recipe not found';
   }
   
-  // Extract ingredients and measures
-  const ingredients = [];
-  for (let i = 1; i <= 20; i++) {
-    const ingredient = recipe[`strIngredient${i}`];
-    const measure = recipe[`strMeasure${i}`];
-    
-    if (ingredient && ingredient.trim() !== '') {
-      ingredients.push(`${measure ? measure.trim() : ''} ${ingredient.trim()}`);
-    }
-  }
-  
   // Build formatted string
   let result = '\n';
-  result += `=== ${recipe.strMeal} ===\n`;
-  result += `Category: ${recipe.strCategory || 'N/A'}\n`;
-  result += `Area: ${recipe.strArea || 'N/A'}\n`;
+  result += `=== ${recipe.name} ===\n`;
+
+  if (recipe.partial) {
+    result += `ID: ${recipe.id}\n`;
+    result += '\nFull details have not been loaded for this recipe yet.\n';
+    return result;
+  }
+
+  result += `Category: ${recipe.category || 'N/A'}\n`;
+  result += `Area: ${recipe.area || 'N/A'}\n`;
+
+  if (recipe.tags.length > 0) {
+    result += `Tags: ${recipe.tags.join(', ')}\n`;
+  }
+
+  // Favorites show the user's own rating and notes
+  const annotations = recipe.favorite || {};
+
+  if (annotations.rating) {
+    result += `Your rating: ${annotations.rating}/${MAX_RATING}\n`;
+  }
+
+  if (annotations.notes) {
+    result += `Your notes: ${annotations.notes}\n`;
+  }
+
   result += '\nIngredients:\n';
-  
-  for (const ingredient of ingredients) {
-    result += `- ${ingredient}\n`;
+
+  for (const line of formatIngredientLines(recipe, { units })) {
+    result += `- ${line}\n`;
   }
   
   result += '\nInstructions:\n';
-  result += `${recipe.strInstructions}\n`;
+
+  if (recipe.steps.length > 0) {
+    recipe.steps.forEach((step, index) => {
+      result += `${index + 1}. ${step}\n`;
+    });
+  } else {
+    result += 'N/A\n';
+  }
   
-  if (recipe.strYoutube) {
-    result += `\nVideo Tutorial: ${recipe.strYoutube}\n`;
+  if (recipe.media.youtube) {
+    result += `\nVideo Tutorial: ${recipe.media.youtube}\n`;
+  }
+
+  if (recipe.media.source) {
+    result += `Source: ${recipe.media.source}\n`;
   }
   
   return result;
@@ -52,7 +123,7 @@ export function formatRecipe(recipe) {
 /**
  * Format a list of recipes for display
  * 
- * @param {Array<Object>} recipes - Array of recipe objects
+ * @param {Array<Object>} recipes - Array of normalized recipes or raw meal objects
  * @returns {string} - Formatted recipe list
  * 
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/forEach | MDN: Array.forEach}
@@ -65,39 +136,338 @@ export function formatRecipeList(recipes) {
   let result = '\n';
   result += '=== Recipe List ===\n';
   
-  recipes.forEach((recipe, index) => {
-    result += `${index + 1}. ${recipe.strMeal} (ID: ${recipe.idMeal})\n`;
+  recipes.map(normalizeMeal).forEach((recipe, index) => {
+    result += `${index + 1}. ${recipe.name} (ID: ${recipe.id})`;
+
+    // Ingredient query results say which of the requested ingredients they use
+    if (Array.isArray(recipe.matched) && recipe.matched.length > 0) {
+      result += ` - matched: ${recipe.matched.join(', ')}`;
+    }
+
+    // Favorites show the rating and tags they were given
+    if (recipe.favorite && recipe.favorite.rating) {
+      result += ` - rated ${recipe.favorite.rating}/${MAX_RATING}`;
+    }
+
+    if (recipe.favorite && recipe.favorite.tags.length > 0) {
+      result += ` [${recipe.favorite.tags.join(', ')}]`;
+    }
+
+    result += '\n';
   });
   
   return result;
 }
 
+/**
+ * Format one page of favorites for display, with where it is in the whole list
+ *
+ * @param {Object} page - Result of favorites.getFavoritesPage ({ recipes, page, pages, total })
+ * @returns {string} - Formatted list followed by "Page 2 of 5 (43 favorites)"
+ */
+export function formatFavoritesPage({ recipes, page, pages, total }) {
+  return `${formatRecipeList(recipes)}\nPage ${page} of ${pages} (${total} ${total === 1 ? 'favorite' : 'favorites'})`;
+}
+
+/**
+ * Format a numbered list of names (categories, areas, ingredients) for display
+ *
+ * @param {string} title - List heading
+ * @param {Array<string>} names - Names to list
+ * @returns {string} - Formatted list
+ */
+export function formatNameList(title, names) {
+  if (!names || names.length === 0) {
+    return `No ${title.toLowerCase()} found`;
+  }
+
+  let result = '\n';
+  result += `=== ${title} ===\n`;
+
+  names.forEach((name, index) => {
+    result += `${index + 1}. ${name}\n`;
+  });
+
+  return result;
+}
+
+/**
+ * Format ranked pantry matches for display
+ *
+ * @param {Array<Object>} results - Ranked results from pantry.findCookableRecipes
+ * @returns {string} - Formatted list with coverage and missing ingredients
+ */
+export function formatPantryResults(results) {
+  if (!results || results.length === 0) {
+    return 'No recipes found for these ingredients';
+  }
+
+  let result = '\n';
+  result += '=== What You Can Cook ===\n';
+
+  results.forEach(({ recipe, coverage, have, missing }, index) => {
+    const total = have.length + missing.length;
+
+    result += `${index + 1}. ${recipe.name} (ID: ${recipe.id}) - ${Math.round(coverage * 100)}% (${have.length}/${total} ingredients)\n`;
+    result += missing.length > 0 ? `   Missing: ${missing.join(', ')}\n` : '   You have everything!\n';
+  });
+
+  return result;
+}
+
+/**
+ * Format the report of a favorites import
+ *
+ * @param {Object} report - Result of favorites-transfer.importFavorites
+ * @returns {string} - One line per recipe and a summary
+ */
+export function formatImportReport({ dryRun, items, counts }) {
+  const descriptions = {
+    add: dryRun ? 'will be added' : 'added',
+    skip: dryRun ? 'already a favorite, will be skipped' : 'already a favorite, skipped',
+    overwrite: dryRun ? 'already a favorite, will be replaced' : 'already a favorite, replaced',
+    merge: dryRun ? 'already a favorite, annotations will be merged' : 'already a favorite, annotations merged'
+  };
+
+  let result = '\n';
+  result += dryRun ? '=== Import (dry run, nothing was changed) ===\n' : '=== Import ===\n';
+
+  for (const { id, name, action, reason, failed } of items) {
+    const label = id ? `${name} (ID: ${id})` : name;
+
+    if (action === 'invalid') {
+      result += `! ${label}: not imported, ${reason}\n`;
+    } else if (failed) {
+      result += `! ${label}: could not be imported (see the errors above)\n`;
+    } else {
+      result += `- ${label}: ${descriptions[action]}\n`;
+    }
+  }
+
+  const summary = [
+    [counts.add, dryRun ? 'to add' : 'added'],
+    [counts.skip, 'skipped'],
+    [counts.overwrite, dryRun ? 'to replace' : 'replaced'],
+    [counts.merge, dryRun ? 'to merge' : 'merged'],
+    [counts.invalid, 'invalid'],
+    [counts.failed, 'failed']
+  ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`);
+
+  result += `\n${summary.length > 0 ? summary.join(', ') : 'Nothing to import'}\n`;
+  return result;
+}
+
+/**
+ * Format what changed in one recipe (see favorites-refresh.diffRecipes)
+ *
+ * @param {Array<Object>} changes - Changes to describe
+ * @returns {string} - One indented line per change
+ */
+export function formatRecipeChanges(changes) {
+  const labels = { name: 'Name', category: 'Category', area: 'Area' };
+  let result = '';
+
+  for (const change of changes) {
+    if (change.field === 'ingredient') {
+      result += change.after === null
+        ? `   - ${`${change.before} ${change.name}`.trim()} (removed)\n`
+        : `   + ${`${change.after} ${change.name}`.trim()} (new)\n`;
+    } else if (change.field === 'measure') {
+      result += `   ~ ${change.name}: ${change.before || 'no measure'} -> ${change.after || 'no measure'}\n`;
+    } else if (change.field === 'instructions') {
+      result += '   Instructions:\n';
+
+      for (const step of change.steps) {
+        result += `     ${step.type === 'added' ? '+' : '-'} ${step.text}\n`;
+      }
+    } else {
+      result += `   ~ ${labels[change.field]}: ${change.before || 'N/A'} -> ${change.after || 'N/A'}\n`;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Format the results of checking favorites against TheMealDB
+ *
+ * @param {Array<Object>} results - Results of favorites-refresh.checkFavorites
+ * @returns {string} - What changed in each favorite and a summary
+ */
+export function formatRefreshResults(results) {
+  if (!results || results.length === 0) {
+    return 'No favorites to check';
+  }
+
+  const counts = { changed: 0, unchanged: 0, missing: 0, failed: 0 };
+  let result = '\n';
+  result += '=== Favorites Compared With TheMealDB ===\n';
+
+  for (const { id, name, status, changes, error } of results) {
+    counts[status]++;
+
+    if (status === 'changed') {
+      result += `${name} (ID: ${id}): ${changes.length} ${changes.length === 1 ? 'change' : 'changes'}\n`;
+      result += formatRecipeChanges(changes);
+    } else if (status === 'unchanged') {
+      result += `${name} (ID: ${id}): up to date\n`;
+    } else if (status === 'missing') {
+      result += `! ${name} (ID: ${id}): no longer exists on TheMealDB; your copy is kept\n`;
+    } else {
+      result += `! ${name} (ID: ${id}): could not be checked: ${error}\n`;
+    }
+  }
+
+  result += `\n${counts.changed} changed, ${counts.unchanged} up to date, ${counts.missing} no longer on TheMealDB, ${counts.failed} could not be checked\n`;
+  return result;
+}
+
+/**
+ * Describe a length of time in the largest whole unit (e.g. "3 hours")
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Readable duration
+ */
+export function formatAge(ms) {
+  const units = [['day', 24 * 60 * 60 * 1000], ['hour', 60 * 60 * 1000], ['minute', 60 * 1000]];
+
+  for (const [unit, size] of units) {
+    const count = Math.floor(ms / size);
+
+    if (count >= 1) {
+      return `${count} ${unit}${count === 1 ? '' : 's'}`;
+    }
+  }
+
+  return 'less than a minute';
+}
+
+/**
+ * Describe a size in bytes (e.g. "12.5 KB")
+ *
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Readable size
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+
+  return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Format an overview of the cache for display
+ *
+ * @param {Object} stats - Result of cache.getCacheStats
+ * @returns {string} - Formatted overview
+ */
+export function formatCacheStats(stats) {
+  const now = Date.now();
+  const age = timestamp => timestamp === null ? '-' : `${new Date(timestamp).toLocaleString()} (${formatAge(now - timestamp)} ago)`;
+
+  let result = '\n';
+  result += '=== Cache ===\n';
+  result += `Entries: ${stats.entries} (${stats.stale} expired)\n`;
+  result += `Stored in: ${stats.location || 'memory only'}${stats.fileBytes === null ? '' : ` (${formatBytes(stats.fileBytes)})`}\n`;
+  result += `Oldest entry: ${age(stats.oldest)}\n`;
+  result += `Newest entry: ${age(stats.newest)}\n`;
+  result += `In memory: ${stats.memoryEntries} entries\n`;
+  result += `Since startup: ${stats.hits} hits, ${stats.staleHits} expired hits, ${stats.misses} misses\n`;
+
+  return result;
+}
+
+/**
+ * Format a list of cache entries for display
+ *
+ * @param {Array<Object>} entries - Result of cache.listCacheEntries
+ * @returns {string} - Formatted list with the age and size of each entry
+ */
+export function formatCacheEntries(entries) {
+  if (!entries || entries.length === 0) {
+    return 'No cache entries found';
+  }
+
+  let result = '\n';
+  result += '=== Cache Entries ===\n';
+
+  entries.forEach(({ key, ageMs, stale, bytes }) => {
+    result += `${key} - ${formatAge(ageMs)} old, ${formatBytes(bytes)}${stale ? ' (expired)' : ''}\n`;
+  });
+
+  return result;
+}
+
+/**
+ * Format an overview of the offline catalog snapshot for display
+ *
+ * @param {Object|null} info - Result of catalog.getSnapshotInfo
+ * @returns {string} - Formatted overview
+ */
+export function formatSnapshotInfo(info) {
+  if (!info) {
+    return 'No offline catalog yet. Run "recipe-explorer sync" to download one.';
+  }
+
+  const now = Date.now();
+
+  let result = '\n';
+  result += '=== Offline Catalog ===\n';
+  result += `Recipes: ${info.recipes} (${info.letters} of 26 letters)\n`;
+  result += `Synced: ${new Date(info.oldest).toLocaleString()} (${formatAge(now - info.oldest)} ago)\n`;
+
+  if (info.pending > 0) {
+    result += `Unfinished sync: ${info.pending} letters left. Run "recipe-explorer sync" again to continue.\n`;
+  }
+
+  return result;
+}
+
 /**
  * Run tasks with a concurrency limit
  * Useful for API calls with rate limits
+ * Failed tasks normally give a null result; with stopOnError the first error
+ * stops any further tasks from starting and is thrown once running tasks finish.
  * 
  * @param {Array<Function>} tasks - Array of functions that return promises
  * @param {number} concurrency - Maximum number of tasks to run concurrently
+ * @param {Object} options - Options
+ * @param {boolean} options.stopOnError - Throw the first error instead of using null results
  * @returns {Promise<Array>} - Results in the same order as tasks
  * 
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise | MDN: Promise}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/all | MDN: Promise.all}
  */
-export async function runWithConcurrency(tasks, concurrency = 3) {
+export async function runWithConcurrency(tasks, concurrency = 3, { stopOnError = false } = {}) {
   const results = new Array(tasks.length);
   let currentIndex = 0;
+  let firstError = null;
   
   // Function to run a task by index
   async function runTask(index) {
     try {
       results[index] = await tasks[index]();
     } catch (error) {
-      console.error(`Error in task ${index}:`, error.message);
+      if (stopOnError) {
+        firstError = firstError || error;
+      } else {
+        console.error(`Error in task ${index}:`, error.message);
+      }
       results[index] = null;
     }
     
     // If there are more tasks, start the next one
-    if (currentIndex < tasks.length) {
+    if (currentIndex < tasks.length && !firstError) {
       return runTask(currentIndex++);
     }
   }
@@ -112,6 +482,10 @@ export async function runWithConcurrency(tasks, concurrency = 3) {
   
   // Wait for all tasks to complete
   await Promise.all(initialPromises);
+
+  if (firstError) {
+    throw firstError;
+  }
   
   return results;
 }
@@ -165,8 +539,20 @@ export async function tryStrategies(strategies) {
 }
 
 export default {
+  formatIngredientLines,
   formatRecipe,
   formatRecipeList,
+  formatFavoritesPage,
+  formatNameList,
+  formatPantryResults,
+  formatImportReport,
+  formatRecipeChanges,
+  formatRefreshResults,
+  formatAge,
+  formatBytes,
+  formatCacheStats,
+  formatCacheEntries,
+  formatSnapshotInfo,
   runWithConcurrency,
   withTimeout,
   tryStrategies
@@ -1,10 +1,15 @@
 // test/api.test.js
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import * as api from '../src/api.js';
+import { createProviderFromEnv, setProvider } from '../src/providers/index.js';
+import { HttpError, MalformedResponseError, NetworkError, NotFoundError, TimeoutError } from '../src/errors.js';
 
 // Mock global fetch
 global.fetch = vi.fn();
 
+// Every request is made abortable by the HTTP client
+const withSignal = expect.objectContaining({ signal: expect.any(AbortSignal) });
+
 describe('API Module', () => {
   // Mock response factory
   function createMockResponse(data, ok = true, status = 200) {
@@ -15,9 +20,22 @@ describe('API Module', () => {
     };
   }
   
+  // Let a request finish while fake timers run the retry backoff
+  async function settle(promise) {
+    const result = promise.catch(error => error);
+    await vi.runAllTimersAsync();
+    return result;
+  }
+  
   // Reset mocks before each test
   beforeEach(() => {
     fetch.mockReset();
+    // Start every test with a fresh provider, so its rate limiter has all its tokens
+    setProvider(null);
+  });
+  
+  afterEach(() => {
+    vi.useRealTimers();
   });
   
   describe('searchMealsByName', () => {
@@ -37,7 +55,7 @@ describe('API Module', () => {
       const result = await api.searchMealsByName('test');
       
       // Verify fetch was called correctly
-      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?s=test');
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?s=test', withSignal);
       
       // Verify results
       expect(result).toEqual(mockMeals.meals);
@@ -54,32 +72,43 @@ describe('API Module', () => {
       const result = await api.searchMealsByName('nonexistent');
       
       // Verify fetch was called correctly
-      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?s=nonexistent');
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?s=nonexistent', withSignal);
       
       // Verify empty array returned
       expect(result).toEqual([]);
     });
     
-    it('should handle API errors gracefully', async () => {
-      // Mock fetch to return an error response
-      fetch.mockResolvedValueOnce(createMockResponse({}, false, 500));
+    it('should throw an HttpError with the status once retries run out', async () => {
+      vi.useFakeTimers();
+      // Mock fetch to return an error response every time
+      fetch.mockResolvedValue(createMockResponse({}, false, 500));
       
       // Call the function
-      const result = await api.searchMealsByName('test');
+      const error = await settle(api.searchMealsByName('test'));
       
-      // Verify empty array returned
-      expect(result).toEqual([]);
+      // Verify the status is reported after the default 2 retries
+      expect(error).toBeInstanceOf(HttpError);
+      expect(error.status).toBe(500);
+      expect(fetch).toHaveBeenCalledTimes(3);
     });
     
-    it('should handle network errors gracefully', async () => {
+    it('should throw a NetworkError when the request keeps failing', async () => {
+      vi.useFakeTimers();
       // Mock fetch to throw an error
-      fetch.mockRejectedValueOnce(new Error('Network error'));
-      
-      // Call the function
-      const result = await api.searchMealsByName('test');
+      fetch.mockRejectedValue(new TypeError('fetch failed'));
       
-      // Verify empty array returned
-      expect(result).toEqual([]);
+      // Verify the error type
+      expect(await settle(api.searchMealsByName('test'))).toBeInstanceOf(NetworkError);
+    });
+
+    it('should throw a MalformedResponseError for unexpected bodies', async () => {
+      // Mock fetch to return JSON without a meals list
+      fetch.mockResolvedValueOnce(createMockResponse({ meals: 'nope' }));
+      fetch.mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.reject(new SyntaxError('Unexpected token <')) });
+      
+      // Verify both are reported as malformed
+      await expect(api.searchMealsByName('test')).rejects.toBeInstanceOf(MalformedResponseError);
+      await expect(api.searchMealsByName('test')).rejects.toBeInstanceOf(MalformedResponseError);
     });
   });
   
@@ -99,27 +128,35 @@ describe('API Module', () => {
       const result = await api.getMealById('123');
       
       // Verify fetch was called correctly
-      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/lookup.php?i=123');
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/lookup.php?i=123', withSignal);
       
       // Verify result
       expect(result).toEqual(mockMeal.meals[0]);
     });
     
-    it('should return null when meal not found', async () => {
+    it('should throw NotFoundError without retrying when meal not found', async () => {
       // Mock data with null meals
       const mockResponse = { meals: null };
       
       // Mock fetch to return null meals
       fetch.mockResolvedValueOnce(createMockResponse(mockResponse));
       
-      // Call the function
-      const result = await api.getMealById('999');
+      // Verify the error type
+      await expect(api.getMealById('999')).rejects.toBeInstanceOf(NotFoundError);
       
-      // Verify null returned
-      expect(result).toBeNull();
+      // Verify a missing meal was not retried
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not retry errors that are not temporary', async () => {
+      fetch.mockResolvedValueOnce(createMockResponse({}, false, 404));
+      
+      await expect(api.getMealById('123')).rejects.toBeInstanceOf(HttpError);
+      expect(fetch).toHaveBeenCalledTimes(1);
     });
     
     it('should retry on failure', async () => {
+      vi.useFakeTimers();
       // First fetch fails
       fetch.mockRejectedValueOnce(new Error('Network error'));
       
@@ -132,7 +169,7 @@ describe('API Module', () => {
       fetch.mockResolvedValueOnce(createMockResponse(mockMeal));
       
       // Call the function with only 2 attempts
-      const result = await api.getMealById('123', 2);
+      const result = await settle(api.getMealById('123', 2));
       
       // Verify fetch was called twice
       expect(fetch).toHaveBeenCalledTimes(2);
@@ -140,6 +177,17 @@ describe('API Module', () => {
       // Verify result
       expect(result).toEqual(mockMeal.meals[0]);
     });
+
+    it('should use the retries setting when no attempts are given', async () => {
+      vi.useFakeTimers();
+      setProvider(createProviderFromEnv({ MEALDB_RETRIES: '0', RECIPE_EXPLORER_CONFIG: '/nonexistent/config.json' }));
+      fetch.mockRejectedValue(new Error('Network error'));
+
+      const result = await settle(api.getMealById('123'));
+
+      expect(result).toBeInstanceOf(NetworkError);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
   });
   
   describe('searchMealsByFirstLetter', () => {
@@ -169,8 +217,8 @@ describe('API Module', () => {
       
       // Verify fetch was called correctly
       expect(fetch).toHaveBeenCalledTimes(2);
-      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?f=a');
-      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?f=b');
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?f=a', withSignal);
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?f=b', withSignal);
       
       // Verify results are combined
       expect(result.length).toBe(4);
@@ -221,31 +269,101 @@ describe('API Module', () => {
       const result = await api.getMealsByIngredient('chicken');
       
       // Verify fetch was called correctly
-      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/filter.php?i=chicken');
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/filter.php?i=chicken', withSignal);
       
       // Verify results
       expect(result).toEqual(mockMeals.meals);
     });
     
-    it('should handle timeout gracefully', async () => {
-      // This test is complex because we need to mock Promise.race behavior
-      // For simplicity, we'll just mock fetch to delay longer than the timeout
-      
-      // Mock a delayed fetch that takes longer than the timeout
-      fetch.mockImplementationOnce(() => {
-        return new Promise(resolve => {
-          setTimeout(() => {
-            resolve(createMockResponse({ meals: [] }));
-          }, 100); // Longer than our test timeout
+    it('should abort requests that take too long', async () => {
+      vi.useFakeTimers();
+      const signals = [];
+      
+      // Mock a fetch that only settles when it is aborted
+      fetch.mockImplementation((url, { signal }) => {
+        signals.push(signal);
+        return new Promise((_, reject) => {
+          signal.addEventListener('abort', () => reject(signal.reason));
         });
       });
       
       // Call the function with a very short timeout
-      const result = await api.getMealsByIngredient('chicken', 10); // 10ms timeout
+      const error = await settle(api.getMealsByIngredient('chicken', 10)); // 10ms timeout
       
-      // Result should be the error message string
-      expect(typeof result).toBe('string');
-      expect(result).toContain('took too long');
+      // Result should be a TimeoutError, and every attempt should have been aborted
+      expect(error).toBeInstanceOf(TimeoutError);
+      expect(error.timeoutMs).toBe(10);
+      expect(signals).toHaveLength(3);
+      expect(signals.every(signal => signal.aborted)).toBe(true);
+    });
+  });
+
+  describe('category, area and ingredient lists', () => {
+    it('should return categories with descriptions', async () => {
+      const mockCategories = {
+        categories: [
+          { idCategory: '1', strCategory: 'Beef', strCategoryDescription: 'Beef dishes' }
+        ]
+      };
+
+      fetch.mockResolvedValueOnce(createMockResponse(mockCategories));
+
+      const result = await api.getCategories();
+
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/categories.php', withSignal);
+      expect(result).toEqual(mockCategories.categories);
+    });
+
+    it('should list category, area and ingredient names', async () => {
+      fetch.mockResolvedValueOnce(createMockResponse({ meals: [{ strCategory: 'Beef' }] }));
+      fetch.mockResolvedValueOnce(createMockResponse({ meals: [{ strArea: 'Canadian' }] }));
+      fetch.mockResolvedValueOnce(createMockResponse({ meals: [{ idIngredient: '1', strIngredient: 'Chicken' }] }));
+
+      expect(await api.listCategories()).toEqual([{ strCategory: 'Beef' }]);
+      expect(await api.listAreas()).toEqual([{ strArea: 'Canadian' }]);
+      expect(await api.listIngredients()).toEqual([{ idIngredient: '1', strIngredient: 'Chicken' }]);
+
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/list.php?c=list', withSignal);
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/list.php?a=list', withSignal);
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/list.php?i=list', withSignal);
+    });
+
+    it('should filter meals by category and area', async () => {
+      const mockMeals = { meals: [{ idMeal: '1', strMeal: 'Poutine' }] };
+
+      fetch.mockResolvedValueOnce(createMockResponse(mockMeals));
+      fetch.mockResolvedValueOnce(createMockResponse(mockMeals));
+
+      expect(await api.getMealsByCategory('Side')).toEqual(mockMeals.meals);
+      expect(await api.getMealsByArea('Canadian')).toEqual(mockMeals.meals);
+
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/filter.php?c=Side', withSignal);
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/filter.php?a=Canadian', withSignal);
+    });
+
+    it('should throw on errors', async () => {
+      vi.useFakeTimers();
+      fetch.mockResolvedValue(createMockResponse({}, false, 503));
+
+      expect(await settle(api.listAreas())).toBeInstanceOf(HttpError);
+    });
+  });
+
+  describe('getRelatedRecipes', () => {
+    it('should return other meals from the same category', async () => {
+      const mockMeals = {
+        meals: [
+          { idMeal: '1', strMeal: 'Beef Stew' },
+          { idMeal: '2', strMeal: 'Beef Wellington' },
+          { idMeal: '3', strMeal: 'Beef Pie' }
+        ]
+      };
+
+      fetch.mockResolvedValueOnce(createMockResponse(mockMeals));
+
+      const result = await api.getRelatedRecipes({ idMeal: '1', strCategory: 'Beef' }, 1);
+
+      expect(result).toEqual([{ idMeal: '2', strMeal: 'Beef Wellington' }]);
     });
   });
 });
@@ -0,0 +1,119 @@
+// test/cache-backends.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createCacheBackend, createCacheBackendFromSettings, isCacheBackend } from '../src/cache-backends/index.js';
+import { readJsonFile } from '../src/storage.js';
+
+/**
+ * Collect the [key, entry] pairs of a backend
+ */
+async function collect(backend) {
+  const pairs = [];
+
+  for await (const pair of backend.iterate()) {
+    pairs.push(pair);
+  }
+  return pairs;
+}
+
+describe('Cache Backends Module', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'recipe-cache-backends-'));
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  // Every backend behaves the same through the common methods
+  describe.each(['json', 'directory', 'memory'])('%s backend', type => {
+    let backend;
+    const entry = { timestamp: 1000, data: { id: '1', name: 'Chicken Curry' } };
+
+    beforeEach(() => {
+      backend = createCacheBackend({ type, file: path.join(dir, 'cache.json'), dir: path.join(dir, 'cache') });
+    });
+
+    it('should store, read and delete entries', async () => {
+      expect(isCacheBackend(backend)).toBe(true);
+      expect(await backend.get('recipe_1')).toBeNull();
+
+      await backend.set('recipe_1', entry);
+      await backend.set('search_curry', { timestamp: 2000, data: ['1'] });
+
+      expect(await backend.get('recipe_1')).toEqual(entry);
+      expect((await backend.keys()).sort()).toEqual(['recipe_1', 'search_curry']);
+      expect(await collect(backend)).toContainEqual(['recipe_1', entry]);
+
+      expect(await backend.delete('recipe_1')).toBe(true);
+      expect(await backend.delete('recipe_1')).toBe(false);
+      expect(await backend.keys()).toEqual(['search_curry']);
+    });
+
+    it('should keep keys with any characters apart', async () => {
+      await backend.set('search_fish & chips', { timestamp: 1, data: ['a'] });
+      await backend.set('search_fish/chips', { timestamp: 2, data: ['b'] });
+
+      expect((await backend.get('search_fish & chips')).data).toEqual(['a']);
+      expect((await backend.get('search_fish/chips')).data).toEqual(['b']);
+    });
+  });
+
+  describe('json backend', () => {
+    it('should write a batch in one versioned file and drop the oldest entries beyond its limits', async () => {
+      const file = path.join(dir, 'cache.json');
+      const backend = createCacheBackend({ type: 'json', file, limits: { maxEntries: 2 } });
+
+      await backend.setMany([
+        ['a', { timestamp: 1, data: 'a' }],
+        ['b', { timestamp: 2, data: 'b' }],
+        ['c', { timestamp: 3, data: 'c' }]
+      ]);
+
+      expect(await readJsonFile(file)).toEqual({ version: 1, data: { b: { timestamp: 2, data: 'b' }, c: { timestamp: 3, data: 'c' } } });
+      expect(await backend.deleteMany(['a', 'b'])).toBe(1);
+    });
+  });
+
+  describe('directory backend', () => {
+    it('should keep each entry in its own file, spread over subfolders', async () => {
+      const cacheDir = path.join(dir, 'cache');
+      const backend = createCacheBackend({ type: 'directory', dir: cacheDir });
+
+      await backend.set('recipe_1', { timestamp: 1, data: { id: '1' } });
+      await backend.set('recipe_2', { timestamp: 2, data: { id: '2' } });
+
+      const shards = await fs.readdir(cacheDir);
+      const [file] = await fs.readdir(path.join(cacheDir, shards[0]));
+
+      expect(shards.every(name => /^[0-9a-f]{2}$/.test(name))).toBe(true);
+      expect(await readJsonFile(path.join(cacheDir, shards[0], file))).toMatchObject({ version: 1, data: expect.any(Object) });
+      expect(await backend.getSize()).toBeGreaterThan(0);
+    });
+
+    it('should skip damaged entry files and report them', async () => {
+      const cacheDir = path.join(dir, 'cache');
+      const backend = createCacheBackend({ type: 'directory', dir: cacheDir });
+      vi.spyOn(console, 'error').mockImplementation(() => { });
+
+      await backend.set('recipe_1', { timestamp: 1, data: { id: '1' } });
+      await fs.mkdir(path.join(cacheDir, 'ff'));
+      await fs.writeFile(path.join(cacheDir, 'ff', 'broken.json'), '{ not json');
+
+      expect(await backend.keys()).toEqual(['recipe_1']);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('broken.json'), expect.any(String));
+      expect((await backend.inspect()).error).toMatch(/1 entry file/);
+    });
+  });
+
+  it('should create the backend chosen by the settings in the data directory', () => {
+    expect(createCacheBackendFromSettings({ cacheBackend: 'directory', dataDir: dir }).location).toBe(path.join(dir, 'cache'));
+    expect(createCacheBackendFromSettings({ cacheBackend: 'json', dataDir: dir }).location).toBe(path.join(dir, 'cache.json'));
+    expect(() => createCacheBackend({ type: 'redis' })).toThrow('Unknown cache backend "redis"');
+  });
+});
@@ -1,7 +1,5 @@
 // test/cache.test.js
-import { describe, it, expect, vi, beforeEach } from 'vitest';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 
 // Mock fs/promises with both named exports and a default export.
 vi.mock('fs/promises', () => {
@@ -9,28 +7,43 @@ vi.mock('fs/promises', () => {
   const readFile = vi.fn();
   const writeFile = vi.fn();
   const mkdir = vi.fn();
+  const open = vi.fn();
+  const copyFile = vi.fn();
+  const rename = vi.fn();
+  const rm = vi.fn();
+  const stat = vi.fn();
   return {
     __esModule: true,
-    default: { access, readFile, writeFile, mkdir },
+    default: { access, readFile, writeFile, mkdir, open, copyFile, rename, rm, stat },
     access,
     readFile,
     writeFile,
     mkdir,
+    open,
+    copyFile,
+    rename,
+    rm,
+    stat,
   };
 });
 
 import * as cache from '../src/cache.js';
+import { createMemoryBackend } from '../src/cache-backends/memory.js';
+import { NotFoundError } from '../src/errors.js';
+import { getDataPath } from '../src/settings.js';
 import * as fs from 'fs/promises';
 
 // Get the cache file path (for reference)
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const CACHE_FILE = path.join(__dirname, '../data/cache.json');
+const CACHE_FILE = getDataPath('cache.json');
 
 describe('Cache Module', () => {
   beforeEach(() => {
     vi.resetAllMocks();
     vi.useRealTimers();
+    cache.clearMemoryCache();
+    // Lock files and atomic writes go through a file handle
+    fs.open.mockResolvedValue({ writeFile: vi.fn(), sync: vi.fn(), close: vi.fn() });
+    fs.rm.mockResolvedValue(undefined);
   });
 
   describe('initializeCache', () => {
@@ -46,7 +59,7 @@ describe('Cache Module', () => {
       expect(fs.mkdir).toHaveBeenCalled();
       expect(fs.writeFile).toHaveBeenCalledWith(
         expect.stringContaining('cache.json'),
-        JSON.stringify({}, null, 2)
+        JSON.stringify({ version: 1, data: {} }, null, 2)
       );
     });
 
@@ -121,6 +134,7 @@ describe('Cache Module', () => {
       const newData = { id: 1, name: 'Test Data' };
       const result = await cache.saveToCache('test_key', newData);
       expect(result).toBe(true);
+      expect(await cache.flushCache()).toBe(true);
       expect(fs.writeFile).toHaveBeenCalledWith(
         expect.stringContaining('cache.json'),
         expect.stringContaining('test_key')
@@ -130,9 +144,79 @@ describe('Cache Module', () => {
     it('should handle file system errors gracefully', async () => {
       fs.access.mockResolvedValueOnce(undefined);
       fs.readFile.mockRejectedValueOnce(new Error('File system error'));
-      const result = await cache.saveToCache('test_key', { id: 1 });
+      await cache.saveToCache('test_key', { id: 1 });
+      const result = await cache.flushCache();
       expect(result).toBe(false);
     });
+
+    it('should not overwrite a damaged cache file', async () => {
+      fs.access.mockResolvedValueOnce(undefined);
+      fs.readFile.mockResolvedValueOnce('{"test_key": {"timest');
+      await cache.saveToCache('test_key', { id: 1 });
+      const result = await cache.flushCache();
+      expect(result).toBe(false);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should answer lookups of saved entries from memory', async () => {
+      await cache.saveToCache('test_key', { id: 1 });
+      expect(await cache.getFromCache('test_key')).toEqual({ id: 1 });
+      // Verify the file was not read
+      expect(fs.readFile).not.toHaveBeenCalled();
+    });
+
+    it('should write several saves to the file together after a short delay', async () => {
+      vi.useFakeTimers();
+      fs.access.mockResolvedValue(undefined);
+      fs.readFile.mockResolvedValue(JSON.stringify({}));
+
+      await cache.saveToCache('first', { id: 1 });
+      await cache.saveToCache('second', { id: 2 });
+      expect(fs.writeFile).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(1000);
+
+      // Verify one write holding both entries
+      expect(fs.writeFile).toHaveBeenCalledTimes(1);
+      const written = JSON.parse(fs.writeFile.mock.calls[0][1]).data;
+      expect(Object.keys(written)).toEqual(['first', 'second']);
+    });
+
+    it('should keep entries that could not be written for the next flush', async () => {
+      fs.access.mockResolvedValue(undefined);
+
+      // The first read of the cache file fails; the lock file is read when releasing the lock
+      let cacheReads = 0;
+      fs.readFile.mockImplementation(async file => {
+        if (!file.endsWith('cache.json')) throw Object.assign(new Error('File not found'), { code: 'ENOENT' });
+        if (cacheReads++ === 0) throw new Error('File system error');
+        return JSON.stringify({});
+      });
+
+      await cache.saveToCache('test_key', { id: 1 });
+      expect(await cache.flushCache()).toBe(false);
+      expect(await cache.flushCache()).toBe(true);
+      expect(fs.writeFile).toHaveBeenCalledWith(expect.stringContaining('cache.json'), expect.stringContaining('test_key'));
+    });
+
+    it('should drop the oldest entries once the cache file is full', async () => {
+      // A file already holding the maximum of 2000 entries
+      const now = Date.now();
+      const full = {};
+      for (let i = 0; i < 2000; i++) {
+        full[`key_${i}`] = { timestamp: now - (2000 - i) * 1000, data: i };
+      }
+      fs.access.mockResolvedValue(undefined);
+      fs.readFile.mockResolvedValueOnce(JSON.stringify(full));
+
+      await cache.saveToCache('newest', 'fresh');
+      await cache.flushCache();
+
+      const written = JSON.parse(fs.writeFile.mock.calls[0][1]).data;
+      expect(Object.keys(written)).toHaveLength(2000);
+      expect(written).not.toHaveProperty('key_0');
+      expect(written.newest.data).toBe('fresh');
+    });
   });
 
   describe('getCachedOrFetch', () => {
@@ -191,5 +275,211 @@ describe('Cache Module', () => {
       const result = await cache.getCachedOrFetch('test_key', fetchFn);
       expect(result).toEqual(expiredCache.test_key.data);
     });
+
+    it('should share one fetch between concurrent callers for the same key', async () => {
+      // Every read sees an empty cache
+      fs.readFile.mockResolvedValue(JSON.stringify({}));
+      fs.access.mockResolvedValue();
+      cache.resetFetchMetrics();
+      let finishFetch;
+      const fetchFn = vi.fn(() => new Promise(resolve => { finishFetch = resolve; }));
+
+      const first = cache.getCachedOrFetch('recipe_52772', fetchFn);
+      const second = cache.getCachedOrFetch('recipe_52772', fetchFn);
+      await vi.waitFor(() => expect(fetchFn).toHaveBeenCalled());
+      finishFetch({ id: '52772' });
+
+      expect(await first).toEqual({ id: '52772' });
+      expect(await second).toEqual({ id: '52772' });
+      // Verify a single fetch and a single cache write
+      await cache.flushCache();
+      expect(fetchFn).toHaveBeenCalledTimes(1);
+      expect(fs.writeFile).toHaveBeenCalledTimes(1);
+      expect(cache.getFetchMetrics()).toEqual({ calls: 2, executions: 1, coalesced: 1, inFlight: 0 });
+    });
+
+    it('should fetch again once the shared fetch has finished', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify({}));
+      const fetchFn = vi.fn().mockRejectedValueOnce(new Error('Network error')).mockResolvedValueOnce('fresh');
+
+      await expect(cache.getCachedOrFetch('test_key', fetchFn)).rejects.toThrow('Network error');
+      expect(await cache.getCachedOrFetch('test_key', fetchFn)).toBe('fresh');
+      expect(fetchFn).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not fall back to expired cache when the data no longer exists', async () => {
+      // Simulate a cache miss, then a fetch that reports the recipe is gone.
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({}));
+      const fetchFn = vi.fn().mockRejectedValue(new NotFoundError('No recipe found with ID 1'));
+      await expect(cache.getCachedOrFetch('test_key', fetchFn)).rejects.toBeInstanceOf(NotFoundError);
+      // Verify the expired entry was never read
+      expect(fs.readFile).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('TTL rules', () => {
+    it('should pick the most specific rule for a key', () => {
+      expect(cache.getTtl('recipe_52772')).toBe(30 * 24 * 60 * 60 * 1000);
+      expect(cache.getTtl('search_chicken')).toBe(6 * 60 * 60 * 1000);
+      expect(cache.getTtl('categories')).toBe(30 * 24 * 60 * 60 * 1000);
+      // Keys without a rule use the default of 24 hours
+      expect(cache.getTtl('something_else')).toBe(24 * 60 * 60 * 1000);
+    });
+
+    it('should expire entries according to their key', async () => {
+      const sevenHoursAgo = Date.now() - 7 * 60 * 60 * 1000;
+      fs.readFile.mockResolvedValue(JSON.stringify({
+        search_chicken: { timestamp: sevenHoursAgo, data: ['search'] },
+        recipe_1: { timestamp: sevenHoursAgo, data: { id: '1' } }
+      }));
+
+      expect(await cache.getFromCache('search_chicken')).toBeNull();
+      expect(await cache.getFromCache('recipe_1')).toEqual({ id: '1' });
+    });
+
+    it('should keep expired entries until they pass the stale limit', async () => {
+      const day = 24 * 60 * 60 * 1000;
+      fs.access.mockResolvedValue(undefined);
+      fs.readFile.mockResolvedValue(JSON.stringify({
+        search_recent: { timestamp: Date.now() - 2 * day, data: [] },
+        search_old: { timestamp: Date.now() - 8 * day, data: [] }
+      }));
+
+      expect(await cache.clearExpiredCache()).toBe(1);
+      const written = JSON.parse(fs.writeFile.mock.calls[0][1]).data;
+      expect(Object.keys(written)).toEqual(['search_recent']);
+    });
+  });
+
+  describe('stale-while-revalidate', () => {
+    const expired = {
+      search_chicken: { timestamp: Date.now() - 7 * 60 * 60 * 1000, data: ['old'] }
+    };
+
+    it('should return stale data at once and refresh it in the background', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify(expired));
+      const fetchFn = vi.fn().mockResolvedValue(['new']);
+
+      const result = await cache.getCachedOrFetch('search_chicken', fetchFn, false, { staleWhileRevalidate: true, withStatus: true });
+
+      expect(result).toMatchObject({ data: ['old'], stale: true, refreshing: true });
+
+      // Verify the next lookup gets the refreshed data
+      await cache.waitForRefreshes();
+      expect(fetchFn).toHaveBeenCalledTimes(1);
+      expect(await cache.getFromCache('search_chicken')).toEqual(['new']);
+    });
+
+    it('should keep the stale data when the background refresh fails', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify(expired));
+      const fetchFn = vi.fn().mockRejectedValue(new Error('Network error'));
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+
+      const data = await cache.getCachedOrFetch('search_chicken', fetchFn, false, { staleWhileRevalidate: true });
+      await cache.waitForRefreshes();
+
+      expect(data).toEqual(['old']);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('Could not refresh search_chicken in the background'));
+    });
+
+    it('should report fresh data as not stale', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify({}));
+
+      const result = await cache.getCachedOrFetch('search_chicken', async () => ['new'], false, { staleWhileRevalidate: true, withStatus: true });
+
+      expect(result).toMatchObject({ data: ['new'], stale: false, refreshing: false });
+    });
+
+    it('should wait for fresh data without staleWhileRevalidate', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify(expired));
+
+      const data = await cache.getCachedOrFetch('search_chicken', async () => ['new']);
+
+      expect(data).toEqual(['new']);
+    });
+  });
+
+  describe('cache management', () => {
+    const now = Date.now();
+    const cacheFile = {
+      search_chicken: { timestamp: now - 7 * 60 * 60 * 1000, data: ['old'] },
+      search_beef: { timestamp: now - 60 * 1000, data: ['new'] },
+      recipe_1: { timestamp: now - 2 * 60 * 1000, data: { id: '1' } }
+    };
+
+    beforeEach(() => {
+      fs.access.mockResolvedValue(undefined);
+      fs.readFile.mockResolvedValue(JSON.stringify(cacheFile));
+      fs.stat.mockResolvedValue({ size: 2048 });
+      cache.resetCacheStats();
+    });
+
+    it('should report entry counts, file size, age range and lookups', async () => {
+      await cache.getFromCache('recipe_1');
+      await cache.getFromCache('missing');
+
+      const stats = await cache.getCacheStats();
+
+      expect(stats).toMatchObject({
+        entries: 3,
+        stale: 1,
+        fileBytes: 2048,
+        oldest: cacheFile.search_chicken.timestamp,
+        newest: cacheFile.search_beef.timestamp,
+        hits: 1,
+        staleHits: 0,
+        misses: 1
+      });
+    });
+
+    it('should list matching keys newest first with their age', async () => {
+      const entries = await cache.listCacheEntries('search_*');
+
+      expect(entries.map(entry => entry.key)).toEqual(['search_beef', 'search_chicken']);
+      expect(entries[1]).toMatchObject({ stale: true, ttlMs: 6 * 60 * 60 * 1000 });
+    });
+
+    it('should purge by prefix from the file and from memory', async () => {
+      await cache.saveToCache('search_fish', ['saved']);
+
+      const removed = await cache.purgeCache('search_*');
+
+      // Verify the matching entries are gone from the file and from memory
+      expect(removed).toBe(2);
+      const written = JSON.parse(fs.writeFile.mock.calls.at(-1)[1]).data;
+      expect(Object.keys(written)).toEqual(['recipe_1']);
+      fs.readFile.mockResolvedValue(JSON.stringify(written));
+      expect(await cache.getFromCache('search_fish')).toBeNull();
+    });
+
+    it('should purge a single key or everything', async () => {
+      expect(await cache.purgeCache('recipe_1')).toBe(1);
+      expect(await cache.purgeCache('*')).toBe(3);
+    });
+  });
+
+  describe('backends', () => {
+    afterEach(() => {
+      cache.setCacheBackend(null);
+    });
+
+    it('should store entries in the backend chosen with setCacheBackend', async () => {
+      const backend = createMemoryBackend();
+      cache.setCacheBackend(backend);
+
+      await cache.saveToCache('recipe_1', { id: '1' });
+      await cache.flushCache();
+
+      // Nothing goes through the file system
+      expect(await backend.get('recipe_1')).toMatchObject({ data: { id: '1' } });
+      expect(fs.writeFile).not.toHaveBeenCalled();
+      expect(await cache.getCacheStats()).toMatchObject({ backend: 'memory', entries: 1, fileBytes: null });
+      expect(await cache.purgeCache('recipe_*')).toBe(1);
+      expect(await backend.keys()).toEqual([]);
+    });
+
+    it('should reject objects that are not cache backends', () => {
+      expect(() => cache.setCacheBackend({ get() { } })).toThrow('A cache backend must have');
+    });
   });
 });
@@ -0,0 +1,107 @@
+// test/catalog.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CATALOG_LETTERS, getSnapshotInfo, syncCatalog, useOfflineCatalog } from '../src/catalog.js';
+import { setProvider } from '../src/providers/index.js';
+import * as api from '../src/api.js';
+
+/**
+ * Create a provider that answers first-letter searches with one meal per letter
+ *
+ * @param {string} failOn - Letter whose request fails (optional)
+ */
+function createFakeProvider(failOn) {
+  return {
+    name: 'fake',
+    request: vi.fn(async (endpoint, params) => {
+      if (params.f === failOn) {
+        throw new Error('Network down');
+      }
+
+      return {
+        meals: [{
+          idMeal: String(params.f.charCodeAt(0)),
+          strMeal: `${params.f.toUpperCase()}-dish`,
+          strCategory: 'Test',
+          strIngredient1: 'Salt'
+        }]
+      };
+    })
+  };
+}
+
+describe('Catalog Module', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'recipe-catalog-'));
+  });
+
+  afterEach(async () => {
+    setProvider(null);
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should save every letter and report the snapshot', async () => {
+    const provider = createFakeProvider();
+    setProvider(provider);
+
+    const result = await syncCatalog({ dir });
+
+    expect(result).toEqual({ letters: CATALOG_LETTERS, recipes: 26, resumed: false });
+    expect(provider.request).toHaveBeenCalledTimes(26);
+
+    const info = await getSnapshotInfo({ dir });
+    expect(info).toMatchObject({ letters: 26, recipes: 26, pending: 0, complete: true });
+    expect(Date.now() - info.oldest).toBeLessThan(60000);
+  });
+
+  it('should continue with the letters left after a failed sync', async () => {
+    setProvider(createFakeProvider('k'));
+    await expect(syncCatalog({ dir })).rejects.toThrow('Network down');
+
+    // Letters before the failure are kept
+    expect(await getSnapshotInfo({ dir })).toMatchObject({ letters: 10, pending: 16, complete: false });
+
+    const provider = createFakeProvider();
+    setProvider(provider);
+    const result = await syncCatalog({ dir });
+
+    expect(result.resumed).toBe(true);
+    expect(result.letters).toEqual(CATALOG_LETTERS.slice(10));
+    expect(provider.request).toHaveBeenCalledTimes(16);
+    expect(await getSnapshotInfo({ dir })).toMatchObject({ letters: 26, complete: true });
+  });
+
+  it('should start over when asked to restart', async () => {
+    setProvider(createFakeProvider('c'));
+    await expect(syncCatalog({ dir })).rejects.toThrow();
+
+    setProvider(createFakeProvider());
+    const result = await syncCatalog({ dir, restart: true });
+
+    expect(result.resumed).toBe(false);
+    expect(result.letters).toHaveLength(26);
+  });
+
+  it('should report no snapshot before the first sync', async () => {
+    expect(await getSnapshotInfo({ dir })).toBeNull();
+    await expect(useOfflineCatalog({ dir })).rejects.toThrow('no offline catalog');
+  });
+
+  it('should answer searches, filters and lookups from the snapshot when offline', async () => {
+    setProvider(createFakeProvider());
+    await syncCatalog({ dir });
+
+    // Any network use after this point fails the test
+    setProvider({ name: 'network', request: () => { throw new Error('Network used while offline'); } });
+    await useOfflineCatalog({ dir });
+
+    expect((await api.searchMealsByName('b-dish')).map(meal => meal.idMeal)).toEqual(['98']);
+    expect(await api.getMealsByIngredient('salt')).toHaveLength(26);
+    expect((await api.getMealById('99')).strMeal).toBe('C-dish');
+    expect((await api.getCategories()).map(category => category.strCategory)).toEqual(['Test']);
+  });
+});
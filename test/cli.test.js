@@ -0,0 +1,390 @@
+// test/cli.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+
+// Mock the modules the CLI builds on so no network or file access happens
+vi.mock('../src/recipes.js', () => ({
+  findRecipesByName: vi.fn(),
+  findRecipeById: vi.fn(),
+  findRecipesByLetters: vi.fn(),
+  findRecipesByIngredient: vi.fn(),
+  findRecipesByIngredientQuery: vi.fn(),
+  findRandomRecipe: vi.fn(),
+  getUniqueLetters: vi.fn(letters => Array.from(new Set(letters))),
+}));
+
+vi.mock('../src/cache.js', () => ({
+  getCacheStats: vi.fn(),
+  listCacheEntries: vi.fn(),
+  purgeCache: vi.fn(),
+  clearExpiredCache: vi.fn(),
+}));
+
+vi.mock('../src/catalog.js', () => ({
+  syncCatalog: vi.fn(),
+  getSnapshotInfo: vi.fn(),
+  useOfflineCatalog: vi.fn(),
+}));
+
+vi.mock('../src/prefetch.js', () => ({
+  DEFAULT_SEARCH_RESULTS: 10,
+  prefetchDetails: vi.fn(),
+}));
+
+vi.mock('../src/favorites.js', () => ({
+  FAVORITES_PAGE_SIZE: 10,
+  getFavorites: vi.fn(),
+  getFavoritesPage: vi.fn(),
+  addFavorite: vi.fn(),
+  removeFavorite: vi.fn(),
+  getCollections: vi.fn(),
+  moveFavorite: vi.fn(),
+  tagFavorite: vi.fn(),
+  rateFavorite: vi.fn(),
+  setIngredientOverride: vi.fn(),
+  updateFavoriteRecipe: vi.fn(),
+  withFavoriteDetails: vi.fn(async recipe => recipe),
+}));
+
+vi.mock('../src/favorites-refresh.js', () => ({
+  checkFavorites: vi.fn(),
+}));
+
+vi.mock('../src/favorites-transfer.js', () => ({
+  EXPORT_FORMATS: ['json', 'csv', 'md'],
+  MERGE_STRATEGIES: ['skip', 'overwrite', 'merge'],
+  exportFavorites: vi.fn(),
+  readImportFile: vi.fn(),
+  importFavorites: vi.fn(),
+}));
+
+import { runCli, parseCommandLine, EXIT_CODES } from '../src/cli.js';
+import { TimeoutError } from '../src/errors.js';
+import { QuerySyntaxError } from '../src/ingredient-query.js';
+import * as recipes from '../src/recipes.js';
+import * as favorites from '../src/favorites.js';
+import * as refresh from '../src/favorites-refresh.js';
+import * as transfer from '../src/favorites-transfer.js';
+import * as cache from '../src/cache.js';
+import * as catalog from '../src/catalog.js';
+import * as prefetch from '../src/prefetch.js';
+import { normalizeMeals, toRawMeal } from '../src/recipe-model.js';
+
+describe('CLI Module', () => {
+  const meals = normalizeMeals([
+    { idMeal: '1', strMeal: 'Chicken Curry' },
+    { idMeal: '2', strMeal: 'Chicken Soup' }
+  ]);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => { });
+    vi.spyOn(console, 'error').mockImplementation(() => { });
+    vi.spyOn(console, 'warn').mockImplementation(() => { });
+  });
+
+  describe('parseCommandLine', () => {
+    it('should split the command, arguments and options', () => {
+      const result = parseCommandLine(['search', 'chicken', 'curry', '--json', '--limit', '2']);
+
+      expect(result.command).toBe('search');
+      expect(result.args).toEqual(['chicken', 'curry']);
+      expect(result.options).toEqual({ json: true, limit: '2' });
+    });
+  });
+
+  describe('runCli', () => {
+    it('should print help and exit successfully', async () => {
+      const code = await runCli(['--help']);
+
+      expect(code).toBe(EXIT_CODES.OK);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Usage: recipe-explorer'));
+    });
+
+    it('should return a usage error for unknown commands and options', async () => {
+      expect(await runCli(['cook'])).toBe(EXIT_CODES.USAGE);
+      expect(await runCli(['search', 'chicken', '--colour'])).toBe(EXIT_CODES.USAGE);
+    });
+
+    it('should return a usage error when a required argument is missing', async () => {
+      const code = await runCli(['search']);
+
+      expect(code).toBe(EXIT_CODES.USAGE);
+      expect(recipes.findRecipesByName).not.toHaveBeenCalled();
+    });
+
+    it('should search recipes and print them as JSON', async () => {
+      recipes.findRecipesByName.mockResolvedValueOnce(meals);
+
+      const code = await runCli(['search', 'chicken', '--json', '--limit', '1']);
+
+      expect(code).toBe(EXIT_CODES.OK);
+      expect(recipes.findRecipesByName).toHaveBeenCalledWith('chicken', undefined);
+      expect(console.log).toHaveBeenCalledWith(JSON.stringify([meals[0]], null, 2));
+    });
+
+    it('should print raw TheMealDB fields with --raw', async () => {
+      recipes.findRecipeById.mockResolvedValueOnce(meals[1]);
+
+      const code = await runCli(['show', '2', '--json', '--raw']);
+
+      expect(code).toBe(EXIT_CODES.OK);
+      expect(console.log).toHaveBeenCalledWith(JSON.stringify(toRawMeal(meals[1]), null, 2));
+      expect(toRawMeal(meals[1])).toEqual({ idMeal: '2', strMeal: 'Chicken Soup' });
+    });
+
+    it('should return not found when a search has no results', async () => {
+      recipes.findRecipesByName.mockResolvedValueOnce([]);
+
+      expect(await runCli(['search', 'nothing'])).toBe(EXIT_CODES.NOT_FOUND);
+    });
+
+    it('should return not found for a missing recipe', async () => {
+      recipes.findRecipeById.mockResolvedValueOnce(null);
+
+      expect(await runCli(['show', '999'])).toBe(EXIT_CODES.NOT_FOUND);
+    });
+
+    it('should search by an ingredient query', async () => {
+      recipes.findRecipesByIngredientQuery.mockResolvedValueOnce([{ ...meals[0], matched: ['chicken', 'garlic'] }]);
+
+      const code = await runCli(['ingredient', 'chicken', 'AND', 'garlic', 'NOT', 'cream']);
+
+      expect(code).toBe(EXIT_CODES.OK);
+      expect(recipes.findRecipesByIngredientQuery).toHaveBeenCalledWith('chicken AND garlic NOT cream', undefined);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Chicken Curry (ID: 1) - matched: chicken, garlic'));
+    });
+
+    it('should return a usage error for invalid ingredient queries', async () => {
+      recipes.findRecipesByIngredientQuery.mockRejectedValueOnce(new QuerySyntaxError('Missing closing parenthesis'));
+
+      expect(await runCli(['ingredient', '(chicken'])).toBe(EXIT_CODES.USAGE);
+    });
+
+    it('should rank recipes for the ingredients on hand', async () => {
+      const full = normalizeMeals([{ idMeal: '1', strMeal: 'Chicken Curry', strInstructions: 'Cook.', strIngredient1: 'Chicken', strIngredient2: 'Curry Powder' }]);
+      recipes.findRecipesByIngredient.mockResolvedValue([meals[0]]);
+      recipes.findRecipeById.mockResolvedValueOnce(full[0]);
+
+      const code = await runCli(['cook', 'chicken,', 'basmati rice', '--json']);
+
+      expect(code).toBe(EXIT_CODES.OK);
+      expect(recipes.findRecipesByIngredient).toHaveBeenCalledWith('basmati rice', false);
+      expect(console.log).toHaveBeenCalledWith(JSON.stringify([
+        { id: '1', name: 'Chicken Curry', coverage: 0.5, have: ['Chicken'], missing: ['Curry Powder'] }
+      ], null, 2));
+    });
+
+    it('should add a favorite by ID', async () => {
+      recipes.findRecipeById.mockResolvedValueOnce(meals[0]);
+      favorites.addFavorite.mockResolvedValueOnce(true);
+
+      const code = await runCli(['favorites', 'add', '1']);
+
+      expect(code).toBe(EXIT_CODES.OK);
+      expect(favorites.addFavorite).toHaveBeenCalledWith(meals[0], { collection: undefined, tags: [] });
+    });
+
+    it('should add a favorite to a collection with tags and list by collection', async () => {
+      recipes.findRecipeById.mockResolvedValueOnce(meals[0]);
+      favorites.addFavorite.mockResolvedValueOnce(true);
+      favorites.getFavorites.mockResolvedValueOnce([meals[0]]);
+
+      expect(await runCli(['favorites', 'add', '1', '--collection', 'Weeknight', '--tag', 'quick, spicy'])).toBe(EXIT_CODES.OK);
+      expect(favorites.addFavorite).toHaveBeenCalledWith(meals[0], { collection: 'Weeknight', tags: ['quick', 'spicy'] });
+
+      expect(await runCli(['favorites', 'list', '--collection', 'Weeknight', '--json'])).toBe(EXIT_CODES.OK);
+      expect(favorites.getFavorites).toHaveBeenCalledWith({ collection: 'Weeknight', tag: undefined, sort: undefined });
+    });
+
+    it('should search favorites and show one page of them', async () => {
+      favorites.getFavorites.mockResolvedValueOnce([meals[0]]);
+      favorites.getFavoritesPage.mockResolvedValueOnce({ recipes: [meals[1]], page: 2, pages: 3, total: 5 });
+
+      expect(await runCli(['favorites', 'list', '--ingredient', 'chicken', '--area', 'Indian', '--sort', 'name'])).toBe(EXIT_CODES.OK);
+      expect(favorites.getFavorites).toHaveBeenCalledWith(expect.objectContaining({ ingredient: 'chicken', area: 'Indian', sort: 'name' }));
+
+      expect(await runCli(['favorites', 'list', '--page', '2', '--limit', '2'])).toBe(EXIT_CODES.OK);
+      expect(favorites.getFavoritesPage).toHaveBeenCalledWith(expect.objectContaining({ page: 2, pageSize: 2 }));
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Page 2 of 3 (5 favorites)'));
+      expect(await runCli(['favorites', 'list', '--page', '0'])).toBe(EXIT_CODES.USAGE);
+    });
+
+    it('should move and tag favorites', async () => {
+      favorites.moveFavorite.mockResolvedValueOnce(true);
+      favorites.tagFavorite.mockResolvedValueOnce(false);
+
+      expect(await runCli(['favorites', 'move', '1', 'Favorites', 'Holiday baking'])).toBe(EXIT_CODES.OK);
+      expect(favorites.moveFavorite).toHaveBeenCalledWith('1', 'Favorites', 'Holiday baking');
+      expect(await runCli(['favorites', 'move', '1', 'Holiday'])).toBe(EXIT_CODES.USAGE);
+      expect(await runCli(['favorites', 'tag', '99', 'kids', 'quick'])).toBe(EXIT_CODES.ERROR);
+      expect(favorites.tagFavorite).toHaveBeenCalledWith('99', ['kids', 'quick']);
+    });
+
+    it('should rate favorites, override ingredients and show a favorite with its annotations', async () => {
+      const annotated = { ...meals[0], favorite: { tags: [], collections: ['Favorites'], rating: 4, notes: 'Use half the chili', overrides: [] } };
+      favorites.rateFavorite.mockResolvedValueOnce(true);
+      favorites.setIngredientOverride.mockResolvedValueOnce(true);
+      recipes.findRecipeById.mockResolvedValueOnce(meals[0]);
+      favorites.withFavoriteDetails.mockResolvedValueOnce(annotated);
+
+      expect(await runCli(['favorites', 'rate', '1', '4'])).toBe(EXIT_CODES.OK);
+      expect(favorites.rateFavorite).toHaveBeenCalledWith('1', 4);
+      expect(await runCli(['favorites', 'rate', '1', 'great'])).toBe(EXIT_CODES.USAGE);
+
+      expect(await runCli(['favorites', 'omit', '1', 'Chili', 'Powder'])).toBe(EXIT_CODES.OK);
+      expect(favorites.setIngredientOverride).toHaveBeenCalledWith('1', 'Chili Powder', null);
+
+      expect(await runCli(['show', '1', '--json'])).toBe(EXIT_CODES.OK);
+      expect(console.log).toHaveBeenCalledWith(JSON.stringify(annotated, null, 2));
+    });
+
+    it('should export favorites and import a file with a dry run', async () => {
+      const entries = [{ meal: { idMeal: '1' } }];
+      transfer.exportFavorites.mockResolvedValueOnce({ text: 'idMeal,name', count: 0 });
+      transfer.readImportFile.mockResolvedValueOnce(entries);
+      transfer.importFavorites.mockResolvedValueOnce({ dryRun: true, strategy: 'merge', items: [], counts: { add: 0, skip: 0, overwrite: 0, merge: 0, invalid: 0, failed: 0 } });
+
+      expect(await runCli(['favorites', 'export', '--format', 'csv', '--tag', 'quick'])).toBe(EXIT_CODES.OK);
+      expect(transfer.exportFavorites).toHaveBeenCalledWith({ format: 'csv', collection: undefined, tag: 'quick' });
+      expect(console.log).toHaveBeenCalledWith('idMeal,name');
+      expect(await runCli(['favorites', 'export', '--format', 'xml'])).toBe(EXIT_CODES.USAGE);
+
+      expect(await runCli(['favorites', 'import', 'shared.json', '--strategy', 'merge', '--dry-run'])).toBe(EXIT_CODES.OK);
+      expect(transfer.importFavorites).toHaveBeenCalledWith(entries, { strategy: 'merge', dryRun: true });
+      expect(await runCli(['favorites', 'import', 'shared.json', '--strategy', 'replace'])).toBe(EXIT_CODES.USAGE);
+    });
+
+    it('should show refresh results and save only the accepted updates', async () => {
+      const changed = { id: '1', name: 'Chicken Curry', status: 'changed', changes: [{ field: 'measure', name: 'Chili', before: '2 tsp', after: '1 tsp' }], recipe: meals[0], error: null };
+      const missing = { id: '2', name: 'Chicken Soup', status: 'missing', changes: [], recipe: null, error: null };
+      refresh.checkFavorites.mockResolvedValue([changed, missing]);
+      favorites.updateFavoriteRecipe.mockResolvedValue(true);
+
+      expect(await runCli(['favorites', 'refresh'])).toBe(EXIT_CODES.OK);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('no longer exists on TheMealDB'));
+      expect(favorites.updateFavoriteRecipe).not.toHaveBeenCalled();
+
+      expect(await runCli(['favorites', 'refresh', '--accept', 'all'])).toBe(EXIT_CODES.OK);
+      expect(favorites.updateFavoriteRecipe).toHaveBeenCalledWith(meals[0]);
+
+      // A missing recipe has no update to accept
+      expect(await runCli(['favorites', 'refresh', '1', '2', '--accept', '2'])).toBe(EXIT_CODES.ERROR);
+      expect(refresh.checkFavorites).toHaveBeenLastCalledWith({ ids: ['1', '2'] });
+    });
+
+    it('should print cache stats as JSON', async () => {
+      const stats = { entries: 2, fileBytes: 512, oldest: 1, newest: 2, stale: 0, memoryEntries: 1, hits: 3, staleHits: 0, misses: 1 };
+      cache.getCacheStats.mockResolvedValueOnce(stats);
+
+      const code = await runCli(['cache', 'stats', '--json']);
+
+      expect(code).toBe(EXIT_CODES.OK);
+      expect(console.log).toHaveBeenCalledWith(JSON.stringify(stats, null, 2));
+    });
+
+    it('should list and purge cache entries by pattern', async () => {
+      cache.listCacheEntries.mockResolvedValueOnce([{ key: 'search_chicken', ageMs: 60000, bytes: 100, stale: false }]);
+      cache.purgeCache.mockResolvedValueOnce(0);
+
+      expect(await runCli(['cache', 'list', 'search_*'])).toBe(EXIT_CODES.OK);
+      expect(cache.listCacheEntries).toHaveBeenCalledWith('search_*');
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('search_chicken - 1 minute old'));
+
+      // Nothing matched the pattern
+      expect(await runCli(['cache', 'purge', 'area_*'])).toBe(EXIT_CODES.NOT_FOUND);
+      expect(cache.purgeCache).toHaveBeenCalledWith('area_*');
+    });
+
+    it('should return a usage error for unknown cache actions', async () => {
+      expect(await runCli(['cache', 'shrink'])).toBe(EXIT_CODES.USAGE);
+      expect(await runCli(['cache', 'purge'])).toBe(EXIT_CODES.USAGE);
+    });
+
+    it('should prefetch details and report recipes that failed', async () => {
+      prefetch.prefetchDetails.mockResolvedValueOnce({ total: 5, cached: 2, fetched: 2, failed: 1 });
+
+      expect(await runCli(['prefetch', '--limit', '3'])).toBe(EXIT_CODES.ERROR);
+      expect(prefetch.prefetchDetails).toHaveBeenCalledWith({ searchResults: 3 });
+      expect(console.log).toHaveBeenCalledWith('Fetched details for 2 of 5 recipes (2 already cached, 1 failed)');
+    });
+
+    it('should sync the catalog and start over with --refresh', async () => {
+      catalog.syncCatalog.mockResolvedValueOnce({ letters: ['a'], recipes: 3, resumed: false });
+      catalog.getSnapshotInfo.mockResolvedValueOnce({ letters: 26, recipes: 300, oldest: Date.now(), newest: Date.now(), pending: 0, complete: true });
+
+      expect(await runCli(['sync', '--refresh'])).toBe(EXIT_CODES.OK);
+      expect(catalog.syncCatalog).toHaveBeenCalledWith(expect.objectContaining({ restart: true }));
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Recipes: 300 (26 of 26 letters)'));
+    });
+
+    it('should explain how to continue a sync that stopped', async () => {
+      catalog.syncCatalog.mockRejectedValueOnce(new TimeoutError(5000));
+      catalog.getSnapshotInfo.mockResolvedValueOnce({ letters: 10, recipes: 100, oldest: Date.now(), newest: Date.now(), pending: 16, complete: false });
+
+      expect(await runCli(['sync'])).toBe(EXIT_CODES.ERROR);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('16 letters are left'));
+    });
+
+    it('should answer from the offline catalog with --offline', async () => {
+      catalog.useOfflineCatalog.mockResolvedValueOnce({ oldest: Date.now() - 2 * 24 * 60 * 60 * 1000 });
+      recipes.findRecipesByName.mockResolvedValueOnce(meals);
+
+      expect(await runCli(['search', 'chicken', '--offline'])).toBe(EXIT_CODES.OK);
+      expect(catalog.useOfflineCatalog).toHaveBeenCalled();
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('synced 2 days ago'));
+    });
+
+    it('should fail offline commands when there is no catalog', async () => {
+      catalog.useOfflineCatalog.mockRejectedValueOnce(new Error('There is no offline catalog yet.'));
+
+      expect(await runCli(['search', 'chicken', '--offline'])).toBe(EXIT_CODES.ERROR);
+      expect(recipes.findRecipesByName).not.toHaveBeenCalled();
+      expect(await runCli(['sync', '--offline'])).toBe(EXIT_CODES.USAGE);
+    });
+
+    it('should stop with an error if initialization fails', async () => {
+      const initialize = vi.fn().mockResolvedValue(false);
+
+      const code = await runCli(['random'], { initialize });
+
+      expect(code).toBe(EXIT_CODES.ERROR);
+      expect(recipes.findRandomRecipe).not.toHaveBeenCalled();
+    });
+
+    it('should explain API errors when a command fails', async () => {
+      recipes.findRecipesByIngredientQuery.mockRejectedValueOnce(new TimeoutError(5000));
+
+      expect(await runCli(['ingredient', 'chicken'])).toBe(EXIT_CODES.ERROR);
+      expect(console.error).toHaveBeenCalledWith('Error running "ingredient":', expect.stringContaining('did not answer within 5 seconds'));
+    });
+  });
+
+  describe('output', () => {
+    const app = fileURLToPath(new URL('../src/app.js', import.meta.url));
+
+    it('should print only JSON on stdout with --json, even when the cache reports hits and saves', async () => {
+      // Run the real app against a data directory with the search already cached, so no network is needed
+      const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'recipe-cli-'));
+      const entry = { timestamp: Date.now(), data: [{ idMeal: '1', strMeal: 'Chicken Curry', strInstructions: 'Cook.' }] };
+      await fs.writeFile(path.join(dataDir, 'cache.json'), JSON.stringify({ version: 1, data: { search_chicken: entry } }));
+
+      try {
+        const { stdout, stderr } = await promisify(execFile)(process.execPath, [app, 'search', 'chicken', '--json'], {
+          env: { ...process.env, RECIPE_EXPLORER_DATA_DIR: dataDir },
+          timeout: 20000
+        });
+
+        expect(JSON.parse(stdout)).toEqual([expect.objectContaining({ id: '1', name: 'Chicken Curry' })]);
+        expect(stderr).toContain('Cache hit for key: search_chicken');
+      } finally {
+        await fs.rm(dataDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,101 @@
+// test/favorites-refresh.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mock the API and favorites so no network or file access happens
+vi.mock('../src/api.js', () => ({
+  getMealById: vi.fn(),
+}));
+
+vi.mock('../src/favorites.js', () => ({
+  getFavorites: vi.fn(),
+}));
+
+import { checkFavorites, diffRecipes } from '../src/favorites-refresh.js';
+import { NotFoundError, TimeoutError } from '../src/errors.js';
+import * as api from '../src/api.js';
+import * as favorites from '../src/favorites.js';
+import { normalizeMeal } from '../src/recipe-model.js';
+import { formatRefreshResults } from '../src/utils.js';
+
+describe('Favorites Refresh Module', () => {
+  const saved = {
+    idMeal: '1',
+    strMeal: 'Chicken Curry',
+    strCategory: 'Chicken',
+    strInstructions: 'Fry the onions.\nAdd the chicken.\nServe.',
+    strIngredient1: 'Chicken',
+    strMeasure1: '500g',
+    strIngredient2: 'Chili',
+    strMeasure2: '2 tsp',
+    strIngredient3: 'Cream',
+    strMeasure3: '100ml'
+  };
+  const corrected = {
+    ...saved,
+    strInstructions: 'Fry the onions.\nAdd the garlic.\nAdd the chicken.\nServe hot.',
+    strMeasure2: '1 tsp',
+    strIngredient3: 'Garlic',
+    strMeasure3: '2 cloves'
+  };
+
+  describe('diffRecipes', () => {
+    it('should list changed measures, added and removed ingredients and instruction steps', () => {
+      expect(diffRecipes(saved, corrected)).toEqual([
+        { field: 'measure', name: 'Chili', before: '2 tsp', after: '1 tsp' },
+        { field: 'ingredient', name: 'Cream', before: '100ml', after: null },
+        { field: 'ingredient', name: 'Garlic', before: null, after: '2 cloves' },
+        {
+          field: 'instructions',
+          steps: [
+            { type: 'added', text: 'Add the garlic.' },
+            { type: 'removed', text: 'Serve.' },
+            { type: 'added', text: 'Serve hot.' }
+          ]
+        }
+      ]);
+    });
+
+    it('should find no changes in the same recipe in either shape', () => {
+      expect(diffRecipes(saved, normalizeMeal(saved))).toEqual([]);
+      expect(diffRecipes(saved, { ...saved, strCategory: 'Curry' })).toEqual([{ field: 'category', before: 'Chicken', after: 'Curry' }]);
+    });
+  });
+
+  describe('checkFavorites', () => {
+    beforeEach(() => {
+      vi.clearAllMocks();
+      favorites.getFavorites.mockResolvedValue([
+        normalizeMeal(saved),
+        normalizeMeal({ ...saved, idMeal: '2', strMeal: 'Beef Stew' }),
+        normalizeMeal({ ...saved, idMeal: '3', strMeal: 'Old Pie' }),
+        normalizeMeal({ ...saved, idMeal: '4', strMeal: 'Soup' })
+      ]);
+      api.getMealById.mockImplementation(async id => {
+        if (id === '3') throw new NotFoundError('No recipe found with ID 3');
+        if (id === '4') throw new TimeoutError(8000);
+        return id === '1' ? corrected : { ...saved, idMeal: id, strMeal: 'Beef Stew' };
+      });
+    });
+
+    it('should report changed, unchanged, missing and failed favorites', async () => {
+      const results = await checkFavorites({ concurrency: 2 });
+
+      expect(results.map(({ id, status }) => [id, status])).toEqual([['1', 'changed'], ['2', 'unchanged'], ['3', 'missing'], ['4', 'failed']]);
+      expect(results[0].recipe).toEqual(normalizeMeal(corrected));
+      expect(results[3].error).toMatch(/did not answer within 8 seconds/);
+
+      const text = formatRefreshResults(results);
+      expect(text).toContain('Chicken Curry (ID: 1): 4 changes');
+      expect(text).toContain('~ Chili: 2 tsp -> 1 tsp');
+      expect(text).toContain('! Old Pie (ID: 3): no longer exists on TheMealDB');
+    });
+
+    it('should only check the favorites asked for', async () => {
+      const results = await checkFavorites({ ids: ['2'] });
+
+      expect(results.map(result => result.id)).toEqual(['2']);
+      expect(api.getMealById).toHaveBeenCalledTimes(1);
+      expect(api.getMealById).toHaveBeenCalledWith('2', undefined, expect.any(Object));
+    });
+  });
+});
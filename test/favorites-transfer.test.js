@@ -0,0 +1,233 @@
+// test/favorites-transfer.test.js
+import { describe, it, expect, vi, beforeEach, afterEach, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Keep favorites in a temporary data directory; settings.js reads it on import
+const dataDir = await vi.hoisted(async () => {
+  const { mkdtempSync } = await import('fs');
+  const { tmpdir } = await import('os');
+  const { join } = await import('path');
+
+  process.env.RECIPE_EXPLORER_DATA_DIR = mkdtempSync(join(tmpdir(), 'recipe-transfer-'));
+  return process.env.RECIPE_EXPLORER_DATA_DIR;
+});
+
+import * as favorites from '../src/favorites.js';
+import { ImportFormatError, exportFavorites, importFavorites, readImportFile } from '../src/favorites-transfer.js';
+
+const curry = {
+  idMeal: '1',
+  strMeal: 'Chicken Curry',
+  strCategory: 'Chicken',
+  strArea: 'Indian',
+  strInstructions: 'Fry the onions.\nAdd the chicken.',
+  strIngredient1: 'Chicken',
+  strMeasure1: '500g',
+  strIngredient2: 'Chili',
+  strMeasure2: '2 tsp'
+};
+const pie = { idMeal: '2', strMeal: 'Apple Pie, "Grandma\'s"', strCategory: 'Dessert' };
+
+// Time addFavorite records while the clock is stopped
+const NOW = Date.UTC(2024, 0, 15);
+
+/**
+ * Write a file in the data directory and return its path
+ */
+async function writeFile(name, text) {
+  const file = path.join(dataDir, name);
+  await fs.writeFile(file, text);
+  return file;
+}
+
+describe('Favorites Transfer Module', () => {
+  beforeEach(async () => {
+    vi.restoreAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => { });
+    vi.spyOn(console, 'error').mockImplementation(() => { });
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(NOW);
+
+    // Start every test from an empty favorites file
+    await fs.rm(path.join(dataDir, 'favorites.json'), { force: true });
+    await fs.rm(path.join(dataDir, 'favorites.json.bak'), { force: true });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  afterAll(async () => {
+    delete process.env.RECIPE_EXPLORER_DATA_DIR;
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  describe('exportFavorites', () => {
+    beforeEach(async () => {
+      await favorites.createCollection('Weeknight');
+      await favorites.addFavorite(curry, { collection: 'Weeknight', tags: ['spicy'] });
+      await favorites.addFavorite(pie);
+      await favorites.setFavoriteAnnotations('1', { rating: 4, notes: 'Use half the chili', overrides: [{ ingredient: 'Chili', measure: '1 tsp' }] });
+    });
+
+    it('should export everything as JSON', async () => {
+      const { text, count } = await exportFavorites();
+      const exported = JSON.parse(text);
+
+      expect(count).toBe(2);
+      expect(exported).toMatchObject({ kind: 'recipe-explorer-favorites', version: 1 });
+      expect(exported.favorites[0]).toEqual({
+        meal: expect.objectContaining({ idMeal: '1', strMeal: 'Chicken Curry' }),
+        collections: ['Weeknight'],
+        tags: ['spicy'],
+        rating: 4,
+        notes: 'Use half the chili',
+        overrides: [{ ingredient: 'Chili', measure: '1 tsp' }],
+        addedAt: '2024-01-15T00:00:00.000Z'
+      });
+    });
+
+    it('should export CSV with quoted cells and Markdown with the annotations', async () => {
+      const csv = (await exportFavorites({ format: 'csv' })).text.split('\n');
+
+      expect(csv[0]).toBe('idMeal,name,category,area,thumbnail,collections,tags,rating,notes,overrides,addedAt');
+      expect(csv[1]).toBe('1,Chicken Curry,Chicken,Indian,,Weeknight,spicy,4,Use half the chili,Chili=1 tsp,2024-01-15T00:00:00.000Z');
+      expect(csv[2]).toBe('2,"Apple Pie, ""Grandma\'s""",Dessert,,,Favorites,,,,,2024-01-15T00:00:00.000Z');
+
+      const markdown = (await exportFavorites({ format: 'md', collection: 'Weeknight' })).text;
+
+      expect(markdown).toContain('## Chicken Curry');
+      expect(markdown).toContain('- Your rating: 4/5');
+      expect(markdown).toContain('- Added: 2024-01-15');
+      expect(markdown).toContain('- 1 tsp Chili (your change; the recipe says 2 tsp)');
+      expect(markdown).toContain('2. Add the chicken.');
+      expect(markdown).not.toContain('Apple Pie');
+    });
+
+    it('should import its own CSV export into an empty favorites file', async () => {
+      const file = await writeFile('export.csv', (await exportFavorites({ format: 'csv' })).text);
+      await favorites.removeFavorite('1');
+      await favorites.removeFavorite('2');
+      vi.setSystemTime(NOW + 86400000);
+
+      const report = await importFavorites(await readImportFile(file));
+      const [imported] = await favorites.getFavorites({ collection: 'Weeknight' });
+
+      expect(report.counts).toMatchObject({ add: 2, failed: 0 });
+      expect(imported).toMatchObject({ id: '1', name: 'Chicken Curry', partial: true });
+      expect(imported.favorite).toEqual({
+        tags: ['spicy'],
+        collections: ['Weeknight'],
+        rating: 4,
+        notes: 'Use half the chili',
+        overrides: [{ ingredient: 'Chili', measure: '1 tsp' }],
+        addedAt: NOW
+      });
+    });
+
+    it('should keep the ingredients and instructions when overwriting from a CSV export', async () => {
+      const file = await writeFile('export.csv', (await exportFavorites({ format: 'csv' })).text.replace('Chicken Curry', 'Chicken Curry Deluxe'));
+      await favorites.setFavoriteNotes('1', 'Changed since the export');
+
+      const report = await importFavorites(await readImportFile(file), { strategy: 'overwrite' });
+      const recipe = await favorites.getFavoriteById('1');
+
+      expect(report.counts).toMatchObject({ overwrite: 2, failed: 0 });
+      expect(recipe).toMatchObject({ name: 'Chicken Curry Deluxe', partial: false, steps: ['Fry the onions.', 'Add the chicken.'] });
+      expect(recipe.ingredients).toEqual([{ name: 'Chicken', measure: '500g' }, { name: 'Chili', measure: '2 tsp' }]);
+      expect(recipe.favorite).toMatchObject({ notes: 'Use half the chili', addedAt: NOW });
+    });
+  });
+
+  describe('importFavorites', () => {
+    const exported = entries => JSON.stringify({ kind: 'recipe-explorer-favorites', version: 1, favorites: entries });
+
+    beforeEach(async () => {
+      await favorites.addFavorite(curry, { tags: ['spicy'] });
+      await favorites.setFavoriteAnnotations('1', { rating: 5, notes: 'Family favorite' });
+    });
+
+    it('should report what a dry run would do without changing anything', async () => {
+      const file = await writeFile('import.json', exported([
+        { meal: curry, tags: ['quick'] },
+        { meal: pie },
+        { meal: { strMeal: 'No ID' } },
+        { meal: pie, rating: 3 }
+      ]));
+
+      const report = await importFavorites(await readImportFile(file), { dryRun: true });
+
+      expect(report.items.map(({ id, action }) => [id, action])).toEqual([['1', 'skip'], ['2', 'add'], ['', 'invalid'], ['2', 'invalid']]);
+      expect(report.items[3].reason).toBe('it is listed earlier in the file');
+      expect(report.counts).toEqual({ add: 1, skip: 1, overwrite: 0, merge: 0, invalid: 2, failed: 0 });
+      expect((await favorites.getFavorites()).map(recipe => recipe.id)).toEqual(['1']);
+    });
+
+    it('should report entries with broken ingredient overrides as invalid', async () => {
+      const entries = await readImportFile(await writeFile('import.json', JSON.stringify([
+        { meal: pie, overrides: [{ ingredient: 'Chili' }] },
+        { meal: { ...pie, idMeal: '3' }, overrides: [null] },
+        { meal: { ...pie, idMeal: '4' }, overrides: [{ ingredient: 'Cream', measure: null }, { ingredient: 'Lime', measure: '1' }] }
+      ])));
+
+      const report = await importFavorites(entries);
+
+      expect(report.items.map(({ id, action }) => [id, action])).toEqual([['2', 'invalid'], ['3', 'invalid'], ['4', 'add']]);
+      expect(report.items[0].reason).toBe('an ingredient override has no ingredient name, or a measure that is not text or null');
+      expect((await favorites.getFavoriteById('4')).favorite.overrides).toEqual([
+        { ingredient: 'Cream', measure: null },
+        { ingredient: 'Lime', measure: '1' }
+      ]);
+    });
+
+    it('should merge annotations, keeping both', async () => {
+      const entries = await readImportFile(await writeFile('import.json', exported([
+        { meal: curry, collections: ['Shared'], tags: ['quick'], rating: 2, notes: 'Add lime', overrides: [{ ingredient: 'Lime', measure: '1' }] }
+      ])));
+
+      expect((await importFavorites(entries, { strategy: 'merge' })).counts.merge).toBe(1);
+      expect((await favorites.getFavoriteById('1')).favorite).toEqual({
+        tags: ['spicy', 'quick'],
+        collections: ['Favorites', 'Shared'],
+        rating: 5,
+        notes: 'Family favorite / Add lime',
+        overrides: [{ ingredient: 'Lime', measure: '1' }],
+        addedAt: NOW
+      });
+    });
+
+    it('should change nothing when the import cannot be saved', async () => {
+      const entries = await readImportFile(await writeFile('import.json', exported([
+        { meal: pie, collections: ['Baking'] },
+        { meal: { ...curry, strMeal: 'Curry' }, rating: 2 }
+      ])));
+      vi.spyOn(favorites, 'saveFavorites').mockResolvedValueOnce(false);
+
+      const report = await importFavorites(entries, { strategy: 'overwrite' });
+
+      expect(report.counts).toMatchObject({ add: 0, overwrite: 0, failed: 2 });
+      expect((await favorites.getFavorites()).map(recipe => recipe.name)).toEqual(['Chicken Curry']);
+    });
+
+    it('should overwrite the recipe and its annotations', async () => {
+      const entries = await readImportFile(await writeFile('import.json', exported([
+        { meal: { ...curry, strMeasure2: '1 tsp' }, tags: ['quick'], rating: 3 }
+      ])));
+
+      await importFavorites(entries, { strategy: 'overwrite' });
+
+      const recipe = await favorites.getFavoriteById('1');
+      expect(recipe.ingredients[1]).toEqual({ name: 'Chili', measure: '1 tsp' });
+      expect(recipe.favorite).toMatchObject({ tags: ['quick'], rating: 3, notes: '' });
+    });
+
+    it('should read favorites.json files and refuse Markdown', async () => {
+      const entries = await readImportFile(await writeFile('old-favorites.json', JSON.stringify({ version: 1, data: [pie] })));
+
+      expect(entries).toEqual([{ meal: pie, collections: ['Favorites'], tags: [], rating: null, notes: '', overrides: [], addedAt: null }]);
+      await expect(readImportFile(await writeFile('favorites.md', '# Favorite recipes'))).rejects.toBeInstanceOf(ImportFormatError);
+      await expect(readImportFile(await writeFile('broken.csv', 'name\nCurry'))).rejects.toThrow('idMeal column');
+    });
+  });
+});
@@ -1,7 +1,5 @@
 // test/favorites.test.js
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import path from 'path';
-import { fileURLToPath } from 'url';
 
 // Important: vi.mock() calls get hoisted to the top of the file
 // We need to define our mocks in a way that works with hoisting
@@ -12,33 +10,117 @@ vi.mock('fs/promises', () => {
     readFile: vi.fn(),
     writeFile: vi.fn(),
     mkdir: vi.fn(),
+    open: vi.fn(),
+    copyFile: vi.fn(),
+    rename: vi.fn(),
+    rm: vi.fn(),
+    stat: vi.fn(),
     // Include a default export that references the same functions
     default: {
       access: vi.fn(),
       readFile: vi.fn(),
       writeFile: vi.fn(),
-      mkdir: vi.fn()
+      mkdir: vi.fn(),
+      open: vi.fn(),
+      copyFile: vi.fn(),
+      rename: vi.fn(),
+      rm: vi.fn(),
+      stat: vi.fn()
     }
   };
 });
 
 // Import modules after mocking
 import * as favorites from '../src/favorites.js';
+import { normalizeMeal } from '../src/recipe-model.js';
+import { formatRecipe } from '../src/utils.js';
+import { getDataPath } from '../src/settings.js';
 import fs from 'fs/promises';
 
 // Spy on console.log and console.error for additional test checks
 vi.spyOn(console, 'log').mockImplementation(() => { });
 vi.spyOn(console, 'error').mockImplementation(() => { });
 
-// Mock path to favorites file
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const FAVORITES_FILE = path.join(__dirname, '../data/favorites.json');
+// Path of the favorites file in the data directory
+const FAVORITES_FILE = getDataPath('favorites.json');
+
+// Time addFavorite records while the clock is stopped
+const NOW = Date.UTC(2024, 0, 15);
+
+// Each stat of a file gets a new inode number unless the memory files say otherwise
+let statCount = 0;
+
+// Text written for these meals: the current format, with every meal in the default collection
+// addedAt maps recipe IDs to when they were added (default: unknown)
+function savedFavorites(meals, addedAt = {}) {
+  return JSON.stringify({
+    version: 4,
+    data: {
+      collections: [{ name: 'Favorites', recipeIds: meals.map(meal => meal.idMeal) }],
+      favorites: meals.map(meal => ({ meal, tags: [], rating: null, notes: '', overrides: [], addedAt: addedAt[meal.idMeal] ?? null }))
+    }
+  }, null, 2);
+}
+
+// Keep the files in memory so calls really share them; returns the map of files
+function useMemoryFiles(initial) {
+  const files = new Map([[FAVORITES_FILE, initial]]);
+  const versions = new Map();
+  const missing = () => Object.assign(new Error('File not found'), { code: 'ENOENT' });
+  const changed = file => versions.set(file, ++statCount);
+
+  fs.access.mockResolvedValue(undefined);
+  fs.readFile.mockImplementation(async file => {
+    if (!files.has(file)) throw missing();
+    return files.get(file);
+  });
+  fs.writeFile.mockImplementation(async (file, text) => {
+    files.set(file, text);
+    changed(file);
+  });
+  fs.copyFile.mockImplementation(async (from, to) => {
+    if (!files.has(from)) throw missing();
+    files.set(to, files.get(from));
+  });
+  fs.rename.mockImplementation(async (from, to) => {
+    files.set(to, files.get(from));
+    files.delete(from);
+    changed(to);
+  });
+  fs.open.mockImplementation(async (file, flags) => {
+    if (flags === 'wx') {
+      if (files.has(file)) throw Object.assign(new Error('Lock held'), { code: 'EEXIST' });
+      files.set(file, '');
+      // What is written through the handle is the lock's owner
+      return { writeFile: vi.fn(async text => { files.set(file, text); }), sync: vi.fn(), close: vi.fn() };
+    }
+    return { writeFile: vi.fn(), sync: vi.fn(), close: vi.fn() };
+  });
+  fs.rm.mockImplementation(async file => { files.delete(file); });
+  // The stamp only changes when the file is written, so unchanged files are read once
+  changed(FAVORITES_FILE);
+  fs.stat.mockImplementation(async file => {
+    if (!files.has(file)) throw missing();
+    return { ino: versions.get(file) ?? 0, size: files.get(file).length, mtimeMs: 0 };
+  });
+
+  return files;
+}
+
+// A meal as getFavorites returns it
+function favoriteRecipe(meal, tags = [], collections = ['Favorites'], annotations = {}) {
+  return { ...normalizeMeal(meal), favorite: { tags, collections, rating: null, notes: '', overrides: [], addedAt: null, ...annotations } };
+}
 
 describe('Favorites Module', () => {
   // Reset mocks before each test
   beforeEach(() => {
     vi.resetAllMocks();
+    // Lock files and atomic writes go through a file handle
+    fs.open.mockResolvedValue({ writeFile: vi.fn(), sync: vi.fn(), close: vi.fn() });
+    fs.rm.mockResolvedValue(undefined);
+    // Every stat looks like a changed file, so each call reads the file mocks
+    fs.stat.mockImplementation(async () => ({ ino: ++statCount, size: 0, mtimeMs: 0 }));
   });
 
   describe('initializeFavorites', () => {
@@ -57,7 +139,7 @@ describe('Favorites Module', () => {
       // Verify that writeFile was called with an empty favorites array
       expect(fs.writeFile).toHaveBeenCalledWith(
         expect.stringContaining('favorites.json'),
-        JSON.stringify([], null, 2)
+        savedFavorites([])
       );
     });
 
@@ -90,8 +172,9 @@ describe('Favorites Module', () => {
       // Call the function
       const result = await favorites.getFavorites();
 
-      // Verify result matches mock data
-      expect(result).toEqual(mockFavorites);
+      // Verify result matches mock data as normalized recipes
+      expect(result).toEqual(mockFavorites.map(meal => favoriteRecipe(meal)));
+      expect(result[0]).toMatchObject({ id: '1', name: 'Favorite 1', partial: true });
     });
 
     it('should handle file system errors gracefully', async () => {
@@ -107,9 +190,29 @@ describe('Favorites Module', () => {
       // Verify result is empty array (error occurred)
       expect(result).toEqual([]);
     });
+
+    it('should report a damaged favorites file', async () => {
+      // Simulate a file truncated mid-write
+      fs.access.mockResolvedValueOnce(undefined);
+      fs.readFile.mockResolvedValueOnce('[{"idMeal": "1", "strM');
+
+      const result = await favorites.getFavorites();
+
+      expect(result).toEqual([]);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('favorites.json is damaged'));
+    });
   });
 
   describe('addFavorite', () => {
+    beforeEach(() => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(NOW);
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
     it('should add a recipe to favorites', async () => {
       // Mock existing favorites
       const mockExistingFavorites = [
@@ -137,10 +240,54 @@ describe('Favorites Module', () => {
       // Verify writeFile was called with combined favorites
       expect(fs.writeFile).toHaveBeenCalledWith(
         expect.stringContaining('favorites.json'),
-        JSON.stringify([...mockExistingFavorites, newRecipe], null, 2)
+        savedFavorites([...mockExistingFavorites, newRecipe], { 2: NOW })
       );
     });
 
+    it('should store normalized recipes in the raw meal shape', async () => {
+      // No existing favorites
+      fs.access.mockResolvedValueOnce(undefined);
+      fs.access.mockResolvedValueOnce(undefined);
+      fs.readFile.mockResolvedValueOnce(JSON.stringify([]));
+
+      const rawMeal = { idMeal: '3', strMeal: 'Soup', strInstructions: 'Boil', strIngredient1: 'Water', strMeasure1: '1l' };
+
+      const result = await favorites.addFavorite(normalizeMeal(rawMeal));
+
+      expect(result).toBe(true);
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        expect.stringContaining('favorites.json'),
+        savedFavorites([rawMeal], { 3: NOW })
+      );
+    });
+
+    it('should write to a temporary file and rename it over favorites.json', async () => {
+      fs.access.mockResolvedValueOnce(undefined);
+      fs.readFile.mockResolvedValueOnce(JSON.stringify([]));
+
+      const result = await favorites.addFavorite({ idMeal: '1', strMeal: 'Test Recipe' });
+
+      expect(result).toBe(true);
+
+      // Verify the previous file was backed up and the new one moved into place
+      const [tempFile] = fs.writeFile.mock.calls[0];
+      expect(tempFile).not.toBe(FAVORITES_FILE);
+      expect(fs.copyFile).toHaveBeenCalledWith(FAVORITES_FILE, `${FAVORITES_FILE}.bak`);
+      expect(fs.rename).toHaveBeenCalledWith(tempFile, FAVORITES_FILE);
+    });
+
+    it('should not overwrite a damaged favorites file', async () => {
+      fs.access.mockResolvedValueOnce(undefined);
+      fs.readFile.mockResolvedValueOnce('[{"idMeal": "1", "strM');
+
+      const result = await favorites.addFavorite({ idMeal: '2', strMeal: 'New Favorite' });
+
+      // Verify nothing was written
+      expect(result).toBe(false);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+      expect(fs.rename).not.toHaveBeenCalled();
+    });
+
     it('should not add duplicate recipe', async () => {
       // Mock existing favorites including the recipe we'll try to add
       const existingRecipe = { idMeal: '1', strMeal: 'Existing Favorite' };
@@ -220,7 +367,7 @@ describe('Favorites Module', () => {
       // Verify writeFile was called with updated favorites (only recipe with ID '2')
       expect(fs.writeFile).toHaveBeenCalledWith(
         expect.stringContaining('favorites.json'),
-        JSON.stringify([{ idMeal: '2', strMeal: 'Favorite 2' }], null, 2)
+        savedFavorites([{ idMeal: '2', strMeal: 'Favorite 2' }])
       );
     });
 
@@ -333,7 +480,7 @@ describe('Favorites Module', () => {
       const result = await favorites.getFavoriteById('1');
 
       // Verify result is the correct recipe
-      expect(result).toEqual({ idMeal: '1', strMeal: 'Favorite 1' });
+      expect(result).toEqual(favoriteRecipe({ idMeal: '1', strMeal: 'Favorite 1' }));
     });
 
     it('should return null if recipe is not found', async () => {
@@ -367,4 +514,224 @@ describe('Favorites Module', () => {
       expect(result).toBeNull();
     });
   });
+
+  describe('concurrent updates', () => {
+    it('should keep every change when adds and removes run in parallel', async () => {
+      // Keep the files in memory so parallel calls really share them
+      const initial = Array.from({ length: 10 }, (_, i) => ({ idMeal: `old${i}`, strMeal: `Old ${i}` }));
+      const files = useMemoryFiles(JSON.stringify(initial));
+
+      // Add 20 recipes while removing the 10 old ones
+      const adds = Array.from({ length: 20 }, (_, i) => favorites.addFavorite({ idMeal: `new${i}`, strMeal: `New ${i}` }));
+      const removes = initial.map(meal => favorites.removeFavorite(meal.idMeal));
+      const results = await Promise.all([...adds, ...removes]);
+
+      // Verify every call succeeded and no change was lost
+      expect(results.every(Boolean)).toBe(true);
+      const saved = JSON.parse(files.get(FAVORITES_FILE)).data.favorites.map(favorite => favorite.meal.idMeal);
+      expect(saved.sort()).toEqual(Array.from({ length: 20 }, (_, i) => `new${i}`).sort());
+      expect(files.has(`${FAVORITES_FILE}.lock`)).toBe(false);
+    });
+  });
+
+  describe('collections and tags', () => {
+    const curry = { idMeal: '1', strMeal: 'Chicken Curry' };
+    const pie = { idMeal: '2', strMeal: 'Apple Pie' };
+
+    beforeEach(() => {
+      // Favorites saved before collections existed
+      useMemoryFiles(JSON.stringify({ version: 1, data: [curry, pie] }));
+    });
+
+    it('should move existing favorites into the default collection', async () => {
+      expect(await favorites.getCollections()).toEqual([{ name: favorites.DEFAULT_COLLECTION, count: 2 }]);
+      expect(await favorites.getFavorites({ collection: 'favorites' })).toEqual([favoriteRecipe(curry), favoriteRecipe(pie)]);
+    });
+
+    it('should add, copy and move recipes between collections', async () => {
+      expect(await favorites.createCollection('Weeknight')).toBe(true);
+      expect(await favorites.createCollection('weeknight')).toBe(false);
+      await favorites.createCollection('Holiday baking');
+
+      expect(await favorites.copyFavorite('1', 'Weeknight')).toBe(true);
+      expect(await favorites.moveFavorite('2', 'Favorites', 'Holiday baking')).toBe(true);
+      expect(await favorites.addFavorite({ idMeal: '3', strMeal: 'Stew' }, { collection: 'Weeknight', tags: ['Quick '] })).toBe(true);
+
+      expect((await favorites.getFavorites({ collection: 'Weeknight' })).map(recipe => recipe.id)).toEqual(['1', '3']);
+      expect((await favorites.getFavoriteById('1')).favorite.collections).toEqual(['Favorites', 'Weeknight']);
+      expect(await favorites.getCollections()).toEqual([
+        { name: 'Favorites', count: 1 },
+        { name: 'Weeknight', count: 2 },
+        { name: 'Holiday baking', count: 1 }
+      ]);
+    });
+
+    it('should rename collections and keep recipes when one is deleted', async () => {
+      await favorites.createCollection('Kids like it');
+      await favorites.moveFavorite('1', 'Favorites', 'Kids like it');
+
+      expect(await favorites.renameCollection('kids like it', 'Kids love it')).toBe(true);
+      expect(await favorites.renameCollection('Kids love it', 'Favorites')).toBe(false);
+      expect(await favorites.deleteCollection('Kids love it')).toBe(true);
+
+      // The recipe was only in the deleted collection, so it moves to the first one
+      expect(await favorites.getCollections()).toEqual([{ name: 'Favorites', count: 2 }]);
+      expect(await favorites.deleteCollection('Favorites')).toBe(false);
+    });
+
+    it('should tag favorites and filter by tag', async () => {
+      expect(await favorites.tagFavorite('1', ['Spicy', 'quick', 'spicy'])).toBe(true);
+      await favorites.tagFavorite('2', ['Quick']);
+      expect(await favorites.untagFavorite('1', ['SPICY'])).toBe(true);
+      expect(await favorites.tagFavorite('99', ['quick'])).toBe(false);
+
+      expect((await favorites.getFavorites({ tag: 'Quick' })).map(recipe => recipe.id)).toEqual(['1', '2']);
+      expect(await favorites.getTags()).toEqual([{ tag: 'quick', count: 2 }]);
+    });
+
+    it('should remove a recipe from every collection', async () => {
+      await favorites.createCollection('Weeknight');
+      await favorites.copyFavorite('1', 'Weeknight');
+
+      expect(await favorites.removeFavorite('1')).toBe(true);
+      expect(await favorites.getCollections()).toEqual([{ name: 'Favorites', count: 1 }, { name: 'Weeknight', count: 0 }]);
+    });
+  });
+
+  describe('ratings, notes and overrides', () => {
+    const curry = { idMeal: '1', strMeal: 'Chicken Curry', strInstructions: 'Cook.', strIngredient1: 'Chicken', strMeasure1: '500g', strIngredient2: 'Chili', strMeasure2: '2 tsp' };
+    const pie = { idMeal: '2', strMeal: 'Apple Pie' };
+
+    beforeEach(() => {
+      useMemoryFiles(savedFavorites([curry, pie]));
+    });
+
+    it('should rate favorites and sort them by rating', async () => {
+      expect(await favorites.rateFavorite('2', 5)).toBe(true);
+      expect(await favorites.rateFavorite('1', 6)).toBe(false);
+      expect(await favorites.rateFavorite('99', 3)).toBe(false);
+
+      expect((await favorites.getFavorites({ sort: 'rating' })).map(recipe => recipe.id)).toEqual(['2', '1']);
+      expect(await favorites.getFavorites({ sort: 'colour' })).toEqual([]);
+    });
+
+    it('should save notes and ingredient overrides and show them with the recipe', async () => {
+      await favorites.rateFavorite('1', 4);
+      await favorites.setFavoriteNotes('1', ' Use half the chili ');
+      await favorites.setIngredientOverride('1', 'chili', '1 tsp');
+      await favorites.setIngredientOverride('1', 'Chicken', null);
+      await favorites.setIngredientOverride('1', 'Lime', '1');
+      expect(await favorites.removeIngredientOverride('1', 'Ginger')).toBe(false);
+
+      const recipe = await favorites.getFavoriteById('1');
+      expect(recipe).toEqual(favoriteRecipe(curry, [], ['Favorites'], {
+        rating: 4,
+        notes: 'Use half the chili',
+        overrides: [{ ingredient: 'chili', measure: '1 tsp' }, { ingredient: 'Chicken', measure: null }, { ingredient: 'Lime', measure: '1' }]
+      }));
+
+      const text = formatRecipe(recipe);
+      expect(text).toContain('Your rating: 4/5');
+      expect(text).toContain('Your notes: Use half the chili');
+      expect(text).toContain('- 1 tsp Chili (your change; the recipe says 2 tsp)');
+      expect(text).toContain('- 500g Chicken (you leave this out)');
+      expect(text).toContain('- 1 Lime (your addition)');
+    });
+
+    it('should drop overrides without an ingredient name or a measure', async () => {
+      await favorites.setFavoriteAnnotations('1', {
+        overrides: [{ ingredient: 'Chili' }, null, { measure: '1' }, { ingredient: 'Chicken', measure: null }]
+      });
+
+      expect((await favorites.getFavoriteById('1')).favorite.overrides).toEqual([{ ingredient: 'Chicken', measure: null }]);
+    });
+
+    it('should keep annotations when the recipe data is replaced', async () => {
+      await favorites.tagFavorite('1', ['spicy']);
+      await favorites.rateFavorite('1', 3);
+
+      expect(await favorites.updateFavoriteRecipe({ ...curry, strMeasure2: '1 tsp' })).toBe(true);
+
+      const recipe = await favorites.getFavoriteById('1');
+      expect(recipe.ingredients[1]).toEqual({ name: 'Chili', measure: '1 tsp' });
+      expect(recipe.favorite).toMatchObject({ tags: ['spicy'], rating: 3 });
+      expect(await favorites.withFavoriteDetails(normalizeMeal(pie))).toHaveProperty('favorite.rating', null);
+    });
+  });
+
+  describe('search, sort and paging', () => {
+    const curry = { idMeal: '1', strMeal: 'Chicken Curry', strCategory: 'Chicken', strArea: 'Indian', strIngredient1: 'Chicken', strMeasure1: '500g' };
+    const pie = { idMeal: '2', strMeal: 'Apple Pie', strCategory: 'Dessert', strArea: 'British', strIngredient1: 'Apples', strMeasure1: '3' };
+    const stew = { idMeal: '3', strMeal: 'Beef Stew', strCategory: 'Beef', strArea: 'British', strIngredient1: 'Beef', strMeasure1: '1kg' };
+    let files;
+
+    beforeEach(() => {
+      // Curry was saved before dates were recorded; pie and stew a day apart
+      files = useMemoryFiles(savedFavorites([curry, pie, stew], { 2: NOW, 3: NOW + 86400000 }));
+    });
+
+    it('should search by name, ingredient, category, area and tag', async () => {
+      const ids = async filters => (await favorites.getFavorites(filters)).map(recipe => recipe.id);
+
+      await favorites.tagFavorite('3', ['winter']);
+      await favorites.setIngredientOverride('1', 'Lime', '1');
+
+      expect(await ids({ name: 'pie' })).toEqual(['2']);
+      expect(await ids({ ingredient: 'LIME' })).toEqual(['1']);
+      expect(await ids({ area: 'british' })).toEqual(['2', '3']);
+      expect(await ids({ area: 'british', category: 'Beef' })).toEqual(['3']);
+      expect(await ids({ area: 'Brit' })).toEqual([]);
+      expect(await ids({ tag: 'Winter' })).toEqual(['3']);
+    });
+
+    it('should not match ingredients the user leaves out', async () => {
+      const ids = async filters => (await favorites.getFavorites(filters)).map(recipe => recipe.id);
+
+      await favorites.setIngredientOverride('1', ' chicken ', null);
+
+      expect(await ids({ ingredient: 'chicken' })).toEqual([]);
+      expect(await ids({ name: 'chicken' })).toEqual(['1']);
+    });
+
+    it('should sort by name and by date added, newest first', async () => {
+      const ids = async sort => (await favorites.getFavorites({ sort })).map(recipe => recipe.id);
+
+      expect(await ids('name')).toEqual(['2', '3', '1']);
+      expect(await ids('added')).toEqual(['3', '2', '1']);
+    });
+
+    it('should split favorites into pages', async () => {
+      const page = await favorites.getFavoritesPage({ sort: 'name', page: 2, pageSize: 2 });
+
+      expect(page).toMatchObject({ page: 2, pages: 2, total: 3 });
+      expect(page.recipes.map(recipe => recipe.id)).toEqual(['1']);
+      expect((await favorites.getFavoritesPage({ page: 9, pageSize: 2 })).page).toBe(2);
+      expect(await favorites.getFavoritesPage({ name: 'soup' })).toEqual({ recipes: [], page: 1, pages: 1, total: 0 });
+    });
+
+    it('should parse typed searches into filters', () => {
+      expect(favorites.parseFavoriteSearch('curry ingredient:garlic tag:"date night" colour:red')).toEqual({
+        ingredient: 'garlic',
+        tag: 'date night',
+        name: 'curry colour:red'
+      });
+      expect(favorites.parseFavoriteSearch('  ')).toEqual({});
+    });
+
+    it('should look favorites up without reading an unchanged file again', async () => {
+      expect(await favorites.isInFavorites('2')).toBe(true);
+      expect((await favorites.getFavoriteById('3')).name).toBe('Beef Stew');
+      expect(await favorites.isInFavorites('9')).toBe(false);
+      expect(fs.readFile).toHaveBeenCalledTimes(1);
+
+      // Changing a looked-up recipe does not change the index
+      (await favorites.getFavoriteById('3')).favorite.tags.push('changed');
+      expect((await favorites.getFavoriteById('3')).favorite.tags).toEqual([]);
+
+      // A change to the file is seen on the next lookup
+      await favorites.removeFavorite('2');
+      expect(await favorites.isInFavorites('2')).toBe(false);
+      expect(JSON.parse(files.get(FAVORITES_FILE)).data.favorites).toHaveLength(2);
+    });
+  });
 });
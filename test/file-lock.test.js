@@ -0,0 +1,153 @@
+// test/file-lock.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { execFile } from 'child_process';
+import { rmSync, writeFileSync } from 'fs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { promisify } from 'util';
+import { LockTimeoutError, getLockPath, withFileLock } from '../src/file-lock.js';
+import { readJsonFile, writeJsonFile } from '../src/storage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const run = promisify(execFile);
+
+/**
+ * Get the ID of a process that has exited
+ */
+async function getExitedPid() {
+  const { stdout } = await run(process.execPath, ['-e', 'console.log(process.pid)']);
+  return Number(stdout.trim());
+}
+
+/**
+ * Add one to the counter stored in a file, under the file's lock
+ */
+function increment(file) {
+  return withFileLock(file, async () => {
+    const count = await readJsonFile(file);
+    await writeJsonFile(file, count + 1);
+  });
+}
+
+describe('File Lock Module', () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'recipe-lock-'));
+    file = path.join(dir, 'counter.json');
+    await writeJsonFile(file, 0);
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should run parallel updates one at a time so none are lost', async () => {
+    await Promise.all(Array.from({ length: 50 }, () => increment(file)));
+
+    expect(await readJsonFile(file)).toBe(50);
+    await expect(fs.access(getLockPath(file))).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  it('should keep the queue going after a failed update', async () => {
+    const failed = withFileLock(file, async () => {
+      throw new Error('Update failed');
+    });
+
+    await expect(failed).rejects.toThrow('Update failed');
+    await increment(file);
+
+    expect(await readJsonFile(file)).toBe(1);
+  });
+
+  it('should wait for a lock held by another process', async () => {
+    await fs.writeFile(getLockPath(file), String(process.ppid));
+    setTimeout(() => fs.rm(getLockPath(file)), 100);
+
+    await increment(file);
+
+    expect(await readJsonFile(file)).toBe(1);
+  });
+
+  it('should give up when the lock is not released in time', async () => {
+    await fs.writeFile(getLockPath(file), String(process.ppid));
+
+    const result = withFileLock(file, () => writeJsonFile(file, 1), { timeoutMs: 50 });
+
+    await expect(result).rejects.toBeInstanceOf(LockTimeoutError);
+    expect(await readJsonFile(file)).toBe(0);
+  });
+
+  it('should take over a lock left behind by a process that exited', async () => {
+    // A finished child process gives a process ID that no longer exists
+    await fs.writeFile(getLockPath(file), String(await getExitedPid()));
+
+    await increment(file);
+
+    expect(await readJsonFile(file)).toBe(1);
+  });
+
+  it('should not remove a lock another process took while the stale one was checked', async () => {
+    const lockPath = getLockPath(file);
+    const exitedPid = await getExitedPid();
+    const kill = process.kill.bind(process);
+    await fs.writeFile(lockPath, String(exitedPid));
+
+    // Right after the stale lock is read, another process removes it and takes its own
+    const spy = vi.spyOn(process, 'kill').mockImplementation((pid, signal) => {
+      if (pid === exitedPid && !spy.swapped) {
+        spy.swapped = true;
+        rmSync(lockPath);
+        writeFileSync(lockPath, `${process.ppid} other`);
+      }
+      return kill(pid, signal);
+    });
+
+    try {
+      const result = withFileLock(file, () => writeJsonFile(file, 1), { timeoutMs: 100 });
+
+      await expect(result).rejects.toBeInstanceOf(LockTimeoutError);
+      expect(await fs.readFile(lockPath, 'utf8')).toBe(`${process.ppid} other`);
+      expect(await readJsonFile(file)).toBe(0);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  it('should not take over a lock from a running process however long it is held', async () => {
+    const old = new Date(Date.now() - 60000);
+    await fs.writeFile(getLockPath(file), String(process.ppid));
+    await fs.utimes(getLockPath(file), old, old);
+
+    const result = withFileLock(file, () => writeJsonFile(file, 1), { timeoutMs: 50, staleMs: 1000 });
+
+    await expect(result).rejects.toBeInstanceOf(LockTimeoutError);
+  });
+
+  it('should only remove its own lock when it finishes', async () => {
+    await withFileLock(file, () => fs.writeFile(getLockPath(file), `${process.ppid} other`));
+
+    expect(await fs.readFile(getLockPath(file), 'utf8')).toBe(`${process.ppid} other`);
+  });
+
+  it('should keep every update when two processes write at the same time', async () => {
+    const modules = ['file-lock.js', 'storage.js'].map(name => pathToFileURL(path.join(__dirname, '../src', name)).href);
+    const script = `
+      const { withFileLock } = await import(${JSON.stringify(modules[0])});
+      const { readJsonFile, writeJsonFile } = await import(${JSON.stringify(modules[1])});
+      const file = process.argv[1];
+      for (let i = 0; i < 25; i++) {
+        await withFileLock(file, async () => writeJsonFile(file, (await readJsonFile(file)) + 1));
+      }
+    `;
+    const child = () => run(process.execPath, ['--input-type=module', '-e', script, file], { timeout: 30000 });
+
+    await Promise.all([child(), child()]);
+
+    expect(await readJsonFile(file)).toBe(50);
+  }, 30000);
+});
@@ -0,0 +1,191 @@
+// test/http.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { fetchJson, getRetryDelay } from '../src/http.js';
+import { HttpError, NetworkError, TimeoutError } from '../src/errors.js';
+
+// Mock global fetch
+global.fetch = vi.fn();
+
+describe('HTTP Module', () => {
+  const URL = 'https://recipes.example.com/search.php?s=pie';
+
+  // Mock response factory
+  function createMockResponse(data, status = 200, headers = {}) {
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      headers: new Headers(headers),
+      json: () => Promise.resolve(data)
+    };
+  }
+
+  // Mock a fetch that never answers unless it is aborted
+  function hangUntilAborted(url, { signal }) {
+    return new Promise((_, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason));
+    });
+  }
+
+  beforeEach(() => {
+    fetch.mockReset();
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('getRetryDelay', () => {
+    it('should double the backoff for each retry up to the maximum', () => {
+      const options = { baseDelayMs: 100, maxDelayMs: 1000 };
+      const highest = () => 0.999999;
+
+      expect(getRetryDelay(0, options, highest)).toBe(100);
+      expect(getRetryDelay(1, options, highest)).toBe(200);
+      expect(getRetryDelay(3, options, highest)).toBe(800);
+      expect(getRetryDelay(10, options, highest)).toBe(1000);
+    });
+
+    it('should pick a random delay within the backoff', () => {
+      expect(getRetryDelay(2, { baseDelayMs: 100, maxDelayMs: 1000 }, () => 0.5)).toBe(200);
+      expect(getRetryDelay(2, { baseDelayMs: 100, maxDelayMs: 1000 }, () => 0)).toBe(0);
+    });
+  });
+
+  describe('fetchJson', () => {
+    it('should return the parsed body', async () => {
+      fetch.mockResolvedValueOnce(createMockResponse({ meals: [] }));
+
+      expect(await fetchJson(URL)).toEqual({ meals: [] });
+      expect(fetch).toHaveBeenCalledWith(URL, { signal: expect.any(AbortSignal) });
+    });
+
+    it('should retry rate limiting and server errors with backoff', async () => {
+      vi.spyOn(Math, 'random').mockReturnValue(0.999999);
+      fetch
+        .mockResolvedValueOnce(createMockResponse({}, 503))
+        .mockResolvedValueOnce(createMockResponse({}, 429))
+        .mockResolvedValueOnce(createMockResponse({ meals: null }));
+
+      const promise = fetchJson(URL, { baseDelayMs: 100 });
+
+      // Verify nothing is retried before the backoff has passed
+      await vi.advanceTimersByTimeAsync(99);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1);
+      expect(fetch).toHaveBeenCalledTimes(2);
+
+      // Second backoff is twice as long
+      await vi.advanceTimersByTimeAsync(200);
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(await promise).toEqual({ meals: null });
+      Math.random.mockRestore();
+    });
+
+    it('should wait at least as long as Retry-After asks', async () => {
+      fetch
+        .mockResolvedValueOnce(createMockResponse({}, 429, { 'Retry-After': '2' }))
+        .mockResolvedValueOnce(createMockResponse({ meals: [] }));
+
+      const promise = fetchJson(URL, { baseDelayMs: 10 });
+
+      await vi.advanceTimersByTimeAsync(1999);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1);
+      expect(await promise).toEqual({ meals: [] });
+    });
+
+    it('should fail at once when Retry-After asks for a longer wait than it allows', async () => {
+      fetch.mockResolvedValue(createMockResponse({}, 503, { 'Retry-After': '3600' }));
+
+      const result = fetchJson(URL, { maxRetryAfterMs: 10000 }).catch(error => error);
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(await result).toMatchObject({ status: 503, retryAfterMs: 3600000 });
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(vi.getTimerCount()).toBe(0);
+    });
+
+    it('should fail at once when Retry-After is a far-off date', async () => {
+      fetch.mockResolvedValue(createMockResponse({}, 429, { 'Retry-After': new Date(Date.now() + 86400000).toUTCString() }));
+
+      const result = fetchJson(URL).catch(error => error);
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(await result).toBeInstanceOf(HttpError);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not retry client errors', async () => {
+      fetch.mockResolvedValue(createMockResponse({}, 404));
+
+      await expect(fetchJson(URL)).rejects.toBeInstanceOf(HttpError);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give up after the configured number of retries', async () => {
+      fetch.mockRejectedValue(new TypeError('fetch failed'));
+
+      const result = fetchJson(URL, { retries: 1 }).catch(error => error);
+      await vi.runAllTimersAsync();
+
+      expect(await result).toBeInstanceOf(NetworkError);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should abort the request when it times out', async () => {
+      fetch.mockImplementation(hangUntilAborted);
+
+      const result = fetchJson(URL, { timeoutMs: 1000, retries: 0 }).catch(error => error);
+      await vi.advanceTimersByTimeAsync(1000);
+
+      // Verify the signal passed to fetch was aborted with the timeout
+      const { signal } = fetch.mock.calls[0][1];
+      expect(signal.aborted).toBe(true);
+      expect(await result).toBeInstanceOf(TimeoutError);
+    });
+
+    it('should time out even if fetch ignores the abort signal', async () => {
+      fetch.mockImplementation(() => new Promise(() => { }));
+
+      const result = fetchJson(URL, { timeoutMs: 500, retries: 0 }).catch(error => error);
+      await vi.advanceTimersByTimeAsync(500);
+
+      expect(await result).toBeInstanceOf(TimeoutError);
+    });
+
+    it('should stop when the caller aborts, without retrying', async () => {
+      fetch.mockImplementation(hangUntilAborted);
+      const controller = new AbortController();
+
+      const result = fetchJson(URL, { signal: controller.signal }).catch(error => error);
+      controller.abort(new Error('No longer needed'));
+      await vi.runAllTimersAsync();
+
+      expect((await result).message).toBe('No longer needed');
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop waiting to retry when the caller aborts', async () => {
+      fetch.mockResolvedValue(createMockResponse({}, 503));
+      const controller = new AbortController();
+
+      const result = fetchJson(URL, { signal: controller.signal, baseDelayMs: 10000, maxDelayMs: 10000, retries: 2 }).catch(error => error);
+      // Abort while it waits out the backoff before the second attempt
+      await vi.waitFor(() => expect(vi.getTimerCount()).toBe(1));
+      controller.abort(new Error('No longer needed'));
+
+      expect((await result).message).toBe('No longer needed');
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(vi.getTimerCount()).toBe(0);
+    });
+
+    it('should clear its timeout once the request finishes', async () => {
+      fetch.mockResolvedValueOnce(createMockResponse({ meals: [] }));
+
+      await fetchJson(URL);
+
+      expect(vi.getTimerCount()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+// test/ingredient-query.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mock the API and pass cache lookups straight through to the fetch function
+vi.mock('../src/api.js', () => ({
+  getMealsByIngredient: vi.fn(),
+}));
+
+vi.mock('../src/cache.js', () => ({
+  getCachedOrFetch: vi.fn(async (key, fetchFn) => ({ data: await fetchFn(), stale: false, refreshing: false })),
+  saveToCache: vi.fn(),
+}));
+
+import {
+  parseIngredientQuery,
+  getQueryIngredients,
+  evaluateIngredientQuery,
+  formatIngredientQuery,
+  QuerySyntaxError
+} from '../src/ingredient-query.js';
+import { findRecipesByIngredientQuery } from '../src/recipes.js';
+import * as api from '../src/api.js';
+import * as cache from '../src/cache.js';
+
+describe('Ingredient Query Module', () => {
+  // Mock data: recipes found for each ingredient
+  const curry = { id: '1', name: 'Chicken Curry' };
+  const alfredo = { id: '2', name: 'Chicken Alfredo' };
+  const garlicBread = { id: '3', name: 'Garlic Bread' };
+  const stirFry = { id: '4', name: 'Chicken Stir Fry' };
+  const resultsByIngredient = new Map([
+    ['chicken', [curry, alfredo, stirFry]],
+    ['garlic', [curry, alfredo, garlicBread, stirFry]],
+    ['cream', [alfredo]],
+    ['ginger', [stirFry]]
+  ]);
+
+  function ids(query) {
+    return Array.from(evaluateIngredientQuery(parseIngredientQuery(query), resultsByIngredient).keys());
+  }
+
+  describe('parseIngredientQuery', () => {
+    it('should read a single ingredient, including multi-word names', () => {
+      expect(parseIngredientQuery('Chicken Breast')).toEqual({ type: 'ingredient', name: 'chicken breast' });
+    });
+
+    it('should give AND and NOT precedence over OR', () => {
+      const tree = parseIngredientQuery('chicken AND garlic NOT cream OR ginger');
+
+      expect(formatIngredientQuery(tree)).toBe('((chicken AND garlic) AND NOT cream) OR ginger');
+    });
+
+    it('should accept lowercase operators and parentheses', () => {
+      const tree = parseIngredientQuery('chicken and (garlic or ginger)');
+
+      expect(formatIngredientQuery(tree)).toBe('chicken AND (garlic OR ginger)');
+    });
+
+    it('should reject malformed queries', () => {
+      expect(() => parseIngredientQuery('')).toThrow(QuerySyntaxError);
+      expect(() => parseIngredientQuery('chicken AND')).toThrow(QuerySyntaxError);
+      expect(() => parseIngredientQuery('(chicken OR garlic')).toThrow('Missing closing parenthesis');
+      expect(() => parseIngredientQuery('chicken) garlic')).toThrow('Unexpected ")"');
+      expect(() => parseIngredientQuery('OR garlic')).toThrow(QuerySyntaxError);
+    });
+  });
+
+  describe('getQueryIngredients', () => {
+    it('should list each ingredient once', () => {
+      const tree = parseIngredientQuery('chicken AND garlic NOT cream OR chicken');
+
+      expect(getQueryIngredients(tree)).toEqual(['chicken', 'garlic', 'cream']);
+      expect(getQueryIngredients(tree, false)).toEqual(['chicken', 'garlic']);
+    });
+  });
+
+  describe('evaluateIngredientQuery', () => {
+    it('should intersect, unite and subtract results by recipe ID', () => {
+      expect(ids('chicken AND garlic')).toEqual(['1', '2', '4']);
+      expect(ids('chicken AND garlic NOT cream')).toEqual(['1', '4']);
+      expect(ids('cream OR ginger')).toEqual(['2', '4']);
+      expect(ids('garlic NOT (chicken OR cream)')).toEqual(['3']);
+      expect(ids('NOT cream AND chicken')).toEqual(['1', '4']);
+    });
+
+    it('should treat unknown ingredients as matching nothing', () => {
+      expect(ids('chicken AND saffron')).toEqual([]);
+    });
+
+    it('should reject NOT without anything to exclude from', () => {
+      expect(() => ids('NOT cream')).toThrow(QuerySyntaxError);
+      expect(() => ids('chicken OR NOT cream')).toThrow(QuerySyntaxError);
+      expect(() => ids('NOT chicken AND NOT cream')).toThrow(QuerySyntaxError);
+    });
+  });
+
+  describe('findRecipesByIngredientQuery', () => {
+    beforeEach(() => {
+      vi.clearAllMocks();
+    });
+
+    it('should fetch and cache each ingredient separately and report matches', async () => {
+      api.getMealsByIngredient.mockImplementation(async ingredient => ({
+        chicken: [{ idMeal: '1', strMeal: 'Chicken Curry' }, { idMeal: '2', strMeal: 'Chicken Alfredo' }],
+        garlic: [{ idMeal: '1', strMeal: 'Chicken Curry' }, { idMeal: '2', strMeal: 'Chicken Alfredo' }],
+        cream: [{ idMeal: '2', strMeal: 'Chicken Alfredo' }]
+      })[ingredient]);
+
+      const found = await findRecipesByIngredientQuery('Chicken AND garlic NOT cream');
+
+      expect(found).toHaveLength(1);
+      expect(found[0]).toMatchObject({ id: '1', name: 'Chicken Curry', matched: ['chicken', 'garlic'] });
+
+      // Verify one cache entry per ingredient
+      expect(cache.getCachedOrFetch.mock.calls.map(([key]) => key))
+        .toEqual(['ingredient_chicken', 'ingredient_garlic', 'ingredient_cream']);
+    });
+  });
+});
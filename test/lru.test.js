@@ -0,0 +1,62 @@
+// test/lru.test.js
+import { describe, it, expect } from 'vitest';
+import { createLruCache, estimateSize } from '../src/lru.js';
+
+describe('LRU Module', () => {
+  it('should drop the least recently used entry beyond maxEntries', () => {
+    const lru = createLruCache({ maxEntries: 2 });
+    lru.set('a', 1);
+    lru.set('b', 2);
+
+    // Using "a" makes "b" the oldest
+    lru.get('a');
+    lru.set('c', 3);
+
+    expect(lru.entries()).toEqual([['a', 1], ['c', 3]]);
+    expect(lru.get('b')).toBeUndefined();
+  });
+
+  it('should drop entries until the total size fits maxBytes', () => {
+    const lru = createLruCache({ maxBytes: 10, sizeOf: value => value.length });
+    lru.set('a', 'xxxx');
+    lru.set('b', 'xxxx');
+    lru.set('c', 'xxxx');
+
+    expect(lru.entries().map(([key]) => key)).toEqual(['b', 'c']);
+    expect(lru.bytes).toBe(8);
+  });
+
+  it('should not store a value larger than maxBytes', () => {
+    const lru = createLruCache({ maxBytes: 3, sizeOf: value => value.length });
+
+    expect(lru.set('a', 'xxxx')).toBe(false);
+    expect(lru.size).toBe(0);
+  });
+
+  it('should update sizes when a key is replaced or deleted', () => {
+    const lru = createLruCache({ sizeOf: value => value.length });
+    lru.set('a', 'xx');
+    lru.set('a', 'xxxx');
+    expect(lru.bytes).toBe(4);
+
+    expect(lru.delete('a')).toBe(true);
+    expect(lru.bytes).toBe(0);
+    expect(lru.delete('a')).toBe(false);
+  });
+
+  it('should not change the order when peeking', () => {
+    const lru = createLruCache({ maxEntries: 2 });
+    lru.set('a', 1);
+    lru.set('b', 2);
+
+    expect(lru.peek('a')).toBe(1);
+    lru.set('c', 3);
+
+    expect(lru.peek('a')).toBeUndefined();
+  });
+
+  it('should estimate sizes from the JSON text', () => {
+    expect(estimateSize({ a: 'é' })).toBe(Buffer.byteLength('{"a":"é"}'));
+    expect(estimateSize(undefined)).toBe(0);
+  });
+});
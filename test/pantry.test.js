@@ -0,0 +1,117 @@
+// test/pantry.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mock the recipe lookups so no network or file access happens
+vi.mock('../src/recipes.js', () => ({
+  findRecipesByIngredient: vi.fn(),
+  findRecipeById: vi.fn(),
+}));
+
+import { parsePantry, coversIngredient, scoreRecipe, rankRecipes, findCookableRecipes } from '../src/pantry.js';
+import * as recipes from '../src/recipes.js';
+import { normalizeMeal } from '../src/recipe-model.js';
+
+describe('Pantry Module', () => {
+  // Mock data
+  const friedRice = normalizeMeal({
+    idMeal: '1',
+    strMeal: 'Egg Fried Rice',
+    strInstructions: 'Fry everything.',
+    strIngredient1: 'Rice',
+    strIngredient2: 'Eggs',
+    strIngredient3: 'Soy Sauce',
+    strIngredient4: 'Spring Onions'
+  });
+  const chickenRice = normalizeMeal({
+    idMeal: '2',
+    strMeal: 'Chicken Rice',
+    strInstructions: 'Cook it.',
+    strIngredient1: 'Chicken Thighs',
+    strIngredient2: 'Rice',
+    strIngredient3: 'Ginger',
+    strIngredient4: 'Garlic',
+    strIngredient5: 'Unsalted Butter'
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => { });
+  });
+
+  describe('parsePantry', () => {
+    it('should split on commas and new lines and drop repeats', () => {
+      expect(parsePantry('Rice, eggs\n soy  sauce,,rice')).toEqual(['rice', 'eggs', 'soy sauce']);
+      expect(parsePantry(['Chicken', ' '])).toEqual(['chicken']);
+    });
+  });
+
+  describe('coversIngredient', () => {
+    it('should match whole words and ignore plurals', () => {
+      expect(coversIngredient('Chicken Thighs', 'chicken')).toBe(true);
+      expect(coversIngredient('Chicken Thighs', 'chicken thigh')).toBe(true);
+      expect(coversIngredient('Eggs', 'egg')).toBe(true);
+      expect(coversIngredient('Tomatoes', 'tomato')).toBe(true);
+      expect(coversIngredient('Unsalted Butter', 'salt')).toBe(false);
+      expect(coversIngredient('Soy Sauce', 'fish sauce')).toBe(false);
+    });
+  });
+
+  describe('scoreRecipe and rankRecipes', () => {
+    it('should report coverage and missing ingredients', () => {
+      const score = scoreRecipe(friedRice, ['rice', 'egg', 'soy sauce']);
+
+      expect(score.coverage).toBe(0.75);
+      expect(score.have).toEqual(['Rice', 'Eggs', 'Soy Sauce']);
+      expect(score.missing).toEqual(['Spring Onions']);
+    });
+
+    it('should rank by coverage, then by fewest missing ingredients', () => {
+      const pantry = ['rice', 'chicken'];
+      const small = normalizeMeal({ idMeal: '3', strMeal: 'Plain Rice', strInstructions: '', strIngredient1: 'Rice', strIngredient2: 'Salt' });
+      const ranked = rankRecipes([friedRice, chickenRice, small].map(recipe => scoreRecipe(recipe, pantry)));
+
+      expect(ranked.map(result => result.recipe.name)).toEqual(['Plain Rice', 'Chicken Rice', 'Egg Fried Rice']);
+    });
+  });
+
+  describe('findCookableRecipes', () => {
+    it('should load candidates found by each pantry item and rank them', async () => {
+      recipes.findRecipesByIngredient.mockImplementation(async item => ({
+        rice: [{ id: '1' }, { id: '2' }],
+        egg: [{ id: '1' }]
+      })[item] || []);
+      recipes.findRecipeById.mockImplementation(async id => ({ 1: friedRice, 2: chickenRice })[id]);
+
+      const results = await findCookableRecipes(['rice', 'egg']);
+
+      expect(recipes.findRecipesByIngredient).toHaveBeenCalledTimes(2);
+      expect(recipes.findRecipeById).toHaveBeenCalledTimes(2);
+      expect(results.map(result => result.recipe.id)).toEqual(['1', '2']);
+      expect(results[0].missing).toEqual(['Soy Sauce', 'Spring Onions']);
+    });
+
+    it('should load only the candidates matching the most pantry items', async () => {
+      recipes.findRecipesByIngredient.mockImplementation(async item => ({
+        rice: [{ id: '2' }, { id: '1' }],
+        egg: [{ id: '1' }]
+      })[item]);
+      recipes.findRecipeById.mockResolvedValue(friedRice);
+
+      await findCookableRecipes(['rice', 'egg'], { maxCandidates: 1 });
+
+      expect(recipes.findRecipeById).toHaveBeenCalledTimes(1);
+      expect(recipes.findRecipeById).toHaveBeenCalledWith('1', false);
+    });
+
+    it('should skip recipes that fail to load', async () => {
+      recipes.findRecipesByIngredient.mockResolvedValue([{ id: '1' }, { id: '2' }]);
+      recipes.findRecipeById
+        .mockRejectedValueOnce(new Error('Network error'))
+        .mockResolvedValueOnce(chickenRice);
+
+      const results = await findCookableRecipes(['rice']);
+
+      expect(results.map(result => result.recipe.id)).toEqual(['2']);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+// test/prefetch.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Keep cached results in memory only; settings.js reads this on import
+vi.hoisted(() => {
+  process.env.RECIPE_CACHE_BACKEND = 'memory';
+});
+
+// Mock the API, favorites and latest search so no network or file access happens
+vi.mock('../src/api.js', () => ({
+  getMealById: vi.fn(),
+}));
+
+vi.mock('../src/cache.js', async importOriginal => ({
+  ...await importOriginal(),
+  listCacheEntries: vi.fn(),
+  saveToCache: vi.fn(async () => true),
+}));
+
+vi.mock('../src/favorites.js', () => ({
+  getFavorites: vi.fn(),
+}));
+
+vi.mock('../src/recipes.js', async importOriginal => ({
+  ...await importOriginal(),
+  getLatestSearchIds: vi.fn(),
+}));
+
+import { getPrefetchIds, prefetchDetails, startPrefetch, stopPrefetch } from '../src/prefetch.js';
+import { PRIORITY } from '../src/rate-limiter.js';
+import * as api from '../src/api.js';
+import * as cache from '../src/cache.js';
+import * as favorites from '../src/favorites.js';
+import * as recipes from '../src/recipes.js';
+
+describe('Prefetch Module', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    favorites.getFavorites.mockResolvedValue([{ id: '1', name: 'Chicken Curry' }, { id: '2', name: 'Beef Stew' }]);
+    recipes.getLatestSearchIds.mockResolvedValue(['2', '3', '4']);
+    cache.listCacheEntries.mockResolvedValue([]);
+    api.getMealById.mockImplementation(async id => ({ idMeal: id, strMeal: `Meal ${id}` }));
+  });
+
+  it('should combine favorites with the first latest search results without repeats', async () => {
+    expect(await getPrefetchIds({ searchResults: 2 })).toEqual(['1', '2', '3']);
+  });
+
+  it('should fetch only recipes whose details are not cached and fresh', async () => {
+    cache.listCacheEntries.mockResolvedValue([
+      { key: 'recipe_1', stale: false },
+      { key: 'recipe_3', stale: true }
+    ]);
+
+    const result = await prefetchDetails();
+
+    expect(result).toEqual({ total: 4, cached: 1, fetched: 3, failed: 0 });
+    expect(api.getMealById).not.toHaveBeenCalledWith('1', expect.anything(), expect.anything());
+    expect(api.getMealById).toHaveBeenCalledWith('3', undefined, expect.objectContaining({ priority: PRIORITY.BACKGROUND }));
+    expect(cache.saveToCache).toHaveBeenCalledWith('recipe_4', expect.objectContaining({ id: '4', name: 'Meal 4' }));
+  });
+
+  it('should count recipes that could not be fetched and carry on', async () => {
+    api.getMealById.mockImplementation(async id => {
+      if (id === '2') {
+        throw new Error('Network error');
+      }
+      return { idMeal: id, strMeal: `Meal ${id}` };
+    });
+
+    expect(await prefetchDetails()).toEqual({ total: 4, cached: 0, fetched: 3, failed: 1 });
+  });
+
+  it('should leave a recipe opened during prefetch to its own request at interactive priority', async () => {
+    favorites.getFavorites.mockResolvedValue([]);
+    recipes.getLatestSearchIds.mockResolvedValue(['3']);
+    api.getMealById.mockImplementation((id, attempts, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('Aborted')));
+    }));
+
+    // The prefetch request for recipe 3 is still waiting when the user opens it
+    startPrefetch();
+    await vi.waitFor(() => expect(api.getMealById).toHaveBeenCalledWith('3', undefined, expect.objectContaining({ priority: PRIORITY.BACKGROUND })));
+    api.getMealById.mockResolvedValueOnce({ idMeal: '3', strMeal: 'Meal 3', strInstructions: 'Cook.' });
+
+    expect(await recipes.findRecipeById('3')).toMatchObject({ id: '3', name: 'Meal 3' });
+    expect(api.getMealById).toHaveBeenLastCalledWith('3');
+
+    await stopPrefetch();
+  });
+
+  it('should abort the requests still running when stopped', async () => {
+    api.getMealById.mockImplementation((id, attempts, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('Aborted')));
+    }));
+
+    const job = startPrefetch();
+    expect(startPrefetch()).toBe(job);
+
+    // Let the job reach the requests before stopping it
+    await vi.waitFor(() => expect(api.getMealById).toHaveBeenCalled());
+    await stopPrefetch();
+
+    expect(await job).toMatchObject({ fetched: 0 });
+    expect(cache.saveToCache).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,137 @@
+// test/providers.test.js
+import { describe, it, expect, vi, beforeAll, afterAll, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createLocalProvider } from '../src/providers/local.js';
+import { createTheMealDbProvider } from '../src/providers/themealdb.js';
+import { createProvider, setProvider } from '../src/providers/index.js';
+import * as api from '../src/api.js';
+
+describe('Providers', () => {
+  describe('TheMealDB provider', () => {
+    it('should build URLs from the base URL and API key', () => {
+      const provider = createTheMealDbProvider({ baseUrl: 'https://recipes.example.com/api/json/v1/', apiKey: 'secret' });
+
+      expect(provider.buildUrl('search.php', { s: 'mac & cheese' }))
+        .toBe('https://recipes.example.com/api/json/v1/secret/search.php?s=mac%20%26%20cheese');
+      expect(provider.buildUrl('random.php')).toBe('https://recipes.example.com/api/json/v1/secret/random.php');
+    });
+
+    it('should default to the public TheMealDB API', () => {
+      const provider = createTheMealDbProvider();
+
+      expect(provider.buildUrl('lookup.php', { i: '52772' }))
+        .toBe('https://www.themealdb.com/api/json/v1/1/lookup.php?i=52772');
+    });
+
+    it('should reject unknown provider types', () => {
+      expect(() => createProvider({ type: 'ftp' })).toThrow('Unknown recipe provider');
+    });
+  });
+
+  describe('Local provider', () => {
+    let dir;
+    let provider;
+
+    // Test data in the three supported file layouts
+    const teriyaki = {
+      idMeal: '52772',
+      strMeal: 'Teriyaki Chicken Casserole',
+      strCategory: 'Chicken',
+      strArea: 'Japanese',
+      strMealThumb: 'https://example.com/teriyaki.jpg',
+      strIngredient1: 'soy sauce',
+      strIngredient2: 'Chicken Thighs ',
+      strIngredient3: ''
+    };
+    const pancakes = {
+      idMeal: '52854',
+      strMeal: 'Pancakes',
+      strCategory: 'Dessert',
+      strArea: 'American',
+      strIngredient1: 'Flour',
+      strIngredient2: 'Eggs'
+    };
+    const curry = {
+      idMeal: '52820',
+      strMeal: 'Katsu Chicken curry',
+      strCategory: 'Chicken',
+      strArea: 'Japanese',
+      strIngredient1: 'Chicken Breast'
+    };
+
+    beforeAll(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'recipe-provider-'));
+      await fs.writeFile(path.join(dir, 'teriyaki.json'), JSON.stringify(teriyaki));
+      await fs.writeFile(path.join(dir, 'desserts.json'), JSON.stringify([pancakes]));
+      await fs.writeFile(path.join(dir, 'export.json'), JSON.stringify({ meals: [curry] }));
+      await fs.writeFile(path.join(dir, 'notes.txt'), 'not a recipe');
+      provider = createLocalProvider({ dir });
+    });
+
+    afterAll(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    afterEach(() => {
+      setProvider(null);
+    });
+
+    it('should search by name case-insensitively', async () => {
+      const result = await provider.request('search.php', { s: 'CHICKEN' });
+
+      expect(result.meals.map(meal => meal.idMeal).sort()).toEqual(['52772', '52820']);
+    });
+
+    it('should search by first letter', async () => {
+      const result = await provider.request('search.php', { f: 'p' });
+
+      expect(result.meals).toEqual([pancakes]);
+    });
+
+    it('should look up a meal by ID and return null meals when missing', async () => {
+      expect((await provider.request('lookup.php', { i: '52854' })).meals).toEqual([pancakes]);
+      expect((await provider.request('lookup.php', { i: '1' })).meals).toBeNull();
+    });
+
+    it('should filter by ingredient and return partial meals', async () => {
+      const result = await provider.request('filter.php', { i: 'chicken thighs' });
+
+      expect(result.meals).toEqual([
+        { strMeal: 'Teriyaki Chicken Casserole', strMealThumb: 'https://example.com/teriyaki.jpg', idMeal: '52772' }
+      ]);
+    });
+
+    it('should filter by category and area', async () => {
+      expect((await provider.request('filter.php', { c: 'dessert' })).meals).toHaveLength(1);
+      expect((await provider.request('filter.php', { a: 'Japanese' })).meals).toHaveLength(2);
+    });
+
+    it('should list categories, areas and ingredients', async () => {
+      const categories = await provider.request('categories.php');
+      const areas = await provider.request('list.php', { a: 'list' });
+      const ingredients = await provider.request('list.php', { i: 'list' });
+
+      expect(categories.categories.map(category => category.strCategory)).toEqual(['Chicken', 'Dessert']);
+      expect(areas.meals).toEqual([{ strArea: 'American' }, { strArea: 'Japanese' }]);
+      expect(ingredients.meals.map(ingredient => ingredient.strIngredient))
+        .toEqual(['Chicken Breast', 'Chicken Thighs', 'Eggs', 'Flour', 'soy sauce']);
+    });
+
+    it('should reject endpoints it does not support', async () => {
+      await expect(provider.request('latest.php')).rejects.toThrow('does not support');
+    });
+
+    it('should serve the api module when set as the active provider', async () => {
+      const fetchSpy = vi.spyOn(global, 'fetch');
+      setProvider(provider);
+
+      const meal = await api.getMealById('52772');
+
+      expect(meal).toEqual(teriyaki);
+      expect(fetchSpy).not.toHaveBeenCalled();
+      fetchSpy.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,96 @@
+// test/rate-limiter.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRateLimiter, PRIORITY } from '../src/rate-limiter.js';
+import { createTheMealDbProvider } from '../src/providers/themealdb.js';
+import { runWithConcurrency } from '../src/utils.js';
+
+describe('Rate Limiter Module', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('should start a burst at once and then pace the rest', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 2, burst: 2 });
+    const started = [];
+
+    const results = Promise.all([1, 2, 3, 4].map(n => limiter.schedule(() => {
+      started.push(n);
+      return n * 10;
+    })));
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(started).toEqual([1, 2]);
+    expect(limiter.pending).toBe(2);
+
+    // One new token every 500ms
+    await vi.advanceTimersByTimeAsync(500);
+    expect(started).toEqual([1, 2, 3]);
+    await vi.advanceTimersByTimeAsync(500);
+    expect(started).toEqual([1, 2, 3, 4]);
+    expect(await results).toEqual([10, 20, 30, 40]);
+  });
+
+  it('should serve interactive requests before queued background work', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 1, burst: 1 });
+    const started = [];
+    const task = name => () => started.push(name);
+
+    limiter.schedule(task('first'));
+    limiter.schedule(task('crawl a'), { priority: PRIORITY.BACKGROUND });
+    limiter.schedule(task('crawl b'), { priority: PRIORITY.BACKGROUND });
+    limiter.schedule(task('search'), { priority: PRIORITY.INTERACTIVE });
+
+    await vi.advanceTimersByTimeAsync(3000);
+
+    expect(started).toEqual(['first', 'search', 'crawl a', 'crawl b']);
+  });
+
+  it('should pass on task errors', async () => {
+    const limiter = createRateLimiter();
+
+    await expect(limiter.schedule(() => Promise.reject(new Error('Boom')))).rejects.toThrow('Boom');
+  });
+
+  it('should drop queued tasks when their signal is aborted', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 1, burst: 1 });
+    const controller = new AbortController();
+    const task = vi.fn();
+
+    limiter.schedule(() => { });
+    const result = limiter.schedule(task, { signal: controller.signal }).catch(error => error);
+    controller.abort(new Error('Cancelled'));
+    await vi.advanceTimersByTimeAsync(2000);
+
+    expect((await result).message).toBe('Cancelled');
+    expect(task).not.toHaveBeenCalled();
+    expect(limiter.pending).toBe(0);
+  });
+
+  it('should reject unknown priorities and invalid limits', async () => {
+    await expect(createRateLimiter().schedule(() => { }, { priority: 'urgent' })).rejects.toThrow('Unknown request priority');
+    expect(() => createRateLimiter({ requestsPerSecond: 0 })).toThrow();
+  });
+
+  it('should keep a bulk crawl through the provider within the rate limit', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: true, status: 200, json: async () => ({ meals: null }) })));
+    const provider = createTheMealDbProvider({ rateLimit: { requestsPerSecond: 5, burst: 5 } });
+    const letters = 'abcdefghijklmnopqrstuvwxyz'.split('');
+    const tasks = letters.map(letter => () => provider.request('search.php', { f: letter }, { priority: PRIORITY.BACKGROUND }));
+
+    const crawl = runWithConcurrency(tasks, 26, { stopOnError: true });
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(fetch).toHaveBeenCalledTimes(5);
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(fetch).toHaveBeenCalledTimes(10);
+
+    await vi.runAllTimersAsync();
+    expect(await crawl).toHaveLength(26);
+    expect(fetch).toHaveBeenCalledTimes(26);
+  });
+});
@@ -0,0 +1,138 @@
+// test/recipe-model.test.js
+import { describe, it, expect } from 'vitest';
+import { MAX_RATING, normalizeMeal, normalizeMeals, toRawMeal, isRecipe, isValidRating } from '../src/recipe-model.js';
+
+describe('Recipe Model', () => {
+  // A full lookup.php result, including the quirks TheMealDB data has
+  const fullMeal = {
+    idMeal: '52772',
+    strMeal: 'Teriyaki Chicken Casserole',
+    strDrinkAlternate: null,
+    strCategory: 'Chicken',
+    strArea: 'Japanese',
+    strInstructions: 'STEP 1\r\nPreheat oven to 350F.\r\n\r\nSTEP 2\r\nCombine soy sauce and water.',
+    strMealThumb: 'https://www.themealdb.com/images/media/meals/wvpsxx1468256321.jpg',
+    strTags: 'Meat, Casserole',
+    strYoutube: 'https://www.youtube.com/watch?v=4aZr5hZXP_s',
+    strIngredient1: 'soy sauce',
+    strIngredient2: 'water ',
+    strIngredient3: '',
+    strIngredient4: 'brown sugar',
+    strIngredient5: null,
+    strMeasure1: '3/4 cup',
+    strMeasure2: '1/2 cup ',
+    strMeasure3: ' ',
+    strMeasure4: '',
+    strMeasure5: null,
+    strSource: null,
+    strImageSource: null,
+    strCreativeCommonsConfirmed: null,
+    dateModified: null
+  };
+
+  // A filter.php result
+  const partialMeal = {
+    strMeal: 'Chicken Handi',
+    strMealThumb: 'https://www.themealdb.com/images/media/meals/wyxwsp1486979827.jpg',
+    idMeal: '52795'
+  };
+
+  describe('normalizeMeal', () => {
+    it('should map a full meal to a recipe', () => {
+      const recipe = normalizeMeal(fullMeal);
+
+      expect(recipe).toMatchObject({
+        id: '52772',
+        name: 'Teriyaki Chicken Casserole',
+        category: 'Chicken',
+        area: 'Japanese',
+        tags: ['Meat', 'Casserole'],
+        ingredients: [
+          { name: 'soy sauce', measure: '3/4 cup' },
+          { name: 'water', measure: '1/2 cup' },
+          { name: 'brown sugar', measure: '' }
+        ],
+        steps: ['Preheat oven to 350F.', 'Combine soy sauce and water.'],
+        media: {
+          thumbnail: fullMeal.strMealThumb,
+          youtube: fullMeal.strYoutube,
+          source: null,
+          imageSource: null
+        },
+        partial: false
+      });
+      expect(isRecipe(recipe)).toBe(true);
+    });
+
+    it('should mark filter results as partial', () => {
+      const recipe = normalizeMeal(partialMeal);
+
+      expect(recipe.partial).toBe(true);
+      expect(recipe.ingredients).toEqual([]);
+      expect(recipe.instructions).toBeNull();
+    });
+
+    it('should return normalized recipes unchanged', () => {
+      const recipe = normalizeMeal(fullMeal);
+
+      expect(normalizeMeal(recipe)).toBe(recipe);
+    });
+
+    it('should drop empty entries from lists', () => {
+      expect(normalizeMeals([partialMeal, null])).toHaveLength(1);
+      expect(normalizeMeals(null)).toEqual([]);
+    });
+  });
+
+  describe('toRawMeal', () => {
+    it('should rebuild the original full meal exactly', () => {
+      const rebuilt = toRawMeal(normalizeMeal(fullMeal));
+
+      expect(rebuilt).toEqual(fullMeal);
+      expect(JSON.stringify(rebuilt)).toBe(JSON.stringify(fullMeal));
+    });
+
+    it('should rebuild partial meals without adding fields', () => {
+      expect(toRawMeal(normalizeMeal(partialMeal))).toEqual(partialMeal);
+    });
+
+    it('should keep unknown fields', () => {
+      const meal = { ...partialMeal, strNewField: 'kept' };
+
+      expect(toRawMeal(normalizeMeal(meal))).toEqual(meal);
+    });
+
+    it('should build TheMealDB fields for recipes created by hand', () => {
+      const raw = toRawMeal({
+        id: '1',
+        name: 'Toast',
+        category: 'Breakfast',
+        area: null,
+        tags: ['Quick'],
+        ingredients: [{ name: 'Bread', measure: '1 slice' }],
+        instructions: 'Toast it.',
+        steps: ['Toast it.'],
+        media: {},
+        partial: false,
+        extra: {}
+      });
+
+      expect(raw).toEqual({
+        idMeal: '1',
+        strMeal: 'Toast',
+        strCategory: 'Breakfast',
+        strInstructions: 'Toast it.',
+        strTags: 'Quick',
+        strIngredient1: 'Bread',
+        strMeasure1: '1 slice'
+      });
+    });
+  });
+
+  describe('isValidRating', () => {
+    it('should accept whole numbers from 1 to MAX_RATING and no rating', () => {
+      expect([1, MAX_RATING, null].every(isValidRating)).toBe(true);
+      expect([0, MAX_RATING + 1, 2.5, '3', undefined].some(isValidRating)).toBe(false);
+    });
+  });
+});
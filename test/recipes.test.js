@@ -0,0 +1,59 @@
+// test/recipes.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mock the API and pass cache lookups straight through to the fetch function
+vi.mock('../src/api.js', () => ({
+  getMealsByCategory: vi.fn(),
+}));
+
+vi.mock('../src/cache.js', () => ({
+  getCachedOrFetch: vi.fn(async (key, fetchFn) => ({ data: await fetchFn(), stale: false, refreshing: false })),
+  saveToCache: vi.fn(),
+}));
+
+import { findRecipesByCategory, findRelatedRecipes } from '../src/recipes.js';
+import * as api from '../src/api.js';
+import * as cache from '../src/cache.js';
+
+describe('Recipes Module', () => {
+  const beefStew = { idMeal: '1', strMeal: 'Beef Stew', strCategory: 'Beef', strInstructions: 'Simmer.' };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    api.getMealsByCategory.mockResolvedValue([
+      { idMeal: '1', strMeal: 'Beef Stew' },
+      { idMeal: '2', strMeal: 'Beef Wellington' },
+      { idMeal: '3', strMeal: 'Beef Pie' },
+      { idMeal: '4', strMeal: 'Beef Tacos' }
+    ]);
+  });
+
+  describe('findRelatedRecipes', () => {
+    it('should use the cached category results without the recipe itself', async () => {
+      const related = await findRelatedRecipes(beefStew, 2);
+
+      expect(related.map(recipe => recipe.id)).toEqual(['2', '3']);
+      expect(cache.getCachedOrFetch).toHaveBeenCalledWith('category_beef', expect.any(Function), false, expect.any(Object));
+      expect(api.getMealsByCategory).toHaveBeenCalledWith('Beef');
+    });
+
+    it('should share its cache key with category searches', async () => {
+      await findRecipesByCategory(' BEEF ');
+      await findRelatedRecipes(beefStew);
+
+      const keys = cache.getCachedOrFetch.mock.calls.map(([key]) => key);
+      expect(keys).toEqual(['category_beef', 'category_beef']);
+    });
+
+    it('should not change the latest search', async () => {
+      await findRelatedRecipes(beefStew);
+
+      expect(cache.saveToCache).not.toHaveBeenCalled();
+    });
+
+    it('should find nothing for a recipe without a category', async () => {
+      expect(await findRelatedRecipes({ idMeal: '5', strMeal: 'Mystery' })).toEqual([]);
+      expect(api.getMealsByCategory).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,114 @@
+// test/schema.test.js
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  DEFAULT_FAVORITES_COLLECTION,
+  SCHEMA_VERSIONS,
+  UnsupportedVersionError,
+  createContentValidator,
+  getMigrationBackupPath,
+  inspectFile,
+  migrateFile,
+  readVersionedFile,
+  writeVersionedFile
+} from '../src/schema.js';
+import { CorruptFileError, readJsonFile, recoverJsonFile } from '../src/storage.js';
+
+describe('Schema Module', () => {
+  let dir;
+  let file;
+
+  // A favorite from before versioning, after every migration
+  const migratedFavorites = {
+    collections: [{ name: DEFAULT_FAVORITES_COLLECTION, recipeIds: ['1'] }],
+    favorites: [{ meal: { idMeal: '1' }, tags: [], rating: null, notes: '', overrides: [], addedAt: null }]
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'recipe-schema-'));
+    file = path.join(dir, 'favorites.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should write data in the current version envelope', async () => {
+    await writeVersionedFile(file, 'favorites', [{ idMeal: '1' }]);
+
+    expect(await readJsonFile(file)).toEqual({ version: SCHEMA_VERSIONS.favorites, data: [{ idMeal: '1' }] });
+    expect(await readVersionedFile(file, 'favorites')).toEqual([{ idMeal: '1' }]);
+  });
+
+  it('should read files from before versioning as version 0 and upgrade them', async () => {
+    await fs.writeFile(file, JSON.stringify([{ idMeal: '1' }]));
+
+    // The flat list of favorites moves into the default collection
+    expect(await readVersionedFile(file, 'favorites')).toEqual(migratedFavorites);
+  });
+
+  it('should give favorites with collections empty annotations, keeping their tags', async () => {
+    const collections = [{ name: 'Weeknight', recipeIds: ['1'] }];
+    await fs.writeFile(file, JSON.stringify({ version: 2, data: { collections, favorites: [{ meal: { idMeal: '1' }, tags: ['quick'] }] } }));
+
+    expect(await readVersionedFile(file, 'favorites')).toEqual({
+      collections,
+      favorites: [{ meal: { idMeal: '1' }, tags: ['quick'], rating: null, notes: '', overrides: [], addedAt: null }]
+    });
+  });
+
+  it('should refuse files from a newer version', async () => {
+    await fs.writeFile(file, JSON.stringify({ version: 99, data: [] }));
+
+    await expect(readVersionedFile(file, 'favorites')).rejects.toBeInstanceOf(UnsupportedVersionError);
+    await expect(migrateFile(file, 'favorites')).rejects.toBeInstanceOf(UnsupportedVersionError);
+    expect(await readJsonFile(file)).toEqual({ version: 99, data: [] });
+  });
+
+  it('should throw CorruptFileError when the data has the wrong shape', async () => {
+    await writeVersionedFile(file, 'favorites', { not: 'a list' });
+
+    await expect(readVersionedFile(file, 'favorites', { validate: Array.isArray })).rejects.toBeInstanceOf(CorruptFileError);
+  });
+
+  describe('migrateFile', () => {
+    it('should upgrade an old file and keep a copy of the original', async () => {
+      const original = JSON.stringify([{ idMeal: '1' }]);
+      await fs.writeFile(file, original);
+
+      const result = await migrateFile(file, 'favorites');
+
+      expect(result).toEqual({ status: 'migrated', from: 0, to: SCHEMA_VERSIONS.favorites, backup: getMigrationBackupPath(file, 0) });
+      expect(await fs.readFile(result.backup, 'utf8')).toBe(original);
+      expect(await readJsonFile(file)).toEqual({ version: SCHEMA_VERSIONS.favorites, data: migratedFavorites });
+    });
+
+    it('should leave current and missing files alone', async () => {
+      expect(await migrateFile(file, 'favorites')).toEqual({ status: 'missing' });
+
+      await writeVersionedFile(file, 'favorites', migratedFavorites);
+      expect((await migrateFile(file, 'favorites')).status).toBe('current');
+      expect(await fs.readdir(dir)).toEqual(['favorites.json']);
+    });
+  });
+
+  it('should not treat a newer file as damaged when recovering', async () => {
+    await fs.writeFile(file, JSON.stringify({ version: 99, data: 'new shape' }));
+
+    const result = await recoverJsonFile(file, { fallback: [], validate: createContentValidator('favorites', Array.isArray) });
+
+    expect(result.status).toBe('ok');
+    expect(await readJsonFile(file)).toEqual({ version: 99, data: 'new shape' });
+  });
+
+  it('should describe a file without changing it', async () => {
+    const entries = { recipe_1: { timestamp: 1, data: { id: '1' } } };
+    await fs.writeFile(file, JSON.stringify(entries));
+
+    expect(await inspectFile(file, 'cache', { validate: value => typeof value === 'object' }))
+      .toEqual({ exists: true, version: 0, current: SCHEMA_VERSIONS.cache, valid: true, data: entries, error: null });
+    expect((await inspectFile(path.join(dir, 'missing.json'), 'favorites')).exists).toBe(false);
+  });
+});
@@ -0,0 +1,94 @@
+// test/settings.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_SETTINGS, getConfigPath, loadSettings } from '../src/settings.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('Settings Module', () => {
+  let home;
+  let configFile;
+
+  /**
+   * Write the config file used by the tests
+   */
+  async function writeConfig(config) {
+    await fs.mkdir(path.dirname(configFile), { recursive: true });
+    await fs.writeFile(configFile, typeof config === 'string' ? config : JSON.stringify(config));
+  }
+
+  beforeEach(async () => {
+    home = await fs.mkdtemp(path.join(os.tmpdir(), 'recipe-settings-'));
+    configFile = path.join(home, '.config', 'recipe-explorer', 'config.json');
+    vi.spyOn(console, 'error').mockImplementation(() => { });
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await fs.rm(home, { recursive: true, force: true });
+  });
+
+  it('should use the defaults and the project data folder without a config file', () => {
+    const settings = loadSettings({ env: { HOME: home } });
+
+    expect(settings).toMatchObject(DEFAULT_SETTINGS);
+    expect(settings.dataDir).toBe(path.join(__dirname, '../data'));
+    expect(settings.dataDirSource).toBe('default');
+    expect(settings.configFile).toBe(configFile);
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it('should find the config file through XDG_CONFIG_HOME or RECIPE_EXPLORER_CONFIG', () => {
+    expect(getConfigPath({ XDG_CONFIG_HOME: '/etc/xdg' })).toBe(path.join('/etc/xdg', 'recipe-explorer', 'config.json'));
+    expect(getConfigPath({ RECIPE_EXPLORER_CONFIG: '/tmp/recipes.json', XDG_CONFIG_HOME: '/etc/xdg' })).toBe('/tmp/recipes.json');
+  });
+
+  it('should read settings and a relative data folder from the config file', async () => {
+    await writeConfig({ dataDir: 'recipes', timeoutMs: 3000, concurrency: 2, units: 'us', cacheTtlHours: { 'search_*': 12 } });
+
+    const settings = loadSettings({ env: { HOME: home } });
+
+    expect(settings).toMatchObject({ timeoutMs: 3000, retries: 2, concurrency: 2, units: 'us', cacheTtlHours: { 'search_*': 12 } });
+    expect(settings.dataDir).toBe(path.join(path.dirname(configFile), 'recipes'));
+    expect(settings.dataDirSource).toBe('config');
+
+    await writeConfig({ dataDir: '~/recipes' });
+    expect(loadSettings({ env: { HOME: home } }).dataDir).toBe(path.join(home, 'recipes'));
+  });
+
+  it('should choose the data folder from the environment, then XDG, then the config file', async () => {
+    await writeConfig({ dataDir: '/srv/recipes' });
+
+    expect(loadSettings({ env: { HOME: home, RECIPE_EXPLORER_DATA_DIR: '/data/mine', XDG_DATA_HOME: '/xdg' } }))
+      .toMatchObject({ dataDir: '/data/mine', dataDirSource: 'env' });
+    expect(loadSettings({ env: { HOME: home, XDG_DATA_HOME: '/xdg' } }))
+      .toMatchObject({ dataDir: path.join('/xdg', 'recipe-explorer'), dataDirSource: 'xdg' });
+    expect(loadSettings({ env: { HOME: home } }))
+      .toMatchObject({ dataDir: '/srv/recipes', dataDirSource: 'config' });
+  });
+
+  it('should let environment variables override the config file', async () => {
+    await writeConfig({ timeoutMs: 3000, retries: 5 });
+
+    const settings = loadSettings({ env: { HOME: home, MEALDB_TIMEOUT_MS: '1500', RECIPE_UNITS: 'us', RECIPE_CACHE_BACKEND: 'directory' } });
+
+    expect(settings).toMatchObject({ timeoutMs: 1500, retries: 5, units: 'us', cacheBackend: 'directory' });
+  });
+
+  it('should ignore invalid values and unreadable config files with a warning', async () => {
+    await writeConfig({ retries: -1, units: 'imperial' });
+
+    const settings = loadSettings({ env: { HOME: home, RECIPE_CONCURRENCY: 'many' } });
+
+    expect(settings).toMatchObject({ retries: DEFAULT_SETTINGS.retries, units: 'metric', concurrency: DEFAULT_SETTINGS.concurrency });
+    expect(console.error).toHaveBeenCalledTimes(3);
+
+    await writeConfig('{ not json');
+    expect(loadSettings({ env: { HOME: home } })).toMatchObject(DEFAULT_SETTINGS);
+    expect(console.error).toHaveBeenCalledWith(`Ignoring settings file ${configFile}:`, expect.any(String));
+  });
+});
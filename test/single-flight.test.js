@@ -0,0 +1,48 @@
+// test/single-flight.test.js
+import { describe, it, expect, vi } from 'vitest';
+import { createSingleFlight } from '../src/single-flight.js';
+
+describe('Single Flight Module', () => {
+  it('should run identical concurrent work once', async () => {
+    const group = createSingleFlight();
+    const fn = vi.fn(async () => 'result');
+
+    const results = await Promise.all([group.run('a', fn), group.run('a', fn), group.run('a', fn)]);
+
+    expect(results).toEqual(['result', 'result', 'result']);
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(group.getMetrics()).toEqual({ calls: 3, executions: 1, coalesced: 2, inFlight: 0 });
+  });
+
+  it('should keep different keys apart', async () => {
+    const group = createSingleFlight();
+
+    const results = await Promise.all([group.run('a', async () => 1), group.run('b', async () => 2)]);
+
+    expect(results).toEqual([1, 2]);
+    expect(group.getMetrics().coalesced).toBe(0);
+  });
+
+  it('should share failures only with callers that joined the failed run', async () => {
+    const group = createSingleFlight();
+    const fn = vi.fn()
+      .mockRejectedValueOnce(new Error('Network error'))
+      .mockResolvedValueOnce('retried');
+
+    const [first, second] = await Promise.allSettled([group.run('a', fn), group.run('a', fn)]);
+
+    expect(first.reason.message).toBe('Network error');
+    expect(second.reason).toBe(first.reason);
+    expect(await group.run('a', fn)).toBe('retried');
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reset its counters', async () => {
+    const group = createSingleFlight();
+    await group.run('a', async () => 1);
+
+    group.resetMetrics();
+
+    expect(group.getMetrics()).toEqual({ calls: 0, executions: 0, coalesced: 0, inFlight: 0 });
+  });
+});
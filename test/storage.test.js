@@ -0,0 +1,96 @@
+// test/storage.test.js
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CorruptFileError, getBackupPath, readJsonFile, recoverJsonFile, writeJsonFile } from '../src/storage.js';
+
+describe('Storage Module', () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'recipe-storage-'));
+    file = path.join(dir, 'favorites.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('writeJsonFile', () => {
+    it('should write the file and leave no temporary files behind', async () => {
+      await writeJsonFile(file, [{ idMeal: '1' }]);
+
+      expect(await readJsonFile(file)).toEqual([{ idMeal: '1' }]);
+      expect(await fs.readdir(dir)).toEqual(['favorites.json']);
+    });
+
+    it('should keep the previous contents as a backup', async () => {
+      await writeJsonFile(file, ['first']);
+      await writeJsonFile(file, ['second']);
+
+      expect(await readJsonFile(file)).toEqual(['second']);
+      expect(await readJsonFile(getBackupPath(file))).toEqual(['first']);
+    });
+  });
+
+  describe('readJsonFile', () => {
+    it('should throw CorruptFileError for truncated JSON', async () => {
+      await fs.writeFile(file, '[{"idMeal": "1", "str');
+
+      await expect(readJsonFile(file)).rejects.toBeInstanceOf(CorruptFileError);
+    });
+
+    it('should throw CorruptFileError when the shape is wrong', async () => {
+      await fs.writeFile(file, '{}');
+
+      await expect(readJsonFile(file, { validate: Array.isArray })).rejects.toBeInstanceOf(CorruptFileError);
+    });
+
+    it('should pass through errors for missing files', async () => {
+      await expect(readJsonFile(file)).rejects.toMatchObject({ code: 'ENOENT' });
+    });
+  });
+
+  describe('recoverJsonFile', () => {
+    it('should leave a healthy file alone', async () => {
+      await writeJsonFile(file, ['saved']);
+
+      const result = await recoverJsonFile(file, { fallback: [], validate: Array.isArray });
+
+      expect(result).toEqual({ status: 'ok' });
+      expect(await readJsonFile(file)).toEqual(['saved']);
+    });
+
+    it('should create a missing file from the fallback', async () => {
+      const result = await recoverJsonFile(file, { fallback: [] });
+
+      expect(result).toEqual({ status: 'created' });
+      expect(await readJsonFile(file)).toEqual([]);
+    });
+
+    it('should restore a damaged file from the backup and keep the damaged copy', async () => {
+      await writeJsonFile(file, ['first']);
+      await writeJsonFile(file, ['second']);
+      await fs.writeFile(file, '["sec');
+
+      const result = await recoverJsonFile(file, { fallback: [], validate: Array.isArray });
+
+      // Verify the last good backup is back and nothing was thrown away
+      expect(result.status).toBe('restored');
+      expect(await readJsonFile(file)).toEqual(['first']);
+      expect(await fs.readFile(result.movedTo, 'utf8')).toBe('["sec');
+    });
+
+    it('should fall back when there is no usable backup', async () => {
+      await fs.writeFile(file, 'not json');
+
+      const result = await recoverJsonFile(file, { fallback: [], validate: Array.isArray });
+
+      expect(result.status).toBe('reset');
+      expect(await readJsonFile(file)).toEqual([]);
+      expect(await fs.readFile(result.movedTo, 'utf8')).toBe('not json');
+    });
+  });
+});
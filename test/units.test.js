@@ -0,0 +1,73 @@
+// test/units.test.js
+import { describe, it, expect } from 'vitest';
+import { convertMeasure } from '../src/units.js';
+import { formatRecipe } from '../src/utils.js';
+
+describe('Units Module', () => {
+  describe('convertMeasure', () => {
+    it('should convert US weights and volumes to metric', () => {
+      expect(convertMeasure('8 oz', 'metric')).toBe('225 g');
+      expect(convertMeasure('2 lbs', 'metric')).toBe('905 g');
+      expect(convertMeasure('3 pounds', 'metric')).toBe('1.36 kg');
+      expect(convertMeasure('1/2 cup', 'metric')).toBe('120 ml');
+      expect(convertMeasure('1 1/2 cups', 'metric')).toBe('355 ml');
+      expect(convertMeasure('½ cup', 'metric')).toBe('120 ml');
+      expect(convertMeasure('1 quart', 'metric')).toBe('945 ml');
+    });
+
+    it('should convert metric weights and volumes to US units', () => {
+      expect(convertMeasure('200g', 'us')).toBe('7 oz');
+      expect(convertMeasure('1kg', 'us')).toBe('2 1/4 lb');
+      expect(convertMeasure('250 ml', 'us')).toBe('1 cup');
+      expect(convertMeasure('500ml', 'us')).toBe('2 cups');
+      expect(convertMeasure('30 ml', 'us')).toBe('1 fl oz');
+      expect(convertMeasure('2 litres', 'us')).toBe('8 1/2 cups');
+      expect(convertMeasure('1 g', 'us')).toBe('0.04 oz');
+    });
+
+    it('should keep what follows the unit', () => {
+      expect(convertMeasure('400g chopped', 'us')).toBe('14 oz chopped');
+      expect(convertMeasure('1 lb, diced', 'metric')).toBe('455 g, diced');
+    });
+
+    it('should leave measures already in the unit system as written', () => {
+      expect(convertMeasure('200g', 'metric')).toBe('200g');
+      expect(convertMeasure('3/4 cup', 'us')).toBe('3/4 cup');
+    });
+
+    it('should leave measures without a weight or volume unit as written', () => {
+      expect(convertMeasure('2 tbs', 'metric')).toBe('2 tbs');
+      expect(convertMeasure('1 large', 'us')).toBe('1 large');
+      expect(convertMeasure('2 leeks', 'us')).toBe('2 leeks');
+      expect(convertMeasure('Pinch', 'us')).toBe('Pinch');
+      expect(convertMeasure(null, 'us')).toBeNull();
+    });
+  });
+
+  describe('formatRecipe', () => {
+    const recipe = {
+      idMeal: '52772',
+      strMeal: 'Teriyaki Chicken Casserole',
+      strCategory: 'Chicken',
+      strInstructions: 'Preheat oven to 350F.',
+      strIngredient1: 'soy sauce',
+      strMeasure1: '3/4 cup',
+      strIngredient2: 'chicken thighs',
+      strMeasure2: '2 lb',
+      strIngredient3: 'sesame seed',
+      strMeasure3: 'Garnish'
+    };
+
+    it('should show measures in the given unit system', () => {
+      const result = formatRecipe(recipe, { units: 'metric' });
+
+      expect(result).toContain('- 175 ml soy sauce');
+      expect(result).toContain('- 905 g chicken thighs');
+      expect(result).toContain('- Garnish sesame seed');
+    });
+
+    it('should show measures as written without a unit system', () => {
+      expect(formatRecipe(recipe)).toContain('- 3/4 cup soy sauce');
+    });
+  });
+});
@@ -1,61 +1,240 @@
 // utils/init-data.js
 /**
- * Utility script to initialize the data directories and files
+ * Utility script to set up, upgrade and check the data files
+ *
+ * Usage: npm run init-data -- [init | migrate | doctor]
+ *   init     Create the data directory and any missing data files (default)
+ *   migrate  Repair damaged data files and upgrade older formats, keeping copies of the originals
+ *   doctor   Report the data directory, settings file and data files without changing anything
  */
 
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import * as cache from '../src/cache.js';
+import * as catalog from '../src/catalog.js';
+import * as favorites from '../src/favorites.js';
+import { SCHEMA_VERSIONS } from '../src/schema.js';
+import { getSettings } from '../src/settings.js';
+import { formatAge } from '../src/utils.js';
 
-// Get the directory path using ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Data directory shared with the app (see src/settings.js)
+const { dataDir, dataDirSource, configFile } = getSettings();
 
-// Paths to data directories and files
-const dataDir = path.join(__dirname, '../data');
-const cacheFile = path.join(dataDir, 'cache.json');
-const favoritesFile = path.join(dataDir, 'favorites.json');
+// Where the cache is stored: a file, a directory, or nowhere for the memory backend
+const cacheBackend = cache.getCacheBackend();
+
+// The versioned data files, with how to create a new one and count what is in it
+const DATA_FILES = [
+  {
+    label: 'Cache',
+    kind: 'cache',
+    file: cacheBackend.location,
+    create: () => cacheBackend.init?.(),
+    inspect: cache.inspectCacheFile,
+    check: cache.checkCacheFile,
+    count: data => Object.keys(data).length
+  },
+  {
+    label: 'Favorites',
+    kind: 'favorites',
+    file: path.join(dataDir, 'favorites.json'),
+    create: () => favorites.initializeFavorites(),
+    inspect: favorites.inspectFavoritesFile,
+    check: favorites.checkFavoritesFile,
+    count: data => data.favorites.length
+  }
+];
+
+const USAGE = `Usage: npm run init-data -- [command]
+
+Commands:
+  init       Create the data directory and any missing data files (default)
+  migrate    Repair damaged data files and upgrade older formats, keeping
+             a copy of each original
+  doctor     Check the data directory and data files without changing them`;
+
+/**
+ * Check whether a file or directory exists
+ *
+ * @param {string} file - Path to check
+ * @returns {Promise<boolean>} - True if it exists
+ */
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
 
 /**
  * Initialize the data directories and files
+ *
+ * @returns {Promise<number>} - Exit code
  */
 async function initData() {
-  try {
-    console.log('Initializing data directories and files...');
-    
-    // Create data directory if it doesn't exist
-    try {
-      await fs.access(dataDir);
-      console.log('Data directory already exists');
-    } catch (error) {
-      console.log('Creating data directory...');
-      await fs.mkdir(dataDir, { recursive: true });
+  console.log(`Initializing data directories and files in ${dataDir}...`);
+
+  // Create data directory if it doesn't exist
+  if (await exists(dataDir)) {
+    console.log('Data directory already exists');
+  } else {
+    console.log('Creating data directory...');
+    await fs.mkdir(dataDir, { recursive: true });
+  }
+
+  // Create each data file if it doesn't exist
+  for (const { label, file, create, inspect } of DATA_FILES) {
+    if (!file) {
+      console.log(`${label} is kept in memory only, nothing to create`);
+      continue;
+    }
+
+    if (!(await exists(file))) {
+      console.log(`Creating ${label.toLowerCase()} at ${file}...`);
+      await create(file);
+      continue;
+    }
+
+    console.log(`${label} already exists`);
+
+    const report = await inspect();
+
+    if (report.error) {
+      console.log(`${label} could not be read. Run "npm run init-data -- doctor" for details.`);
+    } else if (report.version < report.current) {
+      console.log(`${label} uses an older format. Run "npm run init-data -- migrate" to upgrade it.`);
+    }
+  }
+
+  console.log('Data initialization complete!');
+  return 0;
+}
+
+/**
+ * Repair and upgrade the data files, the same way the app does at startup
+ *
+ * @returns {Promise<number>} - Exit code
+ */
+async function migrateData() {
+  console.log(`Migrating data files in ${dataDir}...`);
+
+  for (const { label, kind, check } of DATA_FILES) {
+    const result = await check();
+
+    if (result.status === 'created') {
+      console.log(`${label}: created`);
+    } else if (result.status === 'restored') {
+      console.log(`${label}: was damaged and has been restored from the backup (damaged copy kept at ${result.movedTo})`);
+    } else if (result.status === 'reset') {
+      console.log(`${label}: was damaged and has been started again empty (damaged copy kept at ${result.movedTo})`);
+    }
+
+    if (result.migration.status === 'migrated') {
+      console.log(`${label}: upgraded from format ${result.migration.from} to ${result.migration.to} (original kept at ${result.migration.backup})`);
+    } else {
+      console.log(`${label}: format ${SCHEMA_VERSIONS[kind]} is up to date`);
     }
-    
-    // Create cache file if it doesn't exist
-    try {
-      await fs.access(cacheFile);
-      console.log('Cache file already exists');
-    } catch (error) {
-      console.log('Creating cache file...');
-      await fs.writeFile(cacheFile, JSON.stringify({}, null, 2));
+  }
+
+  console.log('Migration complete!');
+  return 0;
+}
+
+/**
+ * Report on the data directory and files without changing anything
+ *
+ * @returns {Promise<number>} - Exit code: 0 if no problems were found, 1 otherwise
+ */
+async function doctor() {
+  let problems = 0;
+
+  const problem = message => {
+    problems++;
+    console.log(`  ✗ ${message}`);
+  };
+  const ok = message => console.log(`  ✓ ${message}`);
+  const note = message => console.log(`  ! ${message}`);
+
+  console.log(`Data directory: ${dataDir} (chosen by ${dataDirSource})`);
+  console.log(`Settings file: ${configFile}${(await exists(configFile)) ? '' : ' (not present, using defaults)'}`);
+
+  if (!(await exists(dataDir))) {
+    problem('The data directory does not exist. Run "npm run init-data" to create it.');
+    return 1;
+  }
+
+  for (const { label, inspect, count: countEntries } of DATA_FILES) {
+    const report = await inspect();
+    console.log(`${label}: ${report.file || 'kept in memory only'}`);
+
+    if (!report.exists) {
+      problem('Missing. Run "npm run init-data" to create it.');
+    } else if (report.error) {
+      problem(report.error);
+    } else {
+      const count = countEntries(report.data);
+      ok(`Readable, ${count} ${count === 1 ? 'entry' : 'entries'}`);
+
+      if (report.version < report.current) {
+        note(`Uses format ${report.version}; format ${report.current} is current. Run "npm run init-data -- migrate" (or start the app) to upgrade it.`);
+      } else {
+        ok(`Format ${report.version} is current`);
+      }
     }
-    
-    // Create favorites file if it doesn't exist
-    try {
-      await fs.access(favoritesFile);
-      console.log('Favorites file already exists');
-    } catch (error) {
-      console.log('Creating favorites file...');
-      await fs.writeFile(favoritesFile, JSON.stringify([], null, 2));
+  }
+
+  // Files left behind next to the data files
+  const leftovers = (await fs.readdir(dataDir)).filter(name => /\.(lock|tmp)$|\.corrupt-\d+$/.test(name));
+
+  for (const name of leftovers) {
+    if (name.endsWith('.lock')) {
+      note(`${name}: another copy of the app is running, or crashed; the lock is taken over automatically once it is abandoned`);
+    } else if (name.endsWith('.tmp')) {
+      note(`${name}: left over from an interrupted save and can be deleted`);
+    } else {
+      note(`${name}: a damaged file that was moved aside; delete it once you no longer need it`);
     }
-    
-    console.log('Data initialization complete!');
+  }
+
+  const snapshot = await catalog.getSnapshotInfo();
+
+  if (snapshot) {
+    console.log(`Offline catalog: ${snapshot.recipes} recipes, synced ${formatAge(Date.now() - snapshot.oldest)} ago${snapshot.complete ? '' : ' (unfinished)'}`);
+  } else {
+    console.log('Offline catalog: none');
+  }
+
+  console.log(problems === 0 ? 'No problems found.' : `${problems} ${problems === 1 ? 'problem' : 'problems'} found.`);
+  return problems === 0 ? 0 : 1;
+}
+
+const COMMANDS = {
+  init: initData,
+  migrate: migrateData,
+  doctor
+};
+
+/**
+ * Run the command named on the command line
+ */
+async function main() {
+  const command = process.argv[2] || 'init';
+
+  if (!Object.hasOwn(COMMANDS, command)) {
+    console.error(`Unknown command "${command}"`);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  try {
+    process.exitCode = await COMMANDS[command]();
   } catch (error) {
-    console.error('Error initializing data:', error.message);
-    process.exit(1);
+    console.error(`Error running "${command}":`, error.message);
+    process.exitCode = 1;
   }
 }
 
-// Run the initialization
-initData();
+main();